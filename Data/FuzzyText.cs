@@ -0,0 +1,96 @@
+using System.Text;
+
+namespace TagbooruQuest.Data
+{
+    /// <summary>
+    /// String helpers behind typo-tolerant search: normalisation, trigrams and edit distance.
+    /// Shared by the trigram index builder and the search ranking so both see the same tokens.
+    /// </summary>
+    public static class FuzzyText
+    {
+        /// <summary>
+        /// Lowercase, turn anything that is not a letter or digit into a single space, trim.
+        /// "Blonde_Hair" and "blonde hair" both become "blonde hair".
+        /// </summary>
+        public static string Normalize(string text)
+        {
+            var sb = new StringBuilder(text.Length);
+            bool pendingSpace = false;
+            foreach (var ch in text.ToLowerInvariant())
+            {
+                if (char.IsLetterOrDigit(ch))
+                {
+                    if (pendingSpace && sb.Length > 0) sb.Append(' ');
+                    sb.Append(ch);
+                    pendingSpace = false;
+                }
+                else pendingSpace = true;
+            }
+            return sb.ToString();
+        }
+
+        /// <summary>
+        /// pg_trgm style trigrams: each word is padded with two leading blanks and one trailing blank.
+        /// </summary>
+        public static HashSet<string> Trigrams(string text)
+        {
+            var set = new HashSet<string>();
+            foreach (var word in Normalize(text).Split(' ', StringSplitOptions.RemoveEmptyEntries))
+            {
+                var padded = "  " + word + " ";
+                for (int i = 0; i + 3 <= padded.Length; i++)
+                    set.Add(padded.Substring(i, 3));
+            }
+            return set;
+        }
+
+        /// <summary>
+        /// Share of trigrams the two strings have in common (Jaccard index, 0..1).
+        /// </summary>
+        public static double Similarity(HashSet<string> a, HashSet<string> b)
+        {
+            if (a.Count == 0 || b.Count == 0) return 0;
+            int common = 0;
+            foreach (var t in a)
+                if (b.Contains(t)) common++;
+            return (double)common / (a.Count + b.Count - common);
+        }
+
+        /// <summary>
+        /// Optimal string alignment distance: insertions, deletions, substitutions and
+        /// adjacent transpositions each cost one ("twintials" → "twintails" is 1).
+        /// </summary>
+        public static int EditDistance(string a, string b)
+        {
+            if (a.Length == 0) return b.Length;
+            if (b.Length == 0) return a.Length;
+
+            var d = new int[a.Length + 1, b.Length + 1];
+            for (int i = 0; i <= a.Length; i++) d[i, 0] = i;
+            for (int j = 0; j <= b.Length; j++) d[0, j] = j;
+
+            for (int i = 1; i <= a.Length; i++)
+            {
+                for (int j = 1; j <= b.Length; j++)
+                {
+                    int cost = a[i - 1] == b[j - 1] ? 0 : 1;
+                    d[i, j] = Math.Min(Math.Min(d[i - 1, j] + 1, d[i, j - 1] + 1), d[i - 1, j - 1] + cost);
+                    if (i > 1 && j > 1 && a[i - 1] == b[j - 2] && a[i - 2] == b[j - 1])
+                        d[i, j] = Math.Min(d[i, j], d[i - 2, j - 2] + 1);
+                }
+            }
+            return d[a.Length, b.Length];
+        }
+
+        /// <summary>
+        /// How many edits a query of this length may contain and still count as a typo.
+        /// </summary>
+        public static int MaxEdits(string normalizedQuery) => normalizedQuery.Length switch
+        {
+            <= 3 => 0,
+            <= 5 => 1,
+            <= 10 => 2,
+            _ => 3
+        };
+    }
+}
@@ -0,0 +1,188 @@
+using System.Text;
+
+namespace TagbooruQuest.Data
+{
+    public class DatasetNode
+    {
+        public string Text { get; set; } = string.Empty;
+        public bool IsTag { get; set; }
+
+        /// <summary>How many posts use the tag on its booru, when the source says.</summary>
+        public long? PostCount { get; set; }
+        public List<string> Aliases { get; } = new();
+    }
+
+    /// <summary>
+    /// A tag graph read from, or written to, a file: nodes keyed by slug and parent → child
+    /// edges by slug. Every <see cref="ITagDatasetFormat"/> reads into and writes from this.
+    /// </summary>
+    public class TagDataset
+    {
+        public Dictionary<string, DatasetNode> Nodes { get; } = new();
+        public HashSet<(string Parent, string Child)> Edges { get; } = new();
+
+        /// <summary>
+        /// Whether the source can list aliases at all. Without it, a missing alias says
+        /// nothing and imports leave existing aliases alone.
+        /// </summary>
+        public bool HasAliases { get; set; }
+        public bool HasPostCounts { get; set; }
+
+        /// <summary>
+        /// Add a node, or fold into the one with the same slug: the first text wins and it is
+        /// a tag when any occurrence is.
+        /// </summary>
+        public DatasetNode AddNode(string slug, string text, bool isTag, long? postCount = null)
+        {
+            if (!Nodes.TryGetValue(slug, out var node))
+            {
+                Nodes[slug] = node = new DatasetNode { Text = text };
+            }
+
+            node.IsTag |= isTag;
+            node.PostCount ??= postCount;
+            return node;
+        }
+
+        public void AddEdge(string parent, string child)
+        {
+            if (parent != child)
+                Edges.Add((parent, child));
+        }
+
+        public Dictionary<string, List<string>> ChildrenBySlug()
+        {
+            var children = new Dictionary<string, List<string>>();
+            foreach (var (parent, child) in Edges.OrderBy(e => Nodes.GetValueOrDefault(e.Child)?.Text))
+            {
+                if (!children.TryGetValue(parent, out var list))
+                    children[parent] = list = new List<string>();
+                list.Add(child);
+            }
+            return children;
+        }
+
+        /// <summary>Slugs of nodes without parents, by text.</summary>
+        public IEnumerable<string> Roots()
+        {
+            var children = Edges.Select(e => e.Child).ToHashSet();
+            return Nodes.Where(n => !children.Contains(n.Key)).OrderBy(n => n.Value.Text).Select(n => n.Key);
+        }
+    }
+
+    /// <summary>
+    /// A file layout tag datasets can be imported from and exported to.
+    /// </summary>
+    public interface ITagDatasetFormat
+    {
+        /// <summary>Stable key, e.g. for a format picker.</summary>
+        string Id { get; }
+        string Name { get; }
+
+        /// <summary>Extension of exported files, with the dot.</summary>
+        string Extension { get; }
+
+        /// <summary>Whether the first few lines of a file look like this format.</summary>
+        bool Sniff(IReadOnlyList<string> head);
+
+        /// <exception cref="FormatException">The content does not fit the format.</exception>
+        TagDataset Read(TextReader reader);
+
+        void Write(TagDataset dataset, TextWriter writer);
+    }
+
+    public static class TagDatasetFormats
+    {
+        public static readonly ITagDatasetFormat HierarchyCsv = new HierarchyCsvFormat();
+        public static readonly ITagDatasetFormat Danbooru = new TagListFormat("danbooru", "Danbooru tag list",
+            new() { [0] = "general", [1] = "artist", [3] = "copyright", [4] = "character", [5] = "meta" });
+        public static readonly ITagDatasetFormat E621 = new TagListFormat("e621", "e621 tag list",
+            new() { [0] = "general", [1] = "artist", [3] = "copyright", [4] = "character", [5] = "species", [6] = "invalid", [7] = "meta", [8] = "lore" });
+        public static readonly ITagDatasetFormat JsonHierarchy = new JsonHierarchyFormat();
+
+        // Detection tries these in order; the hierarchy CSV takes anything
+        public static IReadOnlyList<ITagDatasetFormat> All { get; } = new[] { JsonHierarchy, Danbooru, E621, HierarchyCsv };
+
+        public static ITagDatasetFormat? Find(string? id) =>
+            All.FirstOrDefault(f => f.Id.Equals(id, StringComparison.OrdinalIgnoreCase));
+
+        /// <summary>
+        /// The format a file appears to be in. Danbooru and e621 lists look alike, so those are
+        /// read as Danbooru unless the format is chosen.
+        /// </summary>
+        public static ITagDatasetFormat Detect(string path)
+        {
+            var head = File.ReadLines(path).Where(l => !string.IsNullOrWhiteSpace(l)).Take(5).ToList();
+            return All.FirstOrDefault(f => f.Sniff(head)) ?? HierarchyCsv;
+        }
+
+        public static TagDataset Read(string path, ITagDatasetFormat? format = null)
+        {
+            using var reader = new StreamReader(path);
+            return (format ?? Detect(path)).Read(reader);
+        }
+    }
+
+    /// <summary>
+    /// RFC 4180 fields, as in Google Drive exports: quoted fields may contain commas and
+    /// doubled quotes.
+    /// </summary>
+    internal static class CsvLine
+    {
+        public static List<string> Parse(string line)
+        {
+            var fields = new List<string>();
+            var currentField = new StringBuilder();
+            bool inQuotes = false;
+
+            for (int i = 0; i < line.Length; i++)
+            {
+                char c = line[i];
+
+                if (c == '"')
+                {
+                    if (inQuotes)
+                    {
+                        // Check if this is an escaped quote (double quote)
+                        if (i + 1 < line.Length && line[i + 1] == '"')
+                        {
+                            currentField.Append('"');
+                            i++; // Skip the next quote
+                        }
+                        else
+                        {
+                            // End of quoted field
+                            inQuotes = false;
+                        }
+                    }
+                    else
+                    {
+                        // Start of quoted field
+                        inQuotes = true;
+                    }
+                }
+                else if (c == ',' && !inQuotes)
+                {
+                    // Field separator - add current field and start new one
+                    fields.Add(currentField.ToString());
+                    currentField.Clear();
+                }
+                else
+                {
+                    // Regular character - add to current field
+                    currentField.Append(c);
+                }
+            }
+
+            // Add the last field
+            fields.Add(currentField.ToString());
+
+            return fields;
+        }
+
+        public static string Format(IEnumerable<string> fields) => string.Join(",", fields.Select(Escape));
+
+        private static string Escape(string value) =>
+            value.IndexOfAny(new[] { ',', '"', '\n', '\r' }) >= 0 ? $"\"{value.Replace("\"", "\"\"")}\"" : value;
+    }
+}
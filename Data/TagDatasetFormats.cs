@@ -0,0 +1,407 @@
+using System.Globalization;
+using System.Text.Json;
+
+namespace TagbooruQuest.Data
+{
+    /// <summary>
+    /// The layout of tags.csv: one row per tag, its categories from the top down and the tag
+    /// in the last column. No aliases or post counts.
+    /// </summary>
+    public sealed class HierarchyCsvFormat : ITagDatasetFormat
+    {
+        // Deeper rows come from a cycle in a broken database, not from real categories
+        private const int MaxDepth = 32;
+
+        public string Id => "csv";
+        public string Name => "Category CSV (tags.csv)";
+        public string Extension => ".csv";
+
+        public bool Sniff(IReadOnlyList<string> head) => head.Count > 0;
+
+        /// <summary>
+        /// A category whose name is also a tag, or that appears under several parents, gets its
+        /// parent path in its slug so the two stay apart.
+        /// </summary>
+        public TagDataset Read(TextReader reader)
+        {
+            // First pass: collect all paths and identify conflicts
+            var allPaths = new List<List<string>>();
+            var tagSlugs = new HashSet<string>();
+            var categoryPathSlugs = new Dictionary<string, List<string>>(); // slug -> list of full paths
+
+            string? line;
+            while ((line = reader.ReadLine()) != null)
+            {
+                if (string.IsNullOrWhiteSpace(line)) continue;
+
+                var cols = CsvLine.Parse(line)
+                               .Select(c => c.Trim().ToLowerInvariant())
+                               .Where(c => !string.IsNullOrWhiteSpace(c))
+                               .ToList();
+
+                if (cols.Count > 0)
+                {
+                    allPaths.Add(cols);
+
+                    // Last column is always a tag
+                    var tagText = cols[cols.Count - 1];
+                    var tagSlug = TagGraphService.Slugify(tagText);
+                    tagSlugs.Add(tagSlug);
+
+                    // Track category paths for conflict detection
+                    for (int i = 0; i < cols.Count - 1; i++)
+                    {
+                        var categorySlug = TagGraphService.Slugify(cols[i]);
+                        var fullPath = string.Join("/", cols.Take(i + 1));
+
+                        if (!categoryPathSlugs.ContainsKey(categorySlug))
+                            categoryPathSlugs[categorySlug] = new List<string>();
+
+                        if (!categoryPathSlugs[categorySlug].Contains(fullPath))
+                            categoryPathSlugs[categorySlug].Add(fullPath);
+                    }
+                }
+            }
+
+            // Second pass: resolve slugs
+            var dataset = new TagDataset();
+
+            foreach (var cols in allPaths)
+            {
+                string? prevSlug = null;
+
+                for (int i = 0; i < cols.Count; i++)
+                {
+                    var text = cols[i];
+                    var isTag = i == cols.Count - 1;
+                    var baseSlug = TagGraphService.Slugify(text);
+                    var slug = baseSlug;
+
+                    if (!isTag)
+                    {
+                        // For categories, check for conflicts
+                        var hasTagConflict = tagSlugs.Contains(baseSlug);
+                        var hasCategoryConflict = categoryPathSlugs[baseSlug].Count > 1;
+
+                        if (hasTagConflict || hasCategoryConflict)
+                        {
+                            // Create context-aware slug using parent path
+                            var parentPath = string.Join("_", cols.Take(i).Select(TagGraphService.Slugify));
+                            slug = string.IsNullOrEmpty(parentPath) ? baseSlug : $"{parentPath}_{baseSlug}";
+                        }
+                    }
+
+                    dataset.AddNode(slug, text, isTag);
+                    if (prevSlug != null)
+                        dataset.AddEdge(prevSlug, slug);
+
+                    prevSlug = slug;
+                }
+            }
+
+            return dataset;
+        }
+
+        /// <summary>
+        /// One row per path from a root to a tag. Categories without tags below them have no
+        /// row, as the layout cannot express them.
+        /// </summary>
+        public void Write(TagDataset dataset, TextWriter writer)
+        {
+            var children = dataset.ChildrenBySlug();
+            var path = new List<string>();
+
+            void Walk(string slug)
+            {
+                if (path.Count >= MaxDepth) return;
+
+                var node = dataset.Nodes[slug];
+                path.Add(node.Text);
+                if (node.IsTag)
+                    writer.WriteLine(CsvLine.Format(path));
+                foreach (var child in children.GetValueOrDefault(slug) ?? new List<string>())
+                    Walk(child);
+                path.RemoveAt(path.Count - 1);
+            }
+
+            foreach (var root in dataset.Roots())
+                Walk(root);
+        }
+    }
+
+    /// <summary>
+    /// A flat booru tag list, <c>name,category,post_count,aliases</c>, as exported by Danbooru
+    /// and e621 or used by prompt autocomplete extensions. Aliases are one comma-separated
+    /// field. A header row, if any, decides the column order. Tags are placed under a category
+    /// node named after their booru category, below a root named after the booru.
+    /// </summary>
+    public sealed class TagListFormat : ITagDatasetFormat
+    {
+        private readonly Dictionary<int, string> _categories;
+
+        public TagListFormat(string id, string name, Dictionary<int, string> categories)
+        {
+            Id = id;
+            Name = name;
+            _categories = categories;
+        }
+
+        public string Id { get; }
+        public string Name { get; }
+        public string Extension => ".csv";
+
+        public bool Sniff(IReadOnlyList<string> head)
+        {
+            if (head.Count == 0) return false;
+
+            var first = CsvLine.Parse(head[0]).Select(f => f.Trim().ToLowerInvariant()).ToList();
+            if (first.Contains("name") && first.Contains("category"))
+                return true;
+
+            // name,category,post_count: the category and count are numbers
+            return head.All(line => CsvLine.Parse(line) is { Count: >= 3 } fields &&
+                                    int.TryParse(fields[1], out _) &&
+                                    long.TryParse(fields[2], out _));
+        }
+
+        public TagDataset Read(TextReader reader)
+        {
+            var dataset = new TagDataset { HasAliases = true, HasPostCounts = true };
+            var root = TagGraphService.Slugify(Id);
+            dataset.AddNode(root, Id, isTag: false);
+
+            // Positional columns unless a header says otherwise
+            var (nameCol, categoryCol, countCol, aliasCol) = (0, 1, 2, 3);
+            var lineNumber = 0;
+            var firstRow = true;
+
+            string? line;
+            while ((line = reader.ReadLine()) != null)
+            {
+                lineNumber++;
+                if (string.IsNullOrWhiteSpace(line)) continue;
+
+                var fields = CsvLine.Parse(line);
+                var isHeader = firstRow && fields.Any(f => f.Trim().Equals("name", StringComparison.OrdinalIgnoreCase));
+                firstRow = false;
+                if (isHeader)
+                {
+                    var header = fields.Select(f => f.Trim().ToLowerInvariant()).ToList();
+                    nameCol = header.IndexOf("name");
+                    categoryCol = header.IndexOf("category");
+                    countCol = header.IndexOf("post_count");
+                    aliasCol = header.IndexOf("aliases");
+                    continue;
+                }
+
+                var name = Field(fields, nameCol);
+                var slug = TagGraphService.Slugify(name);
+                if (slug.Length == 0) continue;
+
+                var categoryField = Field(fields, categoryCol);
+                var category = 0;
+                if (categoryField.Length > 0 && !int.TryParse(categoryField, NumberStyles.Integer, CultureInfo.InvariantCulture, out category))
+                    throw new FormatException($"Line {lineNumber}: \"{categoryField}\" is not a tag category number.");
+
+                long? postCount = long.TryParse(Field(fields, countCol), NumberStyles.Integer, CultureInfo.InvariantCulture, out var count) ? count : null;
+
+                var categoryName = _categories.GetValueOrDefault(category) ?? _categories[0];
+                var categorySlug = $"{root}_{TagGraphService.Slugify(categoryName)}";
+                dataset.AddNode(categorySlug, categoryName, isTag: false);
+                dataset.AddEdge(root, categorySlug);
+
+                var node = dataset.AddNode(slug, ToText(name), isTag: true, postCount);
+                dataset.AddEdge(categorySlug, slug);
+
+                foreach (var alias in Field(fields, aliasCol).Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+                {
+                    var aliasText = ToText(alias);
+                    if (!node.Aliases.Contains(aliasText))
+                        node.Aliases.Add(aliasText);
+                }
+            }
+
+            return dataset;
+        }
+
+        /// <summary>
+        /// Every tag, with the category of the first ancestor named like one of this booru's
+        /// categories, or general.
+        /// </summary>
+        public void Write(TagDataset dataset, TextWriter writer)
+        {
+            var parents = new Dictionary<string, List<string>>();
+            foreach (var (parent, child) in dataset.Edges)
+            {
+                if (!parents.TryGetValue(child, out var list))
+                    parents[child] = list = new List<string>();
+                list.Add(parent);
+            }
+
+            foreach (var (slug, node) in dataset.Nodes.Where(n => n.Value.IsTag).OrderByDescending(n => n.Value.PostCount ?? 0).ThenBy(n => n.Value.Text))
+            {
+                writer.WriteLine(CsvLine.Format(new[]
+                {
+                    ToName(node.Text),
+                    CategoryOf(slug, dataset, parents).ToString(CultureInfo.InvariantCulture),
+                    (node.PostCount ?? 0).ToString(CultureInfo.InvariantCulture),
+                    string.Join(",", node.Aliases.Select(ToName))
+                }));
+            }
+        }
+
+        private int CategoryOf(string slug, TagDataset dataset, Dictionary<string, List<string>> parents)
+        {
+            var seen = new HashSet<string> { slug };
+            var queue = new Queue<string>(parents.GetValueOrDefault(slug) ?? new List<string>());
+            while (queue.Count > 0)
+            {
+                var ancestor = queue.Dequeue();
+                if (!seen.Add(ancestor)) continue;
+
+                var text = dataset.Nodes.GetValueOrDefault(ancestor)?.Text;
+                var match = _categories.FirstOrDefault(c => c.Value.Equals(text, StringComparison.OrdinalIgnoreCase));
+                if (match.Value != null)
+                    return match.Key;
+
+                foreach (var parent in parents.GetValueOrDefault(ancestor) ?? new List<string>())
+                    queue.Enqueue(parent);
+            }
+            return 0;
+        }
+
+        private static string Field(List<string> fields, int index) =>
+            index >= 0 && index < fields.Count ? fields[index].Trim() : string.Empty;
+
+        // Boorus write blue_hair for the tag tags.csv calls blue hair
+        private static string ToText(string name) => name.Trim().Replace('_', ' ').ToLowerInvariant();
+
+        private static string ToName(string text) => text.Trim().Replace(' ', '_');
+    }
+
+    /// <summary>
+    /// Nested JSON: an array of nodes, each <c>{ "name", "tag", "postCount", "aliases",
+    /// "children" }</c>. Only the name is required; a node is a tag when it has no children,
+    /// unless <c>tag</c> says otherwise. Nodes with the same name anywhere in the file are
+    /// one node with several parents.
+    /// </summary>
+    public sealed class JsonHierarchyFormat : ITagDatasetFormat
+    {
+        private const int MaxDepth = 32;
+
+        public string Id => "json";
+        public string Name => "JSON hierarchy";
+        public string Extension => ".json";
+
+        public bool Sniff(IReadOnlyList<string> head) =>
+            head.Count > 0 && head[0].TrimStart().StartsWith('[');
+
+        public TagDataset Read(TextReader reader)
+        {
+            var dataset = new TagDataset { HasAliases = true, HasPostCounts = true };
+
+            JsonDocument document;
+            try
+            {
+                document = JsonDocument.Parse(reader.ReadToEnd());
+            }
+            catch (JsonException ex)
+            {
+                throw new FormatException($"Not valid JSON: {ex.Message}", ex);
+            }
+
+            using (document)
+            {
+                if (document.RootElement.ValueKind != JsonValueKind.Array)
+                    throw new FormatException("A JSON hierarchy is an array of nodes.");
+
+                foreach (var element in document.RootElement.EnumerateArray())
+                    ReadNode(element, null, dataset, 0);
+            }
+
+            return dataset;
+        }
+
+        private static void ReadNode(JsonElement element, string? parentSlug, TagDataset dataset, int depth)
+        {
+            if (depth >= MaxDepth)
+                throw new FormatException($"Nodes are nested more than {MaxDepth} deep.");
+            if (element.ValueKind != JsonValueKind.Object ||
+                !element.TryGetProperty("name", out var nameElement) || nameElement.ValueKind != JsonValueKind.String)
+                throw new FormatException($"Every node needs a \"name\"{(parentSlug != null ? $" (under {parentSlug})" : "")}.");
+
+            var text = nameElement.GetString()!.Trim().ToLowerInvariant();
+            var slug = TagGraphService.Slugify(text);
+            if (slug.Length == 0) return;
+
+            var hasChildren = element.TryGetProperty("children", out var children) &&
+                              children.ValueKind == JsonValueKind.Array && children.GetArrayLength() > 0;
+            var isTag = element.TryGetProperty("tag", out var tag) && tag.ValueKind is JsonValueKind.True or JsonValueKind.False
+                ? tag.GetBoolean()
+                : !hasChildren;
+            long? postCount = element.TryGetProperty("postCount", out var count) && count.TryGetInt64(out var value) ? value : null;
+
+            var node = dataset.AddNode(slug, text, isTag, postCount);
+            if (element.TryGetProperty("aliases", out var aliases) && aliases.ValueKind == JsonValueKind.Array)
+            {
+                foreach (var alias in aliases.EnumerateArray().Where(a => a.ValueKind == JsonValueKind.String))
+                {
+                    var aliasText = alias.GetString()!.Trim().ToLowerInvariant();
+                    if (aliasText.Length > 0 && !node.Aliases.Contains(aliasText))
+                        node.Aliases.Add(aliasText);
+                }
+            }
+
+            if (parentSlug != null)
+                dataset.AddEdge(parentSlug, slug);
+
+            if (hasChildren)
+            {
+                foreach (var child in children.EnumerateArray())
+                    ReadNode(child, slug, dataset, depth + 1);
+            }
+        }
+
+        /// <summary>A node with several parents is written under each of them.</summary>
+        public void Write(TagDataset dataset, TextWriter writer)
+        {
+            var children = dataset.ChildrenBySlug();
+            using var json = new MemoryStream();
+            using (var w = new Utf8JsonWriter(json, new JsonWriterOptions { Indented = true }))
+            {
+                void WriteNode(string slug, int depth)
+                {
+                    var node = dataset.Nodes[slug];
+                    var nodeChildren = depth < MaxDepth ? children.GetValueOrDefault(slug) ?? new List<string>() : new List<string>();
+
+                    w.WriteStartObject();
+                    w.WriteString("name", node.Text);
+                    if (node.IsTag == nodeChildren.Count > 0)
+                        w.WriteBoolean("tag", node.IsTag);
+                    if (node.PostCount != null)
+                        w.WriteNumber("postCount", node.PostCount.Value);
+                    if (node.Aliases.Count > 0)
+                    {
+                        w.WriteStartArray("aliases");
+                        node.Aliases.ForEach(w.WriteStringValue);
+                        w.WriteEndArray();
+                    }
+                    if (nodeChildren.Count > 0)
+                    {
+                        w.WriteStartArray("children");
+                        nodeChildren.ForEach(child => WriteNode(child, depth + 1));
+                        w.WriteEndArray();
+                    }
+                    w.WriteEndObject();
+                }
+
+                w.WriteStartArray();
+                foreach (var root in dataset.Roots())
+                    WriteNode(root, 0);
+                w.WriteEndArray();
+            }
+
+            writer.Write(System.Text.Encoding.UTF8.GetString(json.ToArray()));
+        }
+    }
+}
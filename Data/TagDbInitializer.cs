@@ -2,6 +2,16 @@
 
 namespace TagbooruQuest.Data
 {
+    /// <summary>
+    /// Where a node, edge or alias came from. Merge imports of tags.csv only add, change and
+    /// remove <see cref="Import"/> rows; <see cref="User"/> rows are never touched.
+    /// </summary>
+    public static class TagOrigin
+    {
+        public const string Import = "import";
+        public const string User = "user";
+    }
+
     public static class TagDbInitializer
     {
         public static void Initialize(string dbPath)
@@ -33,14 +43,17 @@ CREATE TABLE IF NOT EXISTS node (
   slug       TEXT NOT NULL UNIQUE,
   text       TEXT NOT NULL,
   is_tag     INTEGER NOT NULL DEFAULT 0,
-  extra_json TEXT
+  extra_json TEXT,
+  origin     TEXT NOT NULL DEFAULT 'import',
+  post_count INTEGER
 );", tx);
 
             Exec(conn, @"
 CREATE TABLE IF NOT EXISTS alias (
   node_id    INTEGER NOT NULL REFERENCES node(id) ON DELETE CASCADE,
   alias_slug TEXT NOT NULL UNIQUE,
-  alias_text TEXT NOT NULL
+  alias_text TEXT NOT NULL,
+  origin     TEXT NOT NULL DEFAULT 'import'
 );", tx);
             Exec(conn, "CREATE INDEX IF NOT EXISTS idx_alias_node ON alias(node_id);", tx);
 
@@ -48,11 +61,19 @@ CREATE TABLE IF NOT EXISTS alias (
 CREATE TABLE IF NOT EXISTS edge (
   parent_id INTEGER NOT NULL REFERENCES node(id) ON DELETE CASCADE,
   child_id  INTEGER NOT NULL REFERENCES node(id) ON DELETE CASCADE,
+  origin    TEXT NOT NULL DEFAULT 'import',
   UNIQUE(parent_id, child_id)
 );", tx);
             Exec(conn, "CREATE INDEX IF NOT EXISTS idx_edge_parent ON edge(parent_id);", tx);
             Exec(conn, "CREATE INDEX IF NOT EXISTS idx_edge_child  ON edge(child_id);", tx);
 
+            // Nodes the user took out of an imported parent without giving them another;
+            // imports leave their placement alone, as they do for user edges
+            Exec(conn, @"
+CREATE TABLE IF NOT EXISTS detached_node (
+  node_id INTEGER PRIMARY KEY REFERENCES node(id) ON DELETE CASCADE
+);", tx);
+
             Exec(conn, @"
 CREATE TABLE IF NOT EXISTS path (
   node_id   INTEGER NOT NULL REFERENCES node(id) ON DELETE CASCADE,
@@ -60,6 +81,41 @@ CREATE TABLE IF NOT EXISTS path (
   UNIQUE(node_id, path_text)
 );", tx);
 
+            // Trigrams of node text and aliases, for typo-tolerant search
+            Exec(conn, @"
+CREATE TABLE IF NOT EXISTS node_trigram (
+  trigram TEXT NOT NULL,
+  node_id INTEGER NOT NULL REFERENCES node(id) ON DELETE CASCADE,
+  UNIQUE(trigram, node_id)
+);", tx);
+            Exec(conn, "CREATE INDEX IF NOT EXISTS idx_trigram_node ON node_trigram(node_id);", tx);
+
+            // What each row of the contentless FTS table was indexed with. Deleting a row from
+            // node_search needs those exact values, so this lets single rows be re-indexed.
+            Exec(conn, @"
+CREATE TABLE IF NOT EXISTS node_search_row (
+  node_id     INTEGER PRIMARY KEY,
+  text        TEXT NOT NULL,
+  aliases     TEXT NOT NULL,
+  path_tokens TEXT NOT NULL
+);", tx);
+
+            // Databases from before origins were tracked: everything in them counts as imported
+            foreach (var table in new[] { "node", "edge", "alias" })
+            {
+                if (!ColumnExists(conn, table, "origin", tx))
+                    Exec(conn, $"ALTER TABLE {table} ADD COLUMN origin TEXT NOT NULL DEFAULT 'import';", tx);
+            }
+
+            // Post counts from booru tag lists, for ranking; null when no list had the tag
+            if (!ColumnExists(conn, "node", "post_count", tx))
+                Exec(conn, "ALTER TABLE node ADD COLUMN post_count INTEGER;", tx);
+
+            // Which dataset imported the node, so re-importing one leaves the others' nodes alone;
+            // null for the user's nodes and for imports from before this was recorded
+            if (!ColumnExists(conn, "node", "source", tx))
+                Exec(conn, "ALTER TABLE node ADD COLUMN source TEXT;", tx);
+
             tx.Commit();
 
             // FTS virtual table (must be checked explicitly)
@@ -73,6 +129,21 @@ CREATE VIRTUAL TABLE node_search USING fts5(
   content=''
 );");
             }
+
+            // Databases imported before the trigram index existed get it built once here
+            if (IsEmpty(conn, "node_trigram") && !IsEmpty(conn, "node"))
+            {
+                using var trigramTx = conn.BeginTransaction();
+                RebuildTrigrams(conn, trigramTx);
+                trigramTx.Commit();
+            }
+
+            // Likewise the record of indexed FTS rows, which needs a full rebuild to be trusted
+            if (IsEmpty(conn, "node_search_row") && !IsEmpty(conn, "node"))
+            {
+                conn.Close();
+                RebuildFts(dbPath);
+            }
         }
 
         public static void RebuildFts(string dbPath)
@@ -86,9 +157,113 @@ CREATE VIRTUAL TABLE node_search USING fts5(
 
             // Clear and repopulate the contentless FTS5 table
             Exec(conn, "DELETE FROM node_search;", tx);
+            Exec(conn, "DELETE FROM node_search_row;", tx);
 
+            Exec(conn, $@"
+INSERT INTO node_search_row(node_id, text, aliases, path_tokens)
+{SearchRowSelect};", tx);
             Exec(conn, @"
 INSERT INTO node_search(rowid, text, aliases, path_tokens)
+SELECT node_id, text, aliases, path_tokens FROM node_search_row;", tx);
+
+            RebuildTrigrams(conn, tx);
+
+            tx.Commit();
+        }
+
+        /// <summary>
+        /// Bring the FTS and trigram rows of some nodes up to date after they were added,
+        /// renamed, given aliases or deleted, without rebuilding the whole index.
+        /// </summary>
+        public static void ReindexNodes(SqliteConnection conn, SqliteTransaction? tx, IEnumerable<int> nodeIds)
+        {
+            using var readOld = conn.CreateCommand();
+            readOld.Transaction = tx;
+            readOld.CommandText = "SELECT text, aliases, path_tokens FROM node_search_row WHERE node_id=$id;";
+            var pOld = readOld.Parameters.Add("$id", SqliteType.Integer);
+
+            using var readNew = conn.CreateCommand();
+            readNew.Transaction = tx;
+            readNew.CommandText = $"{SearchRowSelect} WHERE n.id=$id;";
+            var pNew = readNew.Parameters.Add("$id", SqliteType.Integer);
+
+            foreach (var id in nodeIds.Distinct())
+            {
+                pOld.Value = id;
+                using (var rd = readOld.ExecuteReader())
+                {
+                    if (rd.Read())
+                    {
+                        // A contentless table forgets a row only when given the values it was indexed with
+                        Exec(conn, tx, @"
+INSERT INTO node_search(node_search, rowid, text, aliases, path_tokens) VALUES('delete', $id, $t, $a, $p);
+DELETE FROM node_search_row WHERE node_id=$id;",
+                            ("$id", id), ("$t", rd.GetString(0)), ("$a", rd.GetString(1)), ("$p", rd.GetString(2)));
+                    }
+                }
+                Exec(conn, tx, "DELETE FROM node_trigram WHERE node_id=$id;", ("$id", id));
+
+                pNew.Value = id;
+                (string Text, string Aliases, string Paths)? row = null;
+                using (var rd = readNew.ExecuteReader())
+                {
+                    if (rd.Read())
+                        row = (rd.GetString(1), rd.GetString(2), rd.GetString(3));
+                }
+                if (row is not { } current)
+                    continue; // deleted
+
+                Exec(conn, tx, @"
+INSERT INTO node_search_row(node_id, text, aliases, path_tokens) VALUES($id, $t, $a, $p);
+INSERT INTO node_search(rowid, text, aliases, path_tokens) VALUES($id, $t, $a, $p);",
+                    ("$id", id), ("$t", current.Text), ("$a", current.Aliases), ("$p", current.Paths));
+
+                IndexTrigrams(conn, tx, id, current.Text);
+                foreach (var alias in AliasesOf(conn, tx, id))
+                    IndexTrigrams(conn, tx, id, alias);
+            }
+        }
+
+        /// <summary>
+        /// Index the trigrams of one text (node text or alias) for a node. Idempotent.
+        /// </summary>
+        public static void IndexTrigrams(SqliteConnection conn, SqliteTransaction? tx, int nodeId, string text)
+        {
+            using var cmd = conn.CreateCommand();
+            if (tx != null) cmd.Transaction = tx;
+            cmd.CommandText = "INSERT OR IGNORE INTO node_trigram(trigram, node_id) VALUES($t, $id);";
+            var pTrigram = cmd.Parameters.Add("$t", SqliteType.Text);
+            cmd.Parameters.AddWithValue("$id", nodeId);
+
+            foreach (var trigram in FuzzyText.Trigrams(text))
+            {
+                pTrigram.Value = trigram;
+                cmd.ExecuteNonQuery();
+            }
+        }
+
+        private static void RebuildTrigrams(SqliteConnection conn, SqliteTransaction tx)
+        {
+            Exec(conn, "DELETE FROM node_trigram;", tx);
+
+            var texts = new List<(int NodeId, string Text)>();
+            using (var read = conn.CreateCommand())
+            {
+                read.Transaction = tx;
+                read.CommandText = @"
+SELECT id, text FROM node
+UNION ALL
+SELECT node_id, alias_text FROM alias;";
+                using var rd = read.ExecuteReader();
+                while (rd.Read()) texts.Add((rd.GetInt32(0), rd.GetString(1)));
+            }
+
+            foreach (var (nodeId, text) in texts)
+                IndexTrigrams(conn, tx, nodeId, text);
+        }
+
+        // The columns node_search is filled with, one row per node
+        private const string SearchRowSelect = @"
 SELECT n.id,
        n.text,
        IFNULL((
@@ -101,9 +276,18 @@ SELECT n.id,
            FROM path p
            WHERE p.node_id = n.id
        ), '')
-FROM node n;", tx);
+FROM node n";
 
-            tx.Commit();
+        private static List<string> AliasesOf(SqliteConnection conn, SqliteTransaction? tx, int nodeId)
+        {
+            using var cmd = conn.CreateCommand();
+            cmd.Transaction = tx;
+            cmd.CommandText = "SELECT alias_text FROM alias WHERE node_id=$id;";
+            cmd.Parameters.AddWithValue("$id", nodeId);
+            var aliases = new List<string>();
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read()) aliases.Add(rd.GetString(0));
+            return aliases;
         }
 
         private static void EnsureFtsTable(SqliteConnection conn)
@@ -140,6 +324,32 @@ CREATE VIRTUAL TABLE node_search USING fts5(
             cmd.ExecuteNonQuery();
         }
 
+        private static void Exec(SqliteConnection conn, SqliteTransaction? tx, string sql, params (string Name, object Value)[] parameters)
+        {
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = sql;
+            cmd.Transaction = tx;
+            foreach (var (name, value) in parameters)
+                cmd.Parameters.AddWithValue(name, value);
+            cmd.ExecuteNonQuery();
+        }
+
+        private static bool ColumnExists(SqliteConnection conn, string table, string column, SqliteTransaction tx)
+        {
+            using var cmd = conn.CreateCommand();
+            cmd.Transaction = tx;
+            cmd.CommandText = $"SELECT 1 FROM pragma_table_info('{table}') WHERE name=$column;";
+            cmd.Parameters.AddWithValue("$column", column);
+            return cmd.ExecuteScalar() != null;
+        }
+
+        private static bool IsEmpty(SqliteConnection conn, string table)
+        {
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = $"SELECT EXISTS(SELECT 1 FROM {table});";
+            return Convert.ToInt64(cmd.ExecuteScalar()) == 0;
+        }
+
         private static bool TableExists(SqliteConnection conn, string name)
         {
             using var cmd = conn.CreateCommand();
@@ -8,9 +8,34 @@ namespace TagbooruQuest.Data
     /// </summary>
     public record Node(int Id, string Slug, string Text, bool IsTag);
     public record Edge(int ParentId, int ChildId);
-    public record SearchResult(int Id, string Slug, string Text, double Score, string Why, string? BestPath);
+    public record SearchResult(int Id, string Slug, string Text, double Score, string Why, string? BestPath,
+                               SearchMatchKind Kind = SearchMatchKind.FullText, long? PostCount = null);
     public record PathRow(int NodeId, string PathText);
 
+    /// <summary>
+    /// How a search result was found, strongest first.
+    /// </summary>
+    public enum SearchMatchKind { Exact, Alias, Prefix, FullText, Synonym, Fuzzy }
+
+    public enum SearchMode
+    {
+        /// <summary>Exact, prefix and full-text matches only.</summary>
+        Standard,
+        /// <summary>Also expands aliases and tolerates typos via trigrams and edit distance.</summary>
+        Fuzzy
+    }
+
+    /// <summary>
+    /// An edit the graph cannot take, such as a cycle or a slug that is already used.
+    /// The message is meant to be shown to the user as is.
+    /// </summary>
+    public sealed class TagGraphException : InvalidOperationException
+    {
+        public TagGraphException(string message) : base(message)
+        {
+        }
+    }
+
     /// <summary>
     /// Central service for navigating and searching the tag DAG.
     /// Create per-scope or register as a singleton — it is stateless (opens a new connection per call).
@@ -75,6 +100,39 @@ LIMIT $lim;";
             return rd.Read() ? MapNode(rd) : null;
         }
 
+        /// <summary>
+        /// Every node whose text matches exactly, ignoring case. A tag can sit under several
+        /// categories, so more than one node may come back.
+        /// </summary>
+        public IEnumerable<Node> GetNodesByText(string text)
+        {
+            using var conn = Open();
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = "SELECT id, slug, text, is_tag FROM node WHERE text=$text COLLATE NOCASE ORDER BY id;";
+            cmd.Parameters.AddWithValue("$text", text);
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read()) yield return MapNode(rd);
+        }
+
+        /// <summary>
+        /// The node an alias points at, e.g. "blonde" for "blonde hair". Matched on the alias
+        /// slug, so case, spaces and underscores don't matter.
+        /// </summary>
+        public Node? GetNodeByAlias(string alias)
+        {
+            using var conn = Open();
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = @"
+SELECT n.id, n.slug, n.text, n.is_tag
+FROM alias a
+JOIN node n ON n.id=a.node_id
+WHERE a.alias_slug=$s
+LIMIT 1;";
+            cmd.Parameters.AddWithValue("$s", Slugify(alias));
+            using var rd = cmd.ExecuteReader();
+            return rd.Read() ? MapNode(rd) : null;
+        }
+
         public IEnumerable<Node> GetChildren(int parentId)
         {
             using var conn = Open();
@@ -134,9 +192,9 @@ ORDER BY n.text;";
             using var cmd = conn.CreateCommand();
             cmd.CommandText = @"
 WITH RECURSIVE up(id,depth,path) AS (
-  SELECT $id,0,$id
+  SELECT $id,0,',' || $id || ','
   UNION
-  SELECT e.parent_id, depth+1, path || ',' || e.parent_id
+  SELECT e.parent_id, depth+1, path || e.parent_id || ','
   FROM edge e JOIN up u ON e.child_id=u.id
   WHERE depth < 50 AND instr(u.path, ',' || e.parent_id || ',') = 0
 )
@@ -158,9 +216,9 @@ ORDER BY depth DESC;";
             var safeMaxDepth = maxDepth ?? 50; // Default safety limit
             cmd.CommandText = @"
 WITH RECURSIVE down(id,depth,path) AS (
-  SELECT $id,0,$id
+  SELECT $id,0,',' || $id || ','
   UNION
-  SELECT e.child_id, depth+1, path || ',' || e.child_id
+  SELECT e.child_id, depth+1, path || e.child_id || ','
   FROM edge e JOIN down d ON e.parent_id=d.id
   WHERE depth < $maxDepth AND instr(d.path, ',' || e.child_id || ',') = 0
 )
@@ -173,6 +231,78 @@ ORDER BY n.text;";
             while (rd.Read()) yield return MapNode(rd);
         }
 
+        /// <summary>
+        /// Subtree with each node's shortest distance from <paramref name="nodeId"/> (which is depth 0).
+        /// </summary>
+        public IEnumerable<(Node Node, int Depth)> GetSubtreeWithDepth(int nodeId, int? maxDepth = null)
+        {
+            using var conn = Open();
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = @"
+WITH RECURSIVE down(id,depth,path) AS (
+  SELECT $id,0,',' || $id || ','
+  UNION
+  SELECT e.child_id, depth+1, path || e.child_id || ','
+  FROM edge e JOIN down d ON e.parent_id=d.id
+  WHERE depth < $maxDepth AND instr(d.path, ',' || e.child_id || ',') = 0
+)
+SELECT n.id,n.slug,n.text,n.is_tag, MIN(d.depth) AS depth
+FROM down d JOIN node n ON n.id=d.id
+GROUP BY n.id
+ORDER BY n.text;";
+            cmd.Parameters.AddWithValue("$id", nodeId);
+            cmd.Parameters.AddWithValue("$maxDepth", maxDepth ?? 50);
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read()) yield return (MapNode(rd), rd.GetInt32(4));
+        }
+
+        /// <summary>
+        /// Shortest number of edges from any root down to the node (roots are depth 0).
+        /// </summary>
+        public int GetDepth(int nodeId)
+        {
+            using var conn = Open();
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = @"
+WITH RECURSIVE up(id,depth) AS (
+  SELECT $id,0
+  UNION
+  SELECT e.parent_id, depth+1
+  FROM edge e JOIN up u ON e.child_id=u.id
+  WHERE depth < 50
+)
+SELECT MIN(u.depth) FROM up u
+WHERE NOT EXISTS (SELECT 1 FROM edge e WHERE e.child_id=u.id);";
+            cmd.Parameters.AddWithValue("$id", nodeId);
+            var o = cmd.ExecuteScalar();
+            return o == null || o is DBNull ? 0 : Convert.ToInt32(o);
+        }
+
+        /// <summary>
+        /// Walk a category path like ["Body", "Hair"] from the roots down, matching node text
+        /// case-insensitively at each level. Returns null when any segment is missing.
+        /// </summary>
+        public Node? ResolvePath(IReadOnlyList<string> segments)
+        {
+            if (segments.Count == 0) return null;
+
+            bool Matches(Node n, string segment) =>
+                FuzzyText.Normalize(n.Text) == FuzzyText.Normalize(segment) || n.Slug == Slugify(segment);
+
+            // Prefer a real root; a deeper group with the same name is the fallback
+            var current = GetRoots(1000).FirstOrDefault(n => Matches(n, segments[0]))
+                ?? Search(segments[0], 20)
+                    .Select(r => GetNodeById(r.Id))
+                    .FirstOrDefault(n => n != null && !n.IsTag && Matches(n, segments[0]));
+
+            for (int i = 1; i < segments.Count && current != null; i++)
+            {
+                var segment = segments[i];
+                current = GetChildren(current.Id).FirstOrDefault(c => Matches(c, segment));
+            }
+            return current;
+        }
+
         public PathRow? GetBestPath(int nodeId)
         {
             using var conn = Open();
@@ -223,8 +353,10 @@ LIMIT $lim;";
 
         /// <summary>
         /// Combined search: exact > prefix > FTS (BM25). Returns scored results, with best path for context.
+        /// In <see cref="SearchMode.Fuzzy"/> mode alias matches, synonym-expanded FTS and typo candidates
+        /// are ranked in as well. Every result carries a human readable <see cref="SearchResult.Why"/>.
         /// </summary>
-        public IEnumerable<SearchResult> Search(string q, int limit = 50)
+        public IEnumerable<SearchResult> Search(string q, int limit = 50, SearchMode mode = SearchMode.Standard)
         {
             var qSlug = Slugify(q);
             var results = new List<SearchResult>();
@@ -235,7 +367,7 @@ LIMIT $lim;";
             using (var cmd = conn.CreateCommand())
             {
                 cmd.CommandText = @"
-SELECT id,slug,text,is_tag, 100.0 AS score, 'exact' AS why
+SELECT id,slug,text,is_tag, 100.0 AS score
 FROM node
 WHERE slug=$s OR text=$t
 LIMIT $lim;";
@@ -244,14 +376,15 @@ LIMIT $lim;";
                 cmd.Parameters.AddWithValue("$lim", limit);
                 using var rd = cmd.ExecuteReader();
                 while (rd.Read())
-                    results.Add(ToScored(rd, BestPath(conn, rd.GetInt32(0))));
+                    results.Add(ToScored(rd, BestPath(conn, rd.GetInt32(0)),
+                        "exact name match", SearchMatchKind.Exact));
             }
 
             // 2) prefix on slug
             using (var cmd = conn.CreateCommand())
             {
                 cmd.CommandText = @"
-SELECT id,slug,text,is_tag, 80.0 AS score, 'prefix' AS why
+SELECT id,slug,text,is_tag, 80.0 AS score
 FROM node
 WHERE slug LIKE $p || '%'
 ORDER BY text
@@ -260,31 +393,36 @@ LIMIT $lim;";
                 cmd.Parameters.AddWithValue("$lim", limit);
                 using var rd = cmd.ExecuteReader();
                 while (rd.Read())
-                    results.Add(ToScored(rd, BestPath(conn, rd.GetInt32(0))));
+                    results.Add(ToScored(rd, BestPath(conn, rd.GetInt32(0)),
+                        $"name starts with \"{q.Trim()}\"", SearchMatchKind.Prefix));
             }
 
-            // 3) FTS (if table exists) - escape dashes for FTS queries
-            if (TableExists(conn, "node_search"))
+            // 3) FTS (if table exists)
+            bool hasFts = TableExists(conn, "node_search");
+            if (hasFts)
+                results.AddRange(FullTextMatches(conn, q, limit, "full-text match", SearchMatchKind.FullText));
+
+            if (mode == SearchMode.Fuzzy)
             {
-                using var cmd = conn.CreateCommand();
-                cmd.CommandText = @"
-SELECT n.id, n.slug, n.text, n.is_tag,
-       bm25(node_search) AS score, 'fts' AS why
-FROM node_search
-JOIN node n ON n.id=node_search.rowid
-WHERE node_search MATCH $q
-ORDER BY score
-LIMIT $lim;";
-                // For FTS, quote the query to treat it as a phrase and escape special characters
-                var ftsQuery = "\"" + q.ToLowerInvariant().Replace("\"", "\"\"") + "\"";
-                cmd.Parameters.AddWithValue("$q", ftsQuery);
-                cmd.Parameters.AddWithValue("$lim", limit * 4); // pull more, we'll merge
-                using var rd = cmd.ExecuteReader();
-                while (rd.Read())
-                    results.Add(ToScored(rd, BestPath(conn, rd.GetInt32(0))));
+                // 4) whole query is a known alias
+                results.AddRange(AliasMatches(conn, qSlug, limit));
+
+                // 5) query words that are aliases, swapped for the canonical text
+                if (hasFts)
+                {
+                    foreach (var (expanded, why) in ExpandSynonyms(conn, q))
+                        results.AddRange(FullTextMatches(conn, expanded, limit, why, SearchMatchKind.Synonym));
+                }
+
+                // 6) typo candidates from the trigram index
+                foreach (var candidate in FuzzyCandidates(conn, q, limit))
+                {
+                    results.Add(new SearchResult(candidate.Node.Id, candidate.Node.Slug, candidate.Node.Text,
+                        candidate.Score, candidate.Why, BestPath(conn, candidate.Node.Id), SearchMatchKind.Fuzzy));
+                }
             }
 
-            // 4) Merge by node id (keep max score), then sort by score descending
+            // Merge by node id (keep max score), then sort by score descending
             var byId = new Dictionary<int, SearchResult>();
             foreach (var r in results)
             {
@@ -295,20 +433,345 @@ LIMIT $lim;";
                 else byId[r.Id] = r;
             }
 
-            var merged = new List<SearchResult>(byId.Values);
+            var merged = WithPopularity(conn, byId.Values);
             merged.Sort((a, b) => b.Score.CompareTo(a.Score));
             if (merged.Count > limit) merged = merged.GetRange(0, limit);
             return merged;
         }
 
-        private SearchResult ToScored(IDataRecord r, string? bestPath) =>
+        /// <summary>
+        /// "Did you mean" suggestions: the closest node names to a query that matched nothing,
+        /// best first. The query itself is never suggested.
+        /// </summary>
+        public IEnumerable<string> SuggestSpellings(string q, int limit = 5)
+        {
+            var normalized = FuzzyText.Normalize(q);
+            using var conn = Open();
+            return FuzzyCandidates(conn, q, limit * 3)
+                .Select(c => c.Node.Text)
+                .Where(t => FuzzyText.Normalize(t) != normalized)
+                .Distinct()
+                .Take(limit)
+                .ToList();
+        }
+
+        private IEnumerable<SearchResult> FullTextMatches(SqliteConnection conn, string q, int limit,
+                                                          string why, SearchMatchKind kind)
+        {
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = @"
+SELECT n.id, n.slug, n.text, n.is_tag,
+       bm25(node_search) AS score
+FROM node_search
+JOIN node n ON n.id=node_search.rowid
+WHERE node_search MATCH $q
+ORDER BY score
+LIMIT $lim;";
+            // For FTS, quote the query to treat it as a phrase and escape special characters
+            var ftsQuery = "\"" + q.ToLowerInvariant().Replace("\"", "\"\"") + "\"";
+            cmd.Parameters.AddWithValue("$q", ftsQuery);
+            cmd.Parameters.AddWithValue("$lim", limit * 4); // pull more, we'll merge
+
+            var matches = new List<SearchResult>();
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read())
+            {
+                // bm25 is negative, more negative is better; map it into the band below prefix hits
+                var bm25 = rd.GetDouble(4);
+                var band = kind == SearchMatchKind.Synonym ? 55.0 : 60.0;
+                matches.Add(new SearchResult(rd.GetInt32(0), rd.GetString(1), rd.GetString(2),
+                    band + Math.Min(15.0, -bm25), why, BestPath(conn, rd.GetInt32(0)), kind));
+            }
+            return matches;
+        }
+
+        private IEnumerable<SearchResult> AliasMatches(SqliteConnection conn, string qSlug, int limit)
+        {
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = @"
+SELECT n.id, n.slug, n.text, n.is_tag, 95.0 AS score, a.alias_text
+FROM alias a
+JOIN node n ON n.id=a.node_id
+WHERE a.alias_slug=$s
+LIMIT $lim;";
+            cmd.Parameters.AddWithValue("$s", qSlug);
+            cmd.Parameters.AddWithValue("$lim", limit);
+
+            var matches = new List<SearchResult>();
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read())
+                matches.Add(ToScored(rd, BestPath(conn, rd.GetInt32(0)),
+                    $"\"{rd.GetString(5)}\" is an alias of \"{rd.GetString(2)}\"", SearchMatchKind.Alias));
+            return matches;
+        }
+
+        /// <summary>
+        /// For each query word that is a known alias, the query with that word replaced by the
+        /// canonical node text, plus an explanation of the substitution.
+        /// </summary>
+        private List<(string Query, string Why)> ExpandSynonyms(SqliteConnection conn, string q)
+        {
+            var words = FuzzyText.Normalize(q).Split(' ', StringSplitOptions.RemoveEmptyEntries);
+            var expansions = new List<(string, string)>();
+            if (words.Length < 2) return expansions; // single words are covered by AliasMatches
+
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = @"
+SELECT n.text FROM alias a JOIN node n ON n.id=a.node_id
+WHERE a.alias_slug=$s LIMIT 3;";
+            var pSlug = cmd.Parameters.Add("$s", SqliteType.Text);
+
+            for (int i = 0; i < words.Length; i++)
+            {
+                pSlug.Value = Slugify(words[i]);
+                var canonicals = new List<string>();
+                using (var rd = cmd.ExecuteReader())
+                {
+                    while (rd.Read()) canonicals.Add(rd.GetString(0));
+                }
+
+                foreach (var canonical in canonicals)
+                {
+                    var replaced = words.ToArray();
+                    replaced[i] = FuzzyText.Normalize(canonical);
+                    expansions.Add((string.Join(' ', replaced), $"synonym: \"{words[i]}\" → \"{canonical}\""));
+                }
+            }
+            return expansions;
+        }
+
+        private record FuzzyCandidate(Node Node, double Score, string Why);
+
+        /// <summary>
+        /// Nodes whose text or alias shares trigrams with the query and is within a few edits of it
+        /// (or overlaps strongly), scored below every exact, prefix and full-text match.
+        /// </summary>
+        private List<FuzzyCandidate> FuzzyCandidates(SqliteConnection conn, string q, int limit)
+        {
+            var normalized = FuzzyText.Normalize(q);
+            var queryTrigrams = FuzzyText.Trigrams(q);
+            var found = new List<FuzzyCandidate>();
+            if (queryTrigrams.Count == 0 || !TableExists(conn, "node_trigram")) return found;
+
+            // Each edit breaks at most three trigrams, and a 50% overlap needs a third of the
+            // query's, so nodes sharing fewer than both can never pass the scoring below
+            var maxEdits = FuzzyText.MaxEdits(normalized);
+            var minHits = Math.Max(1, Math.Min(queryTrigrams.Count - 3 * maxEdits, (queryTrigrams.Count + 2) / 3));
+
+            // Candidates: nodes sharing the largest share of their trigrams with the query, so
+            // long names hitting only common trigrams do not crowd out close matches
+            var candidateIds = new List<int>();
+            using (var cmd = conn.CreateCommand())
+            {
+                var names = new List<string>();
+                int i = 0;
+                foreach (var t in queryTrigrams)
+                {
+                    var name = "$t" + i++;
+                    names.Add(name);
+                    cmd.Parameters.AddWithValue(name, t);
+                }
+                cmd.CommandText = $@"
+WITH hit AS (
+  SELECT node_id, COUNT(*) AS hits
+  FROM node_trigram
+  WHERE trigram IN ({string.Join(",", names)})
+  GROUP BY node_id
+  HAVING COUNT(*) >= $minHits
+)
+SELECT h.node_id
+FROM hit h
+ORDER BY 2.0 * h.hits / ($queryCount + (SELECT COUNT(*) FROM node_trigram t WHERE t.node_id = h.node_id)) DESC
+LIMIT $lim;";
+                cmd.Parameters.AddWithValue("$minHits", minHits);
+                cmd.Parameters.AddWithValue("$queryCount", queryTrigrams.Count);
+                cmd.Parameters.AddWithValue("$lim", Math.Max(limit * 10, 500));
+                using var rd = cmd.ExecuteReader();
+                while (rd.Read()) candidateIds.Add(rd.GetInt32(0));
+            }
+            if (candidateIds.Count == 0) return found;
+
+            var idList = string.Join(",", candidateIds);
+            var nodes = new Dictionary<int, Node>();
+            var texts = new List<(int NodeId, string Text, bool IsAlias)>();
+            using (var cmd = conn.CreateCommand())
+            {
+                cmd.CommandText = $"SELECT id,slug,text,is_tag FROM node WHERE id IN ({idList});";
+                using var rd = cmd.ExecuteReader();
+                while (rd.Read())
+                {
+                    var node = MapNode(rd);
+                    nodes[node.Id] = node;
+                    texts.Add((node.Id, node.Text, false));
+                }
+            }
+            using (var cmd = conn.CreateCommand())
+            {
+                cmd.CommandText = $"SELECT node_id, alias_text FROM alias WHERE node_id IN ({idList});";
+                using var rd = cmd.ExecuteReader();
+                while (rd.Read()) texts.Add((rd.GetInt32(0), rd.GetString(1), true));
+            }
+
+            // Score every text (name or alias) and keep the best per node
+            var best = new Dictionary<int, FuzzyCandidate>();
+            foreach (var (nodeId, text, isAlias) in texts)
+            {
+                if (!nodes.TryGetValue(nodeId, out var node)) continue;
+
+                var candidateText = FuzzyText.Normalize(text);
+                var distance = FuzzyText.EditDistance(normalized, candidateText);
+                var similarity = FuzzyText.Similarity(queryTrigrams, FuzzyText.Trigrams(text));
+                if (distance > maxEdits && similarity < 0.5) continue;
+
+                var score = Math.Clamp(45.0 - 8.0 * distance + 15.0 * similarity, 1.0, 54.0);
+                var edits = distance == 1 ? "1 edit" : $"{distance} edits";
+                var why = isAlias
+                    ? $"close to alias \"{text}\" of \"{node.Text}\" ({edits}, {similarity:P0} trigram overlap)"
+                    : $"close to \"{node.Text}\" ({edits}, {similarity:P0} trigram overlap)";
+
+                if (!best.TryGetValue(nodeId, out var prev) || score > prev.Score)
+                    best[nodeId] = new FuzzyCandidate(node, score, why);
+            }
+
+            found.AddRange(best.Values.OrderByDescending(c => c.Score).ThenBy(c => c.Node.Text).Take(limit));
+            return found;
+        }
+
+        /// <summary>
+        /// Run a parsed <see cref="TagQuery"/>. Throws <see cref="TagQueryParseException"/> when an
+        /// under: path does not name an existing category. <paramref name="mode"/> decides whether
+        /// typos and aliases are matched too.
+        /// </summary>
+        public IEnumerable<SearchResult> Query(TagQuery query, int limit = 100, SearchMode mode = SearchMode.Fuzzy)
+        {
+            // under: scopes, intersected, keyed by node id with depth below the first scope root
+            Dictionary<int, (Node Node, int Depth)>? scope = null;
+            var scopeLabels = new List<string>();
+            foreach (var path in query.UnderPaths)
+            {
+                var label = string.Join("/", path);
+                var root = ResolvePath(path)
+                    ?? throw new TagQueryParseException($"No category found for under:\"{label}\". Check the spelling of each part of the path.", 0);
+
+                var subtree = GetSubtreeWithDepth(root.Id).Where(x => x.Node.Id != root.Id).ToDictionary(x => x.Node.Id);
+                scope = scope == null
+                    ? subtree
+                    : scope.Where(kv => subtree.ContainsKey(kv.Key)).ToDictionary(kv => kv.Key, kv => kv.Value);
+                scopeLabels.Add(root.Text);
+            }
+
+            var phrases = query.Phrases.Select(FuzzyText.Normalize).ToList();
+            var exclusions = query.Exclusions.Select(FuzzyText.Normalize).Where(e => e.Length > 0).ToList();
+            static bool ContainsWords(string normalizedText, string words) =>
+                (" " + normalizedText + " ").Contains(" " + words + " ");
+
+            List<SearchResult> candidates;
+            if (scope != null)
+            {
+                var terms = query.Terms.Select(FuzzyText.Normalize).Where(t => t.Length > 0).ToList();
+                var whole = string.Join(' ', terms.Concat(phrases));
+                candidates = new List<SearchResult>();
+                foreach (var (node, _) in scope.Values)
+                {
+                    var text = FuzzyText.Normalize(node.Text);
+                    if (!terms.All(t => text.Contains(t))) continue;
+
+                    var (score, why) =
+                        !query.HasText ? (50.0, "in category") :
+                        text == whole ? (100.0, "exact name match") :
+                        text.StartsWith(whole) ? (80.0, $"name starts with \"{query.TextQuery}\"") :
+                        (60.0, "name contains every search word");
+                    candidates.Add(new SearchResult(node.Id, node.Slug, node.Text, score, why, null,
+                        score >= 100 ? SearchMatchKind.Exact : SearchMatchKind.FullText));
+                }
+
+                // Nothing literal in the subtree: fall back to typo-tolerant matches inside it
+                if (candidates.Count == 0 && query.HasText && mode == SearchMode.Fuzzy)
+                {
+                    candidates = Search(query.TextQuery, 500, SearchMode.Fuzzy)
+                        .Where(r => scope.ContainsKey(r.Id))
+                        .ToList();
+                }
+            }
+            else
+            {
+                candidates = Search(query.TextQuery, Math.Max(limit * 5, 200), mode).ToList();
+            }
+
+            using var conn = Open();
+            candidates = WithPopularity(conn, candidates);
+
+            var results = new List<SearchResult>();
+            foreach (var r in candidates.OrderByDescending(c => c.Score).ThenBy(c => c.Text))
+            {
+                var text = FuzzyText.Normalize(r.Text);
+                if (!phrases.All(p => ContainsWords(text, p))) continue;
+                if (exclusions.Any(e => ContainsWords(text, e))) continue;
+
+                var node = scope != null ? scope[r.Id].Node : GetNodeById(r.Id);
+                if (node == null) continue;
+                if (query.IsTag.HasValue && node.IsTag != query.IsTag.Value) continue;
+
+                var why = r.Why;
+                if (query.Depth != null)
+                {
+                    var depth = scope != null ? scope[r.Id].Depth : GetDepth(r.Id);
+                    if (!query.Depth.Allows(depth)) continue;
+                    why += $" · depth {depth}";
+                }
+                if (scopeLabels.Count > 0)
+                    why += $" · under {string.Join(" & ", scopeLabels)}";
+
+                results.Add(r with { Why = why, BestPath = r.BestPath ?? BestPath(conn, r.Id) });
+                if (results.Count >= limit) break;
+            }
+
+            return results;
+        }
+
+        // Below the 5 points that separate exact, alias, prefix and the best full-text scores
+        private const double MaxPopularityBonus = 4.5;
+
+        /// <summary>
+        /// Add a bonus for tags with many posts on their booru: 0.75 points per tenfold, at most
+        /// <see cref="MaxPopularityBonus"/>. Exact (100), alias (95) and prefix (80) matches keep
+        /// their order, and full text (up to 75) stays below prefix. The lower bands already
+        /// overlap (synonym 55–70, full text 60–75, fuzzy up to 54), so there the bonus can move
+        /// a popular tag past a better match of another kind.
+        /// Results that already carry a post count are left as they are.
+        /// </summary>
+        private static List<SearchResult> WithPopularity(SqliteConnection conn, IEnumerable<SearchResult> results)
+        {
+            var list = results.ToList();
+            var ids = list.Where(r => r.PostCount == null).Select(r => r.Id).ToList();
+            if (ids.Count == 0) return list;
+
+            var counts = new Dictionary<int, long>();
+            using (var cmd = conn.CreateCommand())
+            {
+                cmd.CommandText = @"
+SELECT id, post_count FROM node
+WHERE post_count IS NOT NULL AND id IN (SELECT value FROM json_each($ids));";
+                cmd.Parameters.AddWithValue("$ids", "[" + string.Join(",", ids) + "]");
+                using var rd = cmd.ExecuteReader();
+                while (rd.Read()) counts[rd.GetInt32(0)] = rd.GetInt64(1);
+            }
+
+            return list.Select(r => r.PostCount == null && counts.TryGetValue(r.Id, out var count)
+                    ? r with { Score = r.Score + Math.Min(0.75 * Math.Log10(count + 1), MaxPopularityBonus), PostCount = count }
+                    : r)
+                .ToList();
+        }
+
+        private SearchResult ToScored(IDataRecord r, string? bestPath, string why, SearchMatchKind kind) =>
             new SearchResult(
                 Id: r.GetInt32(0),
                 Slug: r.GetString(1),
                 Text: r.GetString(2),
                 Score: r.GetDouble(4),
-                Why: r.GetString(5),
-                BestPath: bestPath
+                Why: why,
+                BestPath: bestPath,
+                Kind: kind
             );
 
         private string? BestPath(SqliteConnection conn, int nodeId)
@@ -387,6 +850,7 @@ LIMIT $lim;";
         #endregion
 
         #region ---- CRUD (optional; safe, idempotent) ----
+        // Rows added or changed here are marked as the user's, so merge imports of tags.csv keep them
 
         public Node UpsertNode(string text, bool isTag)
         {
@@ -398,18 +862,24 @@ LIMIT $lim;";
             {
                 cmd.Transaction = tx;
                 cmd.CommandText = @"
-INSERT INTO node(slug,text,is_tag)
-VALUES($slug,$text,$isTag)
+INSERT INTO node(slug,text,is_tag,origin)
+VALUES($slug,$text,$isTag,$origin)
 ON CONFLICT(slug) DO UPDATE SET
   text=excluded.text,
-  is_tag=CASE WHEN excluded.is_tag=1 THEN 1 ELSE node.is_tag END
+  is_tag=CASE WHEN excluded.is_tag=1 THEN 1 ELSE node.is_tag END,
+  origin=CASE WHEN node.text<>excluded.text OR (excluded.is_tag=1 AND node.is_tag=0) THEN excluded.origin ELSE node.origin END
 RETURNING id,slug,text,is_tag;";
                 cmd.Parameters.AddWithValue("$slug", slug);
                 cmd.Parameters.AddWithValue("$text", text.ToLowerInvariant());
                 cmd.Parameters.AddWithValue("$isTag", isTag ? 1 : 0);
-                using var rd = cmd.ExecuteReader();
-                rd.Read();
-                var node = MapNode(rd);
+                cmd.Parameters.AddWithValue("$origin", TagOrigin.User);
+                Node node;
+                using (var rd = cmd.ExecuteReader())
+                {
+                    rd.Read();
+                    node = MapNode(rd);
+                }
+                TagDbInitializer.ReindexNodes(conn, tx, new[] { node.Id });
                 tx.Commit();
                 return node;
             }
@@ -428,9 +898,10 @@ RETURNING id,slug,text,is_tag;";
 
             using var conn = Open();
             using var cmd = conn.CreateCommand();
-            cmd.CommandText = "INSERT OR IGNORE INTO edge(parent_id,child_id) VALUES($p,$c);";
+            cmd.CommandText = "INSERT OR IGNORE INTO edge(parent_id,child_id,origin) VALUES($p,$c,$origin);";
             cmd.Parameters.AddWithValue("$p", parentId);
             cmd.Parameters.AddWithValue("$c", childId);
+            cmd.Parameters.AddWithValue("$origin", TagOrigin.User);
             cmd.ExecuteNonQuery();
         }
 
@@ -471,18 +942,201 @@ SELECT 1 FROM up WHERE id = $childId LIMIT 1;";
             cmd.ExecuteNonQuery();
         }
 
+        /// <exception cref="TagGraphException">The alias is empty, or names another node.</exception>
         public void AddAlias(int nodeId, string aliasText)
         {
             var aliasSlug = Slugify(aliasText);
+            if (aliasSlug.Length == 0)
+                throw new TagGraphException("An alias needs at least one letter or digit.");
+
+            var owner = GetNodeBySlug(aliasSlug) ?? GetNodeByAlias(aliasText);
+            if (owner != null && owner.Id != nodeId)
+                throw new TagGraphException($"“{aliasText}” already names “{owner.Text}”.");
+
             using var conn = Open();
             using var cmd = conn.CreateCommand();
             cmd.CommandText = @"
-INSERT OR IGNORE INTO alias(node_id, alias_slug, alias_text)
-VALUES($id,$slug,$text);";
+INSERT OR IGNORE INTO alias(node_id, alias_slug, alias_text, origin)
+VALUES($id,$slug,$text,$origin);";
             cmd.Parameters.AddWithValue("$id", nodeId);
             cmd.Parameters.AddWithValue("$slug", aliasSlug);
             cmd.Parameters.AddWithValue("$text", aliasText.ToLowerInvariant());
-            cmd.ExecuteNonQuery();
+            cmd.Parameters.AddWithValue("$origin", TagOrigin.User);
+            if (cmd.ExecuteNonQuery() > 0)
+                TagDbInitializer.ReindexNodes(conn, null, new[] { nodeId });
+        }
+
+        public IEnumerable<string> GetAliases(int nodeId)
+        {
+            using var conn = Open();
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = "SELECT alias_text FROM alias WHERE node_id=$id ORDER BY alias_text;";
+            cmd.Parameters.AddWithValue("$id", nodeId);
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read()) yield return rd.GetString(0);
+        }
+
+        public void RemoveAlias(int nodeId, string aliasText)
+        {
+            using var conn = Open();
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = "DELETE FROM alias WHERE node_id=$id AND alias_slug=$slug;";
+            cmd.Parameters.AddWithValue("$id", nodeId);
+            cmd.Parameters.AddWithValue("$slug", Slugify(aliasText));
+            if (cmd.ExecuteNonQuery() > 0)
+                TagDbInitializer.ReindexNodes(conn, null, new[] { nodeId });
+        }
+
+        /// <summary>
+        /// Add a new category or tag, under <paramref name="parentId"/> or as a root. Unlike
+        /// <see cref="UpsertNode"/> this refuses a slug that is already taken.
+        /// </summary>
+        /// <exception cref="TagGraphException">The text has no slug, or its slug is taken.</exception>
+        public Node CreateNode(string text, bool isTag, int? parentId = null)
+        {
+            var slug = Slugify(text);
+            if (slug.Length == 0)
+                throw new TagGraphException("A name needs at least one letter or digit.");
+
+            var existing = GetNodeBySlug(slug) ?? GetNodeByAlias(text);
+            if (existing != null)
+                throw new TagGraphException($"“{existing.Text}” already uses the slug {slug}.");
+
+            var node = UpsertNode(text.Trim(), isTag);
+            if (parentId != null)
+                AddEdge(parentId.Value, node.Id);
+            return node;
+        }
+
+        /// <summary>
+        /// Move a node from one parent to another. Null stands for the top level: a node
+        /// moved from it gains a parent, one moved to it loses the old one. Other parents of
+        /// the node are kept.
+        /// </summary>
+        /// <exception cref="TagGraphException">The move would create a cycle.</exception>
+        public void MoveNode(int nodeId, int? fromParentId, int? toParentId)
+        {
+            if (fromParentId == toParentId) return;
+
+            if (toParentId != null)
+            {
+                if (toParentId == nodeId || WouldCreateCycle(toParentId.Value, nodeId))
+                {
+                    var node = GetNodeById(nodeId);
+                    var target = GetNodeById(toParentId.Value);
+                    throw new TagGraphException($"“{node?.Text}” cannot go into “{target?.Text}”, which is inside it.");
+                }
+            }
+
+            using var conn = Open();
+            using var tx = conn.BeginTransaction();
+            if (fromParentId != null)
+                Exec(conn, tx, "DELETE FROM edge WHERE parent_id=$p AND child_id=$c;", ("$p", fromParentId.Value), ("$c", nodeId));
+            if (toParentId != null)
+            {
+                Exec(conn, tx, "INSERT OR IGNORE INTO edge(parent_id,child_id,origin) VALUES($p,$c,$origin);",
+                    ("$p", toParentId.Value), ("$c", nodeId), ("$origin", TagOrigin.User));
+                Exec(conn, tx, "DELETE FROM detached_node WHERE node_id=$c;", ("$c", nodeId));
+            }
+            else
+            {
+                // Now at the top level with no user edge behind, so record it for the next import to
+                // respect; a node that still has other parents isn't at the top level
+                Exec(conn, tx, @"
+INSERT OR IGNORE INTO detached_node(node_id)
+SELECT $c WHERE NOT EXISTS (SELECT 1 FROM edge WHERE child_id=$c);", ("$c", nodeId));
+            }
+            tx.Commit();
+        }
+
+        /// <summary>
+        /// Fold a duplicate into <paramref name="keepId"/>: its parents, children and aliases
+        /// move over, its own text becomes an alias, and the duplicate is deleted.
+        /// </summary>
+        /// <exception cref="TagGraphException">The nodes are the same, or one is inside the other.</exception>
+        public void MergeNodes(int keepId, int duplicateId)
+        {
+            var keep = GetNodeById(keepId) ?? throw new TagGraphException("The node to keep no longer exists.");
+            var duplicate = GetNodeById(duplicateId) ?? throw new TagGraphException("The duplicate no longer exists.");
+            if (keepId == duplicateId)
+                throw new TagGraphException("A node cannot be merged into itself.");
+            if (WouldCreateCycle(keepId, duplicateId) || WouldCreateCycle(duplicateId, keepId))
+                throw new TagGraphException($"“{duplicate.Text}” and “{keep.Text}” are inside one another; move one out first.");
+
+            // The duplicate's parents become the kept node's, and so do its children
+            var loop = GetParents(duplicateId).FirstOrDefault(p => p.Id != keepId && WouldCreateCycle(p.Id, keepId))
+                       ?? GetChildren(duplicateId).FirstOrDefault(c => c.Id != keepId && WouldCreateCycle(keepId, c.Id));
+            if (loop != null)
+                throw new TagGraphException($"Merging would put “{keep.Text}” inside itself through “{loop.Text}”.");
+
+            using var conn = Open();
+            using var pragma = conn.CreateCommand();
+            pragma.CommandText = "PRAGMA foreign_keys=ON;";
+            pragma.ExecuteNonQuery();
+
+            using var tx = conn.BeginTransaction();
+            Exec(conn, tx, @"
+INSERT OR IGNORE INTO edge(parent_id,child_id,origin)
+SELECT parent_id, $keep, $origin FROM edge WHERE child_id=$dup AND parent_id<>$keep;
+INSERT OR IGNORE INTO edge(parent_id,child_id,origin)
+SELECT $keep, child_id, $origin FROM edge WHERE parent_id=$dup AND child_id<>$keep;
+UPDATE OR IGNORE alias SET node_id=$keep, origin=$origin WHERE node_id=$dup;
+INSERT OR IGNORE INTO alias(node_id, alias_slug, alias_text, origin) VALUES($keep, $slug, $text, $origin);
+UPDATE node SET is_tag=1, origin=$origin WHERE id=$keep AND $isTag=1 AND is_tag=0;
+DELETE FROM node WHERE id=$dup;",
+                ("$keep", keepId), ("$dup", duplicateId), ("$slug", duplicate.Slug), ("$text", duplicate.Text),
+                ("$isTag", duplicate.IsTag ? 1 : 0), ("$origin", TagOrigin.User));
+
+            TagDbInitializer.ReindexNodes(conn, tx, new[] { keepId, duplicateId });
+            tx.Commit();
+        }
+
+        #endregion
+
+        #region ---- Export ----
+
+        /// <summary>
+        /// The whole graph with aliases and post counts, for writing with an
+        /// <see cref="ITagDatasetFormat"/>.
+        /// </summary>
+        public TagDataset ExportDataset()
+        {
+            var dataset = new TagDataset { HasAliases = true, HasPostCounts = true };
+            var slugs = new Dictionary<int, string>();
+            using var conn = Open();
+
+            using (var cmd = conn.CreateCommand())
+            {
+                cmd.CommandText = "SELECT id, slug, text, is_tag, post_count FROM node;";
+                using var rd = cmd.ExecuteReader();
+                while (rd.Read())
+                {
+                    slugs[rd.GetInt32(0)] = rd.GetString(1);
+                    dataset.AddNode(rd.GetString(1), rd.GetString(2), rd.GetInt32(3) == 1, rd.IsDBNull(4) ? null : rd.GetInt64(4));
+                }
+            }
+            using (var cmd = conn.CreateCommand())
+            {
+                cmd.CommandText = "SELECT parent_id, child_id FROM edge;";
+                using var rd = cmd.ExecuteReader();
+                while (rd.Read())
+                {
+                    if (slugs.TryGetValue(rd.GetInt32(0), out var parent) && slugs.TryGetValue(rd.GetInt32(1), out var child))
+                        dataset.AddEdge(parent, child);
+                }
+            }
+            using (var cmd = conn.CreateCommand())
+            {
+                cmd.CommandText = "SELECT node_id, alias_text FROM alias ORDER BY alias_text;";
+                using var rd = cmd.ExecuteReader();
+                while (rd.Read())
+                {
+                    if (slugs.TryGetValue(rd.GetInt32(0), out var slug))
+                        dataset.Nodes[slug].Aliases.Add(rd.GetString(1));
+                }
+            }
+
+            return dataset;
         }
 
         #endregion
@@ -517,6 +1171,16 @@ VALUES($id,$slug,$text);";
             return (T)Convert.ChangeType(o, typeof(T));
         }
 
+        private static void Exec(SqliteConnection conn, SqliteTransaction tx, string sql, params (string Name, object Value)[] parameters)
+        {
+            using var cmd = conn.CreateCommand();
+            cmd.Transaction = tx;
+            cmd.CommandText = sql;
+            foreach (var (name, value) in parameters)
+                cmd.Parameters.AddWithValue(name, value);
+            cmd.ExecuteNonQuery();
+        }
+
         private static bool TableExists(SqliteConnection conn, string table)
         {
             using var cmd = conn.CreateCommand();
@@ -529,7 +1193,7 @@ VALUES($id,$slug,$text);";
         /// <summary>
         /// Lowercase, trim, and convert non [a-z0-9] to underscore, collapse repeats.
         /// </summary>
-        private static string Slugify(string text)
+        internal static string Slugify(string text)
         {
             var s = text.ToLowerInvariant().Trim();
             var chars = new char[s.Length];
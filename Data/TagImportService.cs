@@ -5,6 +5,60 @@ using System.Text;
 
 namespace TagbooruQuest.Data;
 
+public record ImportDiffNode(string Slug, string Text, bool IsTag);
+
+/// <summary>A node whose parents in the dataset are not the ones it has in the database.</summary>
+public record ImportDiffMove(string Slug, string Text, bool IsTag, IReadOnlyList<string> OldParents, IReadOnlyList<string> NewParents);
+
+public enum TagImportMode
+{
+    /// <summary>The database ends up as the dataset describes: missing rows are removed.</summary>
+    Replace,
+
+    /// <summary>
+    /// Only add: new nodes, aliases and post counts. Existing nodes keep their text and
+    /// place, and nothing is removed. For flat tag lists laid over the category tree.
+    /// </summary>
+    Supplement
+}
+
+/// <summary>
+/// What a merge import of a tag dataset would change in the database. Only imported rows are
+/// compared; nodes, edges and aliases the user added are left as they are.
+/// </summary>
+public class TagImportDiff
+{
+    public string SourcePath { get; init; } = string.Empty;
+    public ITagDatasetFormat Format { get; init; } = TagDatasetFormats.HierarchyCsv;
+    public TagImportMode Mode { get; init; }
+
+    public List<ImportDiffNode> Added { get; } = new();
+    public List<ImportDiffNode> Removed { get; } = new();
+
+    /// <summary>Gone from the dataset but kept, because the user's edges or aliases use them.</summary>
+    public List<ImportDiffNode> Kept { get; } = new();
+
+    /// <summary>Same slug with a new text, or a category that became a tag or back.</summary>
+    public List<ImportDiffNode> Changed { get; } = new();
+    public List<ImportDiffMove> Moved { get; } = new();
+
+    internal List<(string Parent, string Child)> AddedEdges { get; } = new();
+    internal List<(string Parent, string Child)> RemovedEdges { get; } = new();
+    internal List<(string Slug, string AliasText)> AddedAliases { get; } = new();
+    internal List<(string Slug, string AliasSlug)> RemovedAliases { get; } = new();
+    internal Dictionary<string, long> PostCounts { get; } = new();
+
+    public int AddedEdgeCount => AddedEdges.Count;
+    public int RemovedEdgeCount => RemovedEdges.Count;
+    public int AddedAliasCount => AddedAliases.Count;
+    public int RemovedAliasCount => RemovedAliases.Count;
+    public int PostCountCount => PostCounts.Count;
+
+    public bool IsEmpty => Added.Count == 0 && Removed.Count == 0 && Changed.Count == 0 &&
+                           AddedEdges.Count == 0 && RemovedEdges.Count == 0 &&
+                           AddedAliases.Count == 0 && RemovedAliases.Count == 0 && PostCounts.Count == 0;
+}
+
 public class TagImportService
 {
     private readonly string _dbPath;
@@ -16,6 +70,12 @@ public class TagImportService
         _csvPath = csvPath;
     }
 
+    // The category tree in either of its formats is one dataset; each booru tag list is its own
+    private const string HierarchySource = "hierarchy";
+
+    private static string SourceOf(ITagDatasetFormat format) =>
+        format is TagListFormat list ? list.Id : HierarchySource;
+
     public void ImportIfNeeded()
     {
         using var conn = new SqliteConnection($"Data Source={_dbPath}");
@@ -24,13 +84,285 @@ public class TagImportService
         if (IsImported(conn))
             return;
 
-        ImportCsv(conn, _csvPath);
-        MarkImported(conn);
+        conn.Close();
+        ApplyDiff(ComputeDiff());
+    }
+
+    /// <summary>
+    /// Compare a dataset (by default the imported tags.csv) with the database. The format is
+    /// detected when not given. Nothing is written; pass the result to <see cref="ApplyDiff"/>.
+    /// </summary>
+    /// <exception cref="FormatException">The file does not fit the format.</exception>
+    public TagImportDiff ComputeDiff(string? path = null, ITagDatasetFormat? format = null, TagImportMode mode = TagImportMode.Replace)
+    {
+        path ??= _csvPath;
+        format ??= path == _csvPath ? TagDatasetFormats.HierarchyCsv : TagDatasetFormats.Detect(path);
+
+        var diff = new TagImportDiff { SourcePath = path, Format = format, Mode = mode };
+        var dataset = TagDatasetFormats.Read(path, format);
+        var replace = mode == TagImportMode.Replace;
+
+        using var conn = new SqliteConnection($"Data Source={_dbPath}");
+        conn.Open();
+
+        // Only nodes this dataset imported are its to remove; legacy nodes count as the hierarchy's
+        var source = SourceOf(format);
+        var nodes = new Dictionary<string, (string Text, bool IsTag, bool IsUser, long? PostCount, bool IsOwned)>();
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = "SELECT slug, text, is_tag, origin, post_count, source FROM node;";
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read())
+            {
+                nodes[rd.GetString(0)] = (rd.GetString(1), rd.GetInt32(2) == 1, rd.GetString(3) == TagOrigin.User,
+                                          rd.IsDBNull(4) ? null : rd.GetInt64(4),
+                                          (rd.IsDBNull(5) ? HierarchySource : rd.GetString(5)) == source);
+            }
+        }
+
+        var edges = new HashSet<(string Parent, string Child)>();
+        var importParents = new Dictionary<string, List<string>>();
+        var usedByUser = new HashSet<string>();
+        var movedByUser = new HashSet<string>();
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = @"
+SELECT p.slug, c.slug, e.origin
+FROM edge e
+JOIN node p ON p.id = e.parent_id
+JOIN node c ON c.id = e.child_id;";
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read())
+            {
+                var edge = (rd.GetString(0), rd.GetString(1));
+                edges.Add(edge);
+                if (rd.GetString(2) == TagOrigin.User)
+                {
+                    usedByUser.Add(edge.Item1);
+                    usedByUser.Add(edge.Item2);
+                    movedByUser.Add(edge.Item2);
+                }
+                else
+                {
+                    ParentsOf(importParents, edge.Item2).Add(edge.Item1);
+                }
+            }
+        }
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = "SELECT n.slug FROM detached_node d JOIN node n ON n.id = d.node_id;";
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read())
+            {
+                usedByUser.Add(rd.GetString(0));
+                movedByUser.Add(rd.GetString(0));
+            }
+        }
+        var userAliases = new HashSet<string>();
+        var aliasSlugs = new HashSet<string>();
+        var importAliases = new List<(string Slug, string AliasSlug)>();
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = "SELECT n.slug, a.alias_slug, a.origin FROM alias a JOIN node n ON n.id = a.node_id;";
+            using var rd = cmd.ExecuteReader();
+            while (rd.Read())
+            {
+                aliasSlugs.Add(rd.GetString(1));
+                if (rd.GetString(2) == TagOrigin.User)
+                {
+                    usedByUser.Add(rd.GetString(0));
+                    userAliases.Add(rd.GetString(1));
+                }
+                else
+                {
+                    importAliases.Add((rd.GetString(0), rd.GetString(1)));
+                }
+            }
+        }
+
+        foreach (var (slug, node) in dataset.Nodes)
+        {
+            // Merged away by the user, who kept its name as an alias
+            if (userAliases.Contains(slug))
+                continue;
+
+            var exists = nodes.TryGetValue(slug, out var existing);
+            if (!exists)
+                diff.Added.Add(new ImportDiffNode(slug, node.Text, node.IsTag));
+            else if (replace && !existing.IsUser && (existing.Text != node.Text || existing.IsTag != node.IsTag))
+                diff.Changed.Add(new ImportDiffNode(slug, node.Text, node.IsTag));
+
+            if (node.PostCount != null && (!exists || existing.PostCount != node.PostCount))
+                diff.PostCounts[slug] = node.PostCount.Value;
+
+            foreach (var alias in node.Aliases)
+            {
+                // An alias cannot take a name some node or alias already has
+                var aliasSlug = TagGraphService.Slugify(alias);
+                if (aliasSlug.Length == 0 || nodes.ContainsKey(aliasSlug) || dataset.Nodes.ContainsKey(aliasSlug) || !aliasSlugs.Add(aliasSlug))
+                    continue;
+                diff.AddedAliases.Add((slug, alias));
+            }
+        }
+
+        if (replace)
+        {
+            foreach (var (slug, node) in nodes.Where(n => !n.Value.IsUser && n.Value.IsOwned && !dataset.Nodes.ContainsKey(n.Key)))
+            {
+                var entry = new ImportDiffNode(slug, node.Text, node.IsTag);
+                (usedByUser.Contains(slug) ? diff.Kept : diff.Removed).Add(entry);
+            }
+
+            // Formats without aliases say nothing about the ones already imported
+            if (dataset.HasAliases)
+            {
+                diff.RemovedAliases.AddRange(importAliases.Where(a =>
+                    dataset.Nodes.TryGetValue(a.Slug, out var node) &&
+                    !node.Aliases.Any(alias => TagGraphService.Slugify(alias) == a.AliasSlug)));
+            }
+        }
+
+        // Nodes the user gave parents of their own stay where the user put them, and
+        // supplements only place nodes they add
+        diff.AddedEdges.AddRange(dataset.Edges.Where(e => !edges.Contains(e) && !movedByUser.Contains(e.Child) &&
+                                                      (replace || !nodes.ContainsKey(e.Child))));
+        if (replace)
+        {
+            diff.RemovedEdges.AddRange(importParents
+                .Where(p => nodes.TryGetValue(p.Key, out var child) && child.IsOwned)
+                .SelectMany(p => p.Value.Select(parent => (Parent: parent, Child: p.Key)))
+                .Where(e => !dataset.Edges.Contains(e)));
+        }
+
+        // A node that keeps its slug but not its parents was moved
+        var datasetParents = new Dictionary<string, List<string>>();
+        foreach (var (parent, child) in dataset.Edges)
+            ParentsOf(datasetParents, child).Add(parent);
+
+        foreach (var slug in diff.AddedEdges.Concat(diff.RemovedEdges).Select(e => e.Child).Distinct())
+        {
+            if (!nodes.TryGetValue(slug, out var existing) || !dataset.Nodes.ContainsKey(slug))
+                continue;
+
+            var before = importParents.GetValueOrDefault(slug) ?? new List<string>();
+            var after = datasetParents.GetValueOrDefault(slug) ?? new List<string>();
+            if (before.ToHashSet().SetEquals(after))
+                continue;
+
+            string TextOf(string s) => dataset.Nodes.TryGetValue(s, out var n) ? n.Text : nodes.TryGetValue(s, out var o) ? o.Text : s;
+            diff.Moved.Add(new ImportDiffMove(slug, dataset.Nodes[slug].Text, dataset.Nodes[slug].IsTag,
+                before.Select(TextOf).ToList(), after.Select(TextOf).ToList()));
+        }
+
+        return diff;
+    }
+
+    /// <summary>
+    /// Apply a diff from <see cref="ComputeDiff"/> in one transaction; on any error nothing
+    /// changes. Only the search index rows of changed nodes are rewritten.
+    /// </summary>
+    public void ApplyDiff(TagImportDiff diff)
+    {
+        using var conn = new SqliteConnection($"Data Source={_dbPath}");
+        conn.Open();
+
+        // Removing a node has to take its edges, aliases and trigrams with it
+        using (var pragma = conn.CreateCommand())
+        {
+            pragma.CommandText = "PRAGMA foreign_keys=ON;";
+            pragma.ExecuteNonQuery();
+        }
+
+        bool wasEmpty;
+        using (var count = conn.CreateCommand())
+        {
+            count.CommandText = "SELECT NOT EXISTS(SELECT 1 FROM node);";
+            wasEmpty = Convert.ToInt64(count.ExecuteScalar()) == 1;
+        }
+
+        var touched = new List<int>();
+        using (var tx = conn.BeginTransaction())
+        {
+            var source = SourceOf(diff.Format);
+            foreach (var node in diff.Added)
+                touched.Add(GetOrCreateNode(conn, node.Slug, node.Text, node.IsTag, source, tx));
+
+            foreach (var node in diff.Changed)
+            {
+                var id = NodeIdOf(conn, node.Slug, tx);
+                if (id == null) continue;
+
+                Exec(conn, tx, "UPDATE node SET text=$text, is_tag=$isTag WHERE id=$id AND origin=$import;",
+                    ("$text", node.Text), ("$isTag", node.IsTag ? 1 : 0), ("$id", id.Value), ("$import", TagOrigin.Import));
+                touched.Add(id.Value);
+            }
+
+            // Counts are not the user's to edit, so they are updated on any node
+            foreach (var (slug, postCount) in diff.PostCounts)
+                Exec(conn, tx, "UPDATE node SET post_count=$count WHERE slug=$slug;", ("$count", postCount), ("$slug", slug));
+
+            foreach (var (slug, aliasSlug) in diff.RemovedAliases)
+            {
+                var id = NodeIdOf(conn, slug, tx);
+                if (id == null) continue;
+
+                Exec(conn, tx, "DELETE FROM alias WHERE node_id=$id AND alias_slug=$alias AND origin=$import;",
+                    ("$id", id.Value), ("$alias", aliasSlug), ("$import", TagOrigin.Import));
+                touched.Add(id.Value);
+            }
+
+            foreach (var (slug, aliasText) in diff.AddedAliases)
+            {
+                var id = NodeIdOf(conn, slug, tx);
+                if (id == null) continue;
+
+                Exec(conn, tx, "INSERT OR IGNORE INTO alias(node_id, alias_slug, alias_text) VALUES($id, $alias, $text);",
+                    ("$id", id.Value), ("$alias", TagGraphService.Slugify(aliasText)), ("$text", aliasText));
+                touched.Add(id.Value);
+            }
+
+            foreach (var (parent, child) in diff.RemovedEdges)
+            {
+                Exec(conn, tx, @"
+DELETE FROM edge
+WHERE parent_id=(SELECT id FROM node WHERE slug=$p)
+  AND child_id=(SELECT id FROM node WHERE slug=$c)
+  AND origin=$import;", ("$p", parent), ("$c", child), ("$import", TagOrigin.Import));
+            }
+
+            foreach (var (parent, child) in diff.AddedEdges)
+            {
+                var parentId = NodeIdOf(conn, parent, tx);
+                var childId = NodeIdOf(conn, child, tx);
+                if (parentId != null && childId != null)
+                    AddEdge(conn, parentId.Value, childId.Value, tx);
+            }
+
+            foreach (var node in diff.Removed)
+            {
+                var id = NodeIdOf(conn, node.Slug, tx);
+                if (id == null) continue;
+
+                Exec(conn, tx, "DELETE FROM node WHERE id=$id AND origin=$import;", ("$id", id.Value), ("$import", TagOrigin.Import));
+                touched.Add(id.Value);
+            }
+
+            // A first import indexes everything at once below
+            if (!wasEmpty)
+                TagDbInitializer.ReindexNodes(conn, tx, touched);
+
+            MarkImported(conn, tx);
+            tx.Commit();
+        }
+
+        if (wasEmpty)
+            TagDbInitializer.RebuildFts(_dbPath);
     }
 
     /// <summary>
-    /// Force re-import of CSV data, clearing existing data first.
-    /// Useful when CSV parsing has been improved or data is corrupted.
+    /// Throw away the whole database, including the user's own nodes, edges and aliases,
+    /// and import the CSV again. For a database that is beyond repair; updates to tags.csv
+    /// should go through <see cref="ComputeDiff"/> and <see cref="ApplyDiff"/> instead.
     /// </summary>
     public void ForceReimport()
     {
@@ -42,10 +374,10 @@ public class TagImportService
 
         // Reset import flag
         ResetImportFlag(conn);
+        conn.Close();
 
         // Import fresh data
-        ImportCsv(conn, _csvPath);
-        MarkImported(conn);
+        ApplyDiff(ComputeDiff());
     }
 
     private bool IsImported(SqliteConnection conn)
@@ -62,94 +394,41 @@ SELECT value FROM meta WHERE key='csv_imported';";
         return result == "true";
     }
 
-    private void MarkImported(SqliteConnection conn)
+    private void MarkImported(SqliteConnection conn, SqliteTransaction tx)
     {
         using var cmd = conn.CreateCommand();
-        cmd.CommandText = "UPDATE meta SET value='true' WHERE key='csv_imported';";
+        cmd.Transaction = tx;
+        cmd.CommandText = @"
+INSERT INTO meta (key,value) VALUES ('csv_imported','true')
+ON CONFLICT(key) DO UPDATE SET value='true';";
         cmd.ExecuteNonQuery();
     }
 
-    private void ImportCsv(SqliteConnection conn, string csvPath)
+    private static List<string> ParentsOf(Dictionary<string, List<string>> parents, string child)
     {
-        // First pass: collect all paths and identify conflicts
-        var allPaths = new List<List<string>>();
-        var tagSlugs = new HashSet<string>();
-        var categoryPathSlugs = new Dictionary<string, List<string>>(); // slug -> list of full paths
-
-        foreach (var line in File.ReadLines(csvPath))
-        {
-            if (string.IsNullOrWhiteSpace(line)) continue;
-
-            var cols = ParseCsvLine(line)
-                           .Select(c => c.Trim().ToLowerInvariant())
-                           .Where(c => !string.IsNullOrWhiteSpace(c))
-                           .ToList();
-
-            if (cols.Count > 0)
-            {
-                allPaths.Add(cols);
-
-                // Last column is always a tag
-                var tagText = cols[cols.Count - 1];
-                var tagSlug = Slugify(tagText);
-                tagSlugs.Add(tagSlug);
-
-                // Track category paths for conflict detection
-                for (int i = 0; i < cols.Count - 1; i++)
-                {
-                    var categorySlug = Slugify(cols[i]);
-                    var fullPath = string.Join("/", cols.Take(i + 1));
-
-                    if (!categoryPathSlugs.ContainsKey(categorySlug))
-                        categoryPathSlugs[categorySlug] = new List<string>();
-
-                    if (!categoryPathSlugs[categorySlug].Contains(fullPath))
-                        categoryPathSlugs[categorySlug].Add(fullPath);
-                }
-            }
-        }
-
-        // Second pass: import with conflict resolution
-        using var tx = conn.BeginTransaction();
-
-        foreach (var cols in allPaths)
-        {
-            int? prevId = null;
-
-            for (int i = 0; i < cols.Count; i++)
-            {
-                var text = cols[i];
-                var isTag = i == cols.Count - 1;
-                var baseSlug = Slugify(text);
-                var slug = baseSlug;
-
-                if (!isTag)
-                {
-                    // For categories, check for conflicts
-                    var hasTagConflict = tagSlugs.Contains(baseSlug);
-                    var hasCategoryConflict = categoryPathSlugs[baseSlug].Count > 1;
-
-                    if (hasTagConflict || hasCategoryConflict)
-                    {
-                        // Create context-aware slug using parent path
-                        var parentPath = string.Join("_", cols.Take(i).Select(Slugify));
-                        slug = string.IsNullOrEmpty(parentPath) ? baseSlug : $"{parentPath}_{baseSlug}";
-                    }
-                }
-
-                int nodeId = GetOrCreateNode(conn, slug, text, isTag, tx);
-
-                if (prevId != null && prevId.Value != nodeId)
-                    AddEdge(conn, prevId.Value, nodeId, tx);
-
-                prevId = nodeId;
-            }
-        }
+        if (!parents.TryGetValue(child, out var list))
+            parents[child] = list = new List<string>();
+        return list;
+    }
 
-        tx.Commit();
+    private int? NodeIdOf(SqliteConnection conn, string slug, SqliteTransaction tx)
+    {
+        using var cmd = conn.CreateCommand();
+        cmd.Transaction = tx;
+        cmd.CommandText = "SELECT id FROM node WHERE slug = $slug;";
+        cmd.Parameters.AddWithValue("$slug", slug);
+        var id = cmd.ExecuteScalar();
+        return id == null ? null : Convert.ToInt32(id);
+    }
 
-        // Rebuild FTS index
-        TagDbInitializer.RebuildFts(_dbPath);
+    private static void Exec(SqliteConnection conn, SqliteTransaction tx, string sql, params (string Name, object Value)[] parameters)
+    {
+        using var cmd = conn.CreateCommand();
+        cmd.Transaction = tx;
+        cmd.CommandText = sql;
+        foreach (var (name, value) in parameters)
+            cmd.Parameters.AddWithValue(name, value);
+        cmd.ExecuteNonQuery();
     }
 
     private bool DoesTagExist(SqliteConnection conn, string slug, SqliteTransaction tx)
@@ -161,18 +440,19 @@ SELECT value FROM meta WHERE key='csv_imported';";
         return cmd.ExecuteScalar() != null;
     }
 
-    private int GetOrCreateNode(SqliteConnection conn, string slug, string text, bool isTag, SqliteTransaction tx)
+    private int GetOrCreateNode(SqliteConnection conn, string slug, string text, bool isTag, string source, SqliteTransaction tx)
     {
         using var cmd = conn.CreateCommand();
         cmd.Transaction = tx;
         cmd.CommandText = @"
-INSERT INTO node(slug,text,is_tag)
-VALUES($slug,$text,$isTag)
+INSERT INTO node(slug,text,is_tag,source)
+VALUES($slug,$text,$isTag,$source)
 ON CONFLICT(slug) DO UPDATE SET is_tag=CASE WHEN $isTag=1 THEN 1 ELSE is_tag END
 RETURNING id;";
         cmd.Parameters.AddWithValue("$slug", slug);
         cmd.Parameters.AddWithValue("$text", text);
         cmd.Parameters.AddWithValue("$isTag", isTag ? 1 : 0);
+        cmd.Parameters.AddWithValue("$source", source);
         return Convert.ToInt32(cmd.ExecuteScalar()!);
     }
 
@@ -193,82 +473,12 @@ RETURNING id;";
         cmd.ExecuteNonQuery();
     }
 
-    private string Slugify(string text)
-    {
-        var slug = text.ToLowerInvariant();
-        slug = new string(slug.Select(ch => char.IsLetterOrDigit(ch) ? ch : '_').ToArray());
-        while (slug.Contains("__")) slug = slug.Replace("__", "_");
-        return slug.Trim('_');
-    }
-
-    /// <summary>
-    /// Properly parse a CSV line handling quoted fields that may contain commas.
-    /// Supports RFC 4180 CSV format from Google Drive exports.
-    /// </summary>
-    private List<string> ParseCsvLine(string line)
-    {
-        var fields = new List<string>();
-        var currentField = new StringBuilder();
-        bool inQuotes = false;
-        bool nextIsEscaped = false;
-
-        for (int i = 0; i < line.Length; i++)
-        {
-            char c = line[i];
-
-            if (nextIsEscaped)
-            {
-                currentField.Append(c);
-                nextIsEscaped = false;
-                continue;
-            }
-
-            if (c == '"')
-            {
-                if (inQuotes)
-                {
-                    // Check if this is an escaped quote (double quote)
-                    if (i + 1 < line.Length && line[i + 1] == '"')
-                    {
-                        currentField.Append('"');
-                        i++; // Skip the next quote
-                    }
-                    else
-                    {
-                        // End of quoted field
-                        inQuotes = false;
-                    }
-                }
-                else
-                {
-                    // Start of quoted field
-                    inQuotes = true;
-                }
-            }
-            else if (c == ',' && !inQuotes)
-            {
-                // Field separator - add current field and start new one
-                fields.Add(currentField.ToString());
-                currentField.Clear();
-            }
-            else
-            {
-                // Regular character - add to current field
-                currentField.Append(c);
-            }
-        }
-
-        // Add the last field
-        fields.Add(currentField.ToString());
-
-        return fields;
-    }
-
     private void ClearData(SqliteConnection conn)
     {
         using var cmd = conn.CreateCommand();
         cmd.CommandText = @"
 DELETE FROM path;
+DELETE FROM detached_node;
 DELETE FROM alias;
 DELETE FROM edge;
 DELETE FROM node;
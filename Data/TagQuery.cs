@@ -0,0 +1,235 @@
+using System.Text;
+
+namespace TagbooruQuest.Data
+{
+    public enum DepthComparison { LessThan, LessOrEqual, Equal, GreaterOrEqual, GreaterThan }
+
+    public record DepthLimit(DepthComparison Comparison, int Value)
+    {
+        public bool Allows(int depth) => Comparison switch
+        {
+            DepthComparison.LessThan => depth < Value,
+            DepthComparison.LessOrEqual => depth <= Value,
+            DepthComparison.Equal => depth == Value,
+            DepthComparison.GreaterOrEqual => depth >= Value,
+            _ => depth > Value
+        };
+
+        public override string ToString() => Comparison switch
+        {
+            DepthComparison.LessThan => $"<{Value}",
+            DepthComparison.LessOrEqual => $"<={Value}",
+            DepthComparison.Equal => $"{Value}",
+            DepthComparison.GreaterOrEqual => $">={Value}",
+            _ => $">{Value}"
+        };
+    }
+
+    /// <summary>
+    /// Parsed form of a TagSearch query such as <c>under:"Body/Hair" -long tag: "twin tails" depth:&lt;3</c>.
+    /// </summary>
+    public sealed class TagQuery
+    {
+        /// <summary>Free words, searched like a plain query.</summary>
+        public List<string> Terms { get; } = new();
+
+        /// <summary>Quoted phrases the node text must contain verbatim.</summary>
+        public List<string> Phrases { get; } = new();
+
+        /// <summary>Words or phrases (from <c>-term</c>) that remove a result when its text contains them.</summary>
+        public List<string> Exclusions { get; } = new();
+
+        /// <summary>Category paths (from <c>under:</c>) a result must sit below, e.g. ["Body", "Hair"].</summary>
+        public List<string[]> UnderPaths { get; } = new();
+
+        /// <summary>true for <c>tag:</c>, false for <c>group:</c>, null when either is fine.</summary>
+        public bool? IsTag { get; set; }
+
+        /// <summary>Depth below the <c>under:</c> category, or below the root when there is none.</summary>
+        public DepthLimit? Depth { get; set; }
+
+        public bool HasText => Terms.Count > 0 || Phrases.Count > 0;
+
+        public string TextQuery => string.Join(' ', Terms.Concat(Phrases));
+    }
+
+    /// <summary>
+    /// A query the parser could not understand. <see cref="Position"/> is the 0-based
+    /// character offset of the problem in the original input.
+    /// </summary>
+    public sealed class TagQueryParseException : FormatException
+    {
+        public int Position { get; }
+
+        public TagQueryParseException(string message, int position) : base(message)
+        {
+            Position = position;
+        }
+    }
+
+    /// <summary>
+    /// Parser for the TagSearch query syntax:
+    /// <list type="bullet">
+    /// <item><c>word</c> / <c>"quoted phrase"</c> — search text; phrases must match exactly</item>
+    /// <item><c>-word</c> / <c>-"phrase"</c> — exclude results containing it</item>
+    /// <item><c>under:Body/Hair</c> / <c>under:"Body/Hair Styles"</c> — only results below that category path</item>
+    /// <item><c>tag:</c> / <c>group:</c> — only tags or only groups; an attached word is also searched (<c>tag:bow</c>)</item>
+    /// <item><c>depth:&lt;3</c>, <c>depth:&lt;=3</c>, <c>depth:2</c>, <c>depth:&gt;=1</c>, <c>depth:&gt;1</c> — depth limit</item>
+    /// </list>
+    /// </summary>
+    public static class TagQueryParser
+    {
+        private static readonly string[] KnownFilters = { "under", "tag", "group", "depth" };
+
+        public static TagQuery Parse(string input)
+        {
+            var query = new TagQuery();
+            int pos = 0;
+
+            while (true)
+            {
+                while (pos < input.Length && char.IsWhiteSpace(input[pos])) pos++;
+                if (pos >= input.Length) break;
+
+                int start = pos;
+
+                // -term / -"phrase"
+                if (input[pos] == '-' && pos + 1 < input.Length && !char.IsWhiteSpace(input[pos + 1]))
+                {
+                    pos++;
+                    var excluded = input[pos] == '"' ? ReadQuoted(input, ref pos) : ReadWord(input, ref pos);
+                    if (excluded.Contains(':'))
+                        throw new TagQueryParseException(
+                            $"Filters can't be negated (\"-{excluded}\" at position {start + 1}). Exclude words or phrases instead.", start);
+                    query.Exclusions.Add(excluded);
+                    continue;
+                }
+
+                if (input[pos] == '"')
+                {
+                    var phrase = ReadQuoted(input, ref pos);
+                    if (phrase.Length == 0)
+                        throw new TagQueryParseException($"Empty quotes at position {start + 1}.", start);
+                    query.Phrases.Add(phrase);
+                    continue;
+                }
+
+                var word = ReadWord(input, ref pos, stopAtColon: true);
+                if (pos < input.Length && input[pos] == ':')
+                {
+                    pos++;
+                    ParseFilter(query, word.ToLowerInvariant(), input, ref pos, start);
+                    continue;
+                }
+
+                query.Terms.Add(word);
+            }
+
+            if (!query.HasText && query.UnderPaths.Count == 0)
+            {
+                throw new TagQueryParseException(
+                    query.Exclusions.Count > 0 || query.IsTag.HasValue || query.Depth != null
+                        ? "Add a search word, a \"quoted phrase\" or an under: category for the filters to apply to."
+                        : "The query is empty.", 0);
+            }
+
+            return query;
+        }
+
+        private static void ParseFilter(TagQuery query, string name, string input, ref int pos, int start)
+        {
+            bool hasValue = pos < input.Length && !char.IsWhiteSpace(input[pos]);
+            string value = !hasValue ? "" : input[pos] == '"' ? ReadQuoted(input, ref pos) : ReadWord(input, ref pos);
+
+            switch (name)
+            {
+                case "under":
+                    var segments = value.Split('/', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+                    if (segments.Length == 0)
+                        throw new TagQueryParseException(
+                            $"under: needs a category path at position {start + 1}, e.g. under:\"Body/Hair\".", start);
+                    query.UnderPaths.Add(segments);
+                    break;
+
+                case "tag":
+                case "group":
+                    var wantsTag = name == "tag";
+                    if (query.IsTag.HasValue && query.IsTag != wantsTag)
+                        throw new TagQueryParseException(
+                            $"tag: and group: can't be combined (position {start + 1}); a result is either a tag or a group.", start);
+                    query.IsTag = wantsTag;
+                    if (value.Length > 0)
+                    {
+                        if (input[pos - 1] == '"') query.Phrases.Add(value);
+                        else query.Terms.Add(value);
+                    }
+                    break;
+
+                case "depth":
+                    if (query.Depth != null)
+                        throw new TagQueryParseException($"depth: is given twice (position {start + 1}).", start);
+                    query.Depth = ParseDepth(value, start);
+                    break;
+
+                default:
+                    throw new TagQueryParseException(
+                        $"Unknown filter \"{name}:\" at position {start + 1}. Known filters: {string.Join(", ", KnownFilters.Select(f => f + ":"))}.", start);
+            }
+        }
+
+        private static DepthLimit ParseDepth(string value, int start)
+        {
+            var (comparison, number) =
+                value.StartsWith("<=") ? (DepthComparison.LessOrEqual, value[2..]) :
+                value.StartsWith(">=") ? (DepthComparison.GreaterOrEqual, value[2..]) :
+                value.StartsWith("<") ? (DepthComparison.LessThan, value[1..]) :
+                value.StartsWith(">") ? (DepthComparison.GreaterThan, value[1..]) :
+                value.StartsWith("=") ? (DepthComparison.Equal, value[1..]) :
+                (DepthComparison.Equal, value);
+
+            if (!int.TryParse(number, out var depth) || depth < 0)
+                throw new TagQueryParseException(
+                    $"depth: expects a number with an optional <, <=, >= or > (got \"{value}\" at position {start + 1}), e.g. depth:<3.", start);
+
+            return new DepthLimit(comparison, depth);
+        }
+
+        private static string ReadQuoted(string input, ref int pos)
+        {
+            int open = pos;
+            pos++; // opening quote
+            var sb = new StringBuilder();
+            while (pos < input.Length)
+            {
+                var ch = input[pos];
+                if (ch == '\\' && pos + 1 < input.Length && input[pos + 1] == '"')
+                {
+                    sb.Append('"');
+                    pos += 2;
+                    continue;
+                }
+                if (ch == '"')
+                {
+                    pos++;
+                    return sb.ToString().Trim();
+                }
+                sb.Append(ch);
+                pos++;
+            }
+            throw new TagQueryParseException($"Missing closing quote for the quote at position {open + 1}.", open);
+        }
+
+        private static string ReadWord(string input, ref int pos, bool stopAtColon = false)
+        {
+            int start = pos;
+            while (pos < input.Length && !char.IsWhiteSpace(input[pos]) && !(stopAtColon && input[pos] == ':'))
+            {
+                if (input[pos] == '"')
+                    throw new TagQueryParseException(
+                        $"Unexpected quote at position {pos + 1}; put a space before a \"quoted phrase\".", pos);
+                pos++;
+            }
+            return input[start..pos];
+        }
+    }
+}
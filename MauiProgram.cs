@@ -41,11 +41,28 @@ namespace TagbooruQuest
             builder.Services.AddMauiBlazorWebView();
             builder.Services.AddSingleton(new TagGraphService(Path.Combine(FileSystem.AppDataDirectory, "tags.db")));
             builder.Services.AddScoped<PromptBuilderService>();
+            builder.Services.AddSingleton<INegativePresetService, NegativePresetService>();
+
+            // Platform services
+#if ANDROID
+            builder.Services.AddSingleton<IFileService, TagbooruQuest.Platforms.Android.AndroidFileService>();
+#elif IOS
+            builder.Services.AddSingleton<IFileService, TagbooruQuest.Platforms.iOS.iOSFileService>();
+#elif MACCATALYST
+            builder.Services.AddSingleton<IFileService, TagbooruQuest.Platforms.MacCatalyst.MacCatalystFileService>();
+#elif WINDOWS
+            builder.Services.AddSingleton<IFileService, TagbooruQuest.Platforms.Windows.WindowsFileService>();
+#endif
 
             // Character Designer services
             builder.Services.AddSingleton<IDesignerRegistry, DesignerRegistry>();
-            builder.Services.AddScoped<ITagSpriteResolver, TagSpriteResolver>();
+            builder.Services.AddSingleton<ITagSpriteResolver, TagSpriteResolver>();
+            builder.Services.AddSingleton<ITagRuleService, TagRuleService>();
             builder.Services.AddScoped<ICharacterBuildState, CharacterBuildState>();
+            builder.Services.AddScoped<ICharacterBuildStore, CharacterBuildStore>();
+            builder.Services.AddScoped<IPromptImportService, PromptImportService>();
+            builder.Services.AddScoped<ICharacterRandomizer, CharacterRandomizer>();
+            builder.Services.AddScoped<ITagSuggestionService, TagSuggestionService>();
 
             // ComfyUI services
             builder.Services.AddSingleton<IComfySettingsService, ComfySettingsService>();
@@ -55,16 +72,21 @@ namespace TagbooruQuest
                 var logger = serviceProvider.GetService<ILogger<ComfyClient>>();
                 return new ComfyClient(settings, logger);
             });
+            builder.Services.AddSingleton<IWorkflowTemplateService, WorkflowTemplateService>();
             builder.Services.AddSingleton<IPromptJsonMapper, PromptJsonMapper>();
+            builder.Services.AddScoped<IComfyBatchQueue, ComfyBatchQueue>();
             builder.Services.AddScoped<IComfyPreviewController, ComfyPreviewController>();
+            builder.Services.AddScoped<IGalleryService, GalleryService>();
             builder.Services.AddScoped<ComfyPreviewViewModel>(serviceProvider =>
             {
                 var comfyClient = serviceProvider.GetRequiredService<IComfyClient>();
                 var settings = serviceProvider.GetRequiredService<IComfySettingsService>();
                 var previewController = serviceProvider.GetRequiredService<IComfyPreviewController>();
                 var characterBuildState = serviceProvider.GetRequiredService<ICharacterBuildState>();
+                var negativePresets = serviceProvider.GetRequiredService<INegativePresetService>();
+                var gallery = serviceProvider.GetRequiredService<IGalleryService>();
                 var logger = serviceProvider.GetService<ILogger<ComfyPreviewViewModel>>();
-                return new ComfyPreviewViewModel(comfyClient, settings, previewController, characterBuildState, logger);
+                return new ComfyPreviewViewModel(comfyClient, settings, previewController, characterBuildState, negativePresets, gallery, logger);
             });
 
 
@@ -79,6 +101,18 @@ namespace TagbooruQuest
             var comfySettings = app.Services.GetRequiredService<IComfySettingsService>();
             _ = comfySettings.LoadAsync();
 
+            var negativePresets = app.Services.GetRequiredService<INegativePresetService>();
+            _ = negativePresets.LoadAsync();
+
+            var workflowTemplates = app.Services.GetRequiredService<IWorkflowTemplateService>();
+            _ = workflowTemplates.LoadAsync();
+
+            var spriteResolver = app.Services.GetRequiredService<ITagSpriteResolver>();
+            _ = spriteResolver.LoadAsync();
+
+            var tagRules = app.Services.GetRequiredService<ITagRuleService>();
+            _ = tagRules.LoadAsync();
+
             return app;
         }
     }
@@ -29,6 +29,8 @@ public class BodyPart
     public string Name { get; set; } = "";
     public string DisplayName { get; set; } = "";
     public List<string> SelectedTags { get; set; } = new();
+    // Subset of SelectedTags that go into the negative prompt instead
+    public HashSet<string> NegativeTags { get; set; } = new();
     public Dictionary<TagCategory, List<Node>> AvailableNodes { get; set; } = new();
     public Dictionary<TagCategory, int?> CurrentNodeIds { get; set; } = new();
 }
@@ -0,0 +1,69 @@
+using TagbooruQuest.Services.ComfyUI;
+
+namespace TagbooruQuest.Models.CharacterDesigner;
+
+/// <summary>
+/// A saved or shared character build. Written as JSON; <see cref="Version"/> is bumped
+/// whenever the shape changes so older files can be migrated on load.
+/// </summary>
+public class CharacterBuildDocument
+{
+    public const int CurrentVersion = 3;
+
+    public int Version { get; set; } = CurrentVersion;
+    public string Name { get; set; } = string.Empty;
+    public DateTime SavedAt { get; set; } = DateTime.UtcNow;
+    public PromptOutputFormat OutputFormat { get; set; } = PromptOutputFormat.A1111;
+
+    /// <summary>How a scene with several characters is written. Added in version 3.</summary>
+    public SceneOutputMode SceneMode { get; set; } = SceneOutputMode.Break;
+
+    /// <summary>
+    /// Selections keyed by panel key: the scene panels' since version 3, every panel's before.
+    /// </summary>
+    public Dictionary<string, BuildPanel> Panels { get; set; } = new();
+
+    /// <summary>
+    /// The scene's characters and their selections. Added in version 3; older files have none
+    /// and load as a single character with <see cref="Panels"/>.
+    /// </summary>
+    public List<BuildCharacter> Characters { get; set; } = new();
+
+    /// <summary>Attached LoRAs and embeddings. Added in version 2; version 1 files have none.</summary>
+    public List<PromptResource> Resources { get; set; } = new();
+
+    /// <summary>Generation settings at save time; null when the build was saved without them.</summary>
+    public ComfySettingsSnapshot? ComfySettings { get; set; }
+}
+
+public class BuildCharacter
+{
+    public string Name { get; set; } = string.Empty;
+    public CharacterSubject Subject { get; set; } = CharacterSubject.Girl;
+
+    /// <summary>Where regional prompting puts the character; null to place it automatically.</summary>
+    public SceneArea? Area { get; set; }
+
+    /// <summary>Selections keyed by panel key.</summary>
+    public Dictionary<string, BuildPanel> Panels { get; set; } = new();
+}
+
+public class BuildPanel
+{
+    public int PromptOrderWeight { get; set; }
+    public SelectionMode SelectionMode { get; set; }
+
+    /// <summary>Selected tags in prompt order, each identified by its canonical tag.</summary>
+    public List<BuildTag> Tags { get; set; } = new();
+}
+
+public class BuildTag
+{
+    public string CanonicalTag { get; set; } = string.Empty;
+    public string Display { get; set; } = string.Empty;
+    public string ImageUrl { get; set; } = string.Empty;
+    public int? NodeId { get; set; }
+    public double Weight { get; set; } = 1.0;
+    public WeightStyle WeightStyle { get; set; } = WeightStyle.Numeric;
+    public bool Negative { get; set; }
+}
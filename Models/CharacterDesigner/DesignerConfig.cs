@@ -22,6 +22,10 @@ public class PanelConfig
     public string Title { get; set; } = string.Empty;
     public SelectionMode SelectionMode { get; set; } = SelectionMode.Single;
     public int PromptOrderWeight { get; set; } = 100;
+
+    /// <summary>Scene panels hold tags shared by every character, such as the background.</summary>
+    public PanelScope Scope { get; set; } = PanelScope.Character;
+
     public List<SourceConfig> Sources { get; set; } = new();
 }
 
@@ -40,6 +44,12 @@ public enum SelectionMode
     Multi
 }
 
+public enum PanelScope
+{
+    Character,
+    Scene
+}
+
 public enum SourceType
 {
     DbQuery,
@@ -0,0 +1,20 @@
+namespace TagbooruQuest.Models.CharacterDesigner;
+
+public enum PromptResourceKind
+{
+    /// <summary>Written as <c>&lt;lora:name:0.8&gt;</c>; ComfyUI loads it with a LoraLoader node.</summary>
+    Lora,
+    /// <summary>A textual inversion, written as <c>embedding:name</c> in the prompt text.</summary>
+    Embedding
+}
+
+/// <summary>
+/// A LoRA or embedding attached to a build, named as ComfyUI lists it (e.g.
+/// <c>styles/flat.safetensors</c>). <see cref="Negative"/> only applies to embeddings.
+/// </summary>
+public record PromptResource(PromptResourceKind Kind, string Name, double Strength = 1.0, bool Negative = false)
+{
+    public const double MinStrength = -2.0;
+    public const double MaxStrength = 2.0;
+    public const double StrengthStep = 0.05;
+}
@@ -0,0 +1,38 @@
+namespace TagbooruQuest.Models.CharacterDesigner;
+
+/// <summary>
+/// Emphasis syntax used when the prompt is written out.
+/// </summary>
+public enum PromptOutputFormat
+{
+    /// <summary>A1111 / ComfyUI: <c>(tag:1.2)</c>, or <c>((tag))</c> / <c>[tag]</c> at 1.1 per level.</summary>
+    A1111,
+    /// <summary>NovelAI: <c>{tag}</c> / <c>[tag]</c> at 1.05 per level; numeric weights are not supported.</summary>
+    NovelAI
+}
+
+/// <summary>
+/// How a single selection writes its weight in the A1111 format. NovelAI always uses brackets.
+/// </summary>
+public enum WeightStyle
+{
+    Numeric,
+    Brackets
+}
+
+/// <summary>
+/// Per-selection emphasis. A weight of 1.0 writes the tag unchanged.
+/// </summary>
+public class TagWeight
+{
+    public const double Min = 0.1;
+    public const double Max = 2.0;
+    public const double Step = 0.1;
+
+    public double Weight { get; set; } = 1.0;
+    public WeightStyle Style { get; set; } = WeightStyle.Numeric;
+
+    public bool IsNeutral => Math.Abs(Weight - 1.0) < 0.001;
+
+    public TagWeight Clone() => new() { Weight = Weight, Style = Style };
+}
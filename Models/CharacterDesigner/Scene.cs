@@ -0,0 +1,47 @@
+namespace TagbooruQuest.Models.CharacterDesigner;
+
+/// <summary>
+/// How a scene with more than one character is written out. A scene with one character
+/// always gives a plain tag list.
+/// </summary>
+public enum SceneOutputMode
+{
+    /// <summary>One tag list: count tags, every character's tags, then the scene's.</summary>
+    Combined,
+    /// <summary>Count and scene tags, then each character after a <c>BREAK</c>.</summary>
+    Break,
+    /// <summary>
+    /// Copied like <see cref="Break"/>; sent to ComfyUI as one area conditioning per character
+    /// combined with the scene's.
+    /// </summary>
+    Regional
+}
+
+/// <summary>Who a character is, for the count tags (<c>2girls</c>, <c>1boy</c>, …).</summary>
+public enum CharacterSubject
+{
+    Girl,
+    Boy,
+    Other
+}
+
+/// <summary>Part of the image, as fractions of its width and height from the top-left corner.</summary>
+public record SceneArea(double X, double Y, double Width, double Height)
+{
+    public static readonly SceneArea Whole = new(0, 0, 1, 1);
+
+    /// <summary>Column <paramref name="index"/> of <paramref name="count"/> equal columns.</summary>
+    public static SceneArea Column(int index, int count) => new((double)index / count, 0, 1.0 / count, 1);
+}
+
+/// <summary>A character of the scene. <see cref="Area"/> is null to place it automatically.</summary>
+public record SceneCharacter(string Id, string Name, CharacterSubject Subject, SceneArea? Area);
+
+/// <summary>One character's part of a <see cref="ScenePrompt"/>.</summary>
+public record CharacterPrompt(string Name, string Prompt, SceneArea Area);
+
+/// <summary>
+/// The positive prompt split for regional prompting: <see cref="Base"/> holds the count
+/// tags, scene tags, embeddings and LoRAs; each character's tags come separately.
+/// </summary>
+public record ScenePrompt(string Base, IReadOnlyList<CharacterPrompt> Characters);
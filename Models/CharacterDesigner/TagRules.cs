@@ -0,0 +1,47 @@
+namespace TagbooruQuest.Models.CharacterDesigner;
+
+/// <summary>
+/// Rules between tags from <c>tag-rules.json</c>. Tags are matched the way the tag database
+/// spells them, ignoring case and underscores.
+/// </summary>
+public class TagRuleSet
+{
+    /// <summary>Tags that contradict each other; a build should hold at most one side of each rule.</summary>
+    public List<TagExclusionRule> Exclusions { get; set; } = new();
+
+    /// <summary>Tags that usually come with another one; missing companions are only suggested.</summary>
+    public List<TagCompanionRule> Implications { get; set; } = new();
+
+    /// <summary>Tags that make no sense without a companion; missing companions are warned about.</summary>
+    public List<TagCompanionRule> Requirements { get; set; } = new();
+}
+
+public class TagExclusionRule
+{
+    public List<string> Tags { get; set; } = new();
+
+    /// <summary>
+    /// When set, <see cref="Tags"/> only conflict with these and not with each other,
+    /// e.g. <c>barefoot</c> against every kind of footwear.
+    /// </summary>
+    public List<string> Against { get; set; } = new();
+
+    /// <summary>
+    /// Selecting one of the tags removes the others instead of warning, e.g. hair lengths.
+    /// </summary>
+    public bool Enforce { get; set; }
+
+    /// <summary>Why the tags conflict, shown with the warning.</summary>
+    public string? Note { get; set; }
+}
+
+public class TagCompanionRule
+{
+    /// <summary>Tags any of which trigger the rule.</summary>
+    public List<string> When { get; set; } = new();
+
+    /// <summary>Companions any one of which satisfies the rule; the first is the one a fix adds.</summary>
+    public List<string> AnyOf { get; set; } = new();
+
+    public string? Note { get; set; }
+}
@@ -1,8 +1,13 @@
+using System.Text.Json;
 using TagbooruQuest.Models.CharacterDesigner;
 using SelectionMode = TagbooruQuest.Models.CharacterDesigner.SelectionMode;
 
 namespace TagbooruQuest.Services.CharacterDesigner;
 
+/// <summary>
+/// The scene being designed: one or more characters and the tags they share. Panel
+/// methods act on the active character, or on the scene for panels with scene scope.
+/// </summary>
 public interface ICharacterBuildState
 {
     void SetSelection(string panelKey, int promptOrderWeight, Models.CharacterDesigner.SelectionMode mode, IEnumerable<TagOption> options);
@@ -10,87 +15,266 @@ public interface ICharacterBuildState
     void RemoveSelection(string panelKey, string canonicalTag);
     List<TagOption> GetSelections(string panelKey);
     List<TagOption> GetAllSelections();
+    TagWeight GetWeight(string panelKey, string canonicalTag);
+    void SetWeight(string panelKey, string canonicalTag, double weight, WeightStyle? style = null);
+    void MoveSelection(string panelKey, string canonicalTag, int newIndex);
+    bool IsNegative(string panelKey, string canonicalTag);
+    void SetNegative(string panelKey, string canonicalTag, bool negative);
+    PromptOutputFormat OutputFormat { get; set; }
+    SceneOutputMode SceneMode { get; set; }
+
+    /// <summary>The whole scene's prompt, written as <see cref="SceneMode"/> says.</summary>
     string BuildPrompt();
+
+    /// <summary>Negative selections of every character and the scene.</summary>
+    string BuildNegativePrompt();
+
+    /// <summary>The positive prompt with each character apart, for regional prompting.</summary>
+    ScenePrompt BuildScenePrompt();
+
+    /// <summary>Selections of the active character and the scene panels.</summary>
+    Dictionary<string, BuildPanel> ExportSelections();
+
+    IReadOnlyList<SceneCharacter> Characters { get; }
+    SceneCharacter ActiveCharacter { get; }
+
+    /// <summary>Make a character the one the designer panels edit. Not an undo step.</summary>
+    void SelectCharacter(string characterId);
+
+    /// <summary>Add a character, empty or as a copy of the active one, and make it active.</summary>
+    SceneCharacter AddCharacter(bool copyActive = false);
+
+    /// <summary>Change the name, subject or area of the character with the same id.</summary>
+    void UpdateCharacter(SceneCharacter character);
+
+    /// <summary>Remove a character with its selections; the last one is kept.</summary>
+    void RemoveCharacter(string characterId);
+
+    List<BuildCharacter> ExportCharacters();
+    Dictionary<string, BuildPanel> ExportScenePanels();
+
+    /// <summary>Replace every character and the scene selections, and notify once.</summary>
+    void ImportScene(IReadOnlyList<BuildCharacter> characters, IReadOnlyDictionary<string, BuildPanel> scenePanels);
+
+    /// <summary>LoRAs and embeddings attached to the build, in the order they were added.</summary>
+    IReadOnlyList<PromptResource> Resources { get; }
+
+    /// <summary>Attach a resource, or update the one with the same kind and name.</summary>
+    void SetResource(PromptResource resource);
+    void RemoveResource(PromptResourceKind kind, string name);
+    void SetResources(IEnumerable<PromptResource> resources);
     void Reset();
+
+    /// <summary>Undo and redo of every change made through this state.</summary>
+    UndoHistory History { get; }
     event Action? OnStateChanged;
 }
 
 public class CharacterBuildState : ICharacterBuildState
 {
-    private readonly Dictionary<string, PanelSelection> _selections = new();
+    private readonly ITagRuleService _tagRules;
+    private readonly IDesignerRegistry _designerRegistry;
+    private readonly List<CharacterSlot> _characters = new();
+    private readonly Dictionary<string, PanelSelection> _sceneSelections = new();
+    private readonly List<PromptResource> _resources = new();
+    private PromptOutputFormat _outputFormat = PromptOutputFormat.A1111;
+    private SceneOutputMode _sceneMode = SceneOutputMode.Break;
+    private int _activeIndex;
 
     public event Action? OnStateChanged;
 
-    public CharacterBuildState()
+    public UndoHistory History { get; } = new();
+
+    public PromptOutputFormat OutputFormat
     {
+        get => _outputFormat;
+        set
+        {
+            if (_outputFormat == value) return;
+            Track($"Format {value}", () =>
+            {
+                _outputFormat = value;
+                OnStateChanged?.Invoke();
+            });
+        }
     }
 
-    public void SetSelection(string panelKey, int promptOrderWeight, Models.CharacterDesigner.SelectionMode mode, IEnumerable<TagOption> options)
+    public SceneOutputMode SceneMode
     {
-        _selections[panelKey] = new PanelSelection
+        get => _sceneMode;
+        set
         {
-            PanelKey = panelKey,
-            PromptOrderWeight = promptOrderWeight,
-            SelectionMode = mode,
-            Options = options.ToList()
-        };
+            if (_sceneMode == value) return;
+            Track($"Scene output {value}", () =>
+            {
+                _sceneMode = value;
+                OnStateChanged?.Invoke();
+            });
+        }
+    }
+
+    public CharacterBuildState(ITagRuleService tagRules, IDesignerRegistry designerRegistry)
+    {
+        _tagRules = tagRules;
+        _designerRegistry = designerRegistry;
+        _characters.Add(new CharacterSlot(NewCharacter()));
+    }
+
+    public IReadOnlyList<SceneCharacter> Characters => _characters.Select(c => c.Character).ToList();
+
+    public SceneCharacter ActiveCharacter => Active.Character;
+
+    private CharacterSlot Active => _characters[_activeIndex];
+
+    public void SelectCharacter(string characterId)
+    {
+        var index = _characters.FindIndex(c => c.Character.Id == characterId);
+        if (index < 0 || index == _activeIndex)
+            return;
 
+        _activeIndex = index;
         OnStateChanged?.Invoke();
     }
 
-    public void ToggleSelection(string panelKey, int promptOrderWeight, Models.CharacterDesigner.SelectionMode mode, TagOption option)
+    public SceneCharacter AddCharacter(bool copyActive = false)
+    {
+        var character = NewCharacter() with { Subject = copyActive ? Active.Character.Subject : CharacterSubject.Girl };
+        Track($"Add {character.Name}", () =>
+        {
+            var slot = new CharacterSlot(character);
+            if (copyActive)
+                RestorePanels(slot.Selections, ExportPanels(Active.Selections.Values));
+
+            _characters.Add(slot);
+            _activeIndex = _characters.Count - 1;
+            OnStateChanged?.Invoke();
+        });
+        return character;
+    }
+
+    public void UpdateCharacter(SceneCharacter character)
+    {
+        var index = _characters.FindIndex(c => c.Character.Id == character.Id);
+        if (index < 0)
+            return;
+
+        var current = _characters[index].Character;
+        var updated = character with
+        {
+            Name = string.IsNullOrWhiteSpace(character.Name) ? current.Name : character.Name.Trim(),
+            Area = character.Area == null ? null : Clamp(character.Area)
+        };
+        if (updated == current)
+            return;
+
+        Track($"Edit {updated.Name}", () =>
+        {
+            _characters[index].Character = updated;
+            OnStateChanged?.Invoke();
+        }, mergeKey: $"character:{character.Id}");
+    }
+
+    public void RemoveCharacter(string characterId)
+    {
+        var index = _characters.FindIndex(c => c.Character.Id == characterId);
+        if (index < 0 || _characters.Count == 1)
+            return;
+
+        Track($"Remove {_characters[index].Character.Name}", () =>
+        {
+            _characters.RemoveAt(index);
+            if (_activeIndex > index || _activeIndex == _characters.Count)
+                _activeIndex--;
+            OnStateChanged?.Invoke();
+        });
+    }
+
+    public void SetSelection(string panelKey, int promptOrderWeight, Models.CharacterDesigner.SelectionMode mode, IEnumerable<TagOption> options)
     {
-        if (!_selections.TryGetValue(panelKey, out var selection))
+        Track($"Select {string.Join(", ", options.Select(o => o.Display))}", () =>
         {
-            selection = new PanelSelection
+            SelectionsFor(panelKey)[panelKey] = new PanelSelection
             {
                 PanelKey = panelKey,
                 PromptOrderWeight = promptOrderWeight,
                 SelectionMode = mode,
-                Options = new List<TagOption>()
+                Options = options.ToList()
             };
-            _selections[panelKey] = selection;
-        }
 
-        if (mode == SelectionMode.Single)
+            OnStateChanged?.Invoke();
+        });
+    }
+
+    public void ToggleSelection(string panelKey, int promptOrderWeight, Models.CharacterDesigner.SelectionMode mode, TagOption option)
+    {
+        // Adding a tag drops the ones an enforced rule says it contradicts; a single-select
+        // panel replaces its own selection anyway
+        var isAdding = !GetSelections(panelKey).Any(o => o.CanonicalTag == option.CanonicalTag);
+        var conflicts = isAdding
+            ? _tagRules.GetEnforcedConflicts(option.CanonicalTag, PositiveTags(mode == SelectionMode.Single ? panelKey : null))
+            : Array.Empty<string>();
+        var description = conflicts.Count == 0
+            ? $"Toggle {option.Display}"
+            : $"Toggle {option.Display}, removing {string.Join(", ", conflicts)}";
+
+        Track(description, () =>
         {
-            // Single mode: replace selection
-            var isCurrentlySelected = selection.Options.Any(o => o.CanonicalTag == option.CanonicalTag);
-            if (isCurrentlySelected)
+            foreach (var tag in conflicts)
+                RemovePositiveTag(tag);
+
+            var selections = SelectionsFor(panelKey);
+            if (!selections.TryGetValue(panelKey, out var selection))
             {
-                selection.Options.Clear(); // Deselect
+                selection = new PanelSelection
+                {
+                    PanelKey = panelKey,
+                    PromptOrderWeight = promptOrderWeight,
+                    SelectionMode = mode,
+                    Options = new List<TagOption>()
+                };
+                selections[panelKey] = selection;
             }
-            else
+
+            if (mode == SelectionMode.Single)
             {
+                // Single mode: replace selection
+                var isCurrentlySelected = selection.Options.Any(o => o.CanonicalTag == option.CanonicalTag);
                 selection.Options.Clear();
-                selection.Options.Add(option); // Select new
-            }
-        }
-        else
-        {
-            // Multi mode: toggle selection
-            var existingOption = selection.Options.FirstOrDefault(o => o.CanonicalTag == option.CanonicalTag);
-            if (existingOption != null)
-            {
-                selection.Options.Remove(existingOption);
+                selection.Weights.Clear();
+                selection.Negatives.Clear();
+                if (!isCurrentlySelected)
+                {
+                    selection.Options.Add(option); // Select new
+                }
             }
             else
             {
-                selection.Options.Add(option);
+                // Multi mode: toggle selection
+                var existingOption = selection.Options.FirstOrDefault(o => o.CanonicalTag == option.CanonicalTag);
+                if (existingOption != null)
+                {
+                    selection.Options.Remove(existingOption);
+                    selection.Weights.Remove(existingOption.CanonicalTag);
+                    selection.Negatives.Remove(existingOption.CanonicalTag);
+                }
+                else
+                {
+                    selection.Options.Add(option);
+                }
             }
-        }
 
-        OnStateChanged?.Invoke();
+            OnStateChanged?.Invoke();
+        });
     }
 
     public List<TagOption> GetSelections(string panelKey)
     {
-        return _selections.TryGetValue(panelKey, out var selection) ? selection.Options : new List<TagOption>();
+        return SelectionsFor(panelKey).TryGetValue(panelKey, out var selection) ? selection.Options : new List<TagOption>();
     }
 
     public List<TagOption> GetAllSelections()
     {
-        return _selections.Values
+        return VisibleSelections()
             .OrderBy(s => s.PromptOrderWeight)
             .SelectMany(s => s.Options)
             .GroupBy(o => o.CanonicalTag)
@@ -98,44 +282,548 @@ public class CharacterBuildState : ICharacterBuildState
             .ToList();
     }
 
+    public TagWeight GetWeight(string panelKey, string canonicalTag)
+    {
+        return SelectionsFor(panelKey).TryGetValue(panelKey, out var selection) && selection.Weights.TryGetValue(canonicalTag, out var weight)
+            ? weight.Clone()
+            : new TagWeight();
+    }
+
+    public void SetWeight(string panelKey, string canonicalTag, double weight, WeightStyle? style = null)
+    {
+        Track($"Weight {DisplayOf(panelKey, canonicalTag)}", () =>
+        {
+            if (!SelectionsFor(panelKey).TryGetValue(panelKey, out var selection) ||
+                !selection.Options.Any(o => o.CanonicalTag == canonicalTag))
+                return;
+
+            var current = selection.Weights.TryGetValue(canonicalTag, out var existing) ? existing : new TagWeight();
+            var updated = new TagWeight
+            {
+                Weight = Math.Round(Math.Clamp(weight, TagWeight.Min, TagWeight.Max), 2),
+                Style = style ?? current.Style
+            };
+
+            if (updated.IsNeutral && updated.Style == WeightStyle.Numeric)
+                selection.Weights.Remove(canonicalTag);
+            else
+                selection.Weights[canonicalTag] = updated;
+
+            OnStateChanged?.Invoke();
+        }, mergeKey: $"weight:{panelKey}:{canonicalTag}");
+    }
+
+    public void MoveSelection(string panelKey, string canonicalTag, int newIndex)
+    {
+        Track($"Move {DisplayOf(panelKey, canonicalTag)}", () =>
+        {
+            if (!SelectionsFor(panelKey).TryGetValue(panelKey, out var selection))
+                return;
+
+            var option = selection.Options.FirstOrDefault(o => o.CanonicalTag == canonicalTag);
+            if (option == null)
+                return;
+
+            var oldIndex = selection.Options.IndexOf(option);
+            newIndex = Math.Clamp(newIndex, 0, selection.Options.Count - 1);
+            if (oldIndex == newIndex)
+                return;
+
+            selection.Options.RemoveAt(oldIndex);
+            selection.Options.Insert(newIndex, option);
+            OnStateChanged?.Invoke();
+        });
+    }
+
+    public bool IsNegative(string panelKey, string canonicalTag)
+    {
+        return SelectionsFor(panelKey).TryGetValue(panelKey, out var selection) && selection.Negatives.Contains(canonicalTag);
+    }
+
+    public void SetNegative(string panelKey, string canonicalTag, bool negative)
+    {
+        Track($"{(negative ? "Negative" : "Positive")} {DisplayOf(panelKey, canonicalTag)}", () =>
+        {
+            if (!SelectionsFor(panelKey).TryGetValue(panelKey, out var selection) ||
+                !selection.Options.Any(o => o.CanonicalTag == canonicalTag))
+                return;
+
+            var changed = negative ? selection.Negatives.Add(canonicalTag) : selection.Negatives.Remove(canonicalTag);
+            if (changed)
+                OnStateChanged?.Invoke();
+        });
+    }
+
     public string BuildPrompt()
     {
-        var allSelections = GetAllSelections();
-        var displays = allSelections.Select(o => o.Display);
-        return string.Join(" ", displays);
+        if (_characters.Count == 1)
+            return PromptFormatter.Join(FormatTags(VisibleSelections(), negative: false).Concat(FormatResources(negative: false)));
+
+        var count = FormatCountTags();
+        var scene = FormatTags(_sceneSelections.Values, negative: false, skipCountTags: true);
+        var characters = _characters.Select(c => FormatTags(c.Selections.Values, negative: false, skipCountTags: true)).ToList();
+
+        if (_sceneMode == SceneOutputMode.Combined)
+        {
+            return PromptFormatter.Join(count
+                .Concat(characters.SelectMany(c => c))
+                .Concat(scene)
+                .Distinct()
+                .Concat(FormatResources(negative: false)));
+        }
+
+        // Empty characters keep their segment, so regions still line up with characters
+        var segments = new List<string> { PromptFormatter.Join(count.Concat(scene)) };
+        segments.AddRange(characters.Select(PromptFormatter.Join));
+        segments[^1] = PromptFormatter.Join(new[] { segments[^1] }.Concat(FormatResources(negative: false)));
+        return string.Join(PromptFormatter.BreakSeparator, segments);
     }
 
-    public void RemoveSelection(string panelKey, string canonicalTag)
+    /// <summary>
+    /// Only the selections marked negative. The negative preset is added by
+    /// INegativePresetService.Compose, not here.
+    /// </summary>
+    public string BuildNegativePrompt()
     {
-        if (_selections.TryGetValue(panelKey, out var selection))
+        var all = _characters.SelectMany(c => c.Selections.Values).Concat(_sceneSelections.Values);
+        return PromptFormatter.Join(FormatTags(all, negative: true).Concat(FormatResources(negative: true)));
+    }
+
+    public ScenePrompt BuildScenePrompt()
+    {
+        if (_characters.Count == 1)
+            return new ScenePrompt(BuildPrompt(), Array.Empty<CharacterPrompt>());
+
+        var baseTags = FormatCountTags()
+            .Concat(FormatTags(_sceneSelections.Values, negative: false, skipCountTags: true))
+            .Concat(FormatResources(negative: false));
+        var characters = _characters
+            .Select((c, i) => new CharacterPrompt(
+                c.Character.Name,
+                PromptFormatter.Join(FormatTags(c.Selections.Values, negative: false, skipCountTags: true)),
+                c.Character.Area ?? SceneArea.Column(i, _characters.Count)))
+            .ToList();
+        return new ScenePrompt(PromptFormatter.Join(baseTags), characters);
+    }
+
+    public IReadOnlyList<PromptResource> Resources => _resources;
+
+    public void SetResource(PromptResource resource)
+    {
+        Track($"{resource.Kind} {resource.Name}", () =>
         {
-            var optionToRemove = selection.Options.FirstOrDefault(o => o.CanonicalTag == canonicalTag);
-            if (optionToRemove != null)
+            resource = Normalize(resource);
+            var index = _resources.FindIndex(r => IsSameResource(r, resource.Kind, resource.Name));
+            if (index >= 0)
+            {
+                if (_resources[index] == resource) return;
+                _resources[index] = resource;
+            }
+            else
             {
-                selection.Options.Remove(optionToRemove);
+                _resources.Add(resource);
+            }
 
-                // If this panel has no more selections, remove the entire panel entry
-                if (selection.Options.Count == 0)
+            OnStateChanged?.Invoke();
+        }, mergeKey: $"resource:{resource.Kind}:{resource.Name}");
+    }
+
+    public void RemoveResource(PromptResourceKind kind, string name)
+    {
+        Track($"Remove {name}", () =>
+        {
+            if (_resources.RemoveAll(r => IsSameResource(r, kind, name)) > 0)
+                OnStateChanged?.Invoke();
+        });
+    }
+
+    public void SetResources(IEnumerable<PromptResource> resources)
+    {
+        var list = resources.ToList();
+        Track("Set LoRAs and embeddings", () =>
+        {
+            RestoreResources(list);
+            OnStateChanged?.Invoke();
+        });
+    }
+
+    /// <summary>
+    /// The selections' tags in prompt order with their emphasis. In a scene with several
+    /// characters the count tags are written for the whole scene, so the panels' are skipped.
+    /// </summary>
+    private IEnumerable<string> FormatTags(IEnumerable<PanelSelection> selections, bool negative, bool skipCountTags = false)
+    {
+        return selections
+            .OrderBy(s => s.PromptOrderWeight)
+            .SelectMany(s => s.Options.Select(o => (Panel: s, Option: o)))
+            .GroupBy(x => x.Option.CanonicalTag)
+            .Select(g => g.First())
+            .Where(x => x.Panel.Negatives.Contains(x.Option.CanonicalTag) == negative)
+            .Where(x => !skipCountTags || !CountTags.IsCountTag(x.Option.CanonicalTag))
+            .Select(x => PromptFormatter.FormatTag(
+                x.Option.Display,
+                x.Panel.Weights.GetValueOrDefault(x.Option.CanonicalTag),
+                _outputFormat))
+            .ToList();
+    }
+
+    private IEnumerable<string> FormatCountTags()
+    {
+        return CountTags.For(_characters.Select(c => c.Character.Subject))
+            .Select(tag => PromptFormatter.FormatTag(tag, null, _outputFormat))
+            .ToList();
+    }
+
+    // Embeddings go after the tags; LoRAs last, where A1111 expects them
+    private IEnumerable<string> FormatResources(bool negative)
+    {
+        return _resources
+            .Where(r => r.Kind == PromptResourceKind.Embedding && r.Negative == negative)
+            .Concat(negative ? Enumerable.Empty<PromptResource>() : _resources.Where(r => r.Kind == PromptResourceKind.Lora))
+            .Select(r => PromptFormatter.FormatResource(r, _outputFormat))
+            .Where(text => text.Length > 0)
+            .ToList();
+    }
+
+    public void RemoveSelection(string panelKey, string canonicalTag)
+    {
+        Track($"Remove {DisplayOf(panelKey, canonicalTag)}", () =>
+        {
+            var selections = SelectionsFor(panelKey);
+            if (selections.TryGetValue(panelKey, out var selection))
+            {
+                var optionToRemove = selection.Options.FirstOrDefault(o => o.CanonicalTag == canonicalTag);
+                if (optionToRemove != null)
                 {
-                    _selections.Remove(panelKey);
+                    selection.Options.Remove(optionToRemove);
+                    selection.Weights.Remove(canonicalTag);
+                    selection.Negatives.Remove(canonicalTag);
+
+                    // If this panel has no more selections, remove the entire panel entry
+                    if (selection.Options.Count == 0)
+                    {
+                        selections.Remove(panelKey);
+                    }
+
+                    OnStateChanged?.Invoke();
                 }
+            }
+        });
+    }
 
-                OnStateChanged?.Invoke();
+    /// <summary>
+    /// Copy of every selection with its weight and negative flag, keyed by panel key.
+    /// </summary>
+    public Dictionary<string, BuildPanel> ExportSelections()
+    {
+        return ExportPanels(VisibleSelections());
+    }
+
+    public List<BuildCharacter> ExportCharacters()
+    {
+        return _characters.Select(c => new BuildCharacter
+        {
+            Name = c.Character.Name,
+            Subject = c.Character.Subject,
+            Area = c.Character.Area,
+            Panels = ExportPanels(c.Selections.Values)
+        }).ToList();
+    }
+
+    public Dictionary<string, BuildPanel> ExportScenePanels()
+    {
+        return ExportPanels(_sceneSelections.Values);
+    }
+
+    public void ImportScene(IReadOnlyList<BuildCharacter> characters, IReadOnlyDictionary<string, BuildPanel> scenePanels)
+    {
+        Track("Load scene", () =>
+        {
+            _characters.Clear();
+            RestorePanels(_sceneSelections, scenePanels);
+
+            foreach (var character in characters)
+            {
+                var slot = new CharacterSlot(NewCharacter() with
+                {
+                    Name = string.IsNullOrWhiteSpace(character.Name) ? NewCharacter().Name : character.Name.Trim(),
+                    Subject = character.Subject,
+                    Area = character.Area == null ? null : Clamp(character.Area)
+                });
+
+                // A panel may have become a scene panel since the build was saved
+                foreach (var (panelKey, panel) in character.Panels)
+                {
+                    if (ToSelection(panelKey, panel) is not { } selection)
+                        continue;
+
+                    if (!IsScenePanel(panelKey))
+                        slot.Selections[panelKey] = selection;
+                    else
+                        _sceneSelections.TryAdd(panelKey, selection);
+                }
+                _characters.Add(slot);
             }
-        }
+            if (_characters.Count == 0)
+                _characters.Add(new CharacterSlot(NewCharacter()));
+
+            _activeIndex = 0;
+            OnStateChanged?.Invoke();
+        });
     }
 
     public void Reset()
     {
-        _selections.Clear();
+        Track("Reset all", () =>
+        {
+            _characters.Clear();
+            _characters.Add(new CharacterSlot(NewCharacter()));
+            _activeIndex = 0;
+            _sceneSelections.Clear();
+            _resources.Clear();
+            OnStateChanged?.Invoke();
+        });
+    }
+
+    /// <summary>Where a panel's selections live: with the scene or with the active character.</summary>
+    private Dictionary<string, PanelSelection> SelectionsFor(string panelKey)
+    {
+        return IsScenePanel(panelKey) ? _sceneSelections : Active.Selections;
+    }
+
+    private bool IsScenePanel(string panelKey)
+    {
+        return _designerRegistry.Config.Groups
+            .SelectMany(g => g.Panels)
+            .Any(p => p.Key == panelKey && p.Scope == PanelScope.Scene);
+    }
+
+    /// <summary>What the designer shows: the active character's selections and the scene's.</summary>
+    private IEnumerable<PanelSelection> VisibleSelections()
+    {
+        return Active.Selections.Values.Concat(_sceneSelections.Values);
+    }
+
+    /// <summary>A character named after the first free "Character n".</summary>
+    private SceneCharacter NewCharacter()
+    {
+        var number = 1;
+        while (_characters.Any(c => c.Character.Name == $"Character {number}"))
+            number++;
+
+        return new SceneCharacter(Guid.NewGuid().ToString("N"), $"Character {number}", CharacterSubject.Girl, null);
+    }
+
+    private static SceneArea Clamp(SceneArea area)
+    {
+        var x = Math.Clamp(area.X, 0, 1);
+        var y = Math.Clamp(area.Y, 0, 1);
+        return new SceneArea(x, y, Math.Clamp(area.Width, 0, 1 - x), Math.Clamp(area.Height, 0, 1 - y));
+    }
+
+    private static Dictionary<string, BuildPanel> ExportPanels(IEnumerable<PanelSelection> selections)
+    {
+        return selections.ToDictionary(
+            s => s.PanelKey,
+            s => new BuildPanel
+            {
+                PromptOrderWeight = s.PromptOrderWeight,
+                SelectionMode = s.SelectionMode,
+                Tags = s.Options.Select(o =>
+                {
+                    var weight = s.Weights.GetValueOrDefault(o.CanonicalTag) ?? new TagWeight();
+                    return new BuildTag
+                    {
+                        CanonicalTag = o.CanonicalTag,
+                        Display = o.Display,
+                        ImageUrl = o.ImageUrl,
+                        NodeId = o.NodeId,
+                        Weight = weight.Weight,
+                        WeightStyle = weight.Style,
+                        Negative = s.Negatives.Contains(o.CanonicalTag)
+                    };
+                }).ToList()
+            });
+    }
+
+    private static void RestorePanels(Dictionary<string, PanelSelection> target, IReadOnlyDictionary<string, BuildPanel> panels)
+    {
+        target.Clear();
+        foreach (var (panelKey, panel) in panels)
+        {
+            if (ToSelection(panelKey, panel) is { } selection)
+                target[panelKey] = selection;
+        }
+    }
+
+    /// <summary>A saved panel as a selection, or null when it has no tags.</summary>
+    private static PanelSelection? ToSelection(string panelKey, BuildPanel panel)
+    {
+        var selection = new PanelSelection
+        {
+            PanelKey = panelKey,
+            PromptOrderWeight = panel.PromptOrderWeight,
+            SelectionMode = panel.SelectionMode
+        };
+
+        foreach (var tag in panel.Tags.DistinctBy(t => t.CanonicalTag))
+        {
+            selection.Options.Add(new TagOption
+            {
+                CanonicalTag = tag.CanonicalTag,
+                Display = tag.Display,
+                ImageUrl = tag.ImageUrl,
+                NodeId = tag.NodeId
+            });
+
+            var weight = new TagWeight
+            {
+                Weight = Math.Round(Math.Clamp(tag.Weight, TagWeight.Min, TagWeight.Max), 2),
+                Style = tag.WeightStyle
+            };
+            if (!weight.IsNeutral || weight.Style != WeightStyle.Numeric)
+                selection.Weights[tag.CanonicalTag] = weight;
+            if (tag.Negative)
+                selection.Negatives.Add(tag.CanonicalTag);
+        }
+
+        return selection.Options.Count > 0 ? selection : null;
+    }
+
+    private void RestoreResources(IEnumerable<PromptResource> resources)
+    {
+        _resources.Clear();
+        foreach (var resource in resources.Where(r => !string.IsNullOrWhiteSpace(r.Name)))
+        {
+            if (!_resources.Any(r => IsSameResource(r, resource.Kind, resource.Name)))
+                _resources.Add(Normalize(resource));
+        }
+    }
+
+    private static PromptResource Normalize(PromptResource resource) => resource with
+    {
+        Name = resource.Name.Trim(),
+        Strength = Math.Round(Math.Clamp(resource.Strength, PromptResource.MinStrength, PromptResource.MaxStrength), 2),
+        // LoRAs have no negative side
+        Negative = resource.Kind == PromptResourceKind.Embedding && resource.Negative
+    };
+
+    private static bool IsSameResource(PromptResource resource, PromptResourceKind kind, string name) =>
+        resource.Kind == kind && resource.Name.Equals(name.Trim(), StringComparison.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// Run a change and record it in <see cref="History"/> as a before/after snapshot.
+    /// Changes that leave the build as it was are not recorded.
+    /// </summary>
+    private void Track(string description, Action change, string? mergeKey = null)
+    {
+        if (History.IsApplying)
+        {
+            change();
+            return;
+        }
+
+        var before = CaptureSnapshot();
+        change();
+        var after = CaptureSnapshot();
+
+        if (before.Signature != after.Signature)
+        {
+            History.Record(new SnapshotCommand<BuildSnapshot>(description, before, after, RestoreSnapshot, mergeKey));
+        }
+    }
+
+    // Which character is active is restored with a step but is not a change by itself
+    private BuildSnapshot CaptureSnapshot()
+    {
+        var characters = _characters.Select(c => (c.Character, Panels: ExportPanels(c.Selections.Values))).ToList();
+        var scene = ExportScenePanels();
+        var resources = _resources.ToList();
+        var signature = string.Join("|",
+            _outputFormat,
+            _sceneMode,
+            JsonSerializer.Serialize(characters.Select(c => new { c.Character, c.Panels })),
+            JsonSerializer.Serialize(scene),
+            JsonSerializer.Serialize(resources));
+        return new BuildSnapshot(characters, scene, resources, _outputFormat, _sceneMode, _activeIndex, signature);
+    }
+
+    private void RestoreSnapshot(BuildSnapshot snapshot)
+    {
+        _outputFormat = snapshot.Format;
+        _sceneMode = snapshot.SceneMode;
+        RestoreResources(snapshot.Resources);
+
+        _characters.Clear();
+        foreach (var (character, panels) in snapshot.Characters)
+        {
+            var slot = new CharacterSlot(character);
+            RestorePanels(slot.Selections, panels);
+            _characters.Add(slot);
+        }
+        _activeIndex = Math.Clamp(snapshot.ActiveIndex, 0, _characters.Count - 1);
+        RestorePanels(_sceneSelections, snapshot.Scene);
+
         OnStateChanged?.Invoke();
     }
 
+    private IEnumerable<string> PositiveTags(string? exceptPanelKey)
+    {
+        return VisibleSelections()
+            .Where(s => s.PanelKey != exceptPanelKey)
+            .SelectMany(s => s.Options.Where(o => !s.Negatives.Contains(o.CanonicalTag)))
+            .Select(o => o.CanonicalTag);
+    }
+
+    private void RemovePositiveTag(string canonicalTag)
+    {
+        foreach (var selections in new[] { Active.Selections, _sceneSelections })
+        {
+            foreach (var selection in selections.Values.ToList())
+            {
+                if (selection.Negatives.Contains(canonicalTag))
+                    continue;
+
+                selection.Options.RemoveAll(o => o.CanonicalTag == canonicalTag);
+                selection.Weights.Remove(canonicalTag);
+                if (selection.Options.Count == 0)
+                    selections.Remove(selection.PanelKey);
+            }
+        }
+    }
+
+    private string DisplayOf(string panelKey, string canonicalTag)
+    {
+        return GetSelections(panelKey).FirstOrDefault(o => o.CanonicalTag == canonicalTag)?.Display ?? canonicalTag;
+    }
+
+    private record BuildSnapshot(
+        List<(SceneCharacter Character, Dictionary<string, BuildPanel> Panels)> Characters,
+        Dictionary<string, BuildPanel> Scene,
+        List<PromptResource> Resources,
+        PromptOutputFormat Format,
+        SceneOutputMode SceneMode,
+        int ActiveIndex,
+        string Signature);
+
+    private class CharacterSlot
+    {
+        public CharacterSlot(SceneCharacter character)
+        {
+            Character = character;
+        }
+
+        public SceneCharacter Character { get; set; }
+        public Dictionary<string, PanelSelection> Selections { get; } = new();
+    }
+
     private class PanelSelection
     {
         public string PanelKey { get; set; } = string.Empty;
         public int PromptOrderWeight { get; set; }
         public SelectionMode SelectionMode { get; set; }
         public List<TagOption> Options { get; set; } = new();
+        public Dictionary<string, TagWeight> Weights { get; } = new();
+        public HashSet<string> Negatives { get; } = new();
     }
 }
\ No newline at end of file
@@ -0,0 +1,410 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using TagbooruQuest.Data;
+using TagbooruQuest.Models.CharacterDesigner;
+using TagbooruQuest.Services.ComfyUI;
+using SelectionMode = TagbooruQuest.Models.CharacterDesigner.SelectionMode;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+public interface ICharacterBuildStore
+{
+    CharacterBuildDocument CreateDocument(string name, bool includeComfySettings = true);
+    string Serialize(CharacterBuildDocument document);
+    CharacterBuildDocument Deserialize(string json);
+    Task<BuildValidationResult> ValidateAsync(CharacterBuildDocument document);
+    Task<BuildValidationResult> ApplyAsync(CharacterBuildDocument document, bool applyComfySettings);
+    Task<string> SaveAsync(CharacterBuildDocument document);
+    Task<List<SavedBuildInfo>> ListSavedAsync();
+    Task<CharacterBuildDocument> LoadSavedAsync(string fileName);
+    void DeleteSaved(string fileName);
+    string GetExportFileName(CharacterBuildDocument document);
+}
+
+public record SavedBuildInfo(string FileName, string Name, DateTime SavedAt, int TagCount);
+
+/// <param name="Character">The character the tag belonged to; null for scene tags and single-character builds.</param>
+public record MissingBuildTag(string PanelKey, string CanonicalTag, string Reason, string? Character = null);
+
+public class BuildValidationResult
+{
+    /// <summary>The document with missing tags dropped and node ids refreshed.</summary>
+    public CharacterBuildDocument Document { get; init; } = new();
+    public List<MissingBuildTag> MissingTags { get; } = new();
+    public bool IsClean => MissingTags.Count == 0;
+}
+
+/// <summary>
+/// A build file that is not valid JSON, has no version, or was written by a newer version.
+/// </summary>
+public sealed class CharacterBuildFormatException : FormatException
+{
+    public CharacterBuildFormatException(string message, Exception? inner = null) : base(message, inner)
+    {
+    }
+}
+
+public class CharacterBuildStore : ICharacterBuildStore
+{
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private readonly ICharacterBuildState _buildState;
+    private readonly IDesignerRegistry _designerRegistry;
+    private readonly ITagSpriteResolver _spriteResolver;
+    private readonly TagGraphService _tagGraphService;
+    private readonly IComfySettingsService _comfySettings;
+    private readonly string _buildsDirectory;
+
+    public CharacterBuildStore(
+        ICharacterBuildState buildState,
+        IDesignerRegistry designerRegistry,
+        ITagSpriteResolver spriteResolver,
+        TagGraphService tagGraphService,
+        IComfySettingsService comfySettings,
+        IFileService fileService)
+    {
+        _buildState = buildState;
+        _designerRegistry = designerRegistry;
+        _spriteResolver = spriteResolver;
+        _tagGraphService = tagGraphService;
+        _comfySettings = comfySettings;
+        _buildsDirectory = Path.Combine(fileService.AppDataDirectory, "builds");
+    }
+
+    public CharacterBuildDocument CreateDocument(string name, bool includeComfySettings = true)
+    {
+        return new CharacterBuildDocument
+        {
+            Name = name.Trim(),
+            SavedAt = DateTime.UtcNow,
+            OutputFormat = _buildState.OutputFormat,
+            SceneMode = _buildState.SceneMode,
+            Panels = _buildState.ExportScenePanels(),
+            Characters = _buildState.ExportCharacters(),
+            Resources = _buildState.Resources.ToList(),
+            ComfySettings = includeComfySettings ? _comfySettings.CreateSnapshot() : null
+        };
+    }
+
+    public string Serialize(CharacterBuildDocument document)
+    {
+        return JsonSerializer.Serialize(document, JsonOptions);
+    }
+
+    public CharacterBuildDocument Deserialize(string json)
+    {
+        int version;
+        try
+        {
+            using var parsed = JsonDocument.Parse(json);
+            if (parsed.RootElement.ValueKind != JsonValueKind.Object ||
+                !TryGetPropertyIgnoreCase(parsed.RootElement, "version", out var versionElement) ||
+                !versionElement.TryGetInt32(out version))
+            {
+                throw new CharacterBuildFormatException("This file is not a character build (it has no version number).");
+            }
+        }
+        catch (JsonException ex)
+        {
+            throw new CharacterBuildFormatException($"This file is not valid JSON: {ex.Message}", ex);
+        }
+
+        if (version > CharacterBuildDocument.CurrentVersion)
+            throw new CharacterBuildFormatException(
+                $"This build was saved by a newer version of the app (format {version}; this version reads up to {CharacterBuildDocument.CurrentVersion}).");
+        if (version < 1)
+            throw new CharacterBuildFormatException($"Unknown build format version {version}.");
+
+        try
+        {
+            var document = JsonSerializer.Deserialize<CharacterBuildDocument>(json, JsonOptions)
+                ?? throw new CharacterBuildFormatException("The build file is empty.");
+            document.Panels ??= new();
+            // Version 1 had no resources, versions before 3 no characters
+            document.Resources ??= new();
+            document.Characters ??= new();
+            CheckComplete(document);
+            return document;
+        }
+        catch (JsonException ex)
+        {
+            throw new CharacterBuildFormatException($"The build file is damaged: {ex.Message}", ex);
+        }
+    }
+
+    // Shared files are hand-edited; reject explicit nulls here instead of failing later while applying
+    private static void CheckComplete(CharacterBuildDocument document)
+    {
+        if (document.Resources.Any(r => r == null))
+            throw new CharacterBuildFormatException("The build file is damaged: a resource entry is empty.");
+
+        CheckPanels(document.Panels, "the scene");
+        foreach (var (character, index) in document.Characters.Select((c, i) => (c, i + 1)))
+        {
+            if (character == null)
+                throw new CharacterBuildFormatException($"The build file is damaged: character {index} is empty.");
+            if (character.Panels == null)
+                throw new CharacterBuildFormatException($"The build file is damaged: character {index} has no panels.");
+            CheckPanels(character.Panels, string.IsNullOrEmpty(character.Name) ? $"character {index}" : $"\"{character.Name}\"");
+        }
+    }
+
+    private static void CheckPanels(Dictionary<string, BuildPanel> panels, string owner)
+    {
+        foreach (var (panelKey, panel) in panels)
+        {
+            if (panel == null)
+                throw new CharacterBuildFormatException($"The build file is damaged: the \"{panelKey}\" panel of {owner} is empty.");
+            if (panel.Tags == null)
+                throw new CharacterBuildFormatException($"The build file is damaged: the \"{panelKey}\" panel of {owner} has no tag list.");
+            if (panel.Tags.Any(t => t == null || string.IsNullOrWhiteSpace(t.CanonicalTag)))
+                throw new CharacterBuildFormatException($"The build file is damaged: the \"{panelKey}\" panel of {owner} has a tag without a name.");
+        }
+    }
+
+    /// <summary>
+    /// Check every selection against the current designer configuration and tag database.
+    /// Panels that were removed or renamed, and tags that are no longer in the database or
+    /// the panel's sprite folders, are reported and left out of the returned document.
+    /// </summary>
+    public async Task<BuildValidationResult> ValidateAsync(CharacterBuildDocument document)
+    {
+        await _spriteResolver.LoadAsync();
+
+        var result = new BuildValidationResult
+        {
+            Document = new CharacterBuildDocument
+            {
+                Version = CharacterBuildDocument.CurrentVersion,
+                Name = document.Name,
+                SavedAt = document.SavedAt,
+                OutputFormat = document.OutputFormat,
+                SceneMode = document.SceneMode,
+                Resources = document.Resources.ToList(),
+                ComfySettings = document.ComfySettings
+            }
+        };
+
+        result.Document.Panels = await ValidatePanelsAsync(document.Panels, result.MissingTags, null);
+        foreach (var character in document.Characters)
+        {
+            result.Document.Characters.Add(new BuildCharacter
+            {
+                Name = character.Name,
+                Subject = character.Subject,
+                Area = character.Area,
+                Panels = await ValidatePanelsAsync(character.Panels, result.MissingTags, character.Name)
+            });
+        }
+
+        return result;
+    }
+
+    public async Task<BuildValidationResult> ApplyAsync(CharacterBuildDocument document, bool applyComfySettings)
+    {
+        var result = await ValidateAsync(document);
+
+        using (_buildState.History.BeginBatch($"Load {result.Document.Name}".TrimEnd()))
+        {
+            _buildState.OutputFormat = result.Document.OutputFormat;
+            _buildState.SceneMode = result.Document.SceneMode;
+            if (result.Document.Characters.Count > 0)
+            {
+                _buildState.ImportScene(result.Document.Characters, result.Document.Panels);
+            }
+            else
+            {
+                // Builds from before version 3 are one character; its scene tags find their way
+                _buildState.ImportScene(new[] { new BuildCharacter { Panels = result.Document.Panels } },
+                    new Dictionary<string, BuildPanel>());
+            }
+            _buildState.SetResources(result.Document.Resources);
+        }
+
+        if (applyComfySettings && result.Document.ComfySettings != null)
+        {
+            await _comfySettings.ApplySnapshotAsync(result.Document.ComfySettings);
+        }
+
+        return result;
+    }
+
+    public async Task<string> SaveAsync(CharacterBuildDocument document)
+    {
+        Directory.CreateDirectory(_buildsDirectory);
+
+        var fileName = GetExportFileName(document);
+        await File.WriteAllTextAsync(Path.Combine(_buildsDirectory, fileName), Serialize(document));
+        return fileName;
+    }
+
+    public async Task<List<SavedBuildInfo>> ListSavedAsync()
+    {
+        var builds = new List<SavedBuildInfo>();
+        if (!Directory.Exists(_buildsDirectory))
+            return builds;
+
+        foreach (var path in Directory.GetFiles(_buildsDirectory, "*.json"))
+        {
+            try
+            {
+                var document = Deserialize(await File.ReadAllTextAsync(path));
+                builds.Add(new SavedBuildInfo(
+                    Path.GetFileName(path),
+                    string.IsNullOrEmpty(document.Name) ? Path.GetFileNameWithoutExtension(path) : document.Name,
+                    document.SavedAt,
+                    document.Panels.Values.Concat(document.Characters.SelectMany(c => c.Panels.Values)).Sum(p => p.Tags.Count)));
+            }
+            catch (Exception ex)
+            {
+                // Skip unreadable files instead of hiding every other build
+                Console.WriteLine($"Skipping saved build {path}: {ex.Message}");
+            }
+        }
+
+        return builds.OrderByDescending(b => b.SavedAt).ToList();
+    }
+
+    public async Task<CharacterBuildDocument> LoadSavedAsync(string fileName)
+    {
+        var json = await File.ReadAllTextAsync(GetSavedPath(fileName));
+        return Deserialize(json);
+    }
+
+    public void DeleteSaved(string fileName)
+    {
+        var path = GetSavedPath(fileName);
+        if (File.Exists(path))
+        {
+            File.Delete(path);
+        }
+    }
+
+    public string GetExportFileName(CharacterBuildDocument document)
+    {
+        var name = string.IsNullOrWhiteSpace(document.Name) ? "character-build" : document.Name.Trim();
+        var invalid = Path.GetInvalidFileNameChars();
+        var safe = new string(name.Select(c => invalid.Contains(c) || char.IsWhiteSpace(c) ? '-' : c).ToArray());
+        return $"{safe}.json";
+    }
+
+    private string GetSavedPath(string fileName)
+    {
+        // Only ever touch files directly inside the builds folder
+        return Path.Combine(_buildsDirectory, Path.GetFileName(fileName));
+    }
+
+    /// <summary>The panels and tags of one character, or of the scene, that still exist.</summary>
+    private async Task<Dictionary<string, BuildPanel>> ValidatePanelsAsync(
+        Dictionary<string, BuildPanel> panels, List<MissingBuildTag> missingTags, string? character)
+    {
+        var validPanels = new Dictionary<string, BuildPanel>();
+        foreach (var (panelKey, savedPanel) in panels)
+        {
+            var panel = _designerRegistry.Config.Groups
+                .SelectMany(g => g.Panels)
+                .FirstOrDefault(p => p.Key.Equals(panelKey, StringComparison.OrdinalIgnoreCase));
+
+            if (panel == null)
+            {
+                missingTags.AddRange(savedPanel.Tags.Select(t =>
+                    new MissingBuildTag(panelKey, t.CanonicalTag, $"the \"{panelKey}\" panel no longer exists", character)));
+                continue;
+            }
+
+            HashSet<string>? spriteTags = null;
+            var validTags = new List<BuildTag>();
+
+            foreach (var tag in savedPanel.Tags)
+            {
+                var nodeId = ResolveNodeId(tag);
+                if (nodeId == null)
+                {
+                    spriteTags ??= await GetSpriteTagsAsync(panel);
+                    if (!spriteTags.Contains(tag.CanonicalTag))
+                    {
+                        missingTags.Add(new MissingBuildTag(panel.Key, tag.CanonicalTag, "no longer in the tag database", character));
+                        continue;
+                    }
+                }
+
+                validTags.Add(new BuildTag
+                {
+                    CanonicalTag = tag.CanonicalTag,
+                    Display = string.IsNullOrEmpty(tag.Display) ? _spriteResolver.CanonicalToDisplay(tag.CanonicalTag) : tag.Display,
+                    // Sprites may have been added or assigned since the build was saved
+                    ImageUrl = _spriteResolver.GetImageUrl(tag.CanonicalTag),
+                    NodeId = nodeId,
+                    Weight = tag.Weight,
+                    WeightStyle = tag.WeightStyle,
+                    Negative = tag.Negative
+                });
+            }
+
+            // The panel may have become single-select since the build was saved
+            if (panel.SelectionMode == SelectionMode.Single && validTags.Count > 1)
+            {
+                missingTags.AddRange(validTags.Skip(1).Select(t =>
+                    new MissingBuildTag(panel.Key, t.CanonicalTag, $"the \"{panel.Key}\" panel takes only one tag", character)));
+                validTags.RemoveRange(1, validTags.Count - 1);
+            }
+
+            if (validTags.Count > 0)
+            {
+                // Order and selection mode come from the current configuration, not the file
+                validPanels[panel.Key] = new BuildPanel
+                {
+                    PromptOrderWeight = panel.PromptOrderWeight,
+                    SelectionMode = panel.SelectionMode,
+                    Tags = validTags
+                };
+            }
+        }
+
+        return validPanels;
+    }
+
+    private int? ResolveNodeId(BuildTag tag)
+    {
+        if (tag.NodeId is int id)
+        {
+            var node = _tagGraphService.GetNodeById(id);
+            if (node != null && node.Text.Equals(tag.CanonicalTag, StringComparison.OrdinalIgnoreCase))
+                return node.Id;
+        }
+
+        // Node ids change when the database is re-imported; fall back to the tag text
+        return _tagGraphService.GetNodesByText(tag.CanonicalTag).FirstOrDefault()?.Id;
+    }
+
+    private async Task<HashSet<string>> GetSpriteTagsAsync(PanelConfig panel)
+    {
+        var tags = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var source in panel.Sources.Where(s => s.Type == SourceType.FileGlob && !string.IsNullOrEmpty(s.FileGlob)))
+        {
+            var options = await _spriteResolver.DiscoverByFileGlobAsync(source.FileGlob!);
+            tags.UnionWith(options.Select(o => o.CanonicalTag));
+        }
+        return tags;
+    }
+
+    private static bool TryGetPropertyIgnoreCase(JsonElement element, string name, out JsonElement value)
+    {
+        foreach (var property in element.EnumerateObject())
+        {
+            if (property.Name.Equals(name, StringComparison.OrdinalIgnoreCase))
+            {
+                value = property.Value;
+                return true;
+            }
+        }
+        value = default;
+        return false;
+    }
+}
@@ -0,0 +1,183 @@
+using TagbooruQuest.Data;
+using TagbooruQuest.Models.CharacterDesigner;
+using SelectionMode = TagbooruQuest.Models.CharacterDesigner.SelectionMode;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+public interface ICharacterRandomizer
+{
+    /// <summary>Selections randomizing leaves alone, as panel key and tag.</summary>
+    IReadOnlyCollection<(string PanelKey, string CanonicalTag)> Locked { get; }
+
+    bool IsLocked(string panelKey, string canonicalTag);
+    void SetLocked(string panelKey, string canonicalTag, bool locked);
+
+    /// <summary>
+    /// Replace the unlocked selections of the panels in scope with random tags from their
+    /// DbPath sources, as a single undo step. The same seed, options, locks and tag database
+    /// give the same build.
+    /// </summary>
+    Task<RandomizeResult> RandomizeAsync(RandomizeOptions options);
+
+    event Action? OnLocksChanged;
+}
+
+public class RandomizeOptions
+{
+    public int Seed { get; set; }
+
+    /// <summary>Tags each multi-select panel ends up with, locked ones included.</summary>
+    public int MultiCount { get; set; } = 2;
+
+    /// <summary>Per-panel overrides of <see cref="MultiCount"/>, keyed by panel key.</summary>
+    public Dictionary<string, int> PanelCounts { get; set; } = new();
+
+    /// <summary>Only randomize this tab's panels; null for every tab.</summary>
+    public string? GroupKey { get; set; }
+}
+
+/// <param name="SkippedPanels">Titles of panels without a tag database source to draw from.</param>
+public record RandomizeResult(int Seed, int PickedCount, IReadOnlyList<string> SkippedPanels);
+
+public class CharacterRandomizer : ICharacterRandomizer
+{
+    private readonly TagGraphService _tagGraphService;
+    private readonly IDesignerRegistry _designerRegistry;
+    private readonly ITagSpriteResolver _spriteResolver;
+    private readonly ICharacterBuildState _buildState;
+    private readonly ITagRuleService _tagRules;
+    private readonly HashSet<(string PanelKey, string CanonicalTag)> _locked = new();
+
+    public event Action? OnLocksChanged;
+
+    public CharacterRandomizer(
+        TagGraphService tagGraphService,
+        IDesignerRegistry designerRegistry,
+        ITagSpriteResolver spriteResolver,
+        ICharacterBuildState buildState,
+        ITagRuleService tagRules)
+    {
+        _tagGraphService = tagGraphService;
+        _designerRegistry = designerRegistry;
+        _spriteResolver = spriteResolver;
+        _buildState = buildState;
+        _tagRules = tagRules;
+    }
+
+    public IReadOnlyCollection<(string PanelKey, string CanonicalTag)> Locked => _locked;
+
+    public bool IsLocked(string panelKey, string canonicalTag) => _locked.Contains((panelKey, canonicalTag));
+
+    public void SetLocked(string panelKey, string canonicalTag, bool locked)
+    {
+        var changed = locked ? _locked.Add((panelKey, canonicalTag)) : _locked.Remove((panelKey, canonicalTag));
+        if (changed)
+            OnLocksChanged?.Invoke();
+    }
+
+    public async Task<RandomizeResult> RandomizeAsync(RandomizeOptions options)
+    {
+        // A key can appear in more than one tab; those panels share their selections
+        var groups = _designerRegistry.Config.Groups
+            .Where(g => options.GroupKey == null || g.Key == options.GroupKey)
+            .ToList();
+        var panels = groups
+            .SelectMany(g => g.Panels.Select(p => (Panel: p, Group: g)))
+            .DistinctBy(x => x.Panel.Key)
+            .ToList();
+
+        // Candidates are read before anything changes, so the draw only depends on the seed
+        var candidates = await Task.Run(() => panels.ToDictionary(x => x.Panel.Key, x => LoadCandidates(x.Panel)));
+        var drawn = panels.Where(x => candidates[x.Panel.Key].Count > 0).ToList();
+        var inScope = drawn.Select(x => x.Panel.Key).ToHashSet();
+
+        // Tags the build keeps: everything outside the drawn panels, negatives and locked tags
+        var current = _buildState.ExportSelections();
+        var chosen = current
+            .SelectMany(p => p.Value.Tags.Where(t => !t.Negative && (!inScope.Contains(p.Key) || IsLocked(p.Key, t.CanonicalTag))))
+            .Select(t => t.CanonicalTag)
+            .ToList();
+
+        var random = new Random(options.Seed);
+        var picks = new List<(PanelConfig Panel, GroupConfig Group, Node Node)>();
+        foreach (var (panel, group) in drawn)
+        {
+            var kept = current.TryGetValue(panel.Key, out var selection)
+                ? selection.Tags.Count(t => !t.Negative && IsLocked(panel.Key, t.CanonicalTag))
+                : 0;
+            var count = panel.SelectionMode == SelectionMode.Single
+                ? 1
+                : Math.Max(0, options.PanelCounts.GetValueOrDefault(panel.Key, options.MultiCount));
+
+            var pool = candidates[panel.Key]
+                .Where(n => !chosen.Contains(n.Text, StringComparer.OrdinalIgnoreCase))
+                .ToList();
+            var picked = 0;
+            while (kept + picked < count && pool.Count > 0)
+            {
+                var index = random.Next(pool.Count);
+                var node = pool[index];
+                pool.RemoveAt(index);
+
+                // Valid means nothing already in the build contradicts it
+                if (_tagRules.GetConflicts(node.Text, chosen).Count > 0)
+                    continue;
+
+                picks.Add((panel, group, node));
+                chosen.Add(node.Text);
+                picked++;
+            }
+        }
+
+        using (_buildState.History.BeginBatch($"Randomize (seed {options.Seed})"))
+        {
+            // Clear first so a pick is never checked against a tag that is about to go
+            foreach (var (panel, _) in drawn)
+            {
+                if (!current.TryGetValue(panel.Key, out var selection))
+                    continue;
+
+                foreach (var tag in selection.Tags.Where(t => !t.Negative && !IsLocked(panel.Key, t.CanonicalTag)))
+                    _buildState.RemoveSelection(panel.Key, tag.CanonicalTag);
+            }
+
+            foreach (var (panel, group, node) in picks)
+            {
+                var option = _spriteResolver.ResolveTag(node.Text, node.Id, false, group.Icon);
+                _buildState.ToggleSelection(panel.Key, panel.PromptOrderWeight, panel.SelectionMode, option);
+            }
+        }
+
+        var skipped = panels.Where(x => candidates[x.Panel.Key].Count == 0).Select(x => x.Panel.Title).ToList();
+        return new RandomizeResult(options.Seed, picks.Count, skipped);
+    }
+
+    /// <summary>
+    /// Tags under the panel's DbPath sources, one category level deep, in a fixed order.
+    /// </summary>
+    private List<Node> LoadCandidates(PanelConfig panel)
+    {
+        var nodes = new List<Node>();
+        foreach (var source in panel.Sources.Where(s => s.Type == SourceType.DbQuery && s.DbPath is { Count: > 0 }))
+        {
+            var (root, _) = _designerRegistry.ResolveDbPath(source.DbPath!);
+            if (root == null)
+                continue;
+
+            foreach (var child in _tagGraphService.GetChildren(root.Id))
+            {
+                if (child.IsTag)
+                    nodes.Add(child);
+                else
+                    nodes.AddRange(_tagGraphService.GetChildren(child.Id).Where(c => c.IsTag));
+            }
+        }
+
+        // Database order is not guaranteed, and the seed has to pick the same tags every time
+        return nodes
+            .DistinctBy(n => n.Id)
+            .OrderBy(n => n.Text, StringComparer.Ordinal)
+            .ThenBy(n => n.Id)
+            .ToList();
+    }
+}
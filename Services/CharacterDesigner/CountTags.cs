@@ -0,0 +1,53 @@
+using System.Text.RegularExpressions;
+using TagbooruQuest.Models.CharacterDesigner;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+/// <summary>
+/// The tags that say how many characters an image shows: <c>1girl</c>, <c>2boys</c>,
+/// <c>multiple girls</c>, <c>solo</c>.
+/// </summary>
+public static class CountTags
+{
+    // Danbooru stops counting at six
+    private const int MaxCounted = 6;
+
+    private static readonly Regex NumberedPattern = new(
+        @"^(?:\d+|6\+)(?:girl|boy|other)s?$",
+        RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+    private static readonly HashSet<string> OtherCountTags = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "solo",
+        "multiple girls",
+        "multiple boys",
+        "multiple others"
+    };
+
+    /// <summary>Count tags for a scene with these characters, girls first.</summary>
+    public static IReadOnlyList<string> For(IEnumerable<CharacterSubject> subjects)
+    {
+        var counts = subjects.GroupBy(s => s).ToDictionary(g => g.Key, g => g.Count());
+        var tags = new List<string>();
+
+        foreach (var (subject, noun) in new[] { (CharacterSubject.Girl, "girl"), (CharacterSubject.Boy, "boy"), (CharacterSubject.Other, "other") })
+        {
+            var count = counts.GetValueOrDefault(subject);
+            if (count == 0)
+                continue;
+
+            tags.Add(count == 1 ? $"1{noun}" : count >= MaxCounted ? $"{MaxCounted}+{noun}s" : $"{count}{noun}s");
+            if (count > 1)
+                tags.Add($"multiple {noun}s");
+        }
+
+        return tags;
+    }
+
+    /// <summary>Whether a tag is one of the count tags, written with spaces or underscores.</summary>
+    public static bool IsCountTag(string tag)
+    {
+        var normalized = PromptParser.NormalizeTag(tag);
+        return OtherCountTags.Contains(normalized) || NumberedPattern.IsMatch(normalized);
+    }
+}
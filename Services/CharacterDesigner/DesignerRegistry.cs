@@ -1,4 +1,5 @@
 using System.Text.Json;
+using System.Text.Json.Serialization;
 using TagbooruQuest.Models.CharacterDesigner;
 using TagbooruQuest.Data;
 
@@ -6,23 +7,122 @@ namespace TagbooruQuest.Services.CharacterDesigner;
 
 public interface IDesignerRegistry
 {
+    /// <summary>The configuration in use: the bundled one with the user's override laid over it.</summary>
     DesignerConfig Config { get; }
+
+    /// <summary>The configuration shipped with the app, without the user's changes.</summary>
+    DesignerConfig BundledConfig { get; }
+
+    bool HasUserOverride { get; }
+
+    /// <summary>
+    /// Why the bundled configuration or the user's override could not be read, or null.
+    /// When the bundled file fails a minimal built-in configuration is used instead.
+    /// </summary>
+    string? LoadError { get; }
+
     GroupConfig? GetGroup(string key);
     PanelConfig? GetPanel(string groupKey, string panelKey);
+
+    /// <summary>Throws when <see cref="Config"/> has errors; warnings are only logged.</summary>
     Task ValidateConfigurationAsync();
+
+    /// <summary>Schema and consistency problems of a configuration document, errors first.</summary>
+    IReadOnlyList<DesignerConfigIssue> Validate(string json);
+    IReadOnlyList<DesignerConfigIssue> Validate(DesignerConfig config);
+
+    /// <summary>How many tags and groups a source would show in the designer.</summary>
+    Task<SourceResolution> ResolveSourceAsync(SourceConfig source);
+
+    /// <summary>
+    /// Follow a DbPath down from a root, returning the node it names or the index of the
+    /// first segment that could not be found. Every DbPath source is resolved this way.
+    /// </summary>
+    (Node? Node, int MissingAt) ResolveDbPath(IReadOnlyList<string> path);
+
+    string Serialize(DesignerConfig config);
+
+    /// <exception cref="DesignerConfigException">The JSON cannot be read as a configuration.</exception>
+    DesignerConfig Deserialize(string json);
+
+    /// <summary>An independent copy to edit without touching the configuration in use.</summary>
+    DesignerConfig Clone(DesignerConfig config);
+
+    /// <summary>
+    /// Use <paramref name="config"/> from now on. Only the groups that differ from the bundled
+    /// configuration are stored, so later app updates still reach the untouched ones.
+    /// </summary>
+    /// <exception cref="DesignerConfigException">The configuration has errors.</exception>
+    Task SaveOverrideAsync(DesignerConfig config);
+
+    /// <summary>Drop the user's override and go back to the bundled configuration.</summary>
+    Task ResetToBundledAsync();
+
+    event Action? OnConfigChanged;
+}
+
+public enum DesignerConfigSeverity
+{
+    Error,
+    Warning
+}
+
+/// <summary>A problem in a configuration; <see cref="Path"/> looks like <c>groups[2].panels[0].title</c>.</summary>
+public record DesignerConfigIssue(string Path, string Message, DesignerConfigSeverity Severity = DesignerConfigSeverity.Error)
+{
+    public override string ToString() => Path.Length == 0 ? Message : $"{Path}: {Message}";
+}
+
+/// <summary>What a panel source turns into: its tags and sub-groups, or why it finds nothing.</summary>
+public record SourceResolution(int TagCount, int GroupCount, string? Problem = null);
+
+public sealed class DesignerConfigException : InvalidOperationException
+{
+    public DesignerConfigException(string message) : base(message)
+    {
+    }
 }
 
 public class DesignerRegistry : IDesignerRegistry
 {
-    private readonly DesignerConfig _config;
+    private const string ConfigFileName = "character-designer-config.json";
+    private const string SchemaFileName = "character-designer-config.schema.json";
+
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
     private readonly TagGraphService _tagGraphService;
+    private readonly ITagSpriteResolver _spriteResolver;
+    private readonly string _overrideFilePath;
+    private readonly JsonSchemaValidator? _schema;
+
+    private readonly DesignerConfig _bundled;
+    private DesignerConfig _config;
+    private ConfigOverrideFile? _override;
+
+    public event Action? OnConfigChanged;
 
     public DesignerConfig Config => _config;
+    public DesignerConfig BundledConfig => _bundled;
+    public bool HasUserOverride => _override != null;
+    public string? LoadError { get; private set; }
 
-    public DesignerRegistry(TagGraphService tagGraphService)
+    public DesignerRegistry(TagGraphService tagGraphService, ITagSpriteResolver spriteResolver, IFileService fileService)
     {
         _tagGraphService = tagGraphService;
-        _config = LoadConfiguration();
+        _spriteResolver = spriteResolver;
+        _overrideFilePath = Path.Combine(fileService.AppDataDirectory, "character-designer-config.user.json");
+        _schema = LoadSchema();
+
+        _bundled = LoadConfiguration();
+        _override = LoadOverride();
+        _config = _override != null ? Layer(_bundled, _override) : _bundled;
     }
 
     public GroupConfig? GetGroup(string key)
@@ -38,92 +138,392 @@ public class DesignerRegistry : IDesignerRegistry
 
     public async Task ValidateConfigurationAsync()
     {
-        var errors = new List<string>();
-
-        // Check for unique keys
-        var groupKeys = _config.Groups.Select(g => g.Key).ToList();
-        var duplicateGroups = groupKeys.GroupBy(k => k).Where(g => g.Count() > 1).Select(g => g.Key);
-        foreach (var duplicate in duplicateGroups)
-        {
-            errors.Add($"Duplicate group key: {duplicate}");
-        }
+        var issues = Validate(_config).ToList();
 
-        // Check panels
-        foreach (var group in _config.Groups)
+        foreach (var (group, gi) in _config.Groups.Select((g, i) => (g, i)))
         {
-            var panelKeys = group.Panels.Select(p => p.Key).ToList();
-            var duplicatePanels = panelKeys.GroupBy(k => k).Where(g => g.Count() > 1).Select(g => g.Key);
-            foreach (var duplicate in duplicatePanels)
-            {
-                errors.Add($"Duplicate panel key in group {group.Key}: {duplicate}");
-            }
-
-            // Validate DB queries
-            foreach (var panel in group.Panels)
+            foreach (var (panel, pi) in group.Panels.Select((p, i) => (p, i)))
             {
-                foreach (var source in panel.Sources.Where(s => s.Type == SourceType.DbQuery))
+                foreach (var (source, si) in panel.Sources.Select((s, i) => (s, i)))
                 {
-                    if (source.DbPath == null || source.DbPath.Count == 0)
-                    {
-                        errors.Add($"Empty DbPath in panel {group.Key}.{panel.Key}");
+                    if (source.Type != SourceType.DbQuery || source.DbPath is not { Count: > 0 })
                         continue;
-                    }
 
-                    try
-                    {
-                        var results = await GetDbQueryResultsAsync(source.DbPath);
-                        if (results.Count == 0)
-                        {
-                            Console.WriteLine($"Warning: DbQuery in {group.Key}.{panel.Key} returned zero results for path: {string.Join("/", source.DbPath)}");
-                        }
-                    }
-                    catch (Exception ex)
+                    var resolution = await ResolveSourceAsync(source);
+                    if (resolution.Problem != null)
                     {
-                        errors.Add($"DbQuery failed in {group.Key}.{panel.Key}: {ex.Message}");
+                        issues.Add(new DesignerConfigIssue($"groups[{gi}].panels[{pi}].sources[{si}]", resolution.Problem, DesignerConfigSeverity.Warning));
                     }
                 }
             }
         }
 
+        foreach (var warning in issues.Where(i => i.Severity == DesignerConfigSeverity.Warning))
+        {
+            Console.WriteLine($"Warning: designer configuration {warning}");
+        }
+
+        var errors = issues.Where(i => i.Severity == DesignerConfigSeverity.Error).ToList();
         if (errors.Any())
         {
             throw new InvalidOperationException($"Configuration validation failed:\n{string.Join("\n", errors)}");
         }
     }
 
-    private DesignerConfig LoadConfiguration()
+    public IReadOnlyList<DesignerConfigIssue> Validate(string json)
+    {
+        var issues = new List<DesignerConfigIssue>();
+
+        JsonDocument document;
+        try
+        {
+            document = JsonDocument.Parse(json, new JsonDocumentOptions { AllowTrailingCommas = true, CommentHandling = JsonCommentHandling.Skip });
+        }
+        catch (JsonException ex)
+        {
+            issues.Add(new DesignerConfigIssue($"line {(ex.LineNumber ?? 0) + 1}", ex.Message));
+            return issues;
+        }
+
+        using (document)
+        {
+            if (_schema != null)
+            {
+                issues.AddRange(_schema.Validate(document.RootElement).Select(e => new DesignerConfigIssue(e.Path, e.Message)));
+            }
+
+            // The consistency checks need a configuration to look at
+            if (issues.Count == 0)
+            {
+                try
+                {
+                    issues.AddRange(CheckConsistency(Deserialize(json)));
+                }
+                catch (DesignerConfigException ex)
+                {
+                    issues.Add(new DesignerConfigIssue(string.Empty, ex.Message));
+                }
+            }
+        }
+
+        return issues.OrderBy(i => i.Severity).ToList();
+    }
+
+    public IReadOnlyList<DesignerConfigIssue> Validate(DesignerConfig config)
+    {
+        return Validate(Serialize(config));
+    }
+
+    public async Task<SourceResolution> ResolveSourceAsync(SourceConfig source)
+    {
+        if (source.Type == SourceType.FileGlob)
+        {
+            if (string.IsNullOrWhiteSpace(source.FileGlob))
+                return new SourceResolution(0, 0, "No file pattern");
+
+            var sprites = await _spriteResolver.DiscoverByFileGlobAsync(source.FileGlob);
+            return new SourceResolution(sprites.Count, 0, sprites.Count == 0 ? $"No sprite files match {source.FileGlob}" : null);
+        }
+
+        if (source.DbPath is not { Count: > 0 } path)
+            return new SourceResolution(0, 0, "No database path");
+
+        return await Task.Run(() =>
+        {
+            var (node, missingAt) = ResolveDbPath(path);
+            if (node == null)
+            {
+                var parent = missingAt == 0 ? "the tag database" : string.Join(" › ", path.Take(missingAt));
+                return new SourceResolution(0, 0, $"\"{path[missingAt]}\" was not found in {parent}");
+            }
+
+            var children = _tagGraphService.GetChildren(node.Id).ToList();
+            var tags = children.Count(c => c.IsTag);
+            return new SourceResolution(tags, children.Count - tags, children.Count == 0 ? $"{node.Text} has nothing under it" : null);
+        });
+    }
+
+    public string Serialize(DesignerConfig config)
+    {
+        return JsonSerializer.Serialize(config, JsonOptions);
+    }
+
+    public DesignerConfig Deserialize(string json)
+    {
+        try
+        {
+            var config = JsonSerializer.Deserialize<DesignerConfig>(json, new JsonSerializerOptions(JsonOptions)
+            {
+                AllowTrailingCommas = true,
+                ReadCommentHandling = JsonCommentHandling.Skip
+            });
+            if (config == null)
+                throw new DesignerConfigException("The configuration is empty.");
+
+            config.Groups ??= new();
+            foreach (var group in config.Groups)
+            {
+                group.Panels ??= new();
+                foreach (var panel in group.Panels)
+                    panel.Sources ??= new();
+            }
+            return config;
+        }
+        catch (JsonException ex)
+        {
+            throw new DesignerConfigException($"Not a designer configuration: {ex.Message}");
+        }
+    }
+
+    public DesignerConfig Clone(DesignerConfig config)
     {
+        return Deserialize(Serialize(config));
+    }
+
+    public async Task SaveOverrideAsync(DesignerConfig config)
+    {
+        var errors = Validate(config).Where(i => i.Severity == DesignerConfigSeverity.Error).ToList();
+        if (errors.Count > 0)
+        {
+            throw new DesignerConfigException($"The configuration has {errors.Count} error{(errors.Count == 1 ? "" : "s")}, first: {errors[0]}");
+        }
+
+        var overrideFile = Diff(_bundled, config);
+        if (overrideFile.Groups.Count == 0 && overrideFile.RemovedGroups.Count == 0 && overrideFile.GroupOrder == null)
+        {
+            await ResetToBundledAsync();
+            return;
+        }
+
+        await File.WriteAllTextAsync(_overrideFilePath, JsonSerializer.Serialize(overrideFile, JsonOptions));
+
+        _override = overrideFile;
+        _config = Layer(_bundled, overrideFile);
+        LoadError = null;
+        OnConfigChanged?.Invoke();
+    }
 
+    public Task ResetToBundledAsync()
+    {
+        if (File.Exists(_overrideFilePath))
+        {
+            File.Delete(_overrideFilePath);
+        }
+
+        _override = null;
+        _config = _bundled;
+        LoadError = null;
+        OnConfigChanged?.Invoke();
+        return Task.CompletedTask;
+    }
+
+    private DesignerConfig LoadConfiguration()
+    {
         try
         {
             string json;
-            using (var stream = FileSystem.OpenAppPackageFileAsync("character-designer-config.json").Result)
+            using (var stream = FileSystem.OpenAppPackageFileAsync(ConfigFileName).Result)
             using (var reader = new StreamReader(stream))
             {
                 json = reader.ReadToEnd();
             }
 
+            return Deserialize(json);
+        }
+        catch (Exception ex)
+        {
+            // Keep the designer usable, but say why it looks empty
+            LoadError = $"The bundled {ConfigFileName} could not be read ({ex.GetBaseException().Message}); a minimal configuration is used instead.";
+            Console.WriteLine(LoadError);
+            return CreateDefaultConfiguration();
+        }
+    }
+
+    private ConfigOverrideFile? LoadOverride()
+    {
+        if (!File.Exists(_overrideFilePath))
+            return null;
+
+        try
+        {
+            var json = File.ReadAllText(_overrideFilePath);
+            var overrideFile = JsonSerializer.Deserialize<ConfigOverrideFile>(json, JsonOptions);
+            if (overrideFile == null)
+                return null;
+
+            // Hand edits can break what the setup page would never save, so the result is checked too
+            Normalize(overrideFile);
+            var error = Validate(Layer(_bundled, overrideFile)).FirstOrDefault(i => i.Severity == DesignerConfigSeverity.Error);
+            if (error != null)
+                throw new DesignerConfigException(error.ToString());
+            return overrideFile;
+        }
+        catch (Exception ex)
+        {
+            // The file is left alone so nothing the user wrote is lost
+            LoadError = $"Your designer configuration could not be read ({ex.Message}); the bundled one is used until it is fixed or reset.";
+            Console.WriteLine(LoadError);
+            return null;
+        }
+    }
 
-            var options = new JsonSerializerOptions
+    /// <summary>
+    /// Replace missing lists in a hand-edited override with empty ones, as
+    /// <see cref="Deserialize"/> does for a whole configuration.
+    /// </summary>
+    /// <exception cref="DesignerConfigException">A group, panel or source is null, or a group key is missing or repeated.</exception>
+    private static void Normalize(ConfigOverrideFile overrideFile)
+    {
+        overrideFile.Groups ??= new();
+        overrideFile.RemovedGroups = (overrideFile.RemovedGroups ?? new()).Where(k => !string.IsNullOrEmpty(k)).ToList();
+        overrideFile.GroupOrder = overrideFile.GroupOrder?.Where(k => !string.IsNullOrEmpty(k)).ToList();
+
+        foreach (var (group, gi) in overrideFile.Groups.Select((g, i) => (g, i)))
+        {
+            if (group == null || string.IsNullOrEmpty(group.Key))
+                throw new DesignerConfigException($"groups[{gi}] has no key");
+            if (overrideFile.Groups.Take(gi).Any(g => g.Key.Equals(group.Key, StringComparison.OrdinalIgnoreCase)))
+                throw new DesignerConfigException($"groups[{gi}] repeats the group key {group.Key}");
+
+            group.Panels ??= new();
+            foreach (var (panel, pi) in group.Panels.Select((p, i) => (p, i)))
             {
-                PropertyNameCaseInsensitive = true,
-                Converters = { new System.Text.Json.Serialization.JsonStringEnumConverter() }
-            };
+                if (panel == null)
+                    throw new DesignerConfigException($"groups[{gi}].panels[{pi}] is empty");
+
+                panel.Sources ??= new();
+                if (panel.Sources.Any(source => source == null))
+                    throw new DesignerConfigException($"groups[{gi}].panels[{pi}] has an empty source");
+            }
+        }
+    }
 
-            var config = JsonSerializer.Deserialize<DesignerConfig>(json, options);
-            return config ?? new DesignerConfig();
+    private static JsonSchemaValidator? LoadSchema()
+    {
+        try
+        {
+            using var stream = FileSystem.OpenAppPackageFileAsync(SchemaFileName).Result;
+            using var reader = new StreamReader(stream);
+            return new JsonSchemaValidator(reader.ReadToEnd());
         }
         catch (Exception ex)
         {
-            return CreateDefaultConfiguration();
+            // Only the consistency checks run without the schema
+            Console.WriteLine($"Designer configuration schema unavailable: {ex.GetBaseException().Message}");
+            return null;
         }
     }
 
-    private async Task<List<Node>> GetDbQueryResultsAsync(List<string> path)
+    /// <summary>
+    /// Problems a schema cannot express: keys that must be unique and sources missing the
+    /// setting their type needs.
+    /// </summary>
+    private static IEnumerable<DesignerConfigIssue> CheckConsistency(DesignerConfig config)
     {
-        var results = new List<Node>();
+        foreach (var duplicate in config.Groups.GroupBy(g => g.Key, StringComparer.OrdinalIgnoreCase).Where(g => g.Count() > 1))
+        {
+            yield return new DesignerConfigIssue($"groups[{config.Groups.IndexOf(duplicate.Last())}].key", $"Duplicate group key: {duplicate.Key}");
+        }
+
+        // Selections are stored per panel key, so panels sharing one also share their selection
+        var panelsByKey = config.Groups
+            .SelectMany((g, gi) => g.Panels.Select((p, pi) => (Panel: p, Path: $"groups[{gi}].panels[{pi}]", Group: g)))
+            .GroupBy(x => x.Panel.Key, StringComparer.OrdinalIgnoreCase)
+            .Where(g => g.Count() > 1);
+        foreach (var duplicate in panelsByKey)
+        {
+            var places = string.Join(", ", duplicate.Select(x => $"{x.Group.Key}.{x.Panel.Title}").Distinct());
+            yield return new DesignerConfigIssue(duplicate.Last().Path + ".key",
+                $"Panel key {duplicate.Key} is used by {places}; they share one selection", DesignerConfigSeverity.Warning);
+        }
+
+        foreach (var (group, gi) in config.Groups.Select((g, i) => (g, i)))
+        {
+            if (group.Panels.Count == 0)
+                yield return new DesignerConfigIssue($"groups[{gi}]", $"Group {group.Key} has no panels", DesignerConfigSeverity.Warning);
+
+            foreach (var (panel, pi) in group.Panels.Select((p, i) => (p, i)))
+            {
+                if (string.IsNullOrWhiteSpace(panel.Key))
+                    yield return new DesignerConfigIssue($"groups[{gi}].panels[{pi}].key", $"Panel {pi + 1} of group {group.Key} has no key");
+
+                foreach (var (source, si) in panel.Sources.Select((s, i) => (s, i)))
+                {
+                    var path = $"groups[{gi}].panels[{pi}].sources[{si}]";
+                    if (source.Type == SourceType.DbQuery && source.DbPath is not { Count: > 0 })
+                        yield return new DesignerConfigIssue(path, $"Empty DbPath in panel {group.Key}.{panel.Key}");
+                    else if (source.Type == SourceType.FileGlob && string.IsNullOrWhiteSpace(source.FileGlob))
+                        yield return new DesignerConfigIssue(path, $"Empty FileGlob in panel {group.Key}.{panel.Key}");
+                }
+            }
+        }
+    }
+
+    // Groups are the unit of layering: a changed group replaces the bundled one with its key
+    private ConfigOverrideFile Diff(DesignerConfig bundled, DesignerConfig config)
+    {
+        var bundledByKey = bundled.Groups.ToDictionary(g => g.Key, g => Serialize(g), StringComparer.OrdinalIgnoreCase);
+        var keys = config.Groups.Select(g => g.Key).ToHashSet(StringComparer.OrdinalIgnoreCase);
+
+        var overrideFile = new ConfigOverrideFile
+        {
+            Groups = config.Groups
+                .Where(g => !bundledByKey.TryGetValue(g.Key, out var original) || original != Serialize(g))
+                .Select(g => Clone(g))
+                .ToList(),
+            RemovedGroups = bundled.Groups.Select(g => g.Key).Where(k => !keys.Contains(k)).ToList()
+        };
+
+        // Only stored when it differs from what layering would produce on its own
+        var order = config.Groups.Select(g => g.Key).ToList();
+        if (!order.SequenceEqual(Layer(bundled, overrideFile).Groups.Select(g => g.Key), StringComparer.OrdinalIgnoreCase))
+        {
+            overrideFile.GroupOrder = order;
+        }
+
+        return overrideFile;
+    }
+
+    private DesignerConfig Layer(DesignerConfig bundled, ConfigOverrideFile overrideFile)
+    {
+        var replaced = overrideFile.Groups.ToDictionary(g => g.Key, StringComparer.OrdinalIgnoreCase);
+        var removed = overrideFile.RemovedGroups.ToHashSet(StringComparer.OrdinalIgnoreCase);
+        var bundledKeys = bundled.Groups.Select(g => g.Key).ToHashSet(StringComparer.OrdinalIgnoreCase);
+
+        var groups = bundled.Groups
+            .Where(g => !removed.Contains(g.Key))
+            .Select(g => replaced.TryGetValue(g.Key, out var mine) ? mine : g)
+            .Concat(overrideFile.Groups.Where(g => !bundledKeys.Contains(g.Key)))
+            .Select(g => Clone(g))
+            .ToList();
+
+        if (overrideFile.GroupOrder is { } order)
+        {
+            // Groups added to the bundled config after the override was saved go last
+            int Position(GroupConfig group)
+            {
+                var index = order.FindIndex(k => k.Equals(group.Key, StringComparison.OrdinalIgnoreCase));
+                return index >= 0 ? index : int.MaxValue;
+            }
+
+            groups = groups.OrderBy(Position).ToList();
+        }
+
+        return new DesignerConfig { Groups = groups };
+    }
+
+    private GroupConfig Clone(GroupConfig group)
+    {
+        return JsonSerializer.Deserialize<GroupConfig>(Serialize(group), JsonOptions)!;
+    }
+
+    private string Serialize(GroupConfig group)
+    {
+        return JsonSerializer.Serialize(group, JsonOptions);
+    }
 
-        // Navigate to the target node using the path
+    public (Node? Node, int MissingAt) ResolveDbPath(IReadOnlyList<string> path)
+    {
         Node? currentNode = null;
 
         for (int i = 0; i < path.Count; i++)
@@ -151,18 +551,11 @@ public class DesignerRegistry : IDesignerRegistry
 
             if (currentNode == null)
             {
-                return results; // Path not found
+                return (null, i); // Path not found
             }
         }
 
-        // Get leaf tags from the final node
-        if (currentNode != null)
-        {
-            var children = _tagGraphService.GetChildren(currentNode.Id);
-            results.AddRange(children.Where(c => c.IsTag));
-        }
-
-        return results;
+        return (currentNode, path.Count);
     }
 
 
@@ -222,4 +615,16 @@ public class DesignerRegistry : IDesignerRegistry
             }
         };
     }
-}
\ No newline at end of file
+
+    /// <summary>
+    /// The user's layer over the bundled configuration: groups they changed or added, bundled
+    /// groups they removed and, when they reordered, the order of all group keys.
+    /// </summary>
+    private class ConfigOverrideFile
+    {
+        public int Version { get; set; } = 1;
+        public List<GroupConfig> Groups { get; set; } = new();
+        public List<string> RemovedGroups { get; set; } = new();
+        public List<string>? GroupOrder { get; set; }
+    }
+}
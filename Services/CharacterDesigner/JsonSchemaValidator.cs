@@ -0,0 +1,184 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+/// <summary>
+/// Checks a JSON document against a JSON Schema. Covers the keywords the bundled schemas use:
+/// type, enum, properties, required, additionalProperties (true or false), items, minItems,
+/// minLength, pattern, minimum, maximum and local <c>$ref</c>s such as <c>#/$defs/panel</c>.
+/// Property names and enum strings are matched ignoring case, like the serializer options the
+/// configuration files are read with.
+/// </summary>
+public sealed class JsonSchemaValidator
+{
+    private readonly JsonElement _schema;
+
+    public JsonSchemaValidator(string schemaJson)
+    {
+        using var document = JsonDocument.Parse(schemaJson);
+        _schema = document.RootElement.Clone();
+    }
+
+    /// <summary>
+    /// Every violation as (path, message); the path looks like <c>groups[2].panels[0].title</c>
+    /// and is empty for the document itself.
+    /// </summary>
+    public List<(string Path, string Message)> Validate(JsonElement instance)
+    {
+        var errors = new List<(string, string)>();
+        Check(instance, _schema, string.Empty, errors);
+        return errors;
+    }
+
+    private void Check(JsonElement value, JsonElement schema, string path, List<(string, string)> errors)
+    {
+        if (schema.TryGetProperty("$ref", out var reference))
+            schema = Resolve(reference.GetString() ?? string.Empty);
+
+        if (schema.TryGetProperty("type", out var type) && !MatchesType(value, type))
+        {
+            // Nothing below makes sense for a value of the wrong type
+            errors.Add((path, $"should be {DescribeType(type)}, not {Describe(value)}"));
+            return;
+        }
+
+        if (schema.TryGetProperty("enum", out var allowed) && !allowed.EnumerateArray().Any(a => EnumEquals(a, value)))
+        {
+            errors.Add((path, $"should be one of {string.Join(", ", allowed.EnumerateArray().Select(a => a.GetRawText()))}"));
+        }
+
+        switch (value.ValueKind)
+        {
+            case JsonValueKind.Object:
+                CheckObject(value, schema, path, errors);
+                break;
+
+            case JsonValueKind.Array:
+                var count = value.GetArrayLength();
+                if (schema.TryGetProperty("minItems", out var minItems) && count < minItems.GetInt32())
+                    errors.Add((path, $"needs at least {minItems.GetInt32()} item{(minItems.GetInt32() == 1 ? "" : "s")}"));
+
+                if (schema.TryGetProperty("items", out var items))
+                {
+                    int i = 0;
+                    foreach (var item in value.EnumerateArray())
+                        Check(item, items, $"{path}[{i++}]", errors);
+                }
+                break;
+
+            case JsonValueKind.String:
+                var text = value.GetString() ?? string.Empty;
+                if (schema.TryGetProperty("minLength", out var minLength) && text.Length < minLength.GetInt32())
+                    errors.Add((path, minLength.GetInt32() == 1 ? "must not be empty" : $"needs at least {minLength.GetInt32()} characters"));
+
+                if (schema.TryGetProperty("pattern", out var pattern) && !Regex.IsMatch(text, pattern.GetString() ?? string.Empty))
+                    errors.Add((path, $"\"{text}\" does not match {pattern.GetString()}"));
+                break;
+
+            case JsonValueKind.Number:
+                var number = value.GetDouble();
+                if (schema.TryGetProperty("minimum", out var minimum) && number < minimum.GetDouble())
+                    errors.Add((path, $"should be at least {minimum.GetRawText()}"));
+
+                if (schema.TryGetProperty("maximum", out var maximum) && number > maximum.GetDouble())
+                    errors.Add((path, $"should be at most {maximum.GetRawText()}"));
+                break;
+        }
+    }
+
+    private void CheckObject(JsonElement value, JsonElement schema, string path, List<(string, string)> errors)
+    {
+        var properties = schema.TryGetProperty("properties", out var p)
+            ? p.EnumerateObject().ToDictionary(x => x.Name, x => x.Value, StringComparer.OrdinalIgnoreCase)
+            : new Dictionary<string, JsonElement>(StringComparer.OrdinalIgnoreCase);
+
+        var present = value.EnumerateObject().Select(x => x.Name).ToHashSet(StringComparer.OrdinalIgnoreCase);
+
+        if (schema.TryGetProperty("required", out var required))
+        {
+            foreach (var name in required.EnumerateArray().Select(r => r.GetString()!))
+            {
+                if (!present.Contains(name))
+                    errors.Add((path, $"is missing \"{name}\""));
+            }
+        }
+
+        var closed = schema.TryGetProperty("additionalProperties", out var additional) && additional.ValueKind == JsonValueKind.False;
+        foreach (var property in value.EnumerateObject())
+        {
+            var propertyPath = path.Length == 0 ? property.Name : $"{path}.{property.Name}";
+            if (properties.TryGetValue(property.Name, out var propertySchema))
+            {
+                Check(property.Value, propertySchema, propertyPath, errors);
+            }
+            else if (closed)
+            {
+                errors.Add((propertyPath, "is not a known setting"));
+            }
+        }
+    }
+
+    private JsonElement Resolve(string reference)
+    {
+        if (!reference.StartsWith("#/", StringComparison.Ordinal))
+            throw new NotSupportedException($"Only local schema references are supported, not {reference}");
+
+        var current = _schema;
+        foreach (var segment in reference.Substring(2).Split('/'))
+            current = current.GetProperty(segment.Replace("~1", "/").Replace("~0", "~"));
+        return current;
+    }
+
+    private static bool MatchesType(JsonElement value, JsonElement type)
+    {
+        return type.ValueKind == JsonValueKind.Array
+            ? type.EnumerateArray().Any(t => MatchesType(value, t.GetString()))
+            : MatchesType(value, type.GetString());
+    }
+
+    private static bool MatchesType(JsonElement value, string? type) => type switch
+    {
+        "object" => value.ValueKind == JsonValueKind.Object,
+        "array" => value.ValueKind == JsonValueKind.Array,
+        "string" => value.ValueKind == JsonValueKind.String,
+        "number" => value.ValueKind == JsonValueKind.Number,
+        "integer" => value.ValueKind == JsonValueKind.Number && value.TryGetInt64(out _),
+        "boolean" => value.ValueKind is JsonValueKind.True or JsonValueKind.False,
+        "null" => value.ValueKind == JsonValueKind.Null,
+        _ => true
+    };
+
+    private static bool EnumEquals(JsonElement allowed, JsonElement value)
+    {
+        if (allowed.ValueKind == JsonValueKind.String && value.ValueKind == JsonValueKind.String)
+            return string.Equals(allowed.GetString(), value.GetString(), StringComparison.OrdinalIgnoreCase);
+
+        return allowed.GetRawText() == value.GetRawText();
+    }
+
+    private static string DescribeType(JsonElement type)
+    {
+        var names = type.ValueKind == JsonValueKind.Array
+            ? type.EnumerateArray().Select(t => t.GetString())
+            : new[] { type.GetString() };
+        return string.Join(" or ", names.Select(n => n switch
+        {
+            "object" => "an object",
+            "array" => "a list",
+            "integer" => "a whole number",
+            "null" => "null",
+            _ => $"a {n}"
+        }));
+    }
+
+    private static string Describe(JsonElement value) => value.ValueKind switch
+    {
+        JsonValueKind.Object => "an object",
+        JsonValueKind.Array => "a list",
+        JsonValueKind.String => "a string",
+        JsonValueKind.Number => value.TryGetInt64(out _) ? "a whole number" : "a number",
+        JsonValueKind.True or JsonValueKind.False => "a boolean",
+        _ => "null"
+    };
+}
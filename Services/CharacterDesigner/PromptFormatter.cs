@@ -0,0 +1,93 @@
+using System.Globalization;
+using System.Text;
+using TagbooruQuest.Models.CharacterDesigner;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+/// <summary>
+/// Writes tags with their emphasis in the chosen prompt syntax.
+/// </summary>
+public static class PromptFormatter
+{
+    public const string Separator = ", ";
+
+    /// <summary>Between the parts of a scene prompt; A1111 starts a new chunk at each BREAK.</summary>
+    public const string BreakSeparator = " BREAK ";
+
+    // Each bracket level multiplies the weight by this much
+    internal const double A1111BracketStep = 1.1;
+    internal const double NovelAIBracketStep = 1.05;
+
+    /// <summary>
+    /// Format one tag, e.g. <c>(red eyes:1.3)</c>, <c>((red eyes))</c> or <c>{{red eyes}}</c>.
+    /// </summary>
+    public static string FormatTag(string text, TagWeight? weight, PromptOutputFormat format)
+    {
+        var escaped = Escape(text, format);
+        if (weight == null || weight.IsNeutral)
+            return escaped;
+
+        if (format == PromptOutputFormat.A1111 && weight.Style == WeightStyle.Numeric)
+            return $"({escaped}:{weight.Weight.ToString("0.##", CultureInfo.InvariantCulture)})";
+
+        var step = format == PromptOutputFormat.NovelAI ? NovelAIBracketStep : A1111BracketStep;
+        var levels = (int)Math.Round(Math.Log(weight.Weight) / Math.Log(step));
+        if (levels == 0)
+            return escaped;
+
+        var (open, close) = levels > 0
+            ? (format == PromptOutputFormat.NovelAI ? ("{", "}") : ("(", ")"))
+            : ("[", "]");
+        var count = Math.Abs(levels);
+        return new StringBuilder()
+            .Insert(0, open, count)
+            .Append(escaped)
+            .Append(string.Concat(Enumerable.Repeat(close, count)))
+            .ToString();
+    }
+
+    /// <summary>
+    /// Format an attached LoRA or embedding: <c>&lt;lora:flat:0.8&gt;</c>, <c>embedding:easynegative</c>
+    /// or <c>(embedding:easynegative:1.2)</c>. NovelAI has neither, so it gets an empty string.
+    /// </summary>
+    public static string FormatResource(PromptResource resource, PromptOutputFormat format)
+    {
+        if (format == PromptOutputFormat.NovelAI)
+            return string.Empty;
+
+        var strength = resource.Strength.ToString("0.##", CultureInfo.InvariantCulture);
+        if (resource.Kind == PromptResourceKind.Lora)
+        {
+            // A1111 names LoRAs by file name alone; PromptJsonMapper finds the file again
+            return $"<lora:{Path.GetFileNameWithoutExtension(resource.Name)}:{strength}>";
+        }
+
+        var embedding = $"embedding:{StripModelExtension(resource.Name)}";
+        return Math.Abs(resource.Strength - 1.0) < 0.001 ? embedding : $"({embedding}:{strength})";
+    }
+
+    public static string Join(IEnumerable<string> formattedTags) =>
+        string.Join(Separator, formattedTags.Where(t => !string.IsNullOrWhiteSpace(t)));
+
+    /// <summary>
+    /// Backslash-escape the characters the format reads as emphasis, so tags such as
+    /// <c>:)</c> or <c>star (symbol)</c> stay literal: <c>:\)</c>, <c>star \(symbol\)</c>.
+    /// </summary>
+    public static string Escape(string text, PromptOutputFormat format)
+    {
+        var special = format == PromptOutputFormat.NovelAI ? "{}[]\\" : "()[]\\";
+        var sb = new StringBuilder(text.Length);
+        foreach (var ch in text)
+        {
+            if (special.IndexOf(ch) >= 0) sb.Append('\\');
+            sb.Append(ch);
+        }
+        return sb.ToString();
+    }
+
+    private static string StripModelExtension(string name)
+    {
+        var extension = Path.GetExtension(name);
+        return extension is ".safetensors" or ".pt" or ".bin" or ".ckpt" ? name[..^extension.Length] : name;
+    }
+}
@@ -0,0 +1,251 @@
+using TagbooruQuest.Data;
+using TagbooruQuest.Models.CharacterDesigner;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+public interface IPromptImportService
+{
+    /// <summary>Parse a prompt and find the designer panel for each of its tags.</summary>
+    Task<PromptImportResult> ResolveAsync(string prompt, PromptOutputFormat format = PromptOutputFormat.A1111);
+
+    /// <summary>Resolve already parsed tags, e.g. after picking a suggested spelling.</summary>
+    Task<PromptImportResult> ResolveTokensAsync(IReadOnlyList<PromptToken> tokens);
+
+    /// <summary>
+    /// Select every resolved tag with its weight and attach the LoRAs, as a single undo step.
+    /// </summary>
+    void Apply(PromptImportResult result, bool replaceExisting);
+}
+
+public record ResolvedPromptTag(PromptToken Token, PanelConfig Panel, TagOption Option, string How);
+
+public record UnresolvedPromptTag(PromptToken Token, string Reason, List<string> Suggestions);
+
+public class PromptImportResult
+{
+    public List<ResolvedPromptTag> Resolved { get; } = new();
+    public List<UnresolvedPromptTag> Unresolved { get; } = new();
+
+    /// <summary>LoRA references in the prompt; they are attached to the build rather than selected.</summary>
+    public List<PromptLora> Loras { get; } = new();
+}
+
+public class PromptImportService : IPromptImportService
+{
+    // How far up the category tree a tag is followed to find a panel
+    private const int MaxAncestorDepth = 8;
+    private const int SuggestionCount = 5;
+
+    private readonly TagGraphService _tagGraphService;
+    private readonly IDesignerRegistry _designerRegistry;
+    private readonly ITagSpriteResolver _spriteResolver;
+    private readonly ICharacterBuildState _buildState;
+
+    // Panel for each category node a DbQuery source lists, built on first use
+    // and again whenever the designer configuration is replaced
+    private Dictionary<int, PanelConfig>? _panelsByNodeId;
+    private DesignerConfig? _panelsBuiltFor;
+    private readonly Dictionary<PanelConfig, Dictionary<string, TagOption>> _spritesByPanel = new();
+
+    public PromptImportService(
+        TagGraphService tagGraphService,
+        IDesignerRegistry designerRegistry,
+        ITagSpriteResolver spriteResolver,
+        ICharacterBuildState buildState)
+    {
+        _tagGraphService = tagGraphService;
+        _designerRegistry = designerRegistry;
+        _spriteResolver = spriteResolver;
+        _buildState = buildState;
+    }
+
+    public async Task<PromptImportResult> ResolveAsync(string prompt, PromptOutputFormat format = PromptOutputFormat.A1111)
+    {
+        var parsed = PromptParser.Parse(prompt, format);
+        var result = await ResolveTokensAsync(parsed.Tags);
+        result.Loras.AddRange(parsed.Loras);
+        return result;
+    }
+
+    public async Task<PromptImportResult> ResolveTokensAsync(IReadOnlyList<PromptToken> tokens)
+    {
+        await _spriteResolver.LoadAsync();
+
+        var result = new PromptImportResult();
+        var panelsByNodeId = GetPanelsByNodeId();
+
+        foreach (var token in tokens)
+        {
+            var (nodes, how) = FindNodes(token.Text);
+
+            PanelConfig? panel = null;
+            Node? placed = null;
+            foreach (var node in nodes)
+            {
+                panel = FindPanel(node, panelsByNodeId);
+                if (panel != null)
+                {
+                    placed = node;
+                    break;
+                }
+            }
+
+            if (panel != null && placed != null)
+            {
+                var option = _spriteResolver.ResolveTag(placed.Text, placed.Id);
+                result.Resolved.Add(new ResolvedPromptTag(token, panel, option, how));
+                continue;
+            }
+
+            // Sprite-only panels have no database path to follow
+            var sprite = await FindSpriteAsync(nodes.FirstOrDefault()?.Text ?? token.Text);
+            if (sprite != null)
+            {
+                result.Resolved.Add(new ResolvedPromptTag(token, sprite.Value.Panel, sprite.Value.Option, nodes.Count > 0 ? how : "sprite name"));
+                continue;
+            }
+
+            result.Unresolved.Add(nodes.Count > 0
+                ? new UnresolvedPromptTag(token, $"\"{nodes[0].Text}\" is not in any designer panel", new List<string>())
+                : new UnresolvedPromptTag(token, "not in the tag database", Suggest(token.Text)));
+        }
+
+        return result;
+    }
+
+    public void Apply(PromptImportResult result, bool replaceExisting)
+    {
+        using var batch = _buildState.History.BeginBatch("Import prompt");
+
+        if (replaceExisting)
+        {
+            _buildState.Reset();
+        }
+
+        foreach (var tag in result.Resolved)
+        {
+            var panelKey = tag.Panel.Key;
+            if (!_buildState.GetSelections(panelKey).Any(o => o.CanonicalTag == tag.Option.CanonicalTag))
+            {
+                _buildState.ToggleSelection(panelKey, tag.Panel.PromptOrderWeight, tag.Panel.SelectionMode, tag.Option);
+            }
+
+            _buildState.SetWeight(panelKey, tag.Option.CanonicalTag, tag.Token.Weight, tag.Token.Style);
+        }
+
+        foreach (var lora in result.Loras)
+        {
+            _buildState.SetResource(new PromptResource(PromptResourceKind.Lora, lora.Name, lora.Strength));
+        }
+    }
+
+    /// <summary>
+    /// Tag nodes for a tag text: by slug, then exact text, then alias, then an exact search hit.
+    /// </summary>
+    private (List<Node> Nodes, string How) FindNodes(string text)
+    {
+        var bySlug = _tagGraphService.GetNodeBySlug(TagGraphService.Slugify(text));
+        if (bySlug is { IsTag: true })
+            return (new List<Node> { bySlug }, "exact tag");
+
+        var byText = _tagGraphService.GetNodesByText(text).Where(n => n.IsTag).ToList();
+        if (byText.Count > 0)
+            return (byText, "exact tag");
+
+        var byAlias = _tagGraphService.GetNodeByAlias(text);
+        if (byAlias != null)
+            return (new List<Node> { byAlias }, $"alias of \"{byAlias.Text}\"");
+
+        var searched = _tagGraphService.Search(text, SuggestionCount)
+            .Where(r => r.Kind is SearchMatchKind.Exact or SearchMatchKind.Alias)
+            .Select(r => _tagGraphService.GetNodeById(r.Id))
+            .OfType<Node>()
+            .Where(n => n.IsTag)
+            .ToList();
+        return (searched, "search");
+    }
+
+    /// <summary>
+    /// Walk up from a tag through its categories until one of them is a panel's source.
+    /// The nearest category wins, so "Hair Color" beats "Hair" for "blue hair".
+    /// </summary>
+    private PanelConfig? FindPanel(Node node, Dictionary<int, PanelConfig> panelsByNodeId)
+    {
+        var visited = new HashSet<int> { node.Id };
+        var level = new List<int> { node.Id };
+
+        for (int depth = 0; depth < MaxAncestorDepth && level.Count > 0; depth++)
+        {
+            var next = new List<int>();
+            foreach (var id in level)
+            {
+                foreach (var parent in _tagGraphService.GetParents(id))
+                {
+                    if (panelsByNodeId.TryGetValue(parent.Id, out var panel))
+                        return panel;
+                    if (visited.Add(parent.Id))
+                        next.Add(parent.Id);
+                }
+            }
+            level = next;
+        }
+
+        return null;
+    }
+
+    private async Task<(PanelConfig Panel, TagOption Option)?> FindSpriteAsync(string tag)
+    {
+        var key = PromptParser.NormalizeTag(tag);
+        foreach (var panel in _designerRegistry.Config.Groups.SelectMany(g => g.Panels))
+        {
+            if (!_spritesByPanel.TryGetValue(panel, out var sprites))
+            {
+                sprites = new Dictionary<string, TagOption>(StringComparer.OrdinalIgnoreCase);
+                foreach (var source in panel.Sources.Where(s => s.Type == SourceType.FileGlob && !string.IsNullOrEmpty(s.FileGlob)))
+                {
+                    foreach (var option in await _spriteResolver.DiscoverByFileGlobAsync(source.FileGlob!))
+                        sprites.TryAdd(PromptParser.NormalizeTag(option.CanonicalTag), option);
+                }
+                _spritesByPanel[panel] = sprites;
+            }
+
+            if (sprites.TryGetValue(key, out var match))
+                return (panel, match);
+        }
+
+        return null;
+    }
+
+    private Dictionary<int, PanelConfig> GetPanelsByNodeId()
+    {
+        var config = _designerRegistry.Config;
+        if (_panelsByNodeId != null && ReferenceEquals(_panelsBuiltFor, config))
+            return _panelsByNodeId;
+
+        _spritesByPanel.Clear();
+        var map = new Dictionary<int, PanelConfig>();
+        foreach (var panel in config.Groups.SelectMany(g => g.Panels))
+        {
+            foreach (var source in panel.Sources.Where(s => s.Type == SourceType.DbQuery && s.DbPath is { Count: > 0 }))
+            {
+                var (node, _) = _designerRegistry.ResolveDbPath(source.DbPath!);
+                if (node != null)
+                    map.TryAdd(node.Id, panel);
+            }
+        }
+
+        _panelsBuiltFor = config;
+        return _panelsByNodeId = map;
+    }
+
+    private List<string> Suggest(string text)
+    {
+        return _tagGraphService.Search(text, SuggestionCount * 2, SearchMode.Fuzzy)
+            .Select(r => r.Text)
+            .Concat(_tagGraphService.SuggestSpellings(text, SuggestionCount))
+            .Where(s => !s.Equals(text, StringComparison.OrdinalIgnoreCase))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .Take(SuggestionCount)
+            .ToList();
+    }
+}
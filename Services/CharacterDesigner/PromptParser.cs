@@ -0,0 +1,238 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using TagbooruQuest.Models.CharacterDesigner;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+/// <summary>
+/// One tag read from a prompt. <see cref="Text"/> has emphasis and escapes removed and
+/// underscores turned into spaces; <see cref="Raw"/> is the tag as it was written.
+/// </summary>
+public record PromptToken(string Raw, string Text, double Weight, WeightStyle Style);
+
+/// <summary>A <c>&lt;lora:name:strength&gt;</c> reference found in a prompt.</summary>
+public record PromptLora(string Raw, string Name, double Strength);
+
+public record ParsedPrompt(List<PromptToken> Tags, List<PromptLora> Loras);
+
+/// <summary>
+/// Reads comma-separated prompts in the A1111 / ComfyUI and NovelAI emphasis syntaxes back
+/// into tags: <c>(tag:1.2)</c>, <c>((tag))</c>, <c>[tag]</c>, <c>{tag}</c>, backslash escapes,
+/// <c>BREAK</c> and LoRA references. The inverse of <see cref="PromptFormatter"/>.
+/// </summary>
+public static class PromptParser
+{
+    private static readonly Regex LoraPattern = new(
+        @"<(?:lora|lyco):([^:>]+)(?::([^:>]*))?(?::[^>]*)?>",
+        RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+    // The ":1.2)" that ends a numeric weight
+    private static readonly Regex NumericWeightPattern = new(
+        @"\G:\s*([+-]?(?:\d+(?:\.\d*)?|\.\d+))\s*\)",
+        RegexOptions.Compiled);
+
+    private static readonly Regex BreakPattern = new(@"\b(?:BREAK|AND)\b", RegexOptions.Compiled);
+
+    /// <param name="format">Decides how much <c>[tag]</c> lowers the weight; both bracket styles are read either way.</param>
+    public static ParsedPrompt Parse(string? prompt, PromptOutputFormat format = PromptOutputFormat.A1111)
+    {
+        var tags = new List<PromptToken>();
+        var loras = new List<PromptLora>();
+        if (string.IsNullOrWhiteSpace(prompt))
+            return new ParsedPrompt(tags, loras);
+
+        // LoRAs and BREAK are blanked out to a comma so character positions stay put for Raw
+        var text = LoraPattern.Replace(prompt, match =>
+        {
+            loras.Add(ToLora(match));
+            return Blank(match.Length);
+        });
+        text = BreakPattern.Replace(text, match => Blank(match.Length));
+
+        var chars = new List<WeightedChar>(text.Length);
+        var groups = new Stack<OpenGroup>();
+
+        for (int i = 0; i < text.Length; i++)
+        {
+            var ch = text[i];
+            switch (ch)
+            {
+                case '\\' when i + 1 < text.Length:
+                    i++;
+                    chars.Add(new WeightedChar(text[i], i));
+                    break;
+
+                case '(' or '[' or '{':
+                    groups.Push(new OpenGroup(ch, chars.Count));
+                    break;
+
+                case ':' when groups.TryPeek(out var group) && group.Bracket == '(':
+                    var match = NumericWeightPattern.Match(text, i);
+                    if (match.Success &&
+                        double.TryParse(match.Groups[1].Value, NumberStyles.Float, CultureInfo.InvariantCulture, out var weight))
+                    {
+                        groups.Pop();
+                        ApplyWeight(chars, group.Start, weight, numeric: true);
+                        i += match.Length - 1;
+                    }
+                    else
+                    {
+                        chars.Add(new WeightedChar(ch, i));
+                    }
+                    break;
+
+                case ')' or ']' or '}' when groups.TryPeek(out var open) && open.Bracket == OpeningFor(ch):
+                    groups.Pop();
+                    ApplyWeight(chars, open.Start, BracketMultiplier(open.Bracket, format), numeric: false);
+                    break;
+
+                default:
+                    chars.Add(new WeightedChar(ch, i));
+                    break;
+            }
+        }
+
+        // Unclosed brackets still count, as they do in A1111
+        while (groups.TryPop(out var unclosed))
+            ApplyWeight(chars, unclosed.Start, BracketMultiplier(unclosed.Bracket, format), numeric: false);
+
+        foreach (var span in SplitOnCommas(chars))
+        {
+            var token = ToToken(prompt, span);
+            if (token != null)
+                tags.Add(token);
+        }
+
+        return new ParsedPrompt(tags, loras);
+    }
+
+    /// <summary>
+    /// Take the LoRA references out of a prompt, for backends that load LoRAs as nodes rather
+    /// than from the text. The commas they leave behind are tidied up.
+    /// </summary>
+    public static (string Text, List<PromptLora> Loras) ExtractLoras(string? prompt)
+    {
+        var loras = new List<PromptLora>();
+        if (string.IsNullOrEmpty(prompt))
+            return (prompt ?? string.Empty, loras);
+
+        var text = LoraPattern.Replace(prompt, match =>
+        {
+            loras.Add(ToLora(match));
+            return string.Empty;
+        });
+        if (loras.Count == 0)
+            return (prompt, loras);
+
+        var parts = text.Split(',').Select(p => p.Trim()).Where(p => p.Length > 0);
+        return (string.Join(PromptFormatter.Separator, parts), loras);
+    }
+
+    /// <summary>
+    /// Tag text as the tag database stores it: trimmed, single spaces, underscores as spaces.
+    /// </summary>
+    public static string NormalizeTag(string text)
+    {
+        var sb = new StringBuilder(text.Length);
+        foreach (var ch in text.Trim())
+        {
+            var c = ch == '_' ? ' ' : ch;
+            if (c == ' ' && (sb.Length == 0 || sb[^1] == ' ')) continue;
+            sb.Append(c);
+        }
+        return sb.ToString().TrimEnd();
+    }
+
+    private static PromptLora ToLora(Match match)
+    {
+        var strength = double.TryParse(match.Groups[2].Value, NumberStyles.Float, CultureInfo.InvariantCulture, out var s) ? s : 1.0;
+        return new PromptLora(match.Value, match.Groups[1].Value.Trim(), strength);
+    }
+
+    private static PromptToken? ToToken(string prompt, List<WeightedChar> span)
+    {
+        var text = NormalizeTag(new string(span.Select(c => c.Char).ToArray()));
+        if (text.Length == 0)
+            return null;
+
+        // A tag split across emphasis groups takes the weight most of its letters carry
+        var dominant = span
+            .Where(c => !char.IsWhiteSpace(c.Char))
+            .GroupBy(c => (c.Weight, c.Numeric))
+            .OrderByDescending(g => g.Count())
+            .First().Key;
+
+        var start = span.First(c => !char.IsWhiteSpace(c.Char)).Index;
+        var end = span.Last(c => !char.IsWhiteSpace(c.Char)).Index;
+        var raw = ExpandToBrackets(prompt, start, end);
+
+        var weight = Math.Round(Math.Clamp(dominant.Weight, TagWeight.Min, TagWeight.Max), 2);
+        var style = dominant.Numeric || Math.Abs(weight - 1.0) < 0.001 ? WeightStyle.Numeric : WeightStyle.Brackets;
+        return new PromptToken(raw, text, weight, style);
+    }
+
+    private static IEnumerable<List<WeightedChar>> SplitOnCommas(List<WeightedChar> chars)
+    {
+        var current = new List<WeightedChar>();
+        foreach (var c in chars)
+        {
+            if (c.Char is ',' or '\n' or '\r')
+            {
+                yield return current;
+                current = new List<WeightedChar>();
+            }
+            else
+            {
+                current.Add(c);
+            }
+        }
+        yield return current;
+    }
+
+    private static void ApplyWeight(List<WeightedChar> chars, int start, double multiplier, bool numeric)
+    {
+        for (int i = start; i < chars.Count; i++)
+        {
+            var c = chars[i];
+            chars[i] = c with { Weight = c.Weight * multiplier, Numeric = c.Numeric || numeric };
+        }
+    }
+
+    /// <summary>
+    /// Widen the original text of a tag to include the emphasis brackets around it, so
+    /// <c>(long hair:1.2)</c> is reported whole rather than as <c>long hair</c>.
+    /// </summary>
+    private static string ExpandToBrackets(string prompt, int start, int end)
+    {
+        while (start > 0 && prompt[start - 1] is '(' or '[' or '{')
+            start--;
+        while (end + 1 < prompt.Length && prompt[end + 1] is not (',' or '\n' or '\r' or '(' or '[' or '{' or '<'))
+        {
+            if (prompt[end + 1] is not (')' or ']' or '}' or ':') && !char.IsDigit(prompt[end + 1]) && prompt[end + 1] != '.')
+                break;
+            end++;
+        }
+        return prompt[start..(end + 1)].Trim();
+    }
+
+    private static double BracketMultiplier(char bracket, PromptOutputFormat format) => bracket switch
+    {
+        '(' => PromptFormatter.A1111BracketStep,
+        '{' => PromptFormatter.NovelAIBracketStep,
+        _ => 1 / (format == PromptOutputFormat.NovelAI ? PromptFormatter.NovelAIBracketStep : PromptFormatter.A1111BracketStep)
+    };
+
+    private static char OpeningFor(char closing) => closing switch
+    {
+        ')' => '(',
+        ']' => '[',
+        _ => '{'
+    };
+
+    private static string Blank(int length) => "," + new string(' ', Math.Max(0, length - 1));
+
+    private record struct WeightedChar(char Char, int Index, double Weight = 1.0, bool Numeric = false);
+
+    private record struct OpenGroup(char Bracket, int Start);
+}
@@ -0,0 +1,107 @@
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+/// <summary>
+/// A glob pattern for sprite files, matched against paths relative to the sprite folder with
+/// forward slashes and ignoring case.
+/// <list type="bullet">
+/// <item><c>*</c> and <c>?</c> match within one folder name</item>
+/// <item><c>**/</c> matches any number of folders, including none</item>
+/// <item><c>[abc]</c>, <c>[a-z]</c> and <c>[!abc]</c> are character classes</item>
+/// <item><c>{png,jpg}</c> matches either alternative</item>
+/// </list>
+/// A pattern without a slash matches the file name in any folder, so <c>*hair*</c> finds
+/// <c>hair/color/blonde-hair.jpg</c>.
+/// </summary>
+public sealed class SpriteGlob
+{
+    private readonly Regex _regex;
+
+    public SpriteGlob(string pattern)
+    {
+        Pattern = pattern.Trim().Replace('\\', '/').TrimStart('/');
+        if (Pattern.StartsWith("./", StringComparison.Ordinal))
+            Pattern = Pattern.Substring(2);
+
+        _regex = new Regex(ToRegex(Pattern), RegexOptions.IgnoreCase | RegexOptions.CultureInvariant);
+    }
+
+    public string Pattern { get; }
+
+    public bool IsMatch(string relativePath)
+    {
+        return _regex.IsMatch(relativePath.Replace('\\', '/'));
+    }
+
+    private static string ToRegex(string pattern)
+    {
+        var sb = new StringBuilder("^");
+        if (!pattern.Contains('/'))
+            sb.Append("(?:.*/)?");
+
+        int braceDepth = 0;
+        for (int i = 0; i < pattern.Length; i++)
+        {
+            var c = pattern[i];
+            switch (c)
+            {
+                case '*' when i + 1 < pattern.Length && pattern[i + 1] == '*':
+                    i++;
+                    if (i + 1 < pattern.Length && pattern[i + 1] == '/')
+                    {
+                        i++;
+                        sb.Append("(?:.*/)?");
+                    }
+                    else
+                    {
+                        sb.Append(".*");
+                    }
+                    break;
+                case '*':
+                    sb.Append("[^/]*");
+                    break;
+                case '?':
+                    sb.Append("[^/]");
+                    break;
+                case '[':
+                    var close = i + 2 < pattern.Length ? pattern.IndexOf(']', i + 2) : -1;
+                    if (close < 0)
+                    {
+                        sb.Append(@"\[");
+                        break;
+                    }
+                    var set = pattern.Substring(i + 1, close - i - 1);
+                    var negated = set[0] == '!' || set[0] == '^';
+                    if (negated) set = set.Substring(1);
+                    sb.Append(negated ? "[^" : "[").Append(set.Replace(@"\", @"\\").Replace("[", @"\[")).Append(']');
+                    i = close;
+                    break;
+                case '{':
+                    braceDepth++;
+                    sb.Append("(?:");
+                    break;
+                case '}' when braceDepth > 0:
+                    braceDepth--;
+                    sb.Append(')');
+                    break;
+                case ',' when braceDepth > 0:
+                    sb.Append('|');
+                    break;
+                case '\\' when i + 1 < pattern.Length:
+                    sb.Append(Regex.Escape(pattern[++i].ToString()));
+                    break;
+                default:
+                    sb.Append(Regex.Escape(c.ToString()));
+                    break;
+            }
+        }
+
+        // An unclosed brace is taken literally rather than failing the whole source
+        if (braceDepth > 0)
+            return ToRegex(pattern.Replace("{", @"\{"));
+
+        return sb.Append('$').ToString();
+    }
+}
@@ -0,0 +1,135 @@
+using System.Globalization;
+using TagbooruQuest.Data;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+/// <summary>
+/// Thumbnails drawn for tags that have no sprite: a swatch for colour tags such as
+/// "blue eyes" or "multicolored hair", the tag's initials on a stable colour for the rest.
+/// Returned as SVG data URLs so they work without any file on disk.
+/// </summary>
+public static class TagPlaceholder
+{
+    private const int Size = 96;
+
+    private static readonly Dictionary<string, string> ColorWords = new(StringComparer.Ordinal)
+    {
+        ["red"] = "#d7263d",
+        ["crimson"] = "#a4161a",
+        ["orange"] = "#f08a24",
+        ["yellow"] = "#f2d024",
+        ["blonde"] = "#eed27a",
+        ["blond"] = "#eed27a",
+        ["gold"] = "#d4af37",
+        ["golden"] = "#d4af37",
+        ["green"] = "#2e9d4a",
+        ["aqua"] = "#35d0d0",
+        ["teal"] = "#1f8f8f",
+        ["blue"] = "#1e63d6",
+        ["purple"] = "#7b3fbf",
+        ["violet"] = "#8f5fd8",
+        ["pink"] = "#f48fb1",
+        ["brown"] = "#7b4a2a",
+        ["black"] = "#1b1b1b",
+        ["white"] = "#f5f5f5",
+        ["grey"] = "#8d8d8d",
+        ["gray"] = "#8d8d8d",
+        ["silver"] = "#c0c6cc"
+    };
+
+    private static readonly string[] Rainbow = { "#d7263d", "#f08a24", "#f2d024", "#2e9d4a", "#1e63d6", "#7b3fbf" };
+
+    /// <summary>SVG data URL for a tag, the same for the same tag every time.</summary>
+    public static string ForTag(string tag)
+    {
+        var colors = FindColors(tag);
+        var svg = colors.Count > 0 ? Swatch(colors) : Initials(tag);
+        return "data:image/svg+xml;charset=utf-8," + Uri.EscapeDataString(svg);
+    }
+
+    /// <summary>
+    /// Colours named by the tag, in order, with "light"/"pale" and "dark" applied to the
+    /// colour after them. "multicolored", "rainbow" and "gradient" give a rainbow.
+    /// </summary>
+    public static IReadOnlyList<string> FindColors(string tag)
+    {
+        var words = FuzzyText.Normalize(tag).Split(' ', StringSplitOptions.RemoveEmptyEntries);
+        if (words.Any(w => w is "multicolored" or "multicolor" or "rainbow" or "gradient"))
+            return Rainbow;
+
+        var colors = new List<string>();
+        double shade = 0;
+        foreach (var word in words)
+        {
+            if (word is "light" or "pale")
+            {
+                shade = 0.45;
+            }
+            else if (word == "dark")
+            {
+                shade = -0.45;
+            }
+            else if (ColorWords.TryGetValue(word, out var hex))
+            {
+                var color = Shade(hex, shade);
+                if (!colors.Contains(color)) colors.Add(color);
+                shade = 0;
+            }
+        }
+
+        return colors.Take(3).ToList();
+    }
+
+    // Vertical stripes, one per colour
+    private static string Swatch(IReadOnlyList<string> colors)
+    {
+        var width = (double)Size / colors.Count;
+        var stripes = string.Concat(colors.Select((c, i) =>
+            $"<rect x=\"{Fmt(i * width)}\" y=\"0\" width=\"{Fmt(width + 0.5)}\" height=\"{Size}\" fill=\"{c}\"/>"));
+
+        return $"<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"{Size}\" height=\"{Size}\" viewBox=\"0 0 {Size} {Size}\">" +
+               stripes +
+               $"<rect x=\"0.5\" y=\"0.5\" width=\"{Size - 1}\" height=\"{Size - 1}\" fill=\"none\" stroke=\"rgba(0,0,0,0.25)\"/>" +
+               "</svg>";
+    }
+
+    private static string Initials(string tag)
+    {
+        var words = FuzzyText.Normalize(tag).Split(' ', StringSplitOptions.RemoveEmptyEntries);
+        var initials = string.Concat(words.Take(2).Select(w => char.ToUpperInvariant(w[0])));
+        if (initials.Length == 0) initials = "?";
+
+        var hue = StableHash(TagGraphService.Slugify(tag)) % 360;
+        return $"<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"{Size}\" height=\"{Size}\" viewBox=\"0 0 {Size} {Size}\">" +
+               $"<rect width=\"{Size}\" height=\"{Size}\" fill=\"hsl({hue},45%,38%)\"/>" +
+               $"<text x=\"50%\" y=\"50%\" dy=\".35em\" text-anchor=\"middle\" font-family=\"sans-serif\" font-size=\"40\" font-weight=\"600\" fill=\"#ffffff\">{initials}</text>" +
+               "</svg>";
+    }
+
+    // Mix towards white (amount > 0) or black (amount < 0)
+    private static string Shade(string hex, double amount)
+    {
+        if (amount == 0) return hex;
+
+        var target = amount > 0 ? 255 : 0;
+        var t = Math.Abs(amount);
+        var channels = Enumerable.Range(0, 3)
+            .Select(i => int.Parse(hex.Substring(1 + i * 2, 2), NumberStyles.HexNumber))
+            .Select(v => (int)Math.Round(v + (target - v) * t));
+        return "#" + string.Concat(channels.Select(v => v.ToString("x2")));
+    }
+
+    // FNV-1a, so a tag keeps its colour across runs (string.GetHashCode is randomised)
+    private static uint StableHash(string text)
+    {
+        uint hash = 2166136261;
+        foreach (var ch in text)
+        {
+            hash ^= ch;
+            hash *= 16777619;
+        }
+        return hash;
+    }
+
+    private static string Fmt(double value) => value.ToString("0.##", CultureInfo.InvariantCulture);
+}
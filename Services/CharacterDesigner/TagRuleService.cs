@@ -0,0 +1,268 @@
+using System.Text.Json;
+using TagbooruQuest.Models.CharacterDesigner;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+public interface ITagRuleService
+{
+    TagRuleSet Rules { get; }
+
+    /// <summary>Why some of the rules could not be read, or null.</summary>
+    string? LoadError { get; }
+
+    /// <summary>
+    /// Selected tags that an enforced exclusion removes when <paramref name="tag"/> is added.
+    /// </summary>
+    IReadOnlyList<string> GetEnforcedConflicts(string tag, IEnumerable<string> selectedTags);
+
+    /// <summary>Selected tags that any exclusion says contradict <paramref name="tag"/>.</summary>
+    IReadOnlyList<string> GetConflicts(string tag, IEnumerable<string> selectedTags);
+
+    /// <summary>Conflicts and missing companions among the selected tags, warnings first.</summary>
+    IReadOnlyList<TagRuleIssue> Check(IEnumerable<string> selectedTags);
+
+    /// <summary>Load the bundled rules and the user's own; later calls wait for the first load.</summary>
+    Task LoadAsync();
+
+    event Action? OnRulesChanged;
+}
+
+public enum TagRuleSeverity
+{
+    Warning,
+    Suggestion
+}
+
+/// <summary>A change that resolves an issue: selected tags to remove and a tag to add.</summary>
+public record TagRuleFix(string Label, IReadOnlyList<string> Remove, string? Add = null);
+
+public record TagRuleIssue(TagRuleSeverity Severity, string Message, string? Note, IReadOnlyList<TagRuleFix> Fixes);
+
+public class TagRuleService : ITagRuleService
+{
+    public const string RulesFileName = "tag-rules.json";
+
+    // Companions listed in a message before it is cut short
+    private const int MaxListedCompanions = 3;
+
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        ReadCommentHandling = JsonCommentHandling.Skip,
+        AllowTrailingCommas = true
+    };
+
+    private readonly string _userRulesPath;
+    private TagRuleSet _rules = new();
+    private Task? _loadTask;
+
+    public event Action? OnRulesChanged;
+
+    public TagRuleService()
+    {
+        // Rules in app data are added to the bundled ones
+        _userRulesPath = Path.Combine(FileSystem.AppDataDirectory, RulesFileName);
+    }
+
+    public TagRuleSet Rules => _rules;
+
+    public string? LoadError { get; private set; }
+
+    public Task LoadAsync()
+    {
+        return _loadTask ??= LoadRulesAsync();
+    }
+
+    public IReadOnlyList<string> GetEnforcedConflicts(string tag, IEnumerable<string> selectedTags)
+    {
+        return FindConflicts(tag, selectedTags, _rules.Exclusions.Where(r => r.Enforce));
+    }
+
+    public IReadOnlyList<string> GetConflicts(string tag, IEnumerable<string> selectedTags)
+    {
+        return FindConflicts(tag, selectedTags, _rules.Exclusions);
+    }
+
+    public IReadOnlyList<TagRuleIssue> Check(IEnumerable<string> selectedTags)
+    {
+        // The build's spelling of each tag, keyed the way rules compare them
+        var selected = new Dictionary<string, string>();
+        foreach (var tag in selectedTags)
+            selected.TryAdd(Key(tag), tag);
+
+        var issues = new List<TagRuleIssue>();
+        foreach (var rule in _rules.Exclusions)
+        {
+            var sides = Sides(rule)
+                .Select(side => side.Where(selected.ContainsKey).Select(k => selected[k]).ToList())
+                .Where(side => side.Count > 0)
+                .ToList();
+            if (sides.Count < 2)
+                continue;
+
+            var present = sides.SelectMany(s => s).ToList();
+            var fixes = sides
+                .Select(side => new TagRuleFix($"Keep {string.Join(", ", side)}", present.Except(side).ToList()))
+                .ToList();
+            issues.Add(new TagRuleIssue(TagRuleSeverity.Warning, $"{JoinTags(present)} contradict each other", rule.Note, fixes));
+        }
+
+        AddMissingCompanions(issues, _rules.Requirements, selected, TagRuleSeverity.Warning, "needs");
+        AddMissingCompanions(issues, _rules.Implications, selected, TagRuleSeverity.Suggestion, "usually comes with");
+        return issues;
+    }
+
+    private static IReadOnlyList<string> FindConflicts(string tag, IEnumerable<string> selectedTags, IEnumerable<TagExclusionRule> rules)
+    {
+        var key = Key(tag);
+        var selected = selectedTags.Where(t => Key(t) != key).ToList();
+        var conflicts = new List<string>();
+
+        foreach (var rule in rules)
+        {
+            var opposing = OpposingKeys(rule, key);
+            conflicts.AddRange(selected.Where(t => opposing.Contains(Key(t))));
+        }
+
+        return conflicts.Distinct().ToList();
+    }
+
+    private static void AddMissingCompanions(List<TagRuleIssue> issues, IEnumerable<TagCompanionRule> rules,
+        Dictionary<string, string> selected, TagRuleSeverity severity, string verb)
+    {
+        foreach (var rule in rules.Where(r => r.AnyOf.Count > 0))
+        {
+            if (rule.AnyOf.Any(t => selected.ContainsKey(Key(t))))
+                continue;
+
+            var triggers = rule.When.Select(Key).Distinct().Where(selected.ContainsKey).Select(k => selected[k]).ToList();
+            if (triggers.Count == 0)
+                continue;
+
+            var companion = rule.AnyOf[0];
+            var fixes = new List<TagRuleFix> { new($"Add {companion}", Array.Empty<string>(), companion) };
+            if (severity == TagRuleSeverity.Warning)
+                fixes.Add(new TagRuleFix($"Remove {string.Join(", ", triggers)}", triggers));
+
+            issues.Add(new TagRuleIssue(severity, $"{JoinTags(triggers)} {verb} {OneOf(rule.AnyOf)}", rule.Note, fixes));
+        }
+    }
+
+    /// <summary>
+    /// Groups of tags that conflict with every other group: each tag on its own, or the
+    /// rule's tags against its <see cref="TagExclusionRule.Against"/> list.
+    /// </summary>
+    private static List<List<string>> Sides(TagExclusionRule rule)
+    {
+        if (rule.Against.Count == 0)
+            return rule.Tags.Select(Key).Distinct().Select(k => new List<string> { k }).ToList();
+
+        return new List<List<string>>
+        {
+            rule.Tags.Select(Key).Distinct().ToList(),
+            rule.Against.Select(Key).Distinct().ToList()
+        };
+    }
+
+    private static HashSet<string> OpposingKeys(TagExclusionRule rule, string key)
+    {
+        var sides = Sides(rule);
+        if (!sides.Any(side => side.Contains(key)))
+            return new HashSet<string>();
+
+        return sides.Where(side => !side.Contains(key)).SelectMany(side => side).ToHashSet();
+    }
+
+    private static string Key(string tag) => PromptParser.NormalizeTag(tag).ToLowerInvariant();
+
+    private static string JoinTags(IReadOnlyList<string> tags) =>
+        tags.Count == 1 ? tags[0] : $"{string.Join(", ", tags.Take(tags.Count - 1))} and {tags[^1]}";
+
+    private static string OneOf(IReadOnlyList<string> tags)
+    {
+        if (tags.Count == 1)
+            return tags[0];
+
+        var listed = string.Join(", ", tags.Take(MaxListedCompanions));
+        return tags.Count > MaxListedCompanions ? $"one of {listed}, …" : $"one of {listed}";
+    }
+
+    private async Task LoadRulesAsync()
+    {
+        var rules = new TagRuleSet();
+        var problems = new List<string>();
+
+        try
+        {
+            using var stream = await FileSystem.OpenAppPackageFileAsync(RulesFileName);
+            using var reader = new StreamReader(stream);
+            Append(rules, Parse(await reader.ReadToEndAsync(), $"the bundled {RulesFileName}", problems));
+        }
+        catch (Exception ex)
+        {
+            problems.Add($"the bundled {RulesFileName} could not be read ({ex.GetBaseException().Message})");
+        }
+
+        try
+        {
+            if (File.Exists(_userRulesPath))
+                Append(rules, Parse(await File.ReadAllTextAsync(_userRulesPath), _userRulesPath, problems));
+        }
+        catch (Exception ex)
+        {
+            problems.Add($"{_userRulesPath} could not be read ({ex.GetBaseException().Message})");
+        }
+
+        _rules = rules;
+        LoadError = problems.Count == 0 ? null : $"Tag rules: {string.Join("; ", problems)}.";
+        if (LoadError != null)
+            Console.WriteLine(LoadError);
+
+        OnRulesChanged?.Invoke();
+    }
+
+    /// <summary>
+    /// Deserialize a rules file, leaving out rules with a missing or empty tag list; each one
+    /// left out is reported in <paramref name="problems"/>.
+    /// </summary>
+    private static TagRuleSet Parse(string json, string source, List<string> problems)
+    {
+        var parsed = JsonSerializer.Deserialize<TagRuleSet>(json, JsonOptions) ?? new TagRuleSet();
+        var rules = new TagRuleSet
+        {
+            Exclusions = Valid(parsed.Exclusions, "exclusion", r => IsTagList(r.Tags) && (r.Against ?? new()).All(t => !string.IsNullOrWhiteSpace(t))),
+            Implications = Valid(parsed.Implications, "implication", r => IsTagList(r.When) && IsTagList(r.AnyOf)),
+            Requirements = Valid(parsed.Requirements, "requirement", r => IsTagList(r.When) && IsTagList(r.AnyOf))
+        };
+
+        // Against is optional, so an explicit null means none
+        foreach (var rule in rules.Exclusions)
+            rule.Against ??= new();
+
+        return rules;
+
+        List<T> Valid<T>(List<T>? list, string kind, Func<T, bool> isValid) where T : class
+        {
+            var valid = new List<T>();
+            foreach (var (rule, index) in (list ?? new()).Select((r, i) => (r, i + 1)))
+            {
+                if (rule != null && isValid(rule))
+                    valid.Add(rule);
+                else
+                    problems.Add($"{kind} rule {index} in {source} was skipped: it needs a non-empty list of tags");
+            }
+            return valid;
+        }
+    }
+
+    private static bool IsTagList(List<string>? tags) =>
+        tags is { Count: > 0 } && tags.All(t => !string.IsNullOrWhiteSpace(t));
+
+    private static void Append(TagRuleSet target, TagRuleSet source)
+    {
+        target.Exclusions.AddRange(source.Exclusions);
+        target.Implications.AddRange(source.Implications);
+        target.Requirements.AddRange(source.Requirements);
+    }
+}
@@ -1,3 +1,4 @@
+using TagbooruQuest.Data;
 using TagbooruQuest.Models.CharacterDesigner;
 
 namespace TagbooruQuest.Services.CharacterDesigner;
@@ -6,18 +7,67 @@ public interface ITagSpriteResolver
 {
     TagOption ResolveTag(string canonicalTag);
     TagOption ResolveTag(string canonicalTag, int? nodeId = null, bool hasChildren = false, string? groupIcon = null);
+
+    /// <summary>
+    /// Sprites whose path under the sprite folder matches <paramref name="globPattern"/>
+    /// (see <see cref="SpriteGlob"/>). Empty when the folder is missing.
+    /// </summary>
     Task<List<TagOption>> DiscoverByFileGlobAsync(string globPattern);
-    string GetImageUrl(string displayName);
+
+    /// <summary>
+    /// Image for a tag: the sprite assigned in the designer, else a sprite file matched by slug
+    /// or alias, else a generated placeholder. Takes the canonical or display form.
+    /// </summary>
+    string GetImageUrl(string tag);
     string CanonicalToDisplay(string canonicalTag);
+
+    /// <summary>True when the tag has a sprite file or an assigned image rather than a placeholder.</summary>
+    bool HasSprite(string tag);
+
+    /// <summary>True when the tag's image was assigned in the designer.</summary>
+    bool HasAssignedSprite(string tag);
+
+    /// <summary>Use an image, such as a ComfyUI preview, as the tag's sprite from now on.</summary>
+    Task AssignSpriteAsync(string tag, byte[] image);
+    void RemoveAssignedSprite(string tag);
+
+    /// <summary>Scan the sprite folder and assigned sprites; later calls wait for the first scan.</summary>
+    Task LoadAsync();
+
+    /// <summary>Scan the sprite folder again, e.g. after files were added.</summary>
+    Task RefreshAsync();
+
+    event Action? OnSpritesChanged;
 }
 
 public class TagSpriteResolver : ITagSpriteResolver
 {
     private const string SpriteBasePath = "/img/tagging_sprites";
+
+    private static readonly HashSet<string> ImageExtensions = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ".jpg", ".jpeg", ".png", ".webp", ".gif", ".svg"
+    };
+
+    private readonly TagGraphService _tagGraph;
     private readonly string _physicalSpritePath;
+    private readonly string _assignedSpritePath;
+
+    // Rebuilt whole by a scan and swapped in, so readers never see a half-built index
+    private SpriteIndex _index = SpriteIndex.Empty;
+
+    // Assigned sprites by tag slug; tiles read them while an assignment is being saved
+    private readonly object _lock = new();
+    private Dictionary<string, string> _assigned = new();
+    private Task? _loadTask;
 
-    public TagSpriteResolver()
+    public event Action? OnSpritesChanged;
+
+    public TagSpriteResolver(TagGraphService tagGraph, IFileService fileService)
     {
+        _tagGraph = tagGraph;
+        _assignedSpritePath = Path.Combine(fileService.AppDataDirectory, "tag-sprites");
+
         // Multiple fallback strategies for finding sprite directory
         var possiblePaths = new[]
         {
@@ -53,14 +103,11 @@ public class TagSpriteResolver : ITagSpriteResolver
 
     public TagOption ResolveTag(string canonicalTag, int? nodeId = null, bool hasChildren = false, string? groupIcon = null)
     {
-        var display = CanonicalToDisplay(canonicalTag);
-        var imageUrl = GetImageUrl(display);
-
         return new TagOption
         {
             CanonicalTag = canonicalTag,
-            Display = display,
-            ImageUrl = imageUrl,
+            Display = CanonicalToDisplay(canonicalTag),
+            ImageUrl = GetImageUrl(canonicalTag),
             NodeId = nodeId,
             HasChildren = hasChildren,
             GroupIcon = groupIcon
@@ -69,160 +116,242 @@ public class TagSpriteResolver : ITagSpriteResolver
 
     public async Task<List<TagOption>> DiscoverByFileGlobAsync(string globPattern)
     {
-        var options = new List<TagOption>();
+        await LoadAsync();
 
+        SpriteGlob glob;
         try
         {
+            glob = new SpriteGlob(globPattern);
+        }
+        catch (ArgumentException ex)
+        {
+            Console.WriteLine($"Invalid sprite glob '{globPattern}': {ex.Message}");
+            return new List<TagOption>();
+        }
 
-            if (!Directory.Exists(_physicalSpritePath))
+        return _index.Files
+            .Where(f => glob.IsMatch(f.RelativePath))
+            .Select(f =>
             {
+                // Files named after a tag or one of its aliases take the tag's name
+                var canonical = f.Node?.Text ?? f.Name;
+                return new TagOption
+                {
+                    CanonicalTag = canonical,
+                    Display = f.Node?.Text ?? f.Name.Replace("-", " ").Replace("_", " "),
+                    ImageUrl = GetAssignedUrl(canonical) ?? f.Url,
+                    NodeId = f.Node?.Id
+                };
+            })
+            .DistinctBy(o => o.CanonicalTag, StringComparer.OrdinalIgnoreCase)
+            .OrderBy(o => o.Display)
+            .ToList();
+    }
 
-                // Return test data for debugging
-                return GetTestDataForPattern(globPattern);
-            }
+    public string GetImageUrl(string tag)
+    {
+        return GetAssignedUrl(tag)
+            ?? (_index.BySlug.TryGetValue(TagGraphService.Slugify(tag), out var file) ? file.Url : null)
+            ?? TagPlaceholder.ForTag(CanonicalToDisplay(tag));
+    }
 
-            // Convert glob pattern to search pattern (simplified)
-            var searchPattern = globPattern.Replace("*", "*");
+    public string CanonicalToDisplay(string canonicalTag)
+    {
+        // Remove underscores and convert to display format
+        return canonicalTag.Replace("_", " ");
+    }
 
-            var files = Directory.GetFiles(_physicalSpritePath, searchPattern, SearchOption.AllDirectories);
+    public bool HasSprite(string tag)
+    {
+        return HasAssignedSprite(tag) || _index.BySlug.ContainsKey(TagGraphService.Slugify(tag));
+    }
 
-            if (files.Length == 0)
-            {
-                return GetTestDataForPattern(globPattern);
-            }
+    public bool HasAssignedSprite(string tag)
+    {
+        return GetAssignedUrl(tag) != null;
+    }
 
-            foreach (var file in files)
-            {
-                var fileName = Path.GetFileNameWithoutExtension(file);
-                var display = fileName.Replace("-", " "); // Convert dashes back to spaces for display
+    public async Task AssignSpriteAsync(string tag, byte[] image)
+    {
+        var slug = TagGraphService.Slugify(tag);
+        if (slug.Length == 0 || image.Length == 0) return;
 
-                // Skip colorbase files
-                if (fileName.Equals("colorbase", StringComparison.OrdinalIgnoreCase))
-                    continue;
+        Directory.CreateDirectory(_assignedSpritePath);
+        DeleteAssignedFiles(slug);
 
-                var relativeUrl = GetRelativeImageUrl(file);
+        var extension = image.Length > 2 && image[0] == 0xFF && image[1] == 0xD8 ? ".jpg" : ".png";
+        await File.WriteAllBytesAsync(Path.Combine(_assignedSpritePath, slug + extension), image);
 
-                options.Add(new TagOption
-                {
-                    CanonicalTag = fileName, // Keep original filename as canonical
-                    Display = display,
-                    ImageUrl = relativeUrl
-                });
+        lock (_lock)
+            _assigned[slug] = ToDataUrl(image, extension);
 
-            }
+        OnSpritesChanged?.Invoke();
+    }
 
-            // Sort alphabetically by display name
-            options = options.OrderBy(o => o.Display).ToList();
-        }
-        catch (Exception ex)
+    public void RemoveAssignedSprite(string tag)
+    {
+        var slug = TagGraphService.Slugify(tag);
+        DeleteAssignedFiles(slug);
+
+        lock (_lock)
         {
-            return GetTestDataForPattern(globPattern);
+            if (!_assigned.Remove(slug)) return;
         }
 
-        return options;
+        OnSpritesChanged?.Invoke();
+    }
+
+    public Task LoadAsync()
+    {
+        return _loadTask ??= ScanAsync();
+    }
+
+    public async Task RefreshAsync()
+    {
+        await LoadAsync();
+        _loadTask = ScanAsync();
+        await _loadTask;
     }
 
-    private List<TagOption> GetTestDataForPattern(string pattern)
+    private async Task ScanAsync()
     {
-        var testData = new List<TagOption>();
+        // Directory walks and one alias lookup per file; keep them off the UI thread
+        var index = await Task.Run(BuildIndex);
+        var assigned = await Task.Run(LoadAssigned);
+
+        _index = index;
+        lock (_lock)
+            _assigned = assigned;
 
-        var patternLower = pattern.ToLowerInvariant();
+        OnSpritesChanged?.Invoke();
+    }
 
-        if (patternLower.Contains("hair"))
+    private SpriteIndex BuildIndex()
+    {
+        if (!Directory.Exists(_physicalSpritePath))
+            return SpriteIndex.Empty;
+
+        var files = new List<SpriteFile>();
+        var bySlug = new Dictionary<string, SpriteFile>();
+        var aliased = new List<(string Slug, SpriteFile File)>();
+
+        try
         {
-            testData.AddRange(new[]
+            // Shallowest first, so a top-level file wins over one with the same name in a subfolder
+            var paths = Directory.EnumerateFiles(_physicalSpritePath, "*", SearchOption.AllDirectories)
+                .Where(p => ImageExtensions.Contains(Path.GetExtension(p)))
+                .OrderBy(p => p.Count(c => c == Path.DirectorySeparatorChar))
+                .ThenBy(p => p, StringComparer.OrdinalIgnoreCase);
+
+            foreach (var path in paths)
             {
-                new TagOption { CanonicalTag = "blonde_hair", Display = "blonde hair", ImageUrl = "/img/tagging_sprites/blonde hair.jpg" },
-                new TagOption { CanonicalTag = "black_hair", Display = "black hair", ImageUrl = "/img/tagging_sprites/black hair.jpg" },
-                new TagOption { CanonicalTag = "red_hair", Display = "red hair", ImageUrl = "/img/tagging_sprites/red hair.jpg" },
-                new TagOption { CanonicalTag = "long_hair", Display = "long hair", ImageUrl = "/img/tagging_sprites/long hair.jpg" }
-            });
+                var name = Path.GetFileNameWithoutExtension(path);
+
+                // Skip colorbase files
+                if (name.Equals("colorbase", StringComparison.OrdinalIgnoreCase))
+                    continue;
+
+                var relativePath = Path.GetRelativePath(_physicalSpritePath, path).Replace('\\', '/');
+                var slug = TagGraphService.Slugify(name);
+                if (slug.Length == 0)
+                    continue;
+
+                var node = _tagGraph.GetNodeBySlug(slug);
+                var viaAlias = false;
+                if (node == null)
+                {
+                    node = _tagGraph.GetNodeByAlias(name);
+                    viaAlias = node != null;
+                }
+
+                var file = new SpriteFile(relativePath, name, ToUrl(relativePath), node);
+                files.Add(file);
+
+                bySlug.TryAdd(slug, file);
+                if (viaAlias)
+                    aliased.Add((node!.Slug, file));
+            }
         }
-        else if (patternLower.Contains("eyes"))
+        catch (Exception ex)
         {
-            testData.AddRange(new[]
-            {
-                new TagOption { CanonicalTag = "blue_eyes", Display = "blue eyes", ImageUrl = "/img/tagging_sprites/blue eyes.jpg" },
-                new TagOption { CanonicalTag = "green_eyes", Display = "green eyes", ImageUrl = "/img/tagging_sprites/green eyes.jpg" },
-                new TagOption { CanonicalTag = "brown_eyes", Display = "brown eyes", ImageUrl = "/img/tagging_sprites/brown eyes.jpg" }
-            });
+            Console.WriteLine($"Sprite scan of {_physicalSpritePath} stopped early: {ex.Message}");
         }
-        else if (patternLower.Contains("body"))
+
+        // A file named after an alias stands in for its tag, unless the tag has its own file
+        foreach (var (slug, file) in aliased)
+            bySlug.TryAdd(slug, file);
+
+        files.Sort((a, b) => string.Compare(a.RelativePath, b.RelativePath, StringComparison.OrdinalIgnoreCase));
+        return new SpriteIndex(files, bySlug);
+    }
+
+    private Dictionary<string, string> LoadAssigned()
+    {
+        var assigned = new Dictionary<string, string>();
+        if (!Directory.Exists(_assignedSpritePath))
+            return assigned;
+
+        foreach (var path in Directory.GetFiles(_assignedSpritePath))
         {
-            testData.AddRange(new[]
+            var extension = Path.GetExtension(path);
+            if (!ImageExtensions.Contains(extension))
+                continue;
+
+            try
             {
-                new TagOption { CanonicalTag = "slim", Display = "slim", ImageUrl = "/img/tagging_sprites/slim.jpg" },
-                new TagOption { CanonicalTag = "curvy", Display = "curvy", ImageUrl = "/img/tagging_sprites/curvy.jpg" },
-                new TagOption { CanonicalTag = "athletic", Display = "athletic", ImageUrl = "/img/tagging_sprites/athletic.jpg" },
-                new TagOption { CanonicalTag = "petite", Display = "petite", ImageUrl = "/img/tagging_sprites/petite.jpg" }
-            });
-        }
-        else
-        {
-            // Always return some test data for any pattern
-            testData.AddRange(new[]
+                assigned[Path.GetFileNameWithoutExtension(path)] = ToDataUrl(File.ReadAllBytes(path), extension);
+            }
+            catch (Exception ex)
             {
-                new TagOption { CanonicalTag = "smile", Display = "smile", ImageUrl = "/img/tagging_sprites/smile.jpg" },
-                new TagOption { CanonicalTag = "happy", Display = "happy", ImageUrl = "/img/tagging_sprites/happy.jpg" },
-                new TagOption { CanonicalTag = "sad", Display = "sad", ImageUrl = "/img/tagging_sprites/sad.jpg" },
-                new TagOption { CanonicalTag = "angry", Display = "angry", ImageUrl = "/img/tagging_sprites/angry.jpg" },
-                new TagOption { CanonicalTag = "neutral", Display = "neutral", ImageUrl = "/img/tagging_sprites/neutral.jpg" }
-            });
+                Console.WriteLine($"Skipping assigned sprite {path}: {ex.Message}");
+            }
         }
 
-        return testData;
+        return assigned;
     }
 
-    public string GetImageUrl(string displayName)
+    private string? GetAssignedUrl(string tag)
     {
-        // Convert spaces to dashes to match your URL-friendly filenames
-        var fileName = displayName.Replace(" ", "-");
-        return $"{SpriteBasePath}/{fileName}.jpg";
+        lock (_lock)
+            return _assigned.TryGetValue(TagGraphService.Slugify(tag), out var url) ? url : null;
     }
 
-    public string CanonicalToDisplay(string canonicalTag)
+    private void DeleteAssignedFiles(string slug)
     {
-        // Remove underscores and convert to display format
-        return canonicalTag.Replace("_", " ");
+        if (!Directory.Exists(_assignedSpritePath)) return;
+
+        // Any extension: a JPEG may replace an earlier PNG
+        foreach (var path in Directory.GetFiles(_assignedSpritePath))
+        {
+            if (Path.GetFileNameWithoutExtension(path) == slug)
+                File.Delete(path);
+        }
     }
 
-    private string GetRelativeImageUrl(string physicalPath)
+    private static string ToUrl(string relativePath)
     {
-        // Convert physical path to web URL
-        var fileName = Path.GetFileNameWithoutExtension(physicalPath);
-
-        // Convert spaces to dashes to match URL-friendly filenames
-        var urlFileName = fileName.Replace(" ", "-");
-        return $"{SpriteBasePath}/{urlFileName}.jpg";
+        var segments = relativePath.Split('/').Select(Uri.EscapeDataString);
+        return $"{SpriteBasePath}/{string.Join("/", segments)}";
     }
-}
 
-// Extension methods for better glob support
-public static class GlobExtensions
-{
-    public static bool MatchesGlob(this string text, string pattern)
+    // Assigned sprites live in app data, which the web view cannot serve, so they are inlined
+    private static string ToDataUrl(byte[] image, string extension)
     {
-        // Simple glob matching - can be enhanced with proper regex
-        if (pattern == "*") return true;
-
-        if (pattern.StartsWith("*") && pattern.EndsWith("*"))
-        {
-            var middle = pattern.Substring(1, pattern.Length - 2);
-            return text.Contains(middle, StringComparison.OrdinalIgnoreCase);
-        }
-
-        if (pattern.StartsWith("*"))
+        var mime = extension.ToLowerInvariant() switch
         {
-            var suffix = pattern.Substring(1);
-            return text.EndsWith(suffix, StringComparison.OrdinalIgnoreCase);
-        }
+            ".jpg" or ".jpeg" => "image/jpeg",
+            ".webp" => "image/webp",
+            ".gif" => "image/gif",
+            ".svg" => "image/svg+xml",
+            _ => "image/png"
+        };
+        return $"data:{mime};base64,{Convert.ToBase64String(image)}";
+    }
 
-        if (pattern.EndsWith("*"))
-        {
-            var prefix = pattern.Substring(0, pattern.Length - 1);
-            return text.StartsWith(prefix, StringComparison.OrdinalIgnoreCase);
-        }
+    private sealed record SpriteFile(string RelativePath, string Name, string Url, Node? Node);
 
-        return text.Equals(pattern, StringComparison.OrdinalIgnoreCase);
+    private sealed record SpriteIndex(IReadOnlyList<SpriteFile> Files, IReadOnlyDictionary<string, SpriteFile> BySlug)
+    {
+        public static readonly SpriteIndex Empty = new(Array.Empty<SpriteFile>(), new Dictionary<string, SpriteFile>());
     }
-}
\ No newline at end of file
+}
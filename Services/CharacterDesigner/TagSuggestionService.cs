@@ -0,0 +1,98 @@
+using TagbooruQuest.Data;
+
+namespace TagbooruQuest.Services.CharacterDesigner;
+
+public interface ITagSuggestionService
+{
+    /// <summary>
+    /// Tags near the build's selections in the tag graph, closest first. Siblings of a
+    /// selected tag count more than tags under its grandparents, and tags near several
+    /// selections more again. Selected and contradicting tags are left out.
+    /// </summary>
+    Task<IReadOnlyList<TagSuggestion>> SuggestAsync(int limit = 20);
+}
+
+/// <param name="RelatedTo">The selected tags the suggestion is close to.</param>
+public record TagSuggestion(Node Node, double Score, IReadOnlyList<string> RelatedTo);
+
+public class TagSuggestionService : ITagSuggestionService
+{
+    private const double SiblingWeight = 2.0;
+    private const double CousinWeight = 1.0;
+
+    // GetRelatedSimple sorts by name before its limit, so ask for enough to not lose siblings
+    private const int RelatedPerTag = 300;
+
+    private readonly TagGraphService _tagGraphService;
+    private readonly ICharacterBuildState _buildState;
+    private readonly ITagRuleService _tagRules;
+
+    public TagSuggestionService(TagGraphService tagGraphService, ICharacterBuildState buildState, ITagRuleService tagRules)
+    {
+        _tagGraphService = tagGraphService;
+        _buildState = buildState;
+        _tagRules = tagRules;
+    }
+
+    public async Task<IReadOnlyList<TagSuggestion>> SuggestAsync(int limit = 20)
+    {
+        var selected = _buildState.ExportSelections().Values
+            .SelectMany(p => p.Tags)
+            .Where(t => !t.Negative)
+            .ToList();
+        var selectedTags = selected.Select(t => t.CanonicalTag).ToList();
+
+        return await Task.Run(() =>
+        {
+            var nodes = selected
+                .Select(t => (Tag: t.CanonicalTag, Node: FindNode(t.CanonicalTag, t.NodeId)))
+                .Where(x => x.Node != null)
+                .DistinctBy(x => x.Node!.Id)
+                .ToList();
+            var selectedIds = nodes.Select(x => x.Node!.Id).ToHashSet();
+
+            var scores = new Dictionary<int, (Node Node, double Score, List<string> RelatedTo)>();
+            foreach (var (tag, node) in nodes)
+            {
+                var siblings = _tagGraphService.GetParents(node!.Id)
+                    .SelectMany(p => _tagGraphService.GetChildren(p.Id))
+                    .Select(n => n.Id)
+                    .ToHashSet();
+
+                foreach (var related in _tagGraphService.GetRelatedSimple(node.Id, RelatedPerTag))
+                {
+                    if (!related.IsTag || selectedIds.Contains(related.Id))
+                        continue;
+
+                    var weight = siblings.Contains(related.Id) ? SiblingWeight : CousinWeight;
+                    if (scores.TryGetValue(related.Id, out var entry))
+                    {
+                        entry.RelatedTo.Add(tag);
+                        scores[related.Id] = (entry.Node, entry.Score + weight, entry.RelatedTo);
+                    }
+                    else
+                    {
+                        scores[related.Id] = (related, weight, new List<string> { tag });
+                    }
+                }
+            }
+
+            return (IReadOnlyList<TagSuggestion>)scores.Values
+                .OrderByDescending(s => s.Score)
+                .ThenBy(s => s.Node.Text, StringComparer.OrdinalIgnoreCase)
+                .Where(s => _tagRules.GetConflicts(s.Node.Text, selectedTags).Count == 0)
+                .Take(limit)
+                .Select(s => new TagSuggestion(s.Node, s.Score, s.RelatedTo))
+                .ToList();
+        });
+    }
+
+    private Node? FindNode(string canonicalTag, int? nodeId)
+    {
+        if (nodeId is int id && _tagGraphService.GetNodeById(id) is { } byId)
+            return byId;
+
+        return _tagGraphService.GetNodeBySlug(TagGraphService.Slugify(canonicalTag))
+            ?? _tagGraphService.GetNodeByAlias(canonicalTag);
+    }
+}
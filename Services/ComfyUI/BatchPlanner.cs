@@ -0,0 +1,185 @@
+using System.Globalization;
+using System.Text.RegularExpressions;
+using TagbooruQuest.Models.CharacterDesigner;
+using TagbooruQuest.Services.CharacterDesigner;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+/// <summary>
+/// The generation parameter a batch varies along one side of its grid.
+/// </summary>
+public enum SweepAxis
+{
+    Seed,
+    Cfg,
+    Steps,
+    Sampler,
+    /// <summary>Swap one tag of the prompt for each value in turn.</summary>
+    Tag
+}
+
+/// <summary>
+/// One side of a batch grid. For <see cref="SweepAxis.Tag"/>, <see cref="SwapTag"/> is the
+/// prompt tag that each value replaces; when the prompt doesn't contain it the value is
+/// added to the end instead.
+/// </summary>
+public record SweepSpec(SweepAxis Axis, IReadOnlyList<string> Values, string? SwapTag = null)
+{
+    public string Label => Axis == SweepAxis.Tag && !string.IsNullOrEmpty(SwapTag) ? $"Tag ({SwapTag})" : Axis.ToString();
+}
+
+/// <summary>A single image of a batch before it is queued.</summary>
+public record PlannedJob(int Row, int Column, string ColumnLabel, string RowLabel, PromptParts Prompt, ComfySettingsSnapshot Settings);
+
+/// <summary>
+/// Expands a prompt, base settings and up to two sweeps into the jobs of a batch grid:
+/// columns follow <c>x</c>, rows follow <c>y</c>.
+/// </summary>
+public static class BatchPlanner
+{
+    // BREAK and AND start a new chunk, as PromptParser reads them; captured so Split keeps them
+    private static readonly Regex ChunkSeparator = new(@"(\s*\b(?:BREAK|AND)\b\s*)", RegexOptions.Compiled);
+
+    public const int MaxJobs = 64;
+
+    /// <summary>Seeds <paramref name="start"/>, start+1, … as sweep values.</summary>
+    public static SweepSpec Seeds(int start, int count)
+    {
+        return new SweepSpec(SweepAxis.Seed, Enumerable.Range(0, Math.Max(1, count))
+            .Select(i => unchecked(start + i).ToString(CultureInfo.InvariantCulture))
+            .ToList());
+    }
+
+    /// <summary>Split user input such as <c>5, 6.5, 8</c> into sweep values.</summary>
+    public static List<string> ParseValues(string text)
+    {
+        return text.Split(new[] { ',', ';', '\n' }, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Distinct()
+            .ToList();
+    }
+
+    /// <exception cref="ArgumentException">A value doesn't fit its axis or the grid is too large.</exception>
+    public static List<PlannedJob> Plan(PromptParts prompt, ComfySettingsSnapshot baseSettings, SweepSpec x, SweepSpec? y = null)
+    {
+        var columns = x.Values.Count > 0 ? x.Values : throw new ArgumentException($"{x.Label} has no values.");
+        var rows = y?.Values.Count > 0 ? y.Values : new[] { "" };
+
+        if (columns.Count * rows.Count > MaxJobs)
+            throw new ArgumentException($"{columns.Count * rows.Count} images is more than a batch can hold ({MaxJobs}).");
+
+        var jobs = new List<PlannedJob>();
+        for (int row = 0; row < rows.Count; row++)
+        {
+            for (int column = 0; column < columns.Count; column++)
+            {
+                var (jobPrompt, settings) = (prompt, baseSettings);
+                (jobPrompt, settings) = ApplyValue(x, columns[column], jobPrompt, settings);
+                if (y != null && y.Values.Count > 0)
+                    (jobPrompt, settings) = ApplyValue(y, rows[row], jobPrompt, settings);
+
+                jobs.Add(new PlannedJob(row, column, columns[column], rows[row], jobPrompt, settings));
+            }
+        }
+
+        return jobs;
+    }
+
+    private static (PromptParts Prompt, ComfySettingsSnapshot Settings) ApplyValue(
+        SweepSpec sweep, string value, PromptParts prompt, ComfySettingsSnapshot settings)
+    {
+        switch (sweep.Axis)
+        {
+            case SweepAxis.Seed:
+                return (prompt, settings with { Seed = ParseInt(value, sweep) });
+            case SweepAxis.Steps:
+                return (prompt, settings with { Steps = Math.Clamp(ParseInt(value, sweep), 1, 150) });
+            case SweepAxis.Cfg:
+                if (!double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out var cfg) || cfg <= 0)
+                    throw new ArgumentException($"\"{value}\" is not a valid CFG.");
+                return (prompt, settings with { Cfg = cfg });
+            case SweepAxis.Sampler:
+                return (prompt, settings with { SamplerName = value });
+            case SweepAxis.Tag:
+                return (SwapTag(prompt, sweep.SwapTag, value), settings);
+            default:
+                throw new ArgumentOutOfRangeException(nameof(sweep));
+        }
+    }
+
+    /// <summary>
+    /// Swap a tag where it is: in the regions (characters) that have it, otherwise in the
+    /// positive prompt.
+    /// </summary>
+    private static PromptParts SwapTag(PromptParts prompt, string? tag, string replacement)
+    {
+        var target = tag == null ? null : PromptParser.NormalizeTag(tag);
+        bool HasTag(RegionPrompt region) => target != null &&
+            PromptParser.Parse(region.Positive).Tags.Any(t => t.Text.Equals(target, StringComparison.OrdinalIgnoreCase));
+
+        if (prompt.Regions == null || !prompt.Regions.Any(HasTag))
+            return prompt with { Positive = SwapTag(prompt.Positive, tag, replacement) };
+
+        return prompt with
+        {
+            Regions = prompt.Regions
+                .Select(r => HasTag(r) ? r with { Positive = SwapTag(r.Positive, tag, replacement) } : r)
+                .ToList()
+        };
+    }
+
+    private static int ParseInt(string value, SweepSpec sweep)
+    {
+        return int.TryParse(value, NumberStyles.Integer, CultureInfo.InvariantCulture, out var result)
+            ? result
+            : throw new ArgumentException($"\"{value}\" is not a whole number for {sweep.Label}.");
+    }
+
+    /// <summary>
+    /// Replace every occurrence of a tag in a formatted prompt, keeping its emphasis:
+    /// swapping "blue eyes" for "red eyes" turns <c>(blue eyes:1.2)</c> into <c>(red eyes:1.2)</c>.
+    /// </summary>
+    public static string SwapTag(string prompt, string? tag, string replacement)
+    {
+        var target = tag == null ? null : PromptParser.NormalizeTag(tag);
+        var swapped = false;
+
+        // Odd pieces are the BREAK separators themselves, kept so the prompt rejoins unchanged
+        var pieces = ChunkSeparator.Split(prompt);
+        for (int p = 0; p < pieces.Length && target != null; p += 2)
+        {
+            var entries = pieces[p].Split(',');
+            var changed = false;
+            for (int i = 0; i < entries.Length; i++)
+            {
+                var parsed = PromptParser.Parse(entries[i]).Tags.FirstOrDefault();
+                if (parsed == null || !parsed.Text.Equals(target, StringComparison.OrdinalIgnoreCase))
+                    continue;
+
+                var escaped = PromptFormatter.Escape(parsed.Text, PromptOutputFormat.A1111);
+                var index = entries[i].IndexOf(escaped, StringComparison.OrdinalIgnoreCase);
+                if (index < 0)
+                {
+                    // The prompt may spell the tag with underscores
+                    escaped = escaped.Replace(' ', '_');
+                    index = entries[i].IndexOf(escaped, StringComparison.OrdinalIgnoreCase);
+                }
+                entries[i] = index >= 0
+                    ? entries[i][..index] + PromptFormatter.Escape(replacement, PromptOutputFormat.A1111) + entries[i][(index + escaped.Length)..]
+                    : " " + PromptFormatter.Escape(replacement, PromptOutputFormat.A1111);
+                changed = true;
+            }
+
+            if (changed)
+            {
+                pieces[p] = string.Join(",", entries);
+                swapped = true;
+            }
+        }
+
+        if (swapped)
+            return string.Concat(pieces);
+
+        var extra = PromptFormatter.Escape(replacement, PromptOutputFormat.A1111);
+        return string.IsNullOrWhiteSpace(prompt) ? extra : prompt + PromptFormatter.Separator + extra;
+    }
+}
@@ -0,0 +1,324 @@
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+using Newtonsoft.Json.Serialization;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+public interface IComfyBatchQueue
+{
+    BatchRun? Current { get; }
+    bool IsRunning { get; }
+
+    // Raised whenever a job of the current run changes; may fire on a background thread
+    event Action? OnChanged;
+
+    /// <summary>
+    /// Plan a batch grid and queue every image on ComfyUI. Returns once the run has started.
+    /// </summary>
+    /// <exception cref="ArgumentException">The sweep values don't make a valid grid.</exception>
+    /// <exception cref="InvalidOperationException">Another batch is still running.</exception>
+    Task StartAsync(PromptParts prompt, ComfySettingsSnapshot settings, SweepSpec x, SweepSpec? y = null);
+    Task CancelJobAsync(BatchJob job);
+    Task CancelAllAsync();
+
+    // Exports of the current run
+    ContactSheet CreateContactSheet();
+    string CreateManifest();
+}
+
+public enum BatchJobStatus
+{
+    Pending,
+    Queued,
+    Running,
+    Completed,
+    Failed,
+    Cancelled
+}
+
+public class BatchJob
+{
+    public int Row { get; init; }
+    public int Column { get; init; }
+    public string ColumnLabel { get; init; } = string.Empty;
+    public string RowLabel { get; init; } = string.Empty;
+    public PromptParts Prompt { get; init; } = new("");
+    public ComfySettingsSnapshot Settings { get; init; } = default!;
+
+    public BatchJobStatus Status { get; internal set; } = BatchJobStatus.Pending;
+    public int Progress { get; internal set; }
+    public string? PromptId { get; internal set; }
+    public ImageMeta? ImageMeta { get; internal set; }
+    public byte[]? Image { get; internal set; }
+    public string? Error { get; internal set; }
+
+    public bool IsFinished => Status is BatchJobStatus.Completed or BatchJobStatus.Failed or BatchJobStatus.Cancelled;
+
+    internal CancellationTokenSource Cancellation { get; } = new();
+}
+
+public class BatchRun
+{
+    public DateTime StartedAt { get; init; } = DateTime.UtcNow;
+    public PromptParts Prompt { get; init; } = new("");
+    public ComfySettingsSnapshot Settings { get; init; } = default!;
+    public SweepSpec X { get; init; } = default!;
+    public SweepSpec? Y { get; init; }
+    public List<BatchJob> Jobs { get; init; } = new();
+
+    public int ColumnCount => Jobs.Count == 0 ? 0 : Jobs.Max(j => j.Column) + 1;
+    public int RowCount => Jobs.Count == 0 ? 0 : Jobs.Max(j => j.Row) + 1;
+}
+
+// Handed to window.renderContactSheet; images are data URLs, null for jobs without one
+public record ContactSheetCell(int Row, int Column, string? Image, string Status);
+
+public record ContactSheet(
+    string Title,
+    string XLabel,
+    string? YLabel,
+    List<string> ColumnLabels,
+    List<string> RowLabels,
+    List<ContactSheetCell> Cells);
+
+/// <summary>
+/// Runs batches of generations next to the live preview: every job of a run is queued on
+/// ComfyUI up front and then awaited in order, since ComfyUI works through its queue FIFO.
+/// The live preview holds off while a batch runs so it doesn't clear the queue.
+/// </summary>
+public class ComfyBatchQueue : IComfyBatchQueue
+{
+    private static readonly JsonSerializerSettings ManifestJsonSettings = new()
+    {
+        Formatting = Formatting.Indented,
+        ContractResolver = new CamelCasePropertyNamesContractResolver(),
+        Converters = { new StringEnumConverter() },
+        NullValueHandling = NullValueHandling.Ignore
+    };
+
+    private readonly IComfyClient _comfyClient;
+    private readonly IPromptJsonMapper _promptMapper;
+    private readonly ILogger<ComfyBatchQueue>? _logger;
+
+    public BatchRun? Current { get; private set; }
+    public bool IsRunning { get; private set; }
+
+    public event Action? OnChanged;
+
+    public ComfyBatchQueue(IComfyClient comfyClient, IPromptJsonMapper promptMapper, ILogger<ComfyBatchQueue>? logger = null)
+    {
+        _comfyClient = comfyClient;
+        _promptMapper = promptMapper;
+        _logger = logger;
+    }
+
+    public Task StartAsync(PromptParts prompt, ComfySettingsSnapshot settings, SweepSpec x, SweepSpec? y = null)
+    {
+        if (IsRunning)
+            throw new InvalidOperationException("A batch is already running.");
+
+        var planned = BatchPlanner.Plan(prompt, settings, x, y);
+        var run = new BatchRun
+        {
+            Prompt = prompt,
+            Settings = settings,
+            X = x,
+            Y = y,
+            Jobs = planned.Select(p => new BatchJob
+            {
+                Row = p.Row,
+                Column = p.Column,
+                ColumnLabel = p.ColumnLabel,
+                RowLabel = p.RowLabel,
+                Prompt = p.Prompt,
+                Settings = p.Settings
+            }).ToList()
+        };
+
+        Current = run;
+        IsRunning = true;
+        OnChanged?.Invoke();
+
+        _ = Task.Run(() => RunAsync(run));
+        return Task.CompletedTask;
+    }
+
+    public async Task CancelJobAsync(BatchJob job)
+    {
+        if (job.IsFinished) return;
+
+        var wasRunning = job.Status == BatchJobStatus.Running;
+        job.Status = BatchJobStatus.Cancelled;
+        job.Cancellation.Cancel();
+        OnChanged?.Invoke();
+
+        if (job.PromptId == null) return;
+
+        if (wasRunning)
+            await _comfyClient.InterruptAsync();
+        else
+            await _comfyClient.DeleteQueuedAsync(new[] { job.PromptId });
+    }
+
+    public async Task CancelAllAsync()
+    {
+        var run = Current;
+        if (run == null) return;
+
+        var open = run.Jobs.Where(j => !j.IsFinished).ToList();
+        var queuedIds = open.Where(j => j.Status != BatchJobStatus.Running && j.PromptId != null).Select(j => j.PromptId!).ToList();
+        var anyRunning = open.Any(j => j.Status == BatchJobStatus.Running);
+
+        foreach (var job in open)
+        {
+            job.Status = BatchJobStatus.Cancelled;
+            job.Cancellation.Cancel();
+        }
+        OnChanged?.Invoke();
+
+        if (queuedIds.Count > 0)
+            await _comfyClient.DeleteQueuedAsync(queuedIds);
+        if (anyRunning)
+            await _comfyClient.InterruptAsync();
+    }
+
+    public ContactSheet CreateContactSheet()
+    {
+        var run = Current ?? throw new InvalidOperationException("There is no batch to export.");
+
+        return new ContactSheet(
+            $"{run.StartedAt.ToLocalTime():g} · {run.Jobs.Count(j => j.Status == BatchJobStatus.Completed)}/{run.Jobs.Count} images",
+            run.X.Label,
+            run.Y?.Label,
+            Enumerable.Range(0, run.ColumnCount).Select(c => run.Jobs.First(j => j.Column == c).ColumnLabel).ToList(),
+            run.Y == null ? new List<string>() : Enumerable.Range(0, run.RowCount).Select(r => run.Jobs.First(j => j.Row == r).RowLabel).ToList(),
+            run.Jobs.Select(j => new ContactSheetCell(
+                j.Row,
+                j.Column,
+                j.Image == null ? null : $"data:image/png;base64,{Convert.ToBase64String(j.Image)}",
+                j.Status.ToString())).ToList());
+    }
+
+    public string CreateManifest()
+    {
+        var run = Current ?? throw new InvalidOperationException("There is no batch to export.");
+
+        return JsonConvert.SerializeObject(new
+        {
+            version = 1,
+            startedAt = run.StartedAt,
+            prompt = run.Prompt,
+            settings = run.Settings,
+            x = run.X,
+            y = run.Y,
+            jobs = run.Jobs.Select(j => new
+            {
+                j.Row,
+                j.Column,
+                j.ColumnLabel,
+                j.RowLabel,
+                j.Status,
+                j.PromptId,
+                j.Error,
+                Image = j.ImageMeta?.Filename,
+                j.Prompt,
+                j.Settings
+            })
+        }, ManifestJsonSettings);
+    }
+
+    private async Task RunAsync(BatchRun run)
+    {
+        try
+        {
+            foreach (var job in run.Jobs)
+            {
+                if (job.IsFinished) continue;
+
+                try
+                {
+                    var workflow = await _promptMapper.MapPromptToWorkflowAsync(job.Prompt, job.Settings);
+                    job.PromptId = await _comfyClient.QueuePromptAsync(_comfyClient.ClientId, workflow, job.Cancellation.Token);
+                    if (!job.IsFinished)
+                        job.Status = BatchJobStatus.Queued;
+                }
+                catch (OperationCanceledException)
+                {
+                    job.Status = BatchJobStatus.Cancelled;
+                }
+                catch (Exception ex)
+                {
+                    _logger?.LogError(ex, "Failed to queue batch job {Row},{Column}", job.Row, job.Column);
+                    Fail(job, ex.Message);
+                }
+                OnChanged?.Invoke();
+            }
+
+            foreach (var job in run.Jobs)
+            {
+                if (job.IsFinished || job.PromptId == null) continue;
+
+                job.Status = BatchJobStatus.Running;
+                OnChanged?.Invoke();
+
+                await WaitForJobAsync(job);
+                OnChanged?.Invoke();
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "Batch run failed");
+            foreach (var job in run.Jobs.Where(j => !j.IsFinished))
+                Fail(job, ex.Message);
+        }
+        finally
+        {
+            IsRunning = false;
+            OnChanged?.Invoke();
+        }
+    }
+
+    private async Task WaitForJobAsync(BatchJob job)
+    {
+        var progress = new Progress<GenerationProgress>(p =>
+        {
+            if (job.IsFinished) return;
+            job.Progress = p.Percentage;
+            OnChanged?.Invoke();
+        });
+
+        var result = await _comfyClient.WaitForCompletionAsync(job.PromptId!, progress, job.Cancellation.Token);
+        if (job.Status == BatchJobStatus.Cancelled)
+            return;
+
+        if (!result.Success || result.Images.Count == 0)
+        {
+            Fail(job, result.Error ?? "No image was produced.");
+            return;
+        }
+
+        try
+        {
+            var image = result.Images[0];
+            job.Image = await _comfyClient.GetImageAsync(image.Filename, image.Subfolder, image.Type, job.Cancellation.Token);
+            job.ImageMeta = image;
+            job.Progress = 100;
+            job.Status = BatchJobStatus.Completed;
+        }
+        catch (OperationCanceledException)
+        {
+            job.Status = BatchJobStatus.Cancelled;
+        }
+        catch (Exception ex)
+        {
+            Fail(job, ex.Message);
+        }
+    }
+
+    private static void Fail(BatchJob job, string error)
+    {
+        job.Status = BatchJobStatus.Failed;
+        job.Error = error;
+    }
+}
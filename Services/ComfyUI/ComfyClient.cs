@@ -1,3 +1,4 @@
+using System.Collections.Concurrent;
 using System.Text;
 using Newtonsoft.Json;
 using Newtonsoft.Json.Linq;
@@ -7,13 +8,24 @@ namespace TagbooruQuest.Services.ComfyUI;
 
 public class ComfyClient : IComfyClient
 {
+    // How often /history is checked while waiting: often without the websocket, and only
+    // as a safety net for missed messages with it
+    private static readonly TimeSpan PollInterval = TimeSpan.FromMilliseconds(400);
+    private static readonly TimeSpan SocketHistoryInterval = TimeSpan.FromSeconds(5);
+
     private readonly HttpClient _httpClient;
+    private readonly ComfySocket _socket;
     private readonly ILogger<ComfyClient>? _logger;
 
+    private readonly ConcurrentDictionary<string, PromptWaiter> _waiters = new();
+    private volatile string? _executingPromptId;
+
     public ConnectionStatus Status { get; private set; } = ConnectionStatus.Disconnected;
+    public string ClientId { get; } = Guid.NewGuid().ToString();
 
     public event Action<Exception>? OnError;
     public event Action<ConnectionStatus>? OnStatusChanged;
+    public event Action<ComfyMessage>? OnMessage;
 
     public ComfyClient(IComfySettingsService settings, ILogger<ComfyClient>? logger = null)
     {
@@ -23,6 +35,9 @@ public class ComfyClient : IComfyClient
             Timeout = TimeSpan.FromSeconds(30)
         };
         _logger = logger;
+
+        _socket = new ComfySocket(logger);
+        _socket.OnMessage += HandleSocketMessage;
     }
 
     public async Task ConnectAsync(CancellationToken cancellationToken = default)
@@ -38,6 +53,10 @@ public class ComfyClient : IComfyClient
 
             SetStatus(ConnectionStatus.Connected);
             _logger?.LogInformation("Connected to ComfyUI at {BaseAddress}", _httpClient.BaseAddress);
+
+            // Progress and previews only reach the client id that queued the prompt
+            if (!_socket.IsConnected)
+                _socket.Start(ComfySocket.BuildUri(_httpClient.BaseAddress!, ClientId));
         }
         catch (Exception ex)
         {
@@ -50,8 +69,8 @@ public class ComfyClient : IComfyClient
 
     public async Task DisconnectAsync()
     {
+        await _socket.StopAsync();
         SetStatus(ConnectionStatus.Disconnected);
-        await Task.CompletedTask;
     }
 
     public async Task<IReadOnlyList<string>> ListCheckpointsAsync(CancellationToken cancellationToken = default)
@@ -78,6 +97,59 @@ public class ComfyClient : IComfyClient
         }
     }
 
+    public async Task<IReadOnlyList<string>> ListLorasAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var response = await _httpClient.GetAsync("/models/loras", cancellationToken);
+            if (response.IsSuccessStatusCode)
+            {
+                var json = await response.Content.ReadAsStringAsync(cancellationToken);
+                var loras = JsonConvert.DeserializeObject<string[]>(json);
+                return loras ?? Array.Empty<string>();
+            }
+
+            // Older servers only list them as the choices of LoraLoader's lora_name input
+            response = await _httpClient.GetAsync("/object_info/LoraLoader", cancellationToken);
+            if (response.IsSuccessStatusCode)
+            {
+                var info = JObject.Parse(await response.Content.ReadAsStringAsync(cancellationToken));
+                if (info.SelectToken("LoraLoader.input.required.lora_name[0]") is JArray choices)
+                    return choices.Select(c => c.ToString()).ToList();
+            }
+
+            return Array.Empty<string>();
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "Failed to list LoRAs");
+            OnError?.Invoke(ex);
+            return Array.Empty<string>();
+        }
+    }
+
+    public async Task<IReadOnlyList<string>> ListEmbeddingsAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var response = await _httpClient.GetAsync("/embeddings", cancellationToken);
+            if (response.IsSuccessStatusCode)
+            {
+                var json = await response.Content.ReadAsStringAsync(cancellationToken);
+                var embeddings = JsonConvert.DeserializeObject<string[]>(json);
+                return embeddings ?? Array.Empty<string>();
+            }
+
+            return Array.Empty<string>();
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "Failed to list embeddings");
+            OnError?.Invoke(ex);
+            return Array.Empty<string>();
+        }
+    }
+
     public async Task<string> QueuePromptAsync(string clientId, JObject workflow, CancellationToken cancellationToken = default)
     {
         try
@@ -134,6 +206,25 @@ public class ComfyClient : IComfyClient
         }
     }
 
+    public async Task DeleteQueuedAsync(IEnumerable<string> promptIds, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            // Only removes prompts that are still waiting; a running one needs InterruptAsync
+            var deleteRequest = new { delete = promptIds.ToArray() };
+            var json = JsonConvert.SerializeObject(deleteRequest);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync("/queue", content, cancellationToken);
+            response.EnsureSuccessStatusCode();
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "Failed to delete queued prompts");
+            OnError?.Invoke(ex);
+        }
+    }
+
     public async Task<byte[]> GetImageAsync(string filename, string subfolder = "", string type = "output", CancellationToken cancellationToken = default)
     {
         try
@@ -159,73 +250,34 @@ public class ComfyClient : IComfyClient
 
     public async Task<GenerationResult> WaitForCompletionAsync(string promptId, IProgress<GenerationProgress>? progress = null, CancellationToken cancellationToken = default)
     {
+        var waiter = new PromptWaiter(progress);
+        _waiters[promptId] = waiter;
+
         try
         {
             _logger?.LogDebug("Waiting for completion of prompt {PromptId}", promptId);
 
-            // Poll history until completion
             while (true)
             {
-                cancellationToken.ThrowIfCancellationRequested();
-
-                var response = await _httpClient.GetAsync($"/history/{promptId}", cancellationToken);
-                response.EnsureSuccessStatusCode();
+                // The prompt may have finished before we started listening or while the socket was down
+                var fromHistory = await GetHistoryResultAsync(promptId, cancellationToken);
+                if (fromHistory != null)
+                    return Finish(fromHistory, progress);
 
-                var json = await response.Content.ReadAsStringAsync(cancellationToken);
-                var root = JObject.Parse(json);
-
-                if (!root.TryGetValue(promptId, out var entryToken))
+                if (waiter.Completion.Task.IsCompleted)
                 {
-                    // Not found yet, wait and retry
-                    await Task.Delay(400, cancellationToken);
-                    continue;
-                }
+                    var result = await waiter.Completion.Task;
+                    if (!result.Success || result.Images.Count > 0)
+                        return Finish(result, progress);
 
-                var entry = entryToken as JObject;
-                if (entry == null)
-                {
-                    await Task.Delay(400, cancellationToken);
+                    // Cached outputs aren't sent again; they show up in the history just after
+                    await Task.Delay(PollInterval, cancellationToken);
                     continue;
                 }
 
-                // Look for images in outputs
-                var outputs = entry["outputs"] as JObject;
-                var foundImages = new List<ImageMeta>();
-
-                if (outputs != null)
-                {
-                    foreach (var outputKv in outputs)
-                    {
-                        var outputValue = outputKv.Value as JObject;
-                        if (outputValue == null) continue;
-
-                        if (outputValue.TryGetValue("images", out var imagesToken) && imagesToken is JArray imagesArray)
-                        {
-                            foreach (var imageToken in imagesArray)
-                            {
-                                if (imageToken is JObject imageObj)
-                                {
-                                    var filename = imageObj["filename"]?.ToString() ?? "";
-                                    var subfolder = imageObj["subfolder"]?.ToString() ?? "";
-                                    var type = imageObj["type"]?.ToString() ?? "output";
-
-                                    foundImages.Add(new ImageMeta(filename, subfolder, type));
-                                }
-                            }
-                        }
-                    }
-                }
-
-                if (foundImages.Count > 0)
-                {
-                    _logger?.LogDebug("Generation completed with {ImageCount} images", foundImages.Count);
-                    progress?.Report(new GenerationProgress(100, "Completed"));
-                    return new GenerationResult(true, foundImages, null);
-                }
-
-                // Still processing, report progress if we can estimate it
-                progress?.Report(new GenerationProgress(50, "Processing..."));
-                await Task.Delay(400, cancellationToken);
+                var interval = _socket.IsConnected ? SocketHistoryInterval : PollInterval;
+                await Task.WhenAny(waiter.Completion.Task, Task.Delay(interval, cancellationToken));
+                cancellationToken.ThrowIfCancellationRequested();
             }
         }
         catch (OperationCanceledException)
@@ -237,8 +289,101 @@ public class ComfyClient : IComfyClient
             _logger?.LogError(ex, "Failed to wait for completion of prompt {PromptId}", promptId);
             return new GenerationResult(false, new List<ImageMeta>(), ex.Message);
         }
+        finally
+        {
+            _waiters.TryRemove(new KeyValuePair<string, PromptWaiter>(promptId, waiter));
+        }
     }
 
+    private GenerationResult Finish(GenerationResult result, IProgress<GenerationProgress>? progress)
+    {
+        if (result.Success)
+        {
+            _logger?.LogDebug("Generation completed with {ImageCount} images", result.Images.Count);
+            progress?.Report(new GenerationProgress(100, "Completed"));
+        }
+        return result;
+    }
+
+    /// <summary>The outcome recorded in <c>/history</c>, or null while the prompt hasn't finished.</summary>
+    private async Task<GenerationResult?> GetHistoryResultAsync(string promptId, CancellationToken cancellationToken)
+    {
+        var response = await _httpClient.GetAsync($"/history/{promptId}", cancellationToken);
+        response.EnsureSuccessStatusCode();
+
+        var json = await response.Content.ReadAsStringAsync(cancellationToken);
+        var root = JObject.Parse(json);
+        if (root[promptId] is not JObject entry)
+            return null;
+
+        var images = (entry["outputs"] as JObject)?.Properties()
+            .SelectMany(output => ComfyMessageParser.ParseImages(output.Value["images"]))
+            .ToList() ?? new List<ImageMeta>();
+        if (images.Count > 0)
+            return new GenerationResult(true, images, null);
+
+        var status = entry["status"];
+        if (status?["status_str"]?.ToString() == "error")
+            return new GenerationResult(false, images, "Execution failed");
+
+        return status?["completed"]?.Value<bool?>() == true ? new GenerationResult(true, images, null) : null;
+    }
+
+    private void HandleSocketMessage(ComfyMessage message)
+    {
+        switch (message)
+        {
+            case ComfyExecutionStartMessage start:
+                _executingPromptId = start.PromptId;
+                break;
+
+            case ComfyExecutingMessage { PromptId: not null } executing:
+                if (executing.Node == null)
+                {
+                    _executingPromptId = null;
+                    WaiterFor(executing.PromptId)?.Succeed();
+                }
+                else
+                {
+                    _executingPromptId = executing.PromptId;
+                }
+                break;
+
+            case ComfyProgressMessage step:
+                // Older ComfyUI versions send progress and previews without a prompt id
+                step = step with { PromptId = step.PromptId ?? _executingPromptId };
+                message = step;
+                WaiterFor(step.PromptId)?.Step(step.Value, step.Max);
+                break;
+
+            case ComfyPreviewMessage preview:
+                message = preview with { PromptId = preview.PromptId ?? _executingPromptId };
+                break;
+
+            case ComfyExecutedMessage executed:
+                WaiterFor(executed.PromptId)?.AddImages(executed.Images);
+                break;
+
+            case ComfyExecutionSuccessMessage success:
+                WaiterFor(success.PromptId)?.Succeed();
+                break;
+
+            case ComfyExecutionErrorMessage error:
+                WaiterFor(error.PromptId)?.Fail(error.NodeType == null ? error.Error : $"{error.NodeType}: {error.Error}");
+                break;
+
+            case ComfyExecutionInterruptedMessage interrupted:
+                WaiterFor(interrupted.PromptId)?.Fail("Interrupted");
+                break;
+        }
+
+        OnMessage?.Invoke(message);
+    }
+
+    private PromptWaiter? WaiterFor(string? promptId)
+    {
+        return promptId != null && _waiters.TryGetValue(promptId, out var waiter) ? waiter : null;
+    }
 
     private void SetStatus(ConnectionStatus status)
     {
@@ -251,6 +396,44 @@ public class ComfyClient : IComfyClient
 
     public void Dispose()
     {
+        _socket.OnMessage -= HandleSocketMessage;
+        _socket.Dispose();
         _httpClient.Dispose();
     }
+
+    // Collects what the websocket reports about one prompt until it finishes
+    private sealed class PromptWaiter
+    {
+        private readonly IProgress<GenerationProgress>? _progress;
+        private readonly List<ImageMeta> _images = new();
+
+        public TaskCompletionSource<GenerationResult> Completion { get; } = new(TaskCreationOptions.RunContinuationsAsynchronously);
+
+        public PromptWaiter(IProgress<GenerationProgress>? progress)
+        {
+            _progress = progress;
+        }
+
+        public void Step(int value, int max)
+        {
+            _progress?.Report(new GenerationProgress(Math.Clamp(value * 100 / max, 0, 99), $"Step {value}/{max}"));
+        }
+
+        public void AddImages(IEnumerable<ImageMeta> images)
+        {
+            lock (_images)
+                _images.AddRange(images);
+        }
+
+        public void Succeed()
+        {
+            lock (_images)
+                Completion.TrySetResult(new GenerationResult(true, _images.ToList(), null));
+        }
+
+        public void Fail(string error)
+        {
+            Completion.TrySetResult(new GenerationResult(false, new List<ImageMeta>(), error));
+        }
+    }
 }
\ No newline at end of file
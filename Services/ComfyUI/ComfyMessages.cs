@@ -0,0 +1,161 @@
+using System.Buffers.Binary;
+using System.Text;
+using Newtonsoft.Json.Linq;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+/// <summary>A message received on ComfyUI's <c>/ws</c> channel.</summary>
+public abstract record ComfyMessage;
+
+public record ComfyStatusMessage(int QueueRemaining, string? Sid) : ComfyMessage;
+
+public record ComfyExecutionStartMessage(string PromptId) : ComfyMessage;
+
+/// <summary>A node started running; a null <see cref="Node"/> means the prompt is done.</summary>
+public record ComfyExecutingMessage(string? PromptId, string? Node) : ComfyMessage;
+
+/// <summary>Sampler step progress. Older ComfyUI versions leave out the prompt id.</summary>
+public record ComfyProgressMessage(string? PromptId, int Value, int Max, string? Node) : ComfyMessage;
+
+public record ComfyExecutedMessage(string PromptId, string? Node, List<ImageMeta> Images) : ComfyMessage;
+
+public record ComfyExecutionSuccessMessage(string PromptId) : ComfyMessage;
+
+public record ComfyExecutionErrorMessage(string PromptId, string? Node, string? NodeType, string Error) : ComfyMessage;
+
+public record ComfyExecutionInterruptedMessage(string PromptId) : ComfyMessage;
+
+/// <summary>
+/// A latent preview sent while sampling. Only frames with metadata carry a prompt id.
+/// </summary>
+public record ComfyPreviewMessage(string? PromptId, string? Node, byte[] Bytes, string MimeType) : ComfyMessage;
+
+/// <summary>
+/// Turns ComfyUI websocket frames into <see cref="ComfyMessage"/>s. Text frames are JSON
+/// <c>{"type": ..., "data": {...}}</c>; binary frames start with a big-endian event type.
+/// Anything unknown or malformed gives null, since ComfyUI and its extensions add new
+/// messages freely.
+/// </summary>
+public static class ComfyMessageParser
+{
+    // Binary event types from ComfyUI's protocol.py
+    private const uint PreviewImageEvent = 1;
+    private const uint PreviewImageWithMetadataEvent = 4;
+
+    public static ComfyMessage? ParseText(string json)
+    {
+        JObject root;
+        try
+        {
+            root = JObject.Parse(json);
+        }
+        catch (Newtonsoft.Json.JsonException)
+        {
+            return null;
+        }
+
+        var data = root["data"] as JObject;
+        var type = root["type"]?.ToString();
+        if (data == null || type == null)
+            return null;
+
+        var promptId = data["prompt_id"]?.ToString();
+
+        switch (type)
+        {
+            case "status":
+                return new ComfyStatusMessage(
+                    data["status"]?["exec_info"]?["queue_remaining"]?.Value<int?>() ?? 0,
+                    data["sid"]?.ToString());
+
+            case "execution_start" when promptId != null:
+                return new ComfyExecutionStartMessage(promptId);
+
+            case "executing":
+                var node = data["node"];
+                return new ComfyExecutingMessage(promptId, node == null || node.Type == JTokenType.Null ? null : node.ToString());
+
+            case "progress":
+                var max = data["max"]?.Value<int?>() ?? 0;
+                if (max <= 0)
+                    return null;
+                return new ComfyProgressMessage(promptId, data["value"]?.Value<int?>() ?? 0, max, data["node"]?.ToString());
+
+            case "executed" when promptId != null:
+                return new ComfyExecutedMessage(promptId, data["node"]?.ToString(), ParseImages(data["output"]?["images"]));
+
+            case "execution_success" when promptId != null:
+                return new ComfyExecutionSuccessMessage(promptId);
+
+            case "execution_error" when promptId != null:
+                var error = data["exception_message"]?.ToString()?.Trim();
+                return new ComfyExecutionErrorMessage(
+                    promptId,
+                    data["node_id"]?.ToString(),
+                    data["node_type"]?.ToString(),
+                    string.IsNullOrEmpty(error) ? data["exception_type"]?.ToString() ?? "Execution failed" : error);
+
+            case "execution_interrupted" when promptId != null:
+                return new ComfyExecutionInterruptedMessage(promptId);
+
+            default:
+                return null;
+        }
+    }
+
+    public static ComfyMessage? ParseBinary(ReadOnlySpan<byte> frame)
+    {
+        if (frame.Length < 4)
+            return null;
+
+        switch (BinaryPrimitives.ReadUInt32BigEndian(frame))
+        {
+            case PreviewImageEvent when frame.Length > 8:
+                // 1 = JPEG, 2 = PNG
+                var format = BinaryPrimitives.ReadUInt32BigEndian(frame[4..]);
+                return new ComfyPreviewMessage(null, null, frame[8..].ToArray(), format == 2 ? "image/png" : "image/jpeg");
+
+            case PreviewImageWithMetadataEvent when frame.Length > 8:
+                var length = BinaryPrimitives.ReadUInt32BigEndian(frame[4..]);
+                if (length > frame.Length - 8)
+                    return null;
+
+                JObject metadata;
+                try
+                {
+                    metadata = JObject.Parse(Encoding.UTF8.GetString(frame.Slice(8, (int)length)));
+                }
+                catch (Newtonsoft.Json.JsonException)
+                {
+                    return null;
+                }
+
+                return new ComfyPreviewMessage(
+                    metadata["prompt_id"]?.ToString(),
+                    metadata["node_id"]?.ToString(),
+                    frame[(8 + (int)length)..].ToArray(),
+                    metadata["image_type"]?.ToString() ?? "image/jpeg");
+
+            default:
+                return null;
+        }
+    }
+
+    /// <summary>The images of a node's output, as found in <c>executed</c> messages and <c>/history</c>.</summary>
+    public static List<ImageMeta> ParseImages(JToken? images)
+    {
+        var result = new List<ImageMeta>();
+        if (images is not JArray array)
+            return result;
+
+        foreach (var image in array.OfType<JObject>())
+        {
+            var filename = image["filename"]?.ToString();
+            if (string.IsNullOrEmpty(filename))
+                continue;
+            result.Add(new ImageMeta(filename, image["subfolder"]?.ToString() ?? "", image["type"]?.ToString() ?? "output"));
+        }
+
+        return result;
+    }
+}
@@ -28,14 +28,15 @@ public class ComfyPreviewController : IComfyPreviewController
     private readonly IComfySettingsService _settings;
     private readonly IPromptJsonMapper _promptMapper;
     private readonly ICharacterBuildState _characterBuildState;
+    private readonly ICharacterBuildStore _buildStore;
+    private readonly INegativePresetService _negativePresets;
+    private readonly IComfyBatchQueue _batchQueue;
     private readonly ILogger<ComfyPreviewController>? _logger;
 
     private readonly Subject<PromptParts> _promptSubject = new();
     private IDisposable? _promptSubscription;
     private IDisposable? _characterStateSubscription;
 
-    private readonly string _clientId = Guid.NewGuid().ToString();
-
     public string? CurrentPromptId { get; private set; }
     public bool IsProcessing { get; private set; }
 
@@ -50,16 +51,23 @@ public class ComfyPreviewController : IComfyPreviewController
         IComfySettingsService settings,
         IPromptJsonMapper promptMapper,
         ICharacterBuildState characterBuildState,
+        ICharacterBuildStore buildStore,
+        INegativePresetService negativePresets,
+        IComfyBatchQueue batchQueue,
         ILogger<ComfyPreviewController>? logger = null)
     {
         _comfyClient = comfyClient;
         _settings = settings;
         _promptMapper = promptMapper;
         _characterBuildState = characterBuildState;
+        _buildStore = buildStore;
+        _negativePresets = negativePresets;
+        _batchQueue = batchQueue;
         _logger = logger;
 
         // Wire up ComfyClient events
         _comfyClient.OnError += OnClientError;
+        _comfyClient.OnMessage += OnClientMessage;
     }
 
     public Task StartAsync()
@@ -67,16 +75,23 @@ public class ComfyPreviewController : IComfyPreviewController
         if (_promptSubscription != null)
             return Task.CompletedTask;
 
-        // Subscribe to character build state changes using a direct handler
-        Action characterStateHandler = () => _promptSubject.OnNext(new PromptParts(_characterBuildState.BuildPrompt()));
+        // Subscribe to character build state and negative preset changes using a direct handler
+        Action characterStateHandler = () => _promptSubject.OnNext(PromptParts.FromBuild(
+            _characterBuildState,
+            _negativePresets.Compose(_characterBuildState.BuildNegativePrompt())));
         _characterBuildState.OnStateChanged += characterStateHandler;
+        _negativePresets.OnPresetsChanged += characterStateHandler;
 
         // Store the handler for cleanup
-        _characterStateSubscription = Disposable.Create(() => _characterBuildState.OnStateChanged -= characterStateHandler);
+        _characterStateSubscription = Disposable.Create(() =>
+        {
+            _characterBuildState.OnStateChanged -= characterStateHandler;
+            _negativePresets.OnPresetsChanged -= characterStateHandler;
+        });
 
         // Set up debounced prompt processing
         _promptSubscription = _promptSubject
-            .DistinctUntilChanged(p => p.Positive.Trim()) // Only process if prompt actually changed
+            .DistinctUntilChanged(p => (p.Positive.Trim(), p.Negative.Trim(), string.Join("|", p.Regions ?? Array.Empty<RegionPrompt>()))) // Only process if prompt actually changed
             .Throttle(TimeSpan.FromMilliseconds(_settings.DebounceMs))
             .ObserveOn(TaskPoolScheduler.Default)
             .Subscribe(async prompt =>
@@ -84,6 +99,10 @@ public class ComfyPreviewController : IComfyPreviewController
                 if (!_settings.Enabled || _comfyClient.Status != ConnectionStatus.Connected)
                     return;
 
+                // Cancel-and-restart would clear the batch's queued jobs
+                if (_batchQueue.IsRunning)
+                    return;
+
                 try
                 {
                     await ProcessPromptAsync(prompt);
@@ -131,32 +150,36 @@ public class ComfyPreviewController : IComfyPreviewController
             }
 
             // Map prompt to workflow
-            var workflow = await _promptMapper.MapPromptToWorkflowAsync(prompt, _settings);
+            var settings = _settings.CreateSnapshot();
+            var workflow = await _promptMapper.MapPromptToWorkflowAsync(prompt, settings);
+
+            // Kept with the image in the gallery, so it can be reproduced later
+            var context = new GenerationContext(prompt, settings, _buildStore.CreateDocument(string.Empty, includeComfySettings: false));
 
             // Queue the prompt
-            CurrentPromptId = await _comfyClient.QueuePromptAsync(_clientId, workflow);
+            var promptId = await _comfyClient.QueuePromptAsync(_comfyClient.ClientId, workflow);
+            CurrentPromptId = promptId;
 
-            _logger?.LogDebug("Queued prompt {PromptId} for: {Prompt}", CurrentPromptId, prompt.Positive[..Math.Min(50, prompt.Positive.Length)]);
+            _logger?.LogDebug("Queued prompt {PromptId} for: {Prompt}", promptId, prompt.Positive[..Math.Min(50, prompt.Positive.Length)]);
 
-            // Start polling for completion in the background
+            // Step progress and latent previews arrive through OnClientMessage meanwhile
             _ = Task.Run(async () =>
             {
                 try
                 {
-                    var progress = new Progress<GenerationProgress>(p =>
-                    {
-                        OnProgress?.Invoke(new ProgressInfo(CurrentPromptId, p.Percentage, 100, p.CurrentStep));
-                    });
+                    var result = await _comfyClient.WaitForCompletionAsync(promptId);
 
-                    var result = await _comfyClient.WaitForCompletionAsync(CurrentPromptId, progress);
+                    // A newer prompt interrupted this one and owns the processing state now
+                    if (promptId != CurrentPromptId)
+                        return;
 
                     if (result.Success && result.Images.Count > 0)
                     {
                         // Fetch the first image and display it
                         var firstImage = result.Images[0];
                         var imageBytes = await _comfyClient.GetImageAsync(firstImage.Filename, firstImage.Subfolder, firstImage.Type);
-                        OnPreview?.Invoke(new PreviewImage(CurrentPromptId, imageBytes));
-                        OnImageReady?.Invoke(new ExecutedInfo(CurrentPromptId, result.Images));
+                        OnPreview?.Invoke(new PreviewImage(promptId, imageBytes));
+                        OnImageReady?.Invoke(new ExecutedInfo(promptId, result.Images, context));
                     }
                     else if (!string.IsNullOrEmpty(result.Error))
                     {
@@ -167,7 +190,7 @@ public class ComfyPreviewController : IComfyPreviewController
                 }
                 catch (Exception ex)
                 {
-                    _logger?.LogError(ex, "Error during polling for prompt {PromptId}", CurrentPromptId);
+                    _logger?.LogError(ex, "Error while waiting for prompt {PromptId}", promptId);
                     OnError?.Invoke(ex);
                     SetProcessing(false);
                 }
@@ -182,6 +205,24 @@ public class ComfyPreviewController : IComfyPreviewController
     }
 
 
+    private void OnClientMessage(ComfyMessage message)
+    {
+        var promptId = CurrentPromptId;
+        if (promptId == null)
+            return;
+
+        switch (message)
+        {
+            case ComfyProgressMessage progress when progress.PromptId == promptId:
+                OnProgress?.Invoke(new ProgressInfo(promptId, progress.Value, progress.Max, progress.Node));
+                break;
+
+            case ComfyPreviewMessage preview when preview.PromptId == promptId:
+                OnPreview?.Invoke(new PreviewImage(promptId, preview.Bytes, preview.MimeType));
+                break;
+        }
+    }
+
     private void OnClientError(Exception error)
     {
         SetProcessing(false);
@@ -201,6 +242,7 @@ public class ComfyPreviewController : IComfyPreviewController
     public void Dispose()
     {
         _comfyClient.OnError -= OnClientError;
+        _comfyClient.OnMessage -= OnClientMessage;
 
         _ = StopAsync();
         _promptSubject?.Dispose();
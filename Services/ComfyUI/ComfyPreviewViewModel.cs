@@ -11,6 +11,8 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
     private readonly IComfySettingsService _settings;
     private readonly IComfyPreviewController _previewController;
     private readonly ICharacterBuildState _characterBuildState;
+    private readonly INegativePresetService _negativePresets;
+    private readonly IGalleryService _gallery;
     private readonly ILogger<ComfyPreviewViewModel>? _logger;
 
     // Connection status
@@ -19,6 +21,7 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
 
     // Image and progress
     private byte[]? _currentImage;
+    private string _currentImageType = "image/png";
     private int _currentStep;
     private int _totalSteps = 1;
     private string _currentNode = "";
@@ -51,12 +54,16 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
         IComfySettingsService settings,
         IComfyPreviewController previewController,
         ICharacterBuildState characterBuildState,
+        INegativePresetService negativePresets,
+        IGalleryService gallery,
         ILogger<ComfyPreviewViewModel>? logger = null)
     {
         _comfyClient = comfyClient;
         _settings = settings;
         _previewController = previewController;
         _characterBuildState = characterBuildState;
+        _negativePresets = negativePresets;
+        _gallery = gallery;
         _logger = logger;
 
         // Wire up events
@@ -67,6 +74,8 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
         _previewController.OnProcessingChanged += OnProcessingChanged;
         _previewController.OnError += OnErrorOccurred;
         _characterBuildState.OnStateChanged += OnCharacterStateChanged;
+        _negativePresets.OnPresetsChanged += OnCharacterStateChanged;
+        _settings.OnSettingsReplaced += OnSettingsReplaced;
 
         // Initialize from settings
         LoadSettings();
@@ -107,6 +116,13 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
         private set => SetProperty(ref _currentImage, value);
     }
 
+    // Latent previews are usually JPEG, final images PNG
+    public string CurrentImageType
+    {
+        get => _currentImageType;
+        private set => SetProperty(ref _currentImageType, value);
+    }
+
     public int CurrentStep
     {
         get => _currentStep;
@@ -462,6 +478,7 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
         _logger?.LogDebug("Preview image received: {ByteCount} bytes", preview.Bytes.Length);
         MainThread.BeginInvokeOnMainThread(() =>
         {
+            CurrentImageType = preview.MimeType;
             CurrentImage = preview.Bytes;
         });
     }
@@ -479,12 +496,18 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
                     var imageBytes = await _comfyClient.GetImageAsync(image.Filename, image.Subfolder, image.Type);
                     MainThread.BeginInvokeOnMainThread(() =>
                     {
+                        CurrentImageType = "image/png";
                         CurrentImage = imageBytes;
                     });
+
+                    if (executed.Context != null)
+                    {
+                        await _gallery.AddAsync(imageBytes, executed.Context);
+                    }
                 }
                 catch (Exception ex)
                 {
-                    _logger?.LogError(ex, "Failed to fetch final image");
+                    _logger?.LogError(ex, "Failed to fetch or save final image");
                 }
             });
         }
@@ -515,6 +538,11 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
         _logger?.LogError(error, "ComfyUI error occurred");
     }
 
+    private void OnSettingsReplaced()
+    {
+        MainThread.BeginInvokeOnMainThread(LoadSettings);
+    }
+
     private void OnCharacterStateChanged()
     {
         MainThread.BeginInvokeOnMainThread(() =>
@@ -526,7 +554,7 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
     private void UpdatePromptFromCharacterState()
     {
         PositivePrompt = _characterBuildState.BuildPrompt();
-        // Keep negative prompt as is for now - could be extended to support negative tags from character state
+        NegativePrompt = _negativePresets.Compose(_characterBuildState.BuildNegativePrompt());
     }
 
     // INotifyPropertyChanged implementation
@@ -555,5 +583,7 @@ public class ComfyPreviewViewModel : INotifyPropertyChanged, IDisposable
         _previewController.OnProcessingChanged -= OnProcessingChanged;
         _previewController.OnError -= OnErrorOccurred;
         _characterBuildState.OnStateChanged -= OnCharacterStateChanged;
+        _negativePresets.OnPresetsChanged -= OnCharacterStateChanged;
+        _settings.OnSettingsReplaced -= OnSettingsReplaced;
     }
 }
\ No newline at end of file
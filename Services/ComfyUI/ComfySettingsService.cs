@@ -7,6 +7,8 @@ public class ComfySettingsService : IComfySettingsService
     private readonly string _settingsFilePath;
     private ComfySettings _settings;
 
+    public event Action? OnSettingsReplaced;
+
     public ComfySettingsService()
     {
         _settingsFilePath = Path.Combine(FileSystem.AppDataDirectory, "comfy-settings.json");
@@ -153,6 +155,39 @@ public class ComfySettingsService : IComfySettingsService
         }
     }
 
+    public ComfySettingsSnapshot CreateSnapshot()
+    {
+        return new ComfySettingsSnapshot(
+            _settings.SelectedCheckpoint,
+            _settings.Seed,
+            _settings.Steps,
+            _settings.Cfg,
+            _settings.SamplerName,
+            _settings.Scheduler,
+            _settings.Width,
+            _settings.Height,
+            _settings.Denoise);
+    }
+
+    public Task ApplySnapshotAsync(ComfySettingsSnapshot snapshot)
+    {
+        // A build saved without a checkpoint keeps the current one
+        if (!string.IsNullOrEmpty(snapshot.Checkpoint))
+            _settings.SelectedCheckpoint = snapshot.Checkpoint;
+
+        _settings.Seed = snapshot.Seed;
+        _settings.Steps = snapshot.Steps;
+        _settings.Cfg = snapshot.Cfg;
+        _settings.SamplerName = snapshot.SamplerName;
+        _settings.Scheduler = snapshot.Scheduler;
+        _settings.Width = snapshot.Width;
+        _settings.Height = snapshot.Height;
+        _settings.Denoise = snapshot.Denoise;
+
+        OnSettingsReplaced?.Invoke();
+        return SaveAsync();
+    }
+
     public async Task LoadAsync()
     {
         try
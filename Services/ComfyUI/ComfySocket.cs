@@ -0,0 +1,189 @@
+using System.Net.WebSockets;
+using System.Text;
+using Microsoft.Extensions.Logging;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+/// <summary>
+/// Keeps a websocket to ComfyUI's <c>/ws?clientId=</c> channel open and raises every
+/// message it understands. Dropped connections are retried with exponential backoff
+/// until <see cref="StopAsync"/> is called.
+/// </summary>
+public sealed class ComfySocket : IDisposable
+{
+    private static readonly TimeSpan MinReconnectDelay = TimeSpan.FromMilliseconds(500);
+    private static readonly TimeSpan MaxReconnectDelay = TimeSpan.FromSeconds(30);
+
+    private readonly ILogger? _logger;
+
+    private CancellationTokenSource? _cts;
+    private Task? _loop;
+
+    public bool IsConnected { get; private set; }
+
+    // Raised on the receive thread
+    public event Action<ComfyMessage>? OnMessage;
+
+    public ComfySocket(ILogger? logger = null)
+    {
+        _logger = logger;
+    }
+
+    /// <summary>The channel ComfyUI serves next to its HTTP API, e.g. <c>ws://127.0.0.1:8188/ws?clientId=…</c>.</summary>
+    public static Uri BuildUri(Uri baseUrl, string clientId)
+    {
+        var builder = new UriBuilder(baseUrl)
+        {
+            Scheme = baseUrl.Scheme == Uri.UriSchemeHttps ? "wss" : "ws",
+            Path = baseUrl.AbsolutePath.TrimEnd('/') + "/ws",
+            Query = $"clientId={Uri.EscapeDataString(clientId)}"
+        };
+        return builder.Uri;
+    }
+
+    /// <summary>
+    /// Wait before reconnect attempt <paramref name="attempt"/> (0-based): doubling from
+    /// half a second up to 30 seconds, with up to 20% jitter so clients don't retry in lockstep.
+    /// </summary>
+    public static TimeSpan ReconnectDelay(int attempt)
+    {
+        var delay = MinReconnectDelay.TotalMilliseconds * Math.Pow(2, Math.Min(attempt, 16));
+        delay *= 0.8 + Random.Shared.NextDouble() * 0.4;
+        return TimeSpan.FromMilliseconds(Math.Min(delay, MaxReconnectDelay.TotalMilliseconds));
+    }
+
+    /// <summary>Start connecting in the background; a running connection is replaced.</summary>
+    public void Start(Uri uri)
+    {
+        Stop();
+
+        _cts = new CancellationTokenSource();
+        var token = _cts.Token;
+        _loop = Task.Run(() => RunAsync(uri, token));
+    }
+
+    public async Task StopAsync()
+    {
+        var loop = _loop;
+        Stop();
+
+        if (loop != null)
+        {
+            try
+            {
+                await loop;
+            }
+            catch (OperationCanceledException)
+            {
+            }
+        }
+    }
+
+    private void Stop()
+    {
+        _cts?.Cancel();
+        _cts?.Dispose();
+        _cts = null;
+        _loop = null;
+    }
+
+    private async Task RunAsync(Uri uri, CancellationToken cancellationToken)
+    {
+        var attempt = 0;
+        while (!cancellationToken.IsCancellationRequested)
+        {
+            using (var socket = new ClientWebSocket())
+            {
+                try
+                {
+                    await socket.ConnectAsync(uri, cancellationToken);
+                    attempt = 0;
+                    IsConnected = true;
+                    _logger?.LogInformation("ComfyUI websocket connected to {Uri}", uri);
+
+                    await ReceiveAsync(socket, cancellationToken);
+                }
+                catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger?.LogDebug(ex, "ComfyUI websocket failed");
+                }
+                finally
+                {
+                    IsConnected = false;
+                    await CloseQuietlyAsync(socket);
+                }
+            }
+
+            var delay = ReconnectDelay(attempt++);
+            _logger?.LogDebug("Reconnecting to ComfyUI websocket in {Delay}", delay);
+            try
+            {
+                await Task.Delay(delay, cancellationToken);
+            }
+            catch (OperationCanceledException)
+            {
+                break;
+            }
+        }
+    }
+
+    private async Task ReceiveAsync(ClientWebSocket socket, CancellationToken cancellationToken)
+    {
+        var buffer = new byte[64 * 1024];
+        using var message = new MemoryStream();
+
+        while (socket.State == WebSocketState.Open)
+        {
+            var result = await socket.ReceiveAsync(buffer, cancellationToken);
+            if (result.MessageType == WebSocketMessageType.Close)
+                return;
+
+            message.Write(buffer, 0, result.Count);
+            if (!result.EndOfMessage)
+                continue;
+
+            var parsed = result.MessageType == WebSocketMessageType.Text
+                ? ComfyMessageParser.ParseText(Encoding.UTF8.GetString(message.GetBuffer(), 0, (int)message.Length))
+                : ComfyMessageParser.ParseBinary(message.GetBuffer().AsSpan(0, (int)message.Length));
+            message.SetLength(0);
+
+            if (parsed == null)
+                continue;
+
+            try
+            {
+                OnMessage?.Invoke(parsed);
+            }
+            catch (Exception ex)
+            {
+                // A faulty handler must not take the connection down
+                _logger?.LogError(ex, "ComfyUI message handler failed for {Message}", parsed.GetType().Name);
+            }
+        }
+    }
+
+    private static async Task CloseQuietlyAsync(ClientWebSocket socket)
+    {
+        if (socket.State != WebSocketState.Open)
+            return;
+
+        try
+        {
+            using var timeout = new CancellationTokenSource(TimeSpan.FromSeconds(2));
+            await socket.CloseOutputAsync(WebSocketCloseStatus.NormalClosure, null, timeout.Token);
+        }
+        catch (Exception)
+        {
+            // The connection is being dropped either way
+        }
+    }
+
+    public void Dispose()
+    {
+        Stop();
+    }
+}
@@ -0,0 +1,328 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using TagbooruQuest.Models.CharacterDesigner;
+using TagbooruQuest.Services.CharacterDesigner;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+public interface IGalleryService
+{
+    /// <summary>Every saved image, newest first.</summary>
+    IReadOnlyList<GalleryEntry> Entries { get; }
+
+    /// <summary>Read the gallery folder; later calls wait for the first load.</summary>
+    Task LoadAsync();
+
+    /// <summary>Save a generated image with a sidecar describing how it was made.</summary>
+    Task<GalleryEntry> AddAsync(byte[] image, GenerationContext context);
+
+    /// <summary>
+    /// Entries having every comma-separated tag of <paramref name="query"/>; a tag matches
+    /// when it is part of one of the entry's tags.
+    /// </summary>
+    IReadOnlyList<GalleryEntry> Search(string? query, bool favoritesOnly = false);
+
+    Task SetFavoriteAsync(GalleryEntry entry, bool favorite);
+    void Delete(GalleryEntry entry);
+
+    /// <summary>Delete every entry that is not a favorite; returns how many were deleted.</summary>
+    int DeleteAllButFavorites();
+
+    Task<byte[]> ReadImageAsync(GalleryEntry entry);
+
+    /// <summary>
+    /// Load the entry's character build and generation settings, so the image can be made
+    /// again or tweaked. Null when the entry has no build.
+    /// </summary>
+    Task<BuildValidationResult?> RestoreAsync(GalleryEntry entry);
+
+    event Action? OnGalleryChanged;
+}
+
+/// <summary>
+/// The sidecar written next to each gallery image: the exact prompts sent to ComfyUI, the
+/// settings they were sent with and the character build they came from.
+/// </summary>
+public class GalleryEntry
+{
+    public const int CurrentVersion = 1;
+
+    public int Version { get; set; } = CurrentVersion;
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>Image file name inside the gallery folder.</summary>
+    public string ImageFile { get; set; } = string.Empty;
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public string Positive { get; set; } = string.Empty;
+    public string Negative { get; set; } = string.Empty;
+
+    /// <summary>Checkpoint, seed and sampler settings the image was generated with.</summary>
+    public ComfySettingsSnapshot? Settings { get; set; }
+    public CharacterBuildDocument? Build { get; set; }
+    public bool Favorite { get; set; }
+
+    /// <summary>Lower-case tags of the positive prompt, searched by <see cref="IGalleryService.Search"/>.</summary>
+    public List<string> Tags { get; set; } = new();
+
+    [JsonIgnore]
+    public string MimeType => Path.GetExtension(ImageFile).Equals(".jpg", StringComparison.OrdinalIgnoreCase) ? "image/jpeg" : "image/png";
+}
+
+public class GalleryService : IGalleryService
+{
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private readonly ICharacterBuildStore _buildStore;
+    private readonly IComfySettingsService _comfySettings;
+    private readonly string _galleryDirectory;
+
+    // Images arrive on background threads while the page reads the list
+    private readonly object _lock = new();
+    private List<GalleryEntry> _entries = new();
+    private Task? _loadTask;
+
+    public event Action? OnGalleryChanged;
+
+    public GalleryService(ICharacterBuildStore buildStore, IComfySettingsService comfySettings, IFileService fileService)
+    {
+        _buildStore = buildStore;
+        _comfySettings = comfySettings;
+        _galleryDirectory = Path.Combine(fileService.AppDataDirectory, "gallery");
+    }
+
+    public IReadOnlyList<GalleryEntry> Entries
+    {
+        get
+        {
+            lock (_lock)
+                return _entries.ToList();
+        }
+    }
+
+    public Task LoadAsync()
+    {
+        return _loadTask ??= LoadEntriesAsync();
+    }
+
+    public async Task<GalleryEntry> AddAsync(byte[] image, GenerationContext context)
+    {
+        await LoadAsync();
+        Directory.CreateDirectory(_galleryDirectory);
+
+        var id = NewId();
+        var entry = new GalleryEntry
+        {
+            Id = id,
+            ImageFile = id + ImageExtension(image),
+            Positive = context.Prompt.FullPositive,
+            Negative = context.Prompt.Negative,
+            Settings = context.Settings,
+            Build = context.Build,
+            Tags = CollectTags(context)
+        };
+
+        await File.WriteAllBytesAsync(Path.Combine(_galleryDirectory, entry.ImageFile), image);
+        await WriteSidecarAsync(entry);
+
+        lock (_lock)
+            _entries.Insert(0, entry);
+
+        OnGalleryChanged?.Invoke();
+        return entry;
+    }
+
+    public IReadOnlyList<GalleryEntry> Search(string? query, bool favoritesOnly = false)
+    {
+        var terms = (query ?? string.Empty)
+            .Split(',')
+            .Select(t => PromptParser.NormalizeTag(t).ToLowerInvariant())
+            .Where(t => t.Length > 0)
+            .ToList();
+
+        return Entries
+            .Where(e => !favoritesOnly || e.Favorite)
+            .Where(e => terms.All(term => e.Tags.Any(tag => tag.Contains(term, StringComparison.Ordinal))))
+            .ToList();
+    }
+
+    public async Task SetFavoriteAsync(GalleryEntry entry, bool favorite)
+    {
+        if (entry.Favorite == favorite) return;
+
+        entry.Favorite = favorite;
+        try
+        {
+            await WriteSidecarAsync(entry);
+        }
+        catch
+        {
+            // The sidecar still says otherwise
+            entry.Favorite = !favorite;
+            throw;
+        }
+        OnGalleryChanged?.Invoke();
+    }
+
+    public void Delete(GalleryEntry entry)
+    {
+        DeleteFiles(entry);
+        lock (_lock)
+            _entries.Remove(entry);
+
+        OnGalleryChanged?.Invoke();
+    }
+
+    public int DeleteAllButFavorites()
+    {
+        List<GalleryEntry> doomed;
+        lock (_lock)
+            doomed = _entries.Where(e => !e.Favorite).ToList();
+
+        // One at a time, so an image whose files could not be deleted stays in the gallery
+        var deleted = 0;
+        try
+        {
+            foreach (var entry in doomed)
+            {
+                DeleteFiles(entry);
+                lock (_lock)
+                    _entries.Remove(entry);
+                deleted++;
+            }
+        }
+        finally
+        {
+            if (deleted > 0)
+                OnGalleryChanged?.Invoke();
+        }
+        return deleted;
+    }
+
+    public Task<byte[]> ReadImageAsync(GalleryEntry entry)
+    {
+        return File.ReadAllBytesAsync(GetPath(entry.ImageFile));
+    }
+
+    public async Task<BuildValidationResult?> RestoreAsync(GalleryEntry entry)
+    {
+        BuildValidationResult? result = null;
+        if (entry.Build != null)
+        {
+            // The entry's own settings are applied below, not the ones saved inside the build
+            result = await _buildStore.ApplyAsync(entry.Build, applyComfySettings: false);
+        }
+
+        if (entry.Settings != null)
+        {
+            await _comfySettings.ApplySnapshotAsync(entry.Settings);
+        }
+
+        return result;
+    }
+
+    private async Task LoadEntriesAsync()
+    {
+        var entries = new List<GalleryEntry>();
+        if (Directory.Exists(_galleryDirectory))
+        {
+            foreach (var path in Directory.GetFiles(_galleryDirectory, "*.json"))
+            {
+                try
+                {
+                    var entry = JsonSerializer.Deserialize<GalleryEntry>(await File.ReadAllTextAsync(path), JsonOptions);
+                    if (entry == null || !File.Exists(GetPath(entry.ImageFile)))
+                        continue;
+
+                    entry.Id = Path.GetFileNameWithoutExtension(path);
+                    entry.Tags ??= new();
+                    if (entry.Build != null)
+                        entry.Build.Resources ??= new();
+                    entries.Add(entry);
+                }
+                catch (Exception ex)
+                {
+                    // Skip unreadable sidecars instead of hiding the rest of the gallery
+                    Console.WriteLine($"Skipping gallery entry {path}: {ex.Message}");
+                }
+            }
+        }
+
+        lock (_lock)
+        {
+            // Images added while loading are kept
+            _entries = entries.Concat(_entries)
+                .DistinctBy(e => e.Id)
+                .OrderByDescending(e => e.CreatedAt)
+                .ToList();
+        }
+
+        OnGalleryChanged?.Invoke();
+    }
+
+    private async Task WriteSidecarAsync(GalleryEntry entry)
+    {
+        var json = JsonSerializer.Serialize(entry, JsonOptions);
+        await File.WriteAllTextAsync(GetPath(entry.Id + ".json"), json);
+    }
+
+    private void DeleteFiles(GalleryEntry entry)
+    {
+        foreach (var path in new[] { GetPath(entry.ImageFile), GetPath(entry.Id + ".json") })
+        {
+            if (File.Exists(path))
+            {
+                File.Delete(path);
+            }
+        }
+    }
+
+    private string NewId()
+    {
+        var stamp = DateTime.Now.ToString("yyyyMMdd-HHmmss-fff");
+        var id = stamp;
+        for (int i = 2; File.Exists(GetPath(id + ".json")); i++)
+            id = $"{stamp}-{i}";
+        return id;
+    }
+
+    private string GetPath(string fileName)
+    {
+        // Only ever touch files directly inside the gallery folder
+        return Path.Combine(_galleryDirectory, Path.GetFileName(fileName));
+    }
+
+    private static string ImageExtension(byte[] image) =>
+        image.Length > 2 && image[0] == 0xFF && image[1] == 0xD8 ? ".jpg" : ".png";
+
+    /// <summary>
+    /// The tags of the positive prompt as sent, plus the build's tag names in case the prompt
+    /// spelled them differently.
+    /// </summary>
+    private static List<string> CollectTags(GenerationContext context)
+    {
+        var parsed = PromptParser.Parse(context.Prompt.FullPositive);
+        var tags = parsed.Tags.Select(t => t.Text)
+            .Concat(parsed.Loras.Select(l => l.Name));
+
+        if (context.Build != null)
+        {
+            tags = tags.Concat(context.Build.Panels.Values
+                .Concat(context.Build.Characters.SelectMany(c => c.Panels.Values))
+                .SelectMany(p => p.Tags)
+                .Where(t => !t.Negative)
+                .SelectMany(t => new[] { t.CanonicalTag, t.Display }));
+        }
+
+        return tags
+            .Select(t => PromptParser.NormalizeTag(t).ToLowerInvariant())
+            .Where(t => t.Length > 0)
+            .Distinct()
+            .ToList();
+    }
+}
@@ -6,23 +6,32 @@ public interface IComfyClient : IDisposable
 {
     ConnectionStatus Status { get; }
 
+    // Prompts must be queued with this id for their websocket messages to reach OnMessage
+    string ClientId { get; }
+
     // Events
     event Action<Exception> OnError;
     event Action<ConnectionStatus> OnStatusChanged;
 
+    // Messages from ComfyUI's websocket, raised on a background thread
+    event Action<ComfyMessage> OnMessage;
+
     // Connection
     Task ConnectAsync(CancellationToken cancellationToken = default);
     Task DisconnectAsync();
 
     // ComfyUI API operations
     Task<IReadOnlyList<string>> ListCheckpointsAsync(CancellationToken cancellationToken = default);
+    Task<IReadOnlyList<string>> ListLorasAsync(CancellationToken cancellationToken = default);
+    Task<IReadOnlyList<string>> ListEmbeddingsAsync(CancellationToken cancellationToken = default);
     Task<string> QueuePromptAsync(string clientId, JObject workflow, CancellationToken cancellationToken = default);
     Task InterruptAsync(CancellationToken cancellationToken = default);
     Task ClearQueueAsync(CancellationToken cancellationToken = default);
+    Task DeleteQueuedAsync(IEnumerable<string> promptIds, CancellationToken cancellationToken = default);
 
     // Image retrieval
     Task<byte[]> GetImageAsync(string filename, string subfolder = "", string type = "output", CancellationToken cancellationToken = default);
 
-    // Simplified polling approach
+    // Completes from websocket messages, falling back to polling /history while the socket is down
     Task<GenerationResult> WaitForCompletionAsync(string promptId, IProgress<GenerationProgress>? progress = null, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
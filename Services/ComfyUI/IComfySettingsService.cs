@@ -23,6 +23,13 @@ public interface IComfySettingsService
     // Selected model
     string? SelectedCheckpoint { get; set; }
 
+    // Snapshots for saved builds; applying saves once instead of once per setting
+    ComfySettingsSnapshot CreateSnapshot();
+    Task ApplySnapshotAsync(ComfySettingsSnapshot snapshot);
+
+    // Raised after a snapshot replaced several settings at once
+    event Action? OnSettingsReplaced;
+
     // Persistence
     Task LoadAsync();
     Task SaveAsync();
@@ -0,0 +1,123 @@
+using Newtonsoft.Json.Linq;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+/// <summary>
+/// Adds LoRAs to an API-format workflow as a chain of LoraLoader nodes between the checkpoint
+/// loader and everything that used its MODEL and CLIP outputs.
+/// </summary>
+public static class LoraChain
+{
+    public const string LoaderClassType = "LoraLoader";
+
+    private static readonly string[] ModelExtensions = { ".safetensors", ".ckpt", ".pt", ".bin" };
+
+    /// <summary>
+    /// Insert one LoraLoader per LoRA after <paramref name="checkpointNodeId"/>, in order. Nodes
+    /// wired to the checkpoint's MODEL (output 0) or CLIP (output 1) are rewired to the last loader.
+    /// </summary>
+    /// <exception cref="WorkflowTemplateException">The checkpoint node is not in the workflow.</exception>
+    public static void Inject(JObject workflow, string checkpointNodeId, IReadOnlyList<(string File, double Strength)> loras)
+    {
+        if (loras.Count == 0)
+            return;
+        if (workflow[checkpointNodeId] is not JObject)
+            throw new WorkflowTemplateException($"LoRAs need a checkpoint loader, but the workflow has no node #{checkpointNodeId}.");
+
+        // Find the consumers before adding loaders, which consume the checkpoint themselves
+        var modelInputs = FindLinks(workflow, checkpointNodeId, 0);
+        var clipInputs = FindLinks(workflow, checkpointNodeId, 1);
+
+        var (modelSource, clipSource) = (checkpointNodeId, checkpointNodeId);
+        var nextId = NextNodeId(workflow);
+        foreach (var (file, strength) in loras)
+        {
+            var id = (nextId++).ToString();
+            workflow[id] = new JObject
+            {
+                ["inputs"] = new JObject
+                {
+                    ["lora_name"] = file,
+                    ["strength_model"] = strength,
+                    ["strength_clip"] = strength,
+                    ["model"] = new JArray(modelSource, 0),
+                    ["clip"] = new JArray(clipSource, 1)
+                },
+                ["class_type"] = LoaderClassType,
+                ["_meta"] = new JObject { ["title"] = $"LoRA {Path.GetFileNameWithoutExtension(file)}" }
+            };
+            (modelSource, clipSource) = (id, id);
+        }
+
+        foreach (var (inputs, name) in modelInputs)
+            inputs[name] = new JArray(modelSource, 0);
+        foreach (var (inputs, name) in clipInputs)
+            inputs[name] = new JArray(clipSource, 1);
+    }
+
+    /// <summary>
+    /// The file ComfyUI knows a LoRA by. Prompts name LoRAs by file name alone
+    /// (<c>flat</c>), ComfyUI by path (<c>styles/flat.safetensors</c>): an exact match wins,
+    /// then the first file with that name in any folder. Unknown names are passed on with
+    /// the usual extension so ComfyUI reports them.
+    /// </summary>
+    public static string ResolveFile(string name, IReadOnlyList<string> available)
+    {
+        name = name.Trim();
+
+        var exact = available.FirstOrDefault(f => f.Equals(name, StringComparison.OrdinalIgnoreCase));
+        if (exact != null)
+            return exact;
+
+        var stem = StripExtension(name.Replace('\\', '/'));
+        var byName = available.FirstOrDefault(f =>
+            StripExtension(f.Replace('\\', '/')).Equals(stem, StringComparison.OrdinalIgnoreCase) ||
+            Path.GetFileNameWithoutExtension(f).Equals(stem, StringComparison.OrdinalIgnoreCase));
+        if (byName != null)
+            return byName;
+
+        return HasModelExtension(name) ? name : name + ".safetensors";
+    }
+
+    public static bool IsKnown(string name, IReadOnlyList<string> available)
+    {
+        return available.Contains(ResolveFile(name, available), StringComparer.OrdinalIgnoreCase);
+    }
+
+    /// <summary>The inputs wired to one output of a node, as the inputs object and the input name.</summary>
+    internal static List<(JObject Inputs, string Name)> FindLinks(JObject workflow, string nodeId, int output)
+    {
+        var links = new List<(JObject, string)>();
+        foreach (var node in workflow.Properties().Select(p => p.Value).OfType<JObject>())
+        {
+            if (node["inputs"] is not JObject inputs)
+                continue;
+
+            foreach (var input in inputs.Properties())
+            {
+                if (input.Value is JArray { Count: 2 } link &&
+                    link[0]?.ToString() == nodeId &&
+                    link[1]?.Type == JTokenType.Integer && link[1]!.Value<int>() == output)
+                {
+                    links.Add((inputs, input.Name));
+                }
+            }
+        }
+        return links;
+    }
+
+    /// <summary>The first free numeric node id.</summary>
+    internal static int NextNodeId(JObject workflow)
+    {
+        var ids = workflow.Properties()
+            .Select(p => int.TryParse(p.Name, out var id) ? id : 0)
+            .DefaultIfEmpty(0);
+        return ids.Max() + 1;
+    }
+
+    private static string StripExtension(string file) =>
+        HasModelExtension(file) ? file[..^Path.GetExtension(file).Length] : file;
+
+    private static bool HasModelExtension(string file) =>
+        ModelExtensions.Contains(Path.GetExtension(file), StringComparer.OrdinalIgnoreCase);
+}
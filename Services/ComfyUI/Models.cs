@@ -1,20 +1,63 @@
+using TagbooruQuest.Models.CharacterDesigner;
+using TagbooruQuest.Services.CharacterDesigner;
+
 namespace TagbooruQuest.Services.ComfyUI;
 
-public record PromptParts(string Positive, string Negative = "");
+/// <param name="Regions">
+/// Prompts limited to part of the image, combined with <paramref name="Positive"/>; null or
+/// empty for a plain prompt.
+/// </param>
+public record PromptParts(string Positive, string Negative = "", IReadOnlyList<RegionPrompt>? Regions = null)
+{
+    /// <summary>
+    /// The build's prompt as ComfyUI gets it. A scene with several characters in regional mode
+    /// sends the scene's tags as the positive prompt and each character as a region.
+    /// </summary>
+    public static PromptParts FromBuild(ICharacterBuildState build, string negative)
+    {
+        if (build.SceneMode != SceneOutputMode.Regional || build.Characters.Count < 2)
+            return new PromptParts(build.BuildPrompt(), negative);
+
+        var scene = build.BuildScenePrompt();
+        return new PromptParts(scene.Base, negative, scene.Characters.Select(c => new RegionPrompt(c.Prompt, c.Area)).ToList());
+    }
+
+    /// <summary>
+    /// The whole positive prompt as one text: the regions follow the base prompt, BREAK-separated.
+    /// </summary>
+    public string FullPositive => Regions is { Count: > 0 }
+        ? string.Join(PromptFormatter.BreakSeparator, Regions.Select(r => r.Positive).Prepend(Positive))
+        : Positive;
+}
+
+public record RegionPrompt(string Positive, SceneArea Area);
 
 public record ProgressInfo(string PromptId, int Current, int Max, string? Node = null);
 
-public record PreviewImage(string PromptId, byte[] Bytes);
+public record PreviewImage(string PromptId, byte[] Bytes, string MimeType = "image/png");
 
 public record ImageMeta(string Filename, string Subfolder, string Type);
 
-public record ExecutedInfo(string PromptId, List<ImageMeta> Images);
+public record ExecutedInfo(string PromptId, List<ImageMeta> Images, GenerationContext? Context = null);
 
-public record QueuePromptRequest(string client_id, object prompt);
+/// <summary>What a prompt was queued with, kept so its image can be saved to the gallery and reproduced.</summary>
+public record GenerationContext(PromptParts Prompt, ComfySettingsSnapshot Settings, CharacterBuildDocument? Build);
 
-public record WsMsg(string type, string? prompt_id = null, object? data = null);
+// Generation settings carried inside a saved character build
+public record ComfySettingsSnapshot(
+    string? Checkpoint,
+    int Seed,
+    int Steps,
+    double Cfg,
+    string SamplerName,
+    string Scheduler,
+    int Width,
+    int Height,
+    double Denoise);
+
+public record QueuePromptRequest(string client_id, object prompt);
 
-// Simplified polling models
+// Progress and outcome of WaitForCompletionAsync
 public record GenerationProgress(int Percentage, string? CurrentStep);
 public record GenerationResult(bool Success, List<ImageMeta> Images, string? Error);
 
@@ -1,175 +1,118 @@
 using Newtonsoft.Json.Linq;
+using TagbooruQuest.Services.CharacterDesigner;
 
 namespace TagbooruQuest.Services.ComfyUI;
 
 public interface IPromptJsonMapper
 {
+    /// <exception cref="WorkflowTemplateException">The active template doesn't fit its workflow.</exception>
     Task<JObject> MapPromptToWorkflowAsync(PromptParts prompt, IComfySettingsService settings);
+
+    // Same, with generation settings that differ from the saved ones (batch sweeps)
+    Task<JObject> MapPromptToWorkflowAsync(PromptParts prompt, ComfySettingsSnapshot settings);
 }
 
 public class PromptJsonMapper : IPromptJsonMapper
 {
-    private readonly string _workflowTemplatePath;
-    private JObject? _workflowTemplate;
+    private readonly IWorkflowTemplateService _templates;
+    private readonly IComfyClient _comfyClient;
+
+    // LoRA files on the server, fetched when a prompt first names one
+    private IReadOnlyList<string>? _loraFiles;
 
-    public PromptJsonMapper()
+    public PromptJsonMapper(IWorkflowTemplateService templates, IComfyClient comfyClient)
     {
-        _workflowTemplatePath = Path.Combine(FileSystem.AppDataDirectory, "comfyui-workflow.json");
+        _templates = templates;
+        _comfyClient = comfyClient;
     }
 
-    public async Task<JObject> MapPromptToWorkflowAsync(PromptParts prompt, IComfySettingsService settings)
+    public Task<JObject> MapPromptToWorkflowAsync(PromptParts prompt, IComfySettingsService settings)
     {
-        // Load template if not cached
-        if (_workflowTemplate == null)
-        {
-            await LoadWorkflowTemplateAsync();
-        }
+        return MapPromptToWorkflowAsync(prompt, settings.CreateSnapshot());
+    }
 
-        // Clone the template
-        var workflow = (JObject)_workflowTemplate!.DeepClone();
+    public async Task<JObject> MapPromptToWorkflowAsync(PromptParts prompt, ComfySettingsSnapshot settings)
+    {
+        await _templates.LoadAsync();
 
-        // Map settings to workflow nodes
-        MapCheckpoint(workflow, settings.SelectedCheckpoint ?? "illustriousXL_v01.safetensors");
-        MapPositivePrompt(workflow, prompt.Positive);
-        MapNegativePrompt(workflow, prompt.Negative);
-        MapImageSize(workflow, settings.Width, settings.Height);
-        MapSamplerSettings(workflow, settings);
+        var template = _templates.ActiveTemplate
+            ?? throw new WorkflowTemplateException("No workflow template is selected.");
 
-        return workflow;
-    }
+        // ComfyUI ignores <lora:name:0.8> in text; LoRAs become LoraLoader nodes instead.
+        // Embeddings stay in the text, where ComfyUI reads embedding:name itself.
+        var (positive, loras) = PromptParser.ExtractLoras(prompt.Positive);
+        var (negative, _) = PromptParser.ExtractLoras(prompt.Negative);
 
-    private async Task LoadWorkflowTemplateAsync()
-    {
-        // First try to copy from bundle to app data if not exists
-        if (!File.Exists(_workflowTemplatePath))
+        var workflow = template.Apply(new Dictionary<WorkflowField, object?>
         {
-            try
-            {
-                using var stream = await FileSystem.OpenAppPackageFileAsync("comfyui-workflow.json");
-                using var outFile = File.Create(_workflowTemplatePath);
-                await stream.CopyToAsync(outFile);
-            }
-            catch
+            // The prompt already carries its emphasis syntax ((red eyes:1.3), escaped
+            // \(parentheses\)), so it goes in verbatim around the binding's format.
+            [WorkflowField.Positive] = positive,
+            // The negative prompt arrives complete (active preset + negative tags, see
+            // INegativePresetService.Compose); an empty one means the user chose no preset.
+            [WorkflowField.Negative] = negative,
+            // Without a selected checkpoint the workflow keeps its own
+            [WorkflowField.Checkpoint] = settings.Checkpoint,
+            [WorkflowField.Width] = settings.Width,
+            [WorkflowField.Height] = settings.Height,
+            [WorkflowField.Seed] = settings.Seed,
+            [WorkflowField.Steps] = settings.Steps,
+            [WorkflowField.Cfg] = settings.Cfg,
+            [WorkflowField.Sampler] = settings.SamplerName,
+            [WorkflowField.Scheduler] = settings.Scheduler,
+            [WorkflowField.Denoise] = settings.Denoise
+        });
+
+        if (prompt.Regions is { Count: > 0 })
+        {
+            // Regions are wired in first so the LoRA chain below reaches their encoders too
+            var regions = prompt.Regions.Select(r =>
             {
-                // If copying fails, create a minimal default workflow
-                await CreateDefaultWorkflowAsync();
-                return;
-            }
+                var (text, regionLoras) = PromptParser.ExtractLoras(r.Positive);
+                loras.AddRange(regionLoras);
+                return r with { Positive = text };
+            }).ToList();
+            RegionalConditioning.Inject(workflow, FindPositiveNode(template), regions);
         }
 
-        // Load the template
-        var json = await File.ReadAllTextAsync(_workflowTemplatePath);
-        _workflowTemplate = JObject.Parse(json);
-    }
-
-    private async Task CreateDefaultWorkflowAsync()
-    {
-        var defaultWorkflow = JObject.Parse(@"{
-  ""3"": {
-    ""inputs"": {
-      ""seed"": 156680208700286,
-      ""steps"": 20,
-      ""cfg"": 8.0,
-      ""sampler_name"": ""euler"",
-      ""scheduler"": ""normal"",
-      ""denoise"": 1,
-      ""model"": [""4"", 0],
-      ""positive"": [""6"", 0],
-      ""negative"": [""7"", 0],
-      ""latent_image"": [""5"", 0]
-    },
-    ""class_type"": ""KSampler""
-  },
-  ""4"": {
-    ""inputs"": {
-      ""ckpt_name"": ""illustriousXL_v01.safetensors""
-    },
-    ""class_type"": ""CheckpointLoaderSimple""
-  },
-  ""5"": {
-    ""inputs"": {
-      ""width"": 1024,
-      ""height"": 1024,
-      ""batch_size"": 1
-    },
-    ""class_type"": ""EmptyLatentImage""
-  },
-  ""6"": {
-    ""inputs"": {
-      ""text"": ""((tag)), white background, anime coloring, masterpiece,best quality"",
-      ""clip"": [""4"", 1]
-    },
-    ""class_type"": ""CLIPTextEncode""
-  },
-  ""7"": {
-    ""inputs"": {
-      ""text"": ""lowres, bad anatomy, bad hands, text, error, missing fingers, extra digit, fewer digits, cropped, worst quality, low quality, normal quality, jpeg artifacts, signature, watermark, username, blurry"",
-      ""clip"": [""4"", 1]
-    },
-    ""class_type"": ""CLIPTextEncode""
-  },
-  ""8"": {
-    ""inputs"": {
-      ""samples"": [""3"", 0],
-      ""vae"": [""4"", 2]
-    },
-    ""class_type"": ""VAEDecode""
-  },
-  ""9"": {
-    ""inputs"": {
-      ""filename_prefix"": ""ComfyUI"",
-      ""images"": [""8"", 0]
-    },
-    ""class_type"": ""SaveImage""
-  }
-}");
-
-        await File.WriteAllTextAsync(_workflowTemplatePath, defaultWorkflow.ToString());
-        _workflowTemplate = defaultWorkflow;
-    }
+        if (loras.Count > 0)
+        {
+            var files = await GetLoraFilesAsync(loras.Select(l => l.Name));
+            LoraChain.Inject(workflow, FindCheckpointNode(template, workflow),
+                loras.Select(l => (LoraChain.ResolveFile(l.Name, files), l.Strength)).ToList());
+        }
 
-    private static void MapCheckpoint(JObject workflow, string checkpointName)
-    {
-        SetNodeInput(workflow, "4", "ckpt_name", checkpointName);
+        return workflow;
     }
 
-    private static void MapPositivePrompt(JObject workflow, string positivePrompt)
+    /// <summary>The cached LoRA list, fetched again when it doesn't know one of the names.</summary>
+    private async Task<IReadOnlyList<string>> GetLoraFilesAsync(IEnumerable<string> names)
     {
-        // Replace ((tag)) placeholder with actual prompt
-        var template = "((tag)), full body, straight-on, white background, anime coloring, masterpiece,best quality";
-        var finalPrompt = template.Replace("((tag))", positivePrompt);
-        SetNodeInput(workflow, "6", "text", finalPrompt);
-    }
+        if (_loraFiles == null || names.Any(n => !LoraChain.IsKnown(n, _loraFiles)))
+        {
+            var files = await _comfyClient.ListLorasAsync();
+            // An unreachable server lists nothing; don't cache that
+            if (files.Count > 0 || _loraFiles == null)
+                _loraFiles = files;
+        }
 
-    private static void MapNegativePrompt(JObject workflow, string negativePrompt)
-    {
-        var defaultNegative = "lowres, bad anatomy, bad hands, text, error, missing fingers, extra digit, fewer digits, cropped, worst quality, low quality, normal quality, jpeg artifacts, signature, watermark, username, blurry";
-        var finalNegative = string.IsNullOrEmpty(negativePrompt) ? defaultNegative : negativePrompt;
-        SetNodeInput(workflow, "7", "text", finalNegative);
+        return _loraFiles;
     }
 
-    private static void MapImageSize(JObject workflow, int width, int height)
+    private static string FindPositiveNode(WorkflowTemplate template)
     {
-        SetNodeInput(workflow, "5", "width", width);
-        SetNodeInput(workflow, "5", "height", height);
+        // Apply has already checked that the binding matches exactly one node
+        var binding = template.Bindings.First(b => b.Field == WorkflowField.Positive);
+        return template.FindNodes(binding)[0];
     }
 
-    private static void MapSamplerSettings(JObject workflow, IComfySettingsService settings)
+    private static string FindCheckpointNode(WorkflowTemplate template, JObject workflow)
     {
-        SetNodeInput(workflow, "3", "seed", settings.Seed);
-        SetNodeInput(workflow, "3", "steps", settings.Steps);
-        SetNodeInput(workflow, "3", "cfg", settings.Cfg);
-        SetNodeInput(workflow, "3", "sampler_name", settings.SamplerName);
-        SetNodeInput(workflow, "3", "scheduler", settings.Scheduler);
-        SetNodeInput(workflow, "3", "denoise", settings.Denoise);
-    }
+        var binding = template.Bindings.FirstOrDefault(b => b.Field == WorkflowField.Checkpoint);
+        if (binding != null)
+            return template.FindNodes(binding)[0];
 
-    private static void SetNodeInput(JObject workflow, string nodeId, string inputKey, object value)
-    {
-        var node = workflow[nodeId];
-        if (node?["inputs"] is JObject inputs)
-        {
-            inputs[inputKey] = JToken.FromObject(value);
-        }
+        return workflow.Properties().FirstOrDefault(p => p.Value["inputs"]?["ckpt_name"] != null)?.Name
+            ?? throw new WorkflowTemplateException($"Workflow \"{template.Name}\": LoRAs need a checkpoint loader, and it has none.");
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,75 @@
+using Newtonsoft.Json.Linq;
+using TagbooruQuest.Models.CharacterDesigner;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+/// <summary>
+/// Adds regional prompting to an API-format workflow: one text encoder per region, limited to
+/// its area and combined with the positive prompt's conditioning, so each character's tags
+/// only shape their part of the image.
+/// </summary>
+public static class RegionalConditioning
+{
+    public const string AreaClassType = "ConditioningSetAreaPercentage";
+    public const string CombineClassType = "ConditioningCombine";
+
+    /// <summary>
+    /// Insert the region nodes after <paramref name="positiveNodeId"/>, a text encoder. Nodes wired
+    /// to its CONDITIONING output (output 0) are rewired to the combined conditioning; the region
+    /// encoders read the same CLIP it does.
+    /// </summary>
+    /// <exception cref="WorkflowTemplateException">The positive node is missing or has no CLIP input.</exception>
+    public static void Inject(JObject workflow, string positiveNodeId, IReadOnlyList<RegionPrompt> regions, double strength = 1.0)
+    {
+        if (regions.Count == 0)
+            return;
+        if (workflow[positiveNodeId] is not JObject positive)
+            throw new WorkflowTemplateException($"Regional prompts need the positive prompt node, but the workflow has no node #{positiveNodeId}.");
+        if (positive["inputs"]?["clip"] is not JArray clip)
+            throw new WorkflowTemplateException($"Regional prompts need a text encoder with a CLIP input; node #{positiveNodeId} has none.");
+
+        // Find the consumers before adding nodes, which consume the positive prompt themselves
+        var consumers = LoraChain.FindLinks(workflow, positiveNodeId, 0);
+
+        var combined = positiveNodeId;
+        var nextId = LoraChain.NextNodeId(workflow);
+        foreach (var (region, index) in regions.Select((r, i) => (r, i + 1)))
+        {
+            var encodeId = (nextId++).ToString();
+            workflow[encodeId] = Node("CLIPTextEncode", $"Region {index} prompt", new JObject
+            {
+                ["text"] = region.Positive,
+                ["clip"] = clip.DeepClone()
+            });
+
+            var areaId = (nextId++).ToString();
+            workflow[areaId] = Node(AreaClassType, $"Region {index} area", new JObject
+            {
+                ["conditioning"] = new JArray(encodeId, 0),
+                ["width"] = region.Area.Width,
+                ["height"] = region.Area.Height,
+                ["x"] = region.Area.X,
+                ["y"] = region.Area.Y,
+                ["strength"] = strength
+            });
+
+            var combineId = (nextId++).ToString();
+            workflow[combineId] = Node(CombineClassType, $"Region {index} combine", new JObject
+            {
+                ["conditioning_1"] = new JArray(combined, 0),
+                ["conditioning_2"] = new JArray(areaId, 0)
+            });
+            combined = combineId;
+        }
+
+        foreach (var (inputs, name) in consumers)
+            inputs[name] = new JArray(combined, 0);
+    }
+
+    private static JObject Node(string classType, string title, JObject inputs) => new()
+    {
+        ["inputs"] = inputs,
+        ["class_type"] = classType,
+        ["_meta"] = new JObject { ["title"] = title }
+    };
+}
@@ -0,0 +1,324 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+/// <summary>A value from the designer or the ComfyUI settings that a template writes into its workflow.</summary>
+public enum WorkflowField
+{
+    Positive,
+    Negative,
+    Checkpoint,
+    Width,
+    Height,
+    Seed,
+    Steps,
+    Cfg,
+    Sampler,
+    Scheduler,
+    Denoise
+}
+
+/// <summary>
+/// Where one <see cref="WorkflowField"/> is written: an input of the node matching every
+/// selector that is set. Selecting by title or class type keeps the binding working when
+/// the workflow is exported again with different node ids.
+/// </summary>
+public class WorkflowBinding
+{
+    public WorkflowField Field { get; set; }
+    public string? NodeId { get; set; }
+    public string? ClassType { get; set; }
+    public string? Title { get; set; }
+    public string Input { get; set; } = "";
+
+    /// <summary>
+    /// For text fields: what is written, with <c>{value}</c> where the value goes. Without
+    /// the placeholder the value is written first and the format after it.
+    /// </summary>
+    public string? Format { get; set; }
+
+    [JsonIgnore]
+    public string NodeLabel => Title != null ? $"\"{Title}\"" : ClassType != null && NodeId == null ? ClassType : $"#{NodeId}";
+
+    public WorkflowBinding Clone() => (WorkflowBinding)MemberwiseClone();
+}
+
+/// <summary>A node of a template's workflow, with the inputs that hold a value rather than a link.</summary>
+public record WorkflowNodeInfo(string Id, string ClassType, string? Title, IReadOnlyList<string> Inputs)
+{
+    public string Label => Title != null && Title != ClassType ? $"#{Id} {Title} ({ClassType})" : $"#{Id} {ClassType}";
+}
+
+/// <summary>
+/// A template could not be read or does not fit its workflow. <see cref="Errors"/> lists
+/// every problem found.
+/// </summary>
+public sealed class WorkflowTemplateException : Exception
+{
+    public IReadOnlyList<string> Errors { get; }
+
+    public WorkflowTemplateException(string message) : this(new[] { message })
+    {
+    }
+
+    public WorkflowTemplateException(IReadOnlyList<string> errors) : base(string.Join(" ", errors))
+    {
+        Errors = errors;
+    }
+}
+
+/// <summary>
+/// An API-format ComfyUI workflow ("Save (API Format)") together with the bindings that say
+/// where the prompt and generation settings go.
+/// </summary>
+public class WorkflowTemplate
+{
+    public const string ValuePlaceholder = "{value}";
+
+    // Sampler inputs and the field each one takes, in the order they are bound
+    private static readonly (string Input, WorkflowField Field)[] SamplerInputs =
+    {
+        ("seed", WorkflowField.Seed),
+        ("noise_seed", WorkflowField.Seed),
+        ("steps", WorkflowField.Steps),
+        ("cfg", WorkflowField.Cfg),
+        ("sampler_name", WorkflowField.Sampler),
+        ("scheduler", WorkflowField.Scheduler),
+        ("denoise", WorkflowField.Denoise)
+    };
+
+    public string Name { get; set; } = "";
+    public List<WorkflowBinding> Bindings { get; set; } = new();
+    public JObject Workflow { get; set; } = new();
+
+    /// <summary>
+    /// Read an API-format workflow export and guess its bindings from the first sampler and
+    /// the nodes wired into it.
+    /// </summary>
+    /// <exception cref="WorkflowTemplateException">The JSON is not an API-format workflow.</exception>
+    public static WorkflowTemplate FromJson(string name, string json)
+    {
+        JObject workflow;
+        try
+        {
+            workflow = JObject.Parse(json);
+        }
+        catch (JsonException ex)
+        {
+            throw new WorkflowTemplateException($"The file is not valid JSON: {ex.Message}");
+        }
+
+        if (workflow["nodes"] is JArray && workflow["links"] != null)
+            throw new WorkflowTemplateException("This is a UI workflow; export it from ComfyUI with \"Save (API Format)\" instead.");
+
+        var template = new WorkflowTemplate { Name = name.Trim(), Workflow = workflow };
+        if (!template.ListNodes().Any())
+            throw new WorkflowTemplateException("The workflow has no nodes.");
+
+        template.Bindings = template.DetectBindings();
+        return template;
+    }
+
+    public WorkflowTemplate Clone() => new()
+    {
+        Name = Name,
+        Bindings = Bindings.Select(b => b.Clone()).ToList(),
+        Workflow = (JObject)Workflow.DeepClone()
+    };
+
+    public IEnumerable<WorkflowNodeInfo> ListNodes()
+    {
+        foreach (var (id, node) in Nodes())
+        {
+            var inputs = (node["inputs"] as JObject)?.Properties()
+                .Where(p => p.Value is not JArray)
+                .Select(p => p.Name)
+                .ToList() ?? new List<string>();
+            yield return new WorkflowNodeInfo(id, node["class_type"]!.ToString(), TitleOf(node), inputs);
+        }
+    }
+
+    /// <summary>Nodes matching every selector of a binding that is set.</summary>
+    public List<string> FindNodes(WorkflowBinding binding)
+    {
+        if (binding.NodeId == null && binding.ClassType == null && binding.Title == null)
+            return new List<string>();
+
+        return Nodes()
+            .Where(n => binding.NodeId == null || n.Id == binding.NodeId)
+            .Where(n => binding.ClassType == null || n.Node["class_type"]?.ToString() == binding.ClassType)
+            .Where(n => binding.Title == null || TitleOf(n.Node) == binding.Title)
+            .Select(n => n.Id)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Point a binding at a node using the most lasting selector that is still unique: its
+    /// title, then its class type, then its id.
+    /// </summary>
+    public void SelectNode(WorkflowBinding binding, string nodeId)
+    {
+        var node = Workflow[nodeId] as JObject;
+        var classType = node?["class_type"]?.ToString();
+        var title = node == null ? null : TitleOf(node);
+        var nodes = Nodes().ToList();
+
+        binding.NodeId = null;
+        binding.ClassType = null;
+        binding.Title = null;
+
+        if (title != null && nodes.Count(n => TitleOf(n.Node) == title) == 1)
+            binding.Title = title;
+        else if (classType != null && nodes.Count(n => n.Node["class_type"]?.ToString() == classType) == 1)
+            binding.ClassType = classType;
+        else
+            (binding.NodeId, binding.ClassType) = (nodeId, classType);
+    }
+
+    /// <summary>Every problem that stops the template from being used; empty when it is ready.</summary>
+    public List<string> Validate()
+    {
+        var errors = new List<string>();
+
+        if (!Nodes().Any())
+            errors.Add("The workflow has no nodes.");
+        if (Bindings.All(b => b.Field != WorkflowField.Positive))
+            errors.Add("Nothing is bound to the positive prompt.");
+
+        foreach (var binding in Bindings)
+        {
+            var matches = FindNodes(binding);
+            if (matches.Count == 0)
+            {
+                errors.Add($"{binding.Field}: there is no node {binding.NodeLabel}.");
+                continue;
+            }
+            if (matches.Count > 1)
+            {
+                errors.Add($"{binding.Field}: {matches.Count} nodes match {binding.NodeLabel}; pick one by title or id.");
+                continue;
+            }
+
+            var inputs = Workflow[matches[0]]!["inputs"] as JObject;
+            if (string.IsNullOrEmpty(binding.Input) || inputs?[binding.Input] == null)
+                errors.Add($"{binding.Field}: node {binding.NodeLabel} has no input \"{binding.Input}\".");
+            else if (inputs[binding.Input] is JArray)
+                errors.Add($"{binding.Field}: input \"{binding.Input}\" of {binding.NodeLabel} is wired to another node.");
+        }
+
+        return errors;
+    }
+
+    /// <summary>
+    /// A copy of the workflow with each bound field written in. Fields without a value (null)
+    /// keep what the workflow has.
+    /// </summary>
+    /// <exception cref="WorkflowTemplateException">The bindings don't fit the workflow.</exception>
+    public JObject Apply(IReadOnlyDictionary<WorkflowField, object?> values)
+    {
+        var errors = Validate();
+        if (errors.Count > 0)
+            throw new WorkflowTemplateException(errors.Select(e => $"Workflow \"{Name}\": {e}").ToList());
+
+        var workflow = (JObject)Workflow.DeepClone();
+        foreach (var binding in Bindings)
+        {
+            if (!values.TryGetValue(binding.Field, out var value) || value == null)
+                continue;
+
+            if (value is string text && !string.IsNullOrEmpty(binding.Format))
+            {
+                value = binding.Format.Contains(ValuePlaceholder)
+                    ? binding.Format.Replace(ValuePlaceholder, text)
+                    : text + ", " + binding.Format;
+            }
+
+            var inputs = (JObject)workflow[FindNodes(binding)[0]]!["inputs"]!;
+            inputs[binding.Input] = JToken.FromObject(value);
+        }
+
+        return workflow;
+    }
+
+    private List<WorkflowBinding> DetectBindings()
+    {
+        var bindings = new List<WorkflowBinding>();
+        var sampler = Nodes().FirstOrDefault(n => n.Node["inputs"] is JObject inputs && inputs["positive"] is JArray && inputs["steps"] != null);
+
+        if (sampler.Node != null)
+        {
+            var inputs = (JObject)sampler.Node["inputs"]!;
+            foreach (var (input, field) in SamplerInputs)
+            {
+                if (inputs[input] is JValue && bindings.All(b => b.Field != field))
+                    bindings.Add(Bind(field, sampler.Id, input));
+            }
+
+            AddTextBinding(bindings, WorkflowField.Positive, inputs["positive"]);
+            AddTextBinding(bindings, WorkflowField.Negative, inputs["negative"]);
+
+            var latent = FollowLink(inputs["latent_image"], n => HasValue(n, "width") && HasValue(n, "height"));
+            if (latent != null)
+            {
+                bindings.Add(Bind(WorkflowField.Width, latent, "width"));
+                bindings.Add(Bind(WorkflowField.Height, latent, "height"));
+            }
+        }
+
+        var checkpoint = Nodes().FirstOrDefault(n => HasValue(n.Node, "ckpt_name"));
+        if (checkpoint.Node != null)
+            bindings.Add(Bind(WorkflowField.Checkpoint, checkpoint.Id, "ckpt_name"));
+
+        return bindings;
+    }
+
+    private void AddTextBinding(List<WorkflowBinding> bindings, WorkflowField field, JToken? link)
+    {
+        var node = FollowLink(link, n => n["inputs"]?["text"] is JValue { Type: JTokenType.String });
+        if (node != null)
+            bindings.Add(Bind(field, node, "text"));
+    }
+
+    /// <summary>Walk back along links from an input to the nearest node matching a test.</summary>
+    private string? FollowLink(JToken? link, Func<JObject, bool> test)
+    {
+        var queue = new Queue<JToken?>(new[] { link });
+        var visited = new HashSet<string>();
+
+        while (queue.Count > 0)
+        {
+            if (queue.Dequeue() is not JArray { Count: 2 } array)
+                continue;
+
+            var id = array[0]?.ToString();
+            if (id == null || !visited.Add(id) || Workflow[id] is not JObject node)
+                continue;
+            if (test(node))
+                return id;
+
+            foreach (var input in (node["inputs"] as JObject)?.Properties() ?? Enumerable.Empty<JProperty>())
+                queue.Enqueue(input.Value);
+        }
+
+        return null;
+    }
+
+    private WorkflowBinding Bind(WorkflowField field, string nodeId, string input)
+    {
+        var binding = new WorkflowBinding { Field = field, Input = input };
+        SelectNode(binding, nodeId);
+        return binding;
+    }
+
+    private IEnumerable<(string Id, JObject Node)> Nodes()
+    {
+        return Workflow.Properties()
+            .Where(p => p.Value is JObject node && node["class_type"] != null && node["inputs"] is JObject)
+            .Select(p => (p.Name, (JObject)p.Value));
+    }
+
+    private static bool HasValue(JObject node, string input) => node["inputs"]?[input] is JValue;
+
+    private static string? TitleOf(JObject node) => node["_meta"]?["title"]?.ToString();
+}
@@ -0,0 +1,278 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
+namespace TagbooruQuest.Services.ComfyUI;
+
+public interface IWorkflowTemplateService
+{
+    IReadOnlyList<WorkflowTemplate> Templates { get; }
+
+    /// <summary>Name of the template the live preview and batches generate with.</summary>
+    string? ActiveTemplateName { get; set; }
+
+    WorkflowTemplate? ActiveTemplate { get; }
+
+    /// <summary>
+    /// Read an API-format workflow export into a new template with guessed bindings. It is
+    /// not stored until <see cref="SaveTemplate"/>.
+    /// </summary>
+    /// <exception cref="WorkflowTemplateException">The JSON is not an API-format workflow.</exception>
+    WorkflowTemplate Import(string name, string json);
+
+    /// <summary>Store a template, replacing the one with the same name.</summary>
+    void SaveTemplate(WorkflowTemplate template);
+    void DeleteTemplate(string name);
+
+    /// <summary>Load the stored templates; later calls wait for the first load.</summary>
+    Task LoadAsync();
+    Task SaveAsync();
+
+    event Action? OnTemplatesChanged;
+}
+
+public class WorkflowTemplateService : IWorkflowTemplateService
+{
+    public const string DefaultTemplateName = "Default";
+
+    // The positive prompt template PromptJsonMapper used to hard-code
+    private const string DefaultPositiveFormat = "{value}, full body, straight-on, white background, anime coloring, masterpiece,best quality";
+
+    private static readonly JsonSerializerSettings JsonSettings = new()
+    {
+        Formatting = Formatting.Indented,
+        Converters = { new StringEnumConverter() },
+        NullValueHandling = NullValueHandling.Ignore
+    };
+
+    private readonly string _templatesFilePath;
+    private readonly string _legacyWorkflowPath;
+    private WorkflowTemplateFile _file = new();
+    private Task? _loadTask;
+
+    public event Action? OnTemplatesChanged;
+
+    public WorkflowTemplateService()
+    {
+        _templatesFilePath = Path.Combine(FileSystem.AppDataDirectory, "workflow-templates.json");
+        _legacyWorkflowPath = Path.Combine(FileSystem.AppDataDirectory, "comfyui-workflow.json");
+    }
+
+    public IReadOnlyList<WorkflowTemplate> Templates => _file.Templates;
+
+    public string? ActiveTemplateName
+    {
+        get => _file.ActiveTemplate;
+        set
+        {
+            // Unknown names are ignored
+            if (_file.ActiveTemplate == value || (value != null && FindTemplate(value) == null)) return;
+            _file.ActiveTemplate = value;
+            Changed();
+        }
+    }
+
+    public WorkflowTemplate? ActiveTemplate => _file.ActiveTemplate == null ? null : FindTemplate(_file.ActiveTemplate);
+
+    public WorkflowTemplate Import(string name, string json)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+            throw new WorkflowTemplateException("Give the template a name.");
+
+        return WorkflowTemplate.FromJson(name, json);
+    }
+
+    public void SaveTemplate(WorkflowTemplate template)
+    {
+        template.Name = template.Name.Trim();
+        if (string.IsNullOrEmpty(template.Name)) return;
+
+        var existing = FindTemplate(template.Name);
+        if (existing != null)
+        {
+            _file.Templates[_file.Templates.IndexOf(existing)] = template;
+        }
+        else
+        {
+            _file.Templates.Add(template);
+        }
+
+        _file.ActiveTemplate ??= template.Name;
+        Changed();
+    }
+
+    public void DeleteTemplate(string name)
+    {
+        var template = FindTemplate(name);
+        if (template == null || _file.Templates.Count <= 1) return;
+
+        _file.Templates.Remove(template);
+        if (string.Equals(_file.ActiveTemplate, template.Name, StringComparison.OrdinalIgnoreCase))
+        {
+            _file.ActiveTemplate = _file.Templates[0].Name;
+        }
+
+        Changed();
+    }
+
+    public Task LoadAsync()
+    {
+        return _loadTask ??= LoadTemplatesAsync();
+    }
+
+    public async Task SaveAsync()
+    {
+        try
+        {
+            var json = JsonConvert.SerializeObject(_file, JsonSettings);
+            await File.WriteAllTextAsync(_templatesFilePath, json);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"Failed to save workflow templates: {ex.Message}");
+        }
+    }
+
+    private async Task LoadTemplatesAsync()
+    {
+        try
+        {
+            if (File.Exists(_templatesFilePath))
+            {
+                var json = await File.ReadAllTextAsync(_templatesFilePath);
+                var loaded = JsonConvert.DeserializeObject<WorkflowTemplateFile>(json, JsonSettings);
+                if (loaded != null && loaded.Templates.Count > 0)
+                {
+                    _file = loaded;
+                    OnTemplatesChanged?.Invoke();
+                    return;
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            // If loading fails, start over from the default template
+            System.Diagnostics.Debug.WriteLine($"Failed to load workflow templates: {ex.Message}");
+        }
+
+        var template = await CreateDefaultTemplateAsync();
+        _file = new WorkflowTemplateFile { ActiveTemplate = template.Name, Templates = { template } };
+        Changed();
+    }
+
+    /// <summary>
+    /// The default template wraps the single workflow used before templates existed: the user's
+    /// copy in app data if there is one, otherwise the bundled or built-in workflow.
+    /// </summary>
+    private async Task<WorkflowTemplate> CreateDefaultTemplateAsync()
+    {
+        string json;
+        if (File.Exists(_legacyWorkflowPath))
+        {
+            json = await File.ReadAllTextAsync(_legacyWorkflowPath);
+        }
+        else
+        {
+            try
+            {
+                using var stream = await FileSystem.OpenAppPackageFileAsync("comfyui-workflow.json");
+                using var reader = new StreamReader(stream);
+                json = await reader.ReadToEndAsync();
+            }
+            catch
+            {
+                json = BuiltInWorkflow;
+            }
+        }
+
+        WorkflowTemplate template;
+        try
+        {
+            template = WorkflowTemplate.FromJson(DefaultTemplateName, json);
+        }
+        catch (WorkflowTemplateException ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"Ignoring unreadable {_legacyWorkflowPath}: {ex.Message}");
+            template = WorkflowTemplate.FromJson(DefaultTemplateName, BuiltInWorkflow);
+        }
+
+        foreach (var binding in template.Bindings.Where(b => b.Field == WorkflowField.Positive))
+            binding.Format = DefaultPositiveFormat;
+
+        return template;
+    }
+
+    private WorkflowTemplate? FindTemplate(string name) =>
+        _file.Templates.FirstOrDefault(t => t.Name.Equals(name, StringComparison.OrdinalIgnoreCase));
+
+    private void Changed()
+    {
+        _ = SaveAsync();
+        OnTemplatesChanged?.Invoke();
+    }
+
+    private class WorkflowTemplateFile
+    {
+        public string? ActiveTemplate { get; set; }
+        public List<WorkflowTemplate> Templates { get; set; } = new();
+    }
+
+    private const string BuiltInWorkflow = @"{
+  ""3"": {
+    ""inputs"": {
+      ""seed"": 156680208700286,
+      ""steps"": 20,
+      ""cfg"": 8.0,
+      ""sampler_name"": ""euler"",
+      ""scheduler"": ""normal"",
+      ""denoise"": 1,
+      ""model"": [""4"", 0],
+      ""positive"": [""6"", 0],
+      ""negative"": [""7"", 0],
+      ""latent_image"": [""5"", 0]
+    },
+    ""class_type"": ""KSampler""
+  },
+  ""4"": {
+    ""inputs"": {
+      ""ckpt_name"": ""illustriousXL_v01.safetensors""
+    },
+    ""class_type"": ""CheckpointLoaderSimple""
+  },
+  ""5"": {
+    ""inputs"": {
+      ""width"": 1024,
+      ""height"": 1024,
+      ""batch_size"": 1
+    },
+    ""class_type"": ""EmptyLatentImage""
+  },
+  ""6"": {
+    ""inputs"": {
+      ""text"": ""((tag)), white background, anime coloring, masterpiece,best quality"",
+      ""clip"": [""4"", 1]
+    },
+    ""class_type"": ""CLIPTextEncode""
+  },
+  ""7"": {
+    ""inputs"": {
+      ""text"": ""lowres, bad anatomy, bad hands, text, error, missing fingers, extra digit, fewer digits, cropped, worst quality, low quality, normal quality, jpeg artifacts, signature, watermark, username, blurry"",
+      ""clip"": [""4"", 1]
+    },
+    ""class_type"": ""CLIPTextEncode""
+  },
+  ""8"": {
+    ""inputs"": {
+      ""samples"": [""3"", 0],
+      ""vae"": [""4"", 2]
+    },
+    ""class_type"": ""VAEDecode""
+  },
+  ""9"": {
+    ""inputs"": {
+      ""filename_prefix"": ""ComfyUI"",
+      ""images"": [""8"", 0]
+    },
+    ""class_type"": ""SaveImage""
+  }
+}";
+}
@@ -0,0 +1,162 @@
+using System.Text.Json;
+
+namespace TagbooruQuest.Services;
+
+public interface INegativePresetService
+{
+    IReadOnlyList<NegativePreset> Presets { get; }
+
+    /// <summary>Name of the preset written in front of every negative prompt, or null for none.</summary>
+    string? ActivePresetName { get; set; }
+
+    NegativePreset? ActivePreset { get; }
+
+    void SavePreset(string name, string text);
+    void DeletePreset(string name);
+
+    /// <summary>
+    /// The full negative prompt: the active preset followed by the negative tags.
+    /// </summary>
+    string Compose(string negativeTags);
+
+    Task LoadAsync();
+    Task SaveAsync();
+
+    event Action? OnPresetsChanged;
+}
+
+public class NegativePreset
+{
+    public string Name { get; set; } = "";
+    public string Text { get; set; } = "";
+}
+
+public class NegativePresetService : INegativePresetService
+{
+    public const string DefaultPresetName = "Default";
+
+    public const string DefaultPresetText = "lowres, bad anatomy, bad hands, text, error, missing fingers, extra digit, fewer digits, cropped, worst quality, low quality, normal quality, jpeg artifacts, signature, watermark, username, blurry";
+
+    private readonly string _presetsFilePath;
+    private NegativePresetFile _file = NegativePresetFile.CreateDefault();
+
+    public event Action? OnPresetsChanged;
+
+    public NegativePresetService()
+    {
+        _presetsFilePath = Path.Combine(FileSystem.AppDataDirectory, "negative-presets.json");
+    }
+
+    public IReadOnlyList<NegativePreset> Presets => _file.Presets;
+
+    public string? ActivePresetName
+    {
+        get => _file.ActivePreset;
+        set
+        {
+            // Unknown names are ignored
+            if (_file.ActivePreset == value || (value != null && FindPreset(value) == null)) return;
+            _file.ActivePreset = value;
+            Changed();
+        }
+    }
+
+    public NegativePreset? ActivePreset => _file.ActivePreset == null ? null : FindPreset(_file.ActivePreset);
+
+    public void SavePreset(string name, string text)
+    {
+        name = name.Trim();
+        if (string.IsNullOrEmpty(name)) return;
+
+        var existing = FindPreset(name);
+        if (existing != null)
+        {
+            existing.Text = text.Trim();
+        }
+        else
+        {
+            _file.Presets.Add(new NegativePreset { Name = name, Text = text.Trim() });
+        }
+
+        Changed();
+    }
+
+    public void DeletePreset(string name)
+    {
+        var preset = FindPreset(name);
+        if (preset == null) return;
+
+        _file.Presets.Remove(preset);
+        if (string.Equals(_file.ActivePreset, preset.Name, StringComparison.OrdinalIgnoreCase))
+        {
+            _file.ActivePreset = null;
+        }
+
+        Changed();
+    }
+
+    public string Compose(string negativeTags)
+    {
+        var parts = new[] { ActivePreset?.Text, negativeTags }
+            .Where(p => !string.IsNullOrWhiteSpace(p))
+            .Select(p => p!.Trim().TrimEnd(','));
+        return string.Join(", ", parts);
+    }
+
+    public async Task LoadAsync()
+    {
+        try
+        {
+            if (File.Exists(_presetsFilePath))
+            {
+                var json = await File.ReadAllTextAsync(_presetsFilePath);
+                var loaded = JsonSerializer.Deserialize<NegativePresetFile>(json);
+                if (loaded != null)
+                {
+                    _file = loaded;
+                    OnPresetsChanged?.Invoke();
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            // If loading fails, keep the default preset
+            System.Diagnostics.Debug.WriteLine($"Failed to load negative presets: {ex.Message}");
+        }
+    }
+
+    public async Task SaveAsync()
+    {
+        try
+        {
+            var json = JsonSerializer.Serialize(_file, new JsonSerializerOptions { WriteIndented = true });
+            await File.WriteAllTextAsync(_presetsFilePath, json);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"Failed to save negative presets: {ex.Message}");
+        }
+    }
+
+    private NegativePreset? FindPreset(string name) =>
+        _file.Presets.FirstOrDefault(p => p.Name.Equals(name, StringComparison.OrdinalIgnoreCase));
+
+    private void Changed()
+    {
+        _ = SaveAsync();
+        OnPresetsChanged?.Invoke();
+    }
+
+    private class NegativePresetFile
+    {
+        public string? ActivePreset { get; set; }
+        public List<NegativePreset> Presets { get; set; } = new();
+
+        // The string PromptJsonMapper used to fall back to, kept as the first preset
+        public static NegativePresetFile CreateDefault() => new()
+        {
+            ActivePreset = DefaultPresetName,
+            Presets = { new NegativePreset { Name = DefaultPresetName, Text = DefaultPresetText } }
+        };
+    }
+}
@@ -24,6 +24,13 @@ public class PromptBuilderService
 
     public event Action? OnPromptChanged;
 
+    /// <summary>Undo and redo of tag selection changes.</summary>
+    public UndoHistory History { get; } = new();
+    private int _trackDepth;
+
+    // ExportPromptData key suffix for a body part's negative tags, e.g. "hair_negative"
+    private const string NegativeDataSuffix = "_negative";
+
     private Dictionary<BodyPartType, BodyPart> InitializeBodyParts()
     {
         var bodyParts = new Dictionary<BodyPartType, BodyPart>();
@@ -77,48 +84,83 @@ public class PromptBuilderService
 
     public void AddTagToBodyPart(BodyPartType bodyPart, string tag)
     {
-        var part = _bodyParts[bodyPart];
-        if (!part.SelectedTags.Contains(tag))
+        Track($"Add {tag}", () =>
         {
-            part.SelectedTags.Add(tag);
-            OnPromptChanged?.Invoke();
-        }
+            var part = _bodyParts[bodyPart];
+            if (!part.SelectedTags.Contains(tag))
+            {
+                part.SelectedTags.Add(tag);
+                OnPromptChanged?.Invoke();
+            }
+        });
     }
 
     public void RemoveTagFromBodyPart(BodyPartType bodyPart, string tag)
     {
-        var part = _bodyParts[bodyPart];
-        if (part.SelectedTags.Remove(tag))
+        Track($"Remove {tag}", () =>
         {
-            OnPromptChanged?.Invoke();
-        }
+            var part = _bodyParts[bodyPart];
+            if (part.SelectedTags.Remove(tag))
+            {
+                part.NegativeTags.Remove(tag);
+                OnPromptChanged?.Invoke();
+            }
+        });
     }
 
-    public void ClearBodyPart(BodyPartType bodyPart)
+    public bool IsTagNegative(BodyPartType bodyPart, string tag)
+    {
+        return _bodyParts[bodyPart].NegativeTags.Contains(tag);
+    }
+
+    public void SetTagNegative(BodyPartType bodyPart, string tag, bool negative)
     {
-        var part = _bodyParts[bodyPart];
-        if (part.SelectedTags.Count > 0)
+        Track($"{(negative ? "Negative" : "Positive")} {tag}", () =>
         {
-            part.SelectedTags.Clear();
-            OnPromptChanged?.Invoke();
-        }
+            var part = _bodyParts[bodyPart];
+            if (!part.SelectedTags.Contains(tag)) return;
+
+            var changed = negative ? part.NegativeTags.Add(tag) : part.NegativeTags.Remove(tag);
+            if (changed)
+            {
+                OnPromptChanged?.Invoke();
+            }
+        });
     }
 
-    public void ClearAllBodyParts()
+    public void ClearBodyPart(BodyPartType bodyPart)
     {
-        bool hasChanges = false;
-        foreach (var part in _bodyParts.Values)
+        Track($"Clear {_bodyParts[bodyPart].DisplayName}", () =>
         {
+            var part = _bodyParts[bodyPart];
             if (part.SelectedTags.Count > 0)
             {
                 part.SelectedTags.Clear();
-                hasChanges = true;
+                part.NegativeTags.Clear();
+                OnPromptChanged?.Invoke();
             }
-        }
-        if (hasChanges)
+        });
+    }
+
+    public void ClearAllBodyParts()
+    {
+        Track("Clear all", () =>
         {
-            OnPromptChanged?.Invoke();
-        }
+            bool hasChanges = false;
+            foreach (var part in _bodyParts.Values)
+            {
+                if (part.SelectedTags.Count > 0)
+                {
+                    part.SelectedTags.Clear();
+                    part.NegativeTags.Clear();
+                    hasChanges = true;
+                }
+            }
+            if (hasChanges)
+            {
+                OnPromptChanged?.Invoke();
+            }
+        });
     }
 
     public async Task<List<Node>> GetTagsForBodyPart(BodyPartType bodyPart, TagCategory category)
@@ -475,7 +517,11 @@ public class PromptBuilderService
     }
 
 
-    public string GeneratePrompt()
+    public string GeneratePrompt() => GeneratePrompt(negative: false);
+
+    public string GenerateNegativePrompt() => GeneratePrompt(negative: true);
+
+    private string GeneratePrompt(bool negative)
     {
         var allTags = new List<string>();
 
@@ -483,7 +529,7 @@ public class PromptBuilderService
         {
             if (bodyPart.SelectedTags.Count > 0)
             {
-                allTags.AddRange(bodyPart.SelectedTags);
+                allTags.AddRange(bodyPart.SelectedTags.Where(t => bodyPart.NegativeTags.Contains(t) == negative));
             }
         }
 
@@ -499,6 +545,10 @@ public class PromptBuilderService
             if (bodyPart.SelectedTags.Count > 0)
             {
                 data[bodyPart.Name] = bodyPart.SelectedTags.ToList();
+                if (bodyPart.NegativeTags.Count > 0)
+                {
+                    data[bodyPart.Name + NegativeDataSuffix] = bodyPart.NegativeTags.ToList();
+                }
             }
         }
 
@@ -507,19 +557,83 @@ public class PromptBuilderService
 
     public void ImportPromptData(Dictionary<string, object> data)
     {
-        ClearAllBodyParts();
-
-        foreach (var kvp in data)
+        Track("Import prompt", () =>
         {
-            var bodyPartName = kvp.Key;
-            var bodyPart = _bodyParts.Values.FirstOrDefault(bp => bp.Name == bodyPartName);
+            ClearAllBodyParts();
 
-            if (bodyPart != null && kvp.Value is List<string> tags)
+            foreach (var kvp in data)
             {
-                bodyPart.SelectedTags.AddRange(tags);
+                var isNegative = kvp.Key.EndsWith(NegativeDataSuffix);
+                var bodyPartName = isNegative ? kvp.Key[..^NegativeDataSuffix.Length] : kvp.Key;
+                var bodyPart = _bodyParts.Values.FirstOrDefault(bp => bp.Name == bodyPartName);
+
+                if (bodyPart != null && kvp.Value is List<string> tags)
+                {
+                    if (isNegative)
+                    {
+                        bodyPart.NegativeTags.UnionWith(tags);
+                    }
+                    else
+                    {
+                        bodyPart.SelectedTags.AddRange(tags);
+                    }
+                }
             }
+
+            OnPromptChanged?.Invoke();
+        });
+    }
+
+    /// <summary>
+    /// Run a change and record it in <see cref="History"/> as a before/after snapshot of the
+    /// selected tags. Changes made inside another tracked change belong to the outer step.
+    /// </summary>
+    private void Track(string description, Action change)
+    {
+        if (History.IsApplying || _trackDepth > 0)
+        {
+            change();
+            return;
+        }
+
+        var before = CaptureSelections();
+        _trackDepth++;
+        try
+        {
+            change();
+        }
+        finally
+        {
+            _trackDepth--;
+        }
+        var after = CaptureSelections();
+
+        if (before.Signature != after.Signature)
+        {
+            History.Record(new SnapshotCommand<SelectionSnapshot>(description, before, after, RestoreSelections));
+        }
+    }
+
+    private SelectionSnapshot CaptureSelections()
+    {
+        var parts = _bodyParts.Values.ToDictionary(
+            bp => bp.Type,
+            bp => (Selected: bp.SelectedTags.ToList(), Negative: bp.NegativeTags.ToList()));
+        var signature = string.Join("|", parts.Select(p => $"{p.Key}:{string.Join(",", p.Value.Selected)}/{string.Join(",", p.Value.Negative.Order())}"));
+        return new SelectionSnapshot(parts, signature);
+    }
+
+    private void RestoreSelections(SelectionSnapshot snapshot)
+    {
+        foreach (var (type, tags) in snapshot.Parts)
+        {
+            var part = _bodyParts[type];
+            part.SelectedTags = tags.Selected.ToList();
+            part.NegativeTags = tags.Negative.ToHashSet();
         }
 
         OnPromptChanged?.Invoke();
     }
-}
\ No newline at end of file
+
+    private record SelectionSnapshot(Dictionary<BodyPartType, (List<string> Selected, List<string> Negative)> Parts, string Signature);
+}
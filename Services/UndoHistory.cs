@@ -0,0 +1,210 @@
+namespace TagbooruQuest.Services;
+
+public interface IUndoableCommand
+{
+    string Description { get; }
+    void Undo();
+    void Redo();
+}
+
+/// <summary>
+/// A command that can absorb the command recorded right after it.
+/// </summary>
+public interface IMergeableCommand : IUndoableCommand
+{
+    bool TryMerge(IUndoableCommand next);
+}
+
+/// <summary>
+/// A change recorded as the state before and after it, restored through a callback.
+/// Commands with the same <see cref="MergeKey"/> recorded back to back collapse into one
+/// step, so nudging a weight ten times is undone with a single Ctrl+Z.
+/// </summary>
+public sealed class SnapshotCommand<TSnapshot> : IMergeableCommand
+{
+    private readonly TSnapshot _before;
+    private TSnapshot _after;
+    private readonly Action<TSnapshot> _restore;
+
+    public string Description { get; private set; }
+    public string? MergeKey { get; }
+
+    public SnapshotCommand(string description, TSnapshot before, TSnapshot after, Action<TSnapshot> restore, string? mergeKey = null)
+    {
+        Description = description;
+        _before = before;
+        _after = after;
+        _restore = restore;
+        MergeKey = mergeKey;
+    }
+
+    public void Undo() => _restore(_before);
+    public void Redo() => _restore(_after);
+
+    public bool TryMerge(IUndoableCommand next)
+    {
+        if (MergeKey == null || next is not SnapshotCommand<TSnapshot> other || other.MergeKey != MergeKey)
+            return false;
+
+        _after = other._after;
+        Description = other.Description;
+        return true;
+    }
+}
+
+/// <summary>
+/// Undo and redo stacks for one piece of state. Owners record a command after each change;
+/// while a batch is open, commands are collected and recorded as a single step.
+/// </summary>
+public sealed class UndoHistory
+{
+    public const int DefaultCapacity = 100;
+
+    private readonly List<IUndoableCommand> _undo = new();
+    private readonly List<IUndoableCommand> _redo = new();
+    private readonly int _capacity;
+    private BatchCommand? _batch;
+    private int _batchDepth;
+
+    public UndoHistory(int capacity = DefaultCapacity)
+    {
+        _capacity = capacity;
+    }
+
+    public event Action? OnHistoryChanged;
+
+    public bool CanUndo => _undo.Count > 0;
+    public bool CanRedo => _redo.Count > 0;
+
+    /// <summary>True while a command is being undone or redone; owners must not record then.</summary>
+    public bool IsApplying { get; private set; }
+
+    /// <summary>Descriptions of the steps that can be undone, most recent first.</summary>
+    public IReadOnlyList<string> UndoSteps => _undo.Select(c => c.Description).Reverse().ToList();
+
+    /// <summary>Descriptions of the steps that can be redone, next one first.</summary>
+    public IReadOnlyList<string> RedoSteps => _redo.Select(c => c.Description).Reverse().ToList();
+
+    public void Record(IUndoableCommand command)
+    {
+        if (IsApplying) return;
+
+        if (_batch != null)
+        {
+            _batch.Commands.Add(command);
+            return;
+        }
+
+        _redo.Clear();
+        if (!(_undo.Count > 0 && _undo[^1] is IMergeableCommand last && last.TryMerge(command)))
+        {
+            _undo.Add(command);
+            if (_undo.Count > _capacity)
+                _undo.RemoveAt(0);
+        }
+
+        OnHistoryChanged?.Invoke();
+    }
+
+    /// <summary>
+    /// Group every change until the returned handle is disposed into one undo step.
+    /// Nested batches join the outermost one.
+    /// </summary>
+    public IDisposable BeginBatch(string description)
+    {
+        if (_batchDepth++ == 0)
+            _batch = new BatchCommand(description);
+        return new BatchScope(this);
+    }
+
+    public void Undo(int steps = 1)
+    {
+        Apply(steps, _undo, _redo, c => c.Undo());
+    }
+
+    public void Redo(int steps = 1)
+    {
+        Apply(steps, _redo, _undo, c => c.Redo());
+    }
+
+    public void Clear()
+    {
+        _undo.Clear();
+        _redo.Clear();
+        OnHistoryChanged?.Invoke();
+    }
+
+    private void Apply(int steps, List<IUndoableCommand> from, List<IUndoableCommand> to, Action<IUndoableCommand> apply)
+    {
+        if (_batch != null || steps < 1 || from.Count == 0) return;
+
+        IsApplying = true;
+        try
+        {
+            for (int i = 0; i < steps && from.Count > 0; i++)
+            {
+                var command = from[^1];
+                from.RemoveAt(from.Count - 1);
+                apply(command);
+                to.Add(command);
+            }
+        }
+        finally
+        {
+            IsApplying = false;
+        }
+
+        OnHistoryChanged?.Invoke();
+    }
+
+    private void EndBatch()
+    {
+        if (--_batchDepth > 0 || _batch == null) return;
+
+        var batch = _batch;
+        _batch = null;
+        if (batch.Commands.Count == 1)
+            Record(batch.Commands[0]);
+        else if (batch.Commands.Count > 1)
+            Record(batch);
+    }
+
+    private sealed class BatchCommand : IUndoableCommand
+    {
+        public string Description { get; }
+        public List<IUndoableCommand> Commands { get; } = new();
+
+        public BatchCommand(string description)
+        {
+            Description = description;
+        }
+
+        public void Undo()
+        {
+            for (int i = Commands.Count - 1; i >= 0; i--)
+                Commands[i].Undo();
+        }
+
+        public void Redo()
+        {
+            foreach (var command in Commands)
+                command.Redo();
+        }
+    }
+
+    private sealed class BatchScope : IDisposable
+    {
+        private UndoHistory? _history;
+
+        public BatchScope(UndoHistory history)
+        {
+            _history = history;
+        }
+
+        public void Dispose()
+        {
+            _history?.EndBatch();
+            _history = null;
+        }
+    }
+}
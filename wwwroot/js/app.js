@@ -2,11 +2,10 @@
 
 window.getClickedElement = (event) => {
     console.log('Click detected:', event);
-    const target = event.target;
-    console.log('Target element:', target);
-    console.log('Target attributes:', target.attributes);
+    // Body map regions carry the attribute on a group around their shapes
+    const target = event.target && event.target.closest ? event.target.closest('[data-bodypart]') : null;
 
-    if (target && target.hasAttribute('data-bodypart')) {
+    if (target) {
         const bodyPart = target.getAttribute('data-bodypart');
         console.log('Body part found:', bodyPart);
         return bodyPart;
@@ -26,8 +25,10 @@ window.copyToClipboard = async (text) => {
     }
 };
 
-window.downloadFile = (filename, content, contentType = 'text/plain') => {
-    const blob = new Blob([content], { type: contentType });
+// Pass isBase64 for binary content such as PNG images
+window.downloadFile = (filename, content, contentType = 'text/plain', isBase64 = false) => {
+    const data = isBase64 ? Uint8Array.from(atob(content), c => c.charCodeAt(0)) : content;
+    const blob = new Blob([data], { type: contentType });
     const url = window.URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -38,360 +39,32 @@ window.downloadFile = (filename, content, contentType = 'text/plain') => {
     window.URL.revokeObjectURL(url);
 };
 
-window.positionDropdown = (dropdownId) => {
-    console.log('positionDropdown called with ID:', dropdownId);
-
-    // Debug: List all dropdown elements in DOM
-    const allDropdowns = document.querySelectorAll('[id^="dropdown-"]');
-    console.log('All dropdown elements found:', Array.from(allDropdowns).map(el => el.id));
-
-    const dropdown = document.getElementById(dropdownId);
-    if (!dropdown) {
-        console.log('Dropdown not found:', dropdownId);
-        console.log('Searching for partial matches...');
-        const partialMatches = Array.from(allDropdowns).filter(el =>
-            el.id.includes(dropdownId.replace('dropdown-', '')) ||
-            dropdownId.includes(el.id.replace('dropdown-', ''))
-        );
-        console.log('Partial matches:', partialMatches.map(el => el.id));
-        return;
-    }
-
-    // Determine dropdown type and handle positioning accordingly
-    const isNestedDropdown = dropdown.classList.contains('nested-children-dropdown') ||
-                            dropdown.classList.contains('recursive-children-dropdown');
-
-    if (isNestedDropdown) {
-        return positionNestedDropdown(dropdown, dropdownId);
-    }
-
-    // Clear any previous hiding state and reset all properties
-    dropdown.classList.remove('hide');
-    dropdown.classList.add('show');
-    dropdown.style.visibility = '';  // Reset to default
-    dropdown.style.opacity = '';      // Reset to default
-
-    // Find or retrieve the parent tag tile reference
-    let tagContainer, tagTile;
-
-    // If dropdown is already in document.body, use stored references
-    if (dropdown.parentNode === document.body && dropdown.dataset.originalTagId) {
-        tagTile = document.getElementById(dropdown.dataset.originalTagId);
-        if (tagTile) {
-            tagContainer = tagTile.closest('.tag-item-container');
-        }
-    } else {
-        // Find the parent tag tile by looking for the tile that contains the dropdown
-        tagContainer = dropdown.closest('.tag-item-container');
-        if (tagContainer) {
-            tagTile = tagContainer.querySelector('.tag-tile');
-        }
-    }
-
-    if (!tagContainer || !tagTile) {
-        console.log('Tag container or tile not found for:', dropdownId);
-        return;
-    }
-
-    // Move dropdown to document body to escape all container clipping
-    if (dropdown.parentNode !== document.body) {
-        // Store reference to original tag tile before moving
-        if (tagTile.id) {
-            dropdown.dataset.originalTagId = tagTile.id;
-        } else {
-            // Create an ID if it doesn't exist
-            tagTile.id = 'tag-tile-' + Math.random().toString(36).substr(2, 9);
-            dropdown.dataset.originalTagId = tagTile.id;
-        }
-
-        console.log('Moving dropdown to document body, storing tag reference:', tagTile.id);
-        document.body.appendChild(dropdown);
-    }
-
-    // Get the position of the parent tag tile
-    const tileRect = tagTile.getBoundingClientRect();
-
-    // Add scroll offsets to get absolute position
-    const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
-    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-
-    // Position off-screen first to measure dimensions
-    dropdown.style.visibility = 'hidden';
-    dropdown.style.opacity = '1';
-    dropdown.style.top = '0px';
-    dropdown.style.left = '0px';
-
-    const dropdownRect = dropdown.getBoundingClientRect();
-
-    console.log('Tag tile rect:', tileRect);
-    console.log('Dropdown rect:', dropdownRect);
-    console.log('Scroll offsets:', scrollLeft, scrollTop);
-
-    // Calculate position - center horizontally, position below the tag with proper gap
-    // Use absolute positioning relative to the page (not viewport)
-    let left = tileRect.left + scrollLeft + (tileRect.width / 2) - (dropdownRect.width / 2);
-    let top = tileRect.bottom + scrollTop + 15; // 15px gap below the tile for the arrow
-
-    // Keep dropdown within viewport
-    const margin = 20;
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-
-    // Adjust horizontal position (relative to viewport)
-    const leftRelativeToViewport = left - scrollLeft;
-    if (leftRelativeToViewport < margin) {
-        left = scrollLeft + margin;
-    } else if (leftRelativeToViewport + dropdownRect.width > viewportWidth - margin) {
-        left = scrollLeft + viewportWidth - dropdownRect.width - margin;
-    }
-
-    // Adjust vertical position if dropdown goes off bottom (relative to viewport)
-    const topRelativeToViewport = top - scrollTop;
-    if (topRelativeToViewport + dropdownRect.height > viewportHeight - margin) {
-        top = tileRect.top + scrollTop - dropdownRect.height - 15; // Show above instead with gap
-    }
-
-    // Apply final position and make visible
-    dropdown.style.left = left + 'px';
-    dropdown.style.top = top + 'px';
-    dropdown.style.visibility = 'visible';
-    dropdown.style.opacity = '1';
-    dropdown.style.pointerEvents = 'auto'; // Re-enable pointer events when showing
-    dropdown.style.zIndex = '999999'; // Ensure it's above everything
-
-    console.log('Positioned and shown dropdown:', dropdownId, 'classes:', dropdown.className);
-
-    console.log('Final positioned dropdown:', dropdownId, 'at', left, top);
-    console.log('Tile absolute position:', tileRect.left + scrollLeft, tileRect.bottom + scrollTop);
-
-    // Set up click outside to close (only if not already set up)
-    if (!dropdown.hasAttribute('data-click-outside-setup')) {
-        dropdown.setAttribute('data-click-outside-setup', 'true');
-        const handleClickOutside = (event) => {
-            if (!dropdown.contains(event.target) && !tagTile.contains(event.target)) {
-                dropdown.classList.remove('show');
-                dropdown.classList.add('hide');
-
-                // Move dropdown off-screen and disable pointer events
-                dropdown.style.top = '-9999px';
-                dropdown.style.left = '-9999px';
-                dropdown.style.pointerEvents = 'none';
-
-                // Notify Blazor about the state change
-                const dropdownIdParts = dropdownId.split('dropdown-')[1];
-                if (dropdownIdParts && window.blazorDropdownClosed) {
-                    window.blazorDropdownClosed(dropdownIdParts);
-                }
-
-                document.removeEventListener('click', handleClickOutside);
-                dropdown.removeAttribute('data-click-outside-setup');
-            }
-        };
-        // Delay to prevent immediate triggering
-        setTimeout(() => {
-            document.addEventListener('click', handleClickOutside);
-        }, 100);
-    }
-};
-
-// Position nested/recursive dropdowns with depth-based positioning logic
-window.positionNestedDropdown = (dropdown, dropdownId) => {
-    console.log('Positioning nested dropdown:', dropdownId);
-
-    // Clear any previous hiding state and reset all properties
-    dropdown.classList.remove('hide');
-    dropdown.classList.add('show');
-    dropdown.style.visibility = '';
-    dropdown.style.opacity = '';
-
-    // Find the parent tile for nested dropdowns BEFORE moving to document.body
-    let parentTile = dropdown.parentNode.querySelector('.child-tag-tile, .recursive-tag-tile, .nested-child-tile');
-    if (!parentTile) {
-        // Try looking in the previous sibling or parent container
-        const parentContainer = dropdown.closest('.child-tag-container, .recursive-tag-container, .nested-child-container');
-        if (parentContainer) {
-            parentTile = parentContainer.querySelector('.child-tag-tile, .recursive-tag-tile, .nested-child-tile');
-        }
-    }
-
-    if (!parentTile) {
-        console.log('Parent tile not found for nested dropdown:', dropdownId);
-        return;
-    }
-
-    // DO NOT move nested dropdowns to document.body - keep them in their containers
-    // This prevents orphaning issues when components are destroyed/recreated
-    console.log('Keeping nested dropdown in original container to prevent orphaning');
-
-    // Extract depth from dropdown class
-    let depth = 1;
-    const depthMatch = dropdown.className.match(/depth-(\d+)/);
-    if (depthMatch) {
-        depth = parseInt(depthMatch[1]);
-    }
-
-    console.log('Nested dropdown depth:', depth);
-
-    // Get parent tile position relative to its container (not viewport)
-    const parentRect = parentTile.getBoundingClientRect();
-    const dropdownContainer = dropdown.parentNode;
-    const containerRect = dropdownContainer.getBoundingClientRect();
-
-    console.log('Parent tile rect:', parentRect);
-    console.log('Container rect:', containerRect);
-
-    // Position off-screen first to measure dimensions
-    dropdown.style.visibility = 'hidden';
-    dropdown.style.opacity = '1';
-    dropdown.style.position = 'absolute'; // Use absolute positioning within container
-    dropdown.style.top = '0px';
-    dropdown.style.left = '0px';
-
-    const dropdownRect = dropdown.getBoundingClientRect();
-
-    console.log('Nested dropdown rect:', dropdownRect);
-
-    // Calculate position relative to container (not viewport since we're using absolute positioning)
-    const margin = 5;
-
-    // Calculate relative positions within the container
-    const parentLeftRelativeToContainer = parentRect.left - containerRect.left;
-    const parentTopRelativeToContainer = parentRect.top - containerRect.top;
-    const parentRightRelativeToContainer = parentLeftRelativeToContainer + parentRect.width;
-
-    let left, top;
-
-    // Simple horizontal positioning: try to expand right, fallback to left
-    const containerWidth = containerRect.width;
-    const rightSpaceAvailable = containerWidth - parentRightRelativeToContainer - margin;
-
-    if (rightSpaceAvailable >= dropdownRect.width) {
-        // Expand to the right
-        left = parentRightRelativeToContainer + 5; // 5px gap from parent
-    } else {
-        // Expand to the left
-        left = parentLeftRelativeToContainer - dropdownRect.width - 5;
-
-        // Ensure it doesn't go off the left edge of container
-        if (left < margin) {
-            left = margin;
-        }
-    }
-
-    // Vertical positioning: align with parent top, but ensure it stays in container
-    top = parentTopRelativeToContainer;
-
-    // Ensure dropdown doesn't go off bottom of container
-    const containerHeight = containerRect.height;
-    if (top + dropdownRect.height > containerHeight - margin) {
-        top = containerHeight - dropdownRect.height - margin;
-
-        // Ensure it doesn't go above container top
-        if (top < margin) {
-            top = margin;
-        }
-    }
-
-    // Apply position and make visible (using container-relative coordinates)
-    dropdown.style.left = left + 'px';
-    dropdown.style.top = top + 'px';
-    dropdown.style.visibility = 'visible';
-    dropdown.style.opacity = '1';
-    dropdown.style.pointerEvents = 'auto';
-    dropdown.style.zIndex = (999999 + depth).toString(); // Higher z-index for deeper levels
-
-    console.log('Positioned nested dropdown at depth', depth, 'at', left, top);
-
-    // Set up click outside to close nested dropdowns
-    if (!dropdown.hasAttribute('data-click-outside-setup')) {
-        dropdown.setAttribute('data-click-outside-setup', 'true');
-        const handleNestedClickOutside = (event) => {
-            // Check if click is outside all related dropdowns and tiles in the chain
-            let clickedInsideChain = false;
-
-            // Walk up the parent chain to see if click is in any related element
-            let current = dropdown;
-            while (current) {
-                if (current.contains(event.target)) {
-                    clickedInsideChain = true;
-                    break;
-                }
-
-                // Check parent tile
-                const currentParentContainer = current.closest('.child-tag-container, .recursive-tag-container');
-                if (currentParentContainer && currentParentContainer.contains(event.target)) {
-                    clickedInsideChain = true;
-                    break;
-                }
-
-                // Move to next level up
-                current = currentParentContainer ? currentParentContainer.closest('.nested-children-dropdown, .recursive-children-dropdown') : null;
-            }
-
-            if (!clickedInsideChain) {
-                // Close this dropdown and all nested children
-                closeNestedDropdownChain(dropdown);
-
-                // Notify Blazor
-                const dropdownIdParts = dropdownId.split('dropdown-')[1];
-                if (dropdownIdParts && window.blazorDropdownClosed) {
-                    window.blazorDropdownClosed(dropdownIdParts);
-                }
-
-                document.removeEventListener('click', handleNestedClickOutside);
-                dropdown.removeAttribute('data-click-outside-setup');
-            }
-        };
-
-        setTimeout(() => {
-            document.addEventListener('click', handleNestedClickOutside);
-        }, 100);
-    }
-};
-
-// Helper function to close a nested dropdown and all its children
-window.closeNestedDropdownChain = (dropdown) => {
-    if (!dropdown) return;
-
-    // Close all nested children first
-    const childDropdowns = dropdown.querySelectorAll('.nested-children-dropdown, .recursive-children-dropdown');
-    childDropdowns.forEach(child => {
-        child.classList.remove('show');
-        child.classList.add('hide');
-        child.style.top = '-9999px';
-        child.style.left = '-9999px';
-        child.style.pointerEvents = 'none';
-        child.style.visibility = 'hidden';
-        child.style.opacity = '0';
-    });
-
-    // Close the dropdown itself
-    dropdown.classList.remove('show');
-    dropdown.classList.add('hide');
-    dropdown.style.top = '-9999px';
-    dropdown.style.left = '-9999px';
-    dropdown.style.pointerEvents = 'none';
-    dropdown.style.visibility = 'hidden';
-    dropdown.style.opacity = '0';
-};
-
-window.hideDropdown = (dropdownId) => {
-    const dropdown = document.getElementById(dropdownId);
-    if (dropdown) {
-        console.log('Hiding dropdown:', dropdownId, 'current classes:', dropdown.className);
-
-        dropdown.classList.remove('show');
-        dropdown.classList.add('hide');
+// Scale an image down to a square tag sprite, cropped to the centre.
+// Returns base64 JPEG without the data: prefix, or null if the image cannot be read.
+window.makeThumbnail = (src, size = 256) => new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+        const side = Math.min(img.width, img.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        canvas.getContext('2d').drawImage(img,
+            (img.width - side) / 2, (img.height - side) / 2, side, side,
+            0, 0, size, size);
+        resolve(canvas.toDataURL('image/jpeg', 0.85).split(',')[1]);
+    };
+    img.onerror = () => resolve(null);
+    img.src = src;
+});
 
-        // Move dropdown off-screen and disable pointer events
-        dropdown.style.top = '-9999px';
-        dropdown.style.left = '-9999px';
-        dropdown.style.pointerEvents = 'none';
-        dropdown.style.visibility = 'hidden';
-        dropdown.style.opacity = '0';
+// Pin a badge over the top-right corner of a rectangle. Coordinates are relative to
+// origin, the badge's positioned container, or to the page when there is none.
+const pinBadge = (badge, rect, origin) => {
+    const left = origin ? origin.left : -(window.pageXOffset || document.documentElement.scrollLeft);
+    const top = origin ? origin.top : -(window.pageYOffset || document.documentElement.scrollTop);
 
-        console.log('Hidden dropdown:', dropdownId, 'new classes:', dropdown.className);
-    }
+    badge.style.left = (rect.right - left - 13) + 'px'; // 13px = half badge width
+    badge.style.top = (rect.top - top - 13) + 'px'; // 13px = half badge height
 };
 
 window.positionBadges = () => {
@@ -399,15 +72,24 @@ window.positionBadges = () => {
     badges.forEach(badge => {
         const tabButton = badge.closest('.category-tab');
         if (tabButton) {
-            const rect = tabButton.getBoundingClientRect();
-            const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
-            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-
             // Position badge at top-right of tab
-            badge.style.left = (rect.right + scrollLeft - 13) + 'px'; // 13px = half badge width
-            badge.style.top = (rect.top + scrollTop - 13) + 'px'; // 13px = half badge height
+            pinBadge(badge, tabButton.getBoundingClientRect(), null);
         }
     });
+
+    // Body map badges go on the box around every shape of their region
+    document.querySelectorAll('.body-map [data-badge-for]').forEach(badge => {
+        const map = badge.closest('.body-map-figure');
+        const shapes = map.querySelectorAll(`[data-bodypart="${badge.dataset.badgeFor}"]`);
+        if (shapes.length === 0) return;
+
+        const rects = Array.from(shapes, shape => shape.getBoundingClientRect());
+        const box = {
+            top: Math.min(...rects.map(r => r.top)),
+            right: Math.max(...rects.map(r => r.right))
+        };
+        pinBadge(badge, box, map.getBoundingClientRect());
+    });
 };
 
 // Position badges when page loads and on resize/scroll
@@ -417,125 +99,11 @@ window.addEventListener('scroll', window.positionBadges);
 
 window.setupDropdownCallbacks = (dotNetRef) => {
     window.blazorDropdownClosed = (childrenKey) => {
-        dotNetRef.invokeMethodAsync('OnDropdownClosed', childrenKey);
+        return dotNetRef.invokeMethodAsync('OnDropdownClosed', childrenKey);
     };
     window.characterDesignerRef = dotNetRef;
-
-    // Periodic cleanup disabled to prevent interference with reopening
-    // startDropdownCleanup();
-};
-
-// Global function to ensure all hidden dropdowns are properly disabled
-window.cleanupHiddenDropdowns = () => {
-    const allDropdowns = document.querySelectorAll('.children-dropdown, .nested-children-dropdown, .recursive-children-dropdown');
-    allDropdowns.forEach(dropdown => {
-        // Only cleanup dropdowns that are stuck visible but should be hidden
-        // Check if dropdown is visible but not intentionally shown
-        const isVisible = dropdown.style.visibility !== 'hidden' &&
-                          dropdown.style.opacity !== '0' &&
-                          dropdown.style.top !== '-9999px';
-        const isIntentionallyShown = dropdown.classList.contains('show');
-
-        // Only intervene if dropdown is visible but not intentionally shown
-        if (isVisible && !isIntentionallyShown && dropdown.classList.contains('hide')) {
-            // Force disable interaction for stuck dropdowns only
-            dropdown.style.pointerEvents = 'none';
-            dropdown.style.top = '-9999px';
-            dropdown.style.left = '-9999px';
-            dropdown.style.visibility = 'hidden';
-            dropdown.style.opacity = '0';
-
-            console.log('Cleaned up stuck visible dropdown:', dropdown.id);
-        }
-    });
-};
-
-// Global function to cleanup orphaned dropdowns in document.body (CONSERVATIVE)
-window.cleanupOrphanedDropdowns = () => {
-    console.log('Running conservative orphaned dropdown cleanup');
-
-    // Find all dropdowns that were moved to document.body
-    const bodyDropdowns = document.body.querySelectorAll('.children-dropdown, .nested-children-dropdown, .recursive-children-dropdown');
-
-    bodyDropdowns.forEach(dropdown => {
-        // Only remove dropdowns that are clearly orphaned AND have been hidden for a while
-        const originalTileId = dropdown.dataset.originalTagId || dropdown.dataset.originalNestedTileId;
-        const isHidden = dropdown.classList.contains('hide') ||
-                        dropdown.style.visibility === 'hidden' ||
-                        dropdown.style.top === '-9999px';
-
-        // Be very conservative - only remove if:
-        // 1. Has no original tile reference AND is hidden, OR
-        // 2. Has original tile reference but tile doesn't exist AND dropdown is hidden
-        if (!originalTileId && isHidden) {
-            console.log('Removing unreferenced hidden dropdown:', dropdown.id);
-            dropdown.remove();
-        } else if (originalTileId && isHidden) {
-            const originalTile = document.getElementById(originalTileId);
-            if (!originalTile) {
-                console.log('Removing orphaned hidden dropdown:', dropdown.id);
-                dropdown.remove();
-            }
-        }
-        // Don't remove anything that might still be in use
-    });
-};
-
-// Function for Blazor to call when component state changes (group navigation, etc.)
-window.onBlazorStateChange = () => {
-    console.log('Blazor state change detected, cleaning up orphaned dropdowns');
-    cleanupOrphanedDropdowns();
-    cleanupHiddenDropdowns();
-};
-
-// Targeted cleanup for nested dropdowns only (safer for group switches)
-window.cleanupNestedDropdownsOnly = () => {
-    console.log('Cleaning up nested dropdowns only');
-
-    // Find only nested dropdowns that were moved to document.body
-    const nestedDropdowns = document.body.querySelectorAll('.nested-children-dropdown, .recursive-children-dropdown');
-
-    nestedDropdowns.forEach(dropdown => {
-        console.log('Removing nested dropdown:', dropdown.id);
-        dropdown.remove();
-    });
-
-    // Also clean up any clearly hidden main dropdowns
-    const mainDropdowns = document.body.querySelectorAll('.children-dropdown');
-    mainDropdowns.forEach(dropdown => {
-        const isHidden = dropdown.classList.contains('hide') ||
-                        dropdown.style.visibility === 'hidden' ||
-                        dropdown.style.top === '-9999px';
-
-        if (isHidden) {
-            console.log('Removing hidden main dropdown:', dropdown.id);
-            dropdown.remove();
-        }
-    });
 };
 
-// Start periodic cleanup (runs every 10 seconds to catch any edge cases without interfering)
-window.startDropdownCleanup = () => {
-    if (window.dropdownCleanupInterval) {
-        clearInterval(window.dropdownCleanupInterval);
-    }
-
-    window.dropdownCleanupInterval = setInterval(() => {
-        window.cleanupHiddenDropdowns();
-        // Reduced frequency orphaned cleanup to prevent crashes
-        if (Math.random() < 0.1) { // Only 10% of the time
-            cleanupOrphanedDropdowns();
-        }
-    }, 30000); // Increased to 30 seconds
-};
-
-// Stop cleanup when page unloads
-window.addEventListener('beforeunload', () => {
-    if (window.dropdownCleanupInterval) {
-        clearInterval(window.dropdownCleanupInterval);
-    }
-});
-
 // Scroll to and highlight a specific tag
 window.scrollToTag = (canonicalTag) => {
     console.log('Scrolling to tag:', canonicalTag);
@@ -589,4 +157,119 @@ window.scrollToTag = (canonicalTag) => {
             window.scrollToTag(canonicalTag);
         }, 500);
     }
-};
\ No newline at end of file
+};
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) for the page's undo history.
+// Only the most recently registered page receives the shortcut.
+let undoShortcutRef = null;
+let undoShortcutToken = null;
+
+const isTextEntry = (element) => {
+    if (!element) return false;
+    const tag = element.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || element.isContentEditable;
+};
+
+document.addEventListener('keydown', (event) => {
+    if (!undoShortcutRef || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+    const isUndo = key === 'z';
+    const isRedo = key === 'y' && !event.shiftKey;
+    if (!isUndo && !isRedo) return;
+
+    // Leave text fields their own undo
+    if (isTextEntry(document.activeElement)) return;
+
+    event.preventDefault();
+    undoShortcutRef.invokeMethodAsync('OnUndoShortcut', isRedo || event.shiftKey);
+});
+
+window.registerUndoShortcuts = (dotNetRef, token) => {
+    undoShortcutRef = dotNetRef;
+    undoShortcutToken = token;
+};
+
+// A page being disposed must not clear the registration of the page that replaced it,
+// so it passes the token it registered with.
+window.unregisterUndoShortcuts = (token) => {
+    if (undoShortcutRef && token === undoShortcutToken) {
+        undoShortcutRef = null;
+        undoShortcutToken = null;
+    }
+};
+
+// Drag and drop for the Tag Forest editor. Rows carry data-node-id, data-parent-id and
+// data-is-tag. Dropping on a category moves the dragged node into it, dropping on a tag
+// moves it next to that tag, and dropping on empty space in the tree makes it a root.
+window.enableTagTreeDragDrop = (container, dotNetRef) => {
+    if (!container || container._tagTreeDrag) return;
+
+    let dragged = null;
+    const rowOf = (element) => element.closest('[data-node-id]');
+    const parentOf = (row) => row.dataset.parentId ? Number(row.dataset.parentId) : null;
+
+    // Where a drop on this row would put the dragged node; undefined when nowhere
+    const targetOf = (row) => {
+        if (!row) return null;
+        const target = row.dataset.isTag === 'true' ? parentOf(row) : Number(row.dataset.nodeId);
+        return target === dragged.nodeId ? undefined : target;
+    };
+
+    const clearHighlight = () => {
+        container.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+        container.classList.remove('drop-root');
+    };
+
+    const handlers = {
+        dragstart: (event) => {
+            const row = rowOf(event.target);
+            if (!row) return;
+            dragged = { nodeId: Number(row.dataset.nodeId), parentId: parentOf(row) };
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', row.dataset.nodeId);
+        },
+        dragover: (event) => {
+            if (!dragged) return;
+            const row = rowOf(event.target);
+            const target = targetOf(row);
+            clearHighlight();
+            if (target === undefined || target === dragged.parentId) return;
+
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            if (row) {
+                row.classList.add('drop-target');
+            } else {
+                container.classList.add('drop-root');
+            }
+        },
+        dragleave: (event) => {
+            if (!container.contains(event.relatedTarget)) clearHighlight();
+        },
+        drop: (event) => {
+            if (!dragged) return;
+            event.preventDefault();
+            const target = targetOf(rowOf(event.target));
+            const source = dragged;
+            dragged = null;
+            clearHighlight();
+            if (target === undefined || target === source.parentId) return;
+
+            dotNetRef.invokeMethodAsync('OnNodeDropped', source.nodeId, source.parentId, target);
+        },
+        dragend: () => {
+            dragged = null;
+            clearHighlight();
+        }
+    };
+
+    Object.entries(handlers).forEach(([name, handler]) => container.addEventListener(name, handler));
+    container._tagTreeDrag = handlers;
+};
+
+window.disableTagTreeDragDrop = (container) => {
+    if (!container || !container._tagTreeDrag) return;
+
+    Object.entries(container._tagTreeDrag).forEach(([name, handler]) => container.removeEventListener(name, handler));
+    delete container._tagTreeDrag;
+};
@@ -0,0 +1,98 @@
+// Contact sheets for ComfyUI batch runs.
+//
+// Draws every image of a batch into one labelled grid on a canvas and returns
+// it as base64 PNG, ready for downloadFile(name, data, 'image/png', true).
+// Column labels run along the top, row labels down the left; cells without an
+// image show the job status instead.
+
+window.contactSheet = (() => {
+    const CELL_SIZE = 256;
+    const GAP = 8;
+    const HEADER = 48;
+    const LABEL_HEIGHT = 28;
+    const ROW_LABEL_WIDTH = 120;
+    const BACKGROUND = '#16172a';
+    const TEXT = '#ffffff';
+    const MUTED = 'rgba(255, 255, 255, 0.55)';
+
+    const loadImage = (src) => new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+    });
+
+    const fitText = (ctx, text, maxWidth) => {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+        let cut = text;
+        while (cut.length > 1 && ctx.measureText(cut + '…').width > maxWidth) {
+            cut = cut.slice(0, -1);
+        }
+        return cut + '…';
+    };
+
+    // Largest size that keeps the image's aspect ratio inside the cell
+    const contain = (img) => {
+        const scale = Math.min(CELL_SIZE / img.width, CELL_SIZE / img.height);
+        return { width: img.width * scale, height: img.height * scale };
+    };
+
+    const render = async (sheet) => {
+        const columns = Math.max(1, sheet.columnLabels.length);
+        const rows = Math.max(1, sheet.rowLabels.length);
+        const left = sheet.rowLabels.length > 0 ? ROW_LABEL_WIDTH : 0;
+        const top = HEADER + LABEL_HEIGHT;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = left + columns * (CELL_SIZE + GAP) + GAP;
+        canvas.height = top + rows * (CELL_SIZE + GAP) + GAP;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = BACKGROUND;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.textBaseline = 'middle';
+
+        ctx.fillStyle = TEXT;
+        ctx.font = 'bold 18px sans-serif';
+        const axes = sheet.yLabel ? `${sheet.xLabel} × ${sheet.yLabel}` : sheet.xLabel;
+        ctx.fillText(fitText(ctx, `${axes} — ${sheet.title}`, canvas.width - 2 * GAP), GAP, HEADER / 2);
+
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        sheet.columnLabels.forEach((label, column) => {
+            const x = left + GAP + column * (CELL_SIZE + GAP) + CELL_SIZE / 2;
+            ctx.fillText(fitText(ctx, label, CELL_SIZE), x, HEADER + LABEL_HEIGHT / 2);
+        });
+
+        ctx.textAlign = 'right';
+        sheet.rowLabels.forEach((label, row) => {
+            const y = top + GAP + row * (CELL_SIZE + GAP) + CELL_SIZE / 2;
+            ctx.fillText(fitText(ctx, label, ROW_LABEL_WIDTH - 2 * GAP), ROW_LABEL_WIDTH - GAP, y);
+        });
+
+        ctx.textAlign = 'center';
+        const images = await Promise.all(sheet.cells.map(cell => cell.image ? loadImage(cell.image) : null));
+        sheet.cells.forEach((cell, index) => {
+            const x = left + GAP + cell.column * (CELL_SIZE + GAP);
+            const y = top + GAP + cell.row * (CELL_SIZE + GAP);
+            const img = images[index];
+
+            if (img) {
+                const size = contain(img);
+                ctx.drawImage(img, x + (CELL_SIZE - size.width) / 2, y + (CELL_SIZE - size.height) / 2, size.width, size.height);
+            } else {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+                ctx.fillRect(x, y, CELL_SIZE, CELL_SIZE);
+                ctx.fillStyle = MUTED;
+                ctx.fillText(cell.status, x + CELL_SIZE / 2, y + CELL_SIZE / 2);
+                ctx.fillStyle = TEXT;
+            }
+        });
+
+        return canvas.toDataURL('image/png').split(',')[1];
+    };
+
+    return { render };
+})();
+
+window.renderContactSheet = (sheet) => window.contactSheet.render(sheet);
@@ -0,0 +1,262 @@
+// Popover registry for the character designer dropdowns.
+//
+// Every open dropdown is tracked here together with its anchor tile and the
+// popover it was opened from. Open popovers are lifted into document.body so
+// no container can clip them, and are put back where Blazor rendered them as
+// soon as they close. Closing always goes through close(), which closes the
+// chain below a popover first, hands focus back to the anchor tile if it was
+// inside the popover, and tells Blazor exactly once per popover.
+
+window.popovers = (() => {
+    const VIEWPORT_MARGIN = 12;
+    const ANCHOR_GAP = 12;
+    const MIN_HEIGHT = 160;
+    const BASE_Z_INDEX = 999999;
+
+    // id -> { id, el, anchorId, parentId, depth, home: { parent, next }, openedAt }
+    const entries = new Map();
+    let openCounter = 0;
+    let frameRequested = false;
+
+    const keyFromId = (id) => id.replace(/^dropdown-/, '');
+
+    const getAnchor = (entry) => document.getElementById(entry.anchorId);
+
+    const childrenOf = (id) => Array.from(entries.values())
+        .filter(e => e.parentId === id)
+        .sort((a, b) => b.openedAt - a.openedAt);
+
+    const rootOf = (entry) => {
+        let current = entry;
+        while (current.parentId && entries.has(current.parentId)) {
+            current = entries.get(current.parentId);
+        }
+        return current;
+    };
+
+    const notifyClosed = (id) => {
+        if (!window.blazorDropdownClosed) return;
+        try {
+            const result = window.blazorDropdownClosed(keyFromId(id));
+            if (result && typeof result.catch === 'function') {
+                result.catch(err => console.warn('Dropdown close notification failed:', err));
+            }
+        } catch (err) {
+            console.warn('Dropdown close notification failed:', err);
+        }
+    };
+
+    const place = (entry) => {
+        const anchor = getAnchor(entry);
+        if (!anchor || !anchor.isConnected) {
+            close(entry.id);
+            return;
+        }
+
+        const el = entry.el;
+        const anchorRect = anchor.getBoundingClientRect();
+        const viewportWidth = window.innerWidth;
+        const viewportHeight = window.innerHeight;
+
+        // Measure at the origin with any previous height limit removed
+        el.style.maxHeight = '';
+        el.style.left = '0px';
+        el.style.top = '0px';
+        let rect = el.getBoundingClientRect();
+
+        let left, top, placement;
+
+        if (!entry.parentId) {
+            // Root dropdowns hang below their tile, flipping above when there is more room there
+            const below = viewportHeight - anchorRect.bottom - ANCHOR_GAP - VIEWPORT_MARGIN;
+            const above = anchorRect.top - ANCHOR_GAP - VIEWPORT_MARGIN;
+            placement = rect.height <= below || below >= above ? 'bottom' : 'top';
+
+            const room = placement === 'bottom' ? below : above;
+            if (rect.height > room) {
+                el.style.maxHeight = Math.max(room, MIN_HEIGHT) + 'px';
+                rect = el.getBoundingClientRect();
+            }
+
+            top = placement === 'bottom'
+                ? anchorRect.bottom + ANCHOR_GAP
+                : anchorRect.top - ANCHOR_GAP - rect.height;
+            left = anchorRect.left + anchorRect.width / 2 - rect.width / 2;
+        } else {
+            // Nested dropdowns open beside their tile, flipping to the left when the right side is short
+            const right = viewportWidth - anchorRect.right - ANCHOR_GAP - VIEWPORT_MARGIN;
+            const leftRoom = anchorRect.left - ANCHOR_GAP - VIEWPORT_MARGIN;
+            placement = rect.width <= right || right >= leftRoom ? 'right' : 'left';
+
+            left = placement === 'right'
+                ? anchorRect.right + ANCHOR_GAP
+                : anchorRect.left - ANCHOR_GAP - rect.width;
+            top = anchorRect.top;
+
+            const room = viewportHeight - 2 * VIEWPORT_MARGIN;
+            if (rect.height > room) {
+                el.style.maxHeight = Math.max(room, MIN_HEIGHT) + 'px';
+                rect = el.getBoundingClientRect();
+            }
+        }
+
+        // Shift back inside the viewport
+        left = Math.min(Math.max(left, VIEWPORT_MARGIN), viewportWidth - VIEWPORT_MARGIN - rect.width);
+        top = Math.min(Math.max(top, VIEWPORT_MARGIN), viewportHeight - VIEWPORT_MARGIN - rect.height);
+
+        el.style.left = Math.round(left) + 'px';
+        el.style.top = Math.round(top) + 'px';
+        el.style.setProperty('--popover-arrow-x', Math.round(anchorRect.left + anchorRect.width / 2 - left) + 'px');
+        el.dataset.placement = placement;
+    };
+
+    const repositionAll = () => {
+        frameRequested = false;
+        // Parents first so children measure against their final anchors
+        Array.from(entries.values())
+            .sort((a, b) => a.depth - b.depth)
+            .forEach(entry => {
+                if (entries.has(entry.id)) place(entry);
+            });
+    };
+
+    const scheduleReposition = () => {
+        if (frameRequested || entries.size === 0) return;
+        frameRequested = true;
+        requestAnimationFrame(repositionAll);
+    };
+
+    function open(id, anchorId, parentId) {
+        const el = document.getElementById(id);
+        const anchor = document.getElementById(anchorId);
+        if (!el || !anchor) {
+            console.warn('Popover or anchor not found:', id, anchorId);
+            return false;
+        }
+
+        const existing = entries.get(id);
+        if (existing) {
+            existing.anchorId = anchorId;
+            place(existing);
+            return true;
+        }
+
+        const parent = parentId && entries.has(parentId) ? entries.get(parentId) : null;
+        const entry = {
+            id,
+            el,
+            anchorId,
+            parentId: parent ? parent.id : null,
+            depth: parent ? parent.depth + 1 : 0,
+            home: { parent: el.parentNode, next: el.nextSibling },
+            openedAt: ++openCounter
+        };
+        entries.set(id, entry);
+
+        document.body.appendChild(el);
+        el.classList.remove('hide');
+        el.classList.add('show');
+        el.style.position = 'fixed';
+        el.style.zIndex = String(BASE_Z_INDEX + entry.depth);
+        anchor.setAttribute('aria-expanded', 'true');
+
+        place(entry);
+        document.dispatchEvent(new CustomEvent('popover:open', { detail: { id, anchorId } }));
+        return true;
+    }
+
+    function close(id) {
+        const entry = entries.get(id);
+        if (!entry) return;
+
+        // Deepest first, so every child is home before its parent moves
+        childrenOf(id).forEach(child => close(child.id));
+        entries.delete(id);
+
+        const el = entry.el;
+        const hadFocus = el.contains(document.activeElement);
+        el.classList.remove('show');
+        el.classList.add('hide');
+        ['position', 'left', 'top', 'z-index', 'max-height', '--popover-arrow-x']
+            .forEach(prop => el.style.removeProperty(prop));
+        delete el.dataset.placement;
+
+        const { parent, next } = entry.home;
+        if (parent) {
+            parent.insertBefore(el, next && next.parentNode === parent ? next : null);
+        } else {
+            el.remove();
+        }
+
+        const anchor = getAnchor(entry);
+        if (anchor) {
+            anchor.setAttribute('aria-expanded', 'false');
+            if (hadFocus && anchor.isConnected) anchor.focus();
+        }
+
+        notifyClosed(id);
+    }
+
+    function closeAll() {
+        Array.from(entries.values())
+            .filter(e => !e.parentId)
+            .forEach(e => close(e.id));
+    }
+
+    function isOpen(id) {
+        return entries.has(id);
+    }
+
+    // Close every chain the click did not land in. A click on a popover keeps
+    // its ancestors open; a click on an anchor tile is left to Blazor to toggle.
+    document.addEventListener('click', (event) => {
+        if (entries.size === 0) return;
+
+        const keep = new Set();
+        const keepWithAncestors = (entry) => {
+            for (let current = entry; current; current = entries.get(current.parentId)) {
+                keep.add(current.id);
+            }
+        };
+
+        entries.forEach(entry => {
+            const anchor = getAnchor(entry);
+            if (entry.el.contains(event.target) || (anchor && anchor.contains(event.target))) {
+                keepWithAncestors(entry);
+            }
+        });
+
+        Array.from(entries.values())
+            .sort((a, b) => b.depth - a.depth)
+            .forEach(entry => {
+                if (!keep.has(entry.id)) close(entry.id);
+            });
+    }, true);
+
+    // Escape closes the whole chain holding focus (or whose anchor tile has it),
+    // or the most recently opened one
+    document.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape' || entries.size === 0) return;
+
+        const all = Array.from(entries.values());
+        const focused = all.find(e => e.el.contains(document.activeElement) || getAnchor(e) === document.activeElement);
+        const target = focused || all.sort((a, b) => b.openedAt - a.openedAt)[0];
+        close(rootOf(target).id);
+        event.preventDefault();
+    });
+
+    window.addEventListener('resize', scheduleReposition);
+    document.addEventListener('scroll', scheduleReposition, true);
+
+    // Blazor re-renders can remove an anchor tile while its popover is open
+    // (switching groups, collapsing a source); close those instead of leaving them behind.
+    new MutationObserver(() => {
+        if (entries.size === 0) return;
+        entries.forEach(entry => {
+            const anchor = getAnchor(entry);
+            if (!anchor || !anchor.isConnected) close(entry.id);
+        });
+    }).observe(document.body, { childList: true, subtree: true });
+
+    return { open, close, closeAll, isOpen, reposition: scheduleReposition };
+})();
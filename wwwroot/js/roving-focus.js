@@ -0,0 +1,187 @@
+// Keyboard navigation for the character designer tag grids and dropdown menus.
+//
+// Tiles carry data-roving-item and live inside a data-roving-group (a tag grid
+// or a dropdown menu). Exactly one tile per group is tabbable; arrow keys move
+// that stop around the group. Right opens a tile's child menu and Left closes
+// it again (from inside a menu, Left closes that menu), so the same two keys
+// work at every depth; on tiles without children they move along the grid.
+// Activation is delegated to the tile's click handler so Blazor stays the only
+// owner of selection state.
+
+(() => {
+    let pendingFocusAnchorId = null;
+
+    const groupOf = (item) => item.closest('[data-roving-group]');
+
+    // Only the tiles that belong to this group, not the ones in nested menus below it
+    const itemsOf = (group) => Array.from(group.querySelectorAll('[data-roving-item]'))
+        .filter(item => groupOf(item) === group);
+
+    const isMenu = (group) => group.getAttribute('role') === 'menu';
+
+    const setTabStop = (group, target) => {
+        itemsOf(group).forEach(item => item.setAttribute('tabindex', item === target ? '0' : '-1'));
+    };
+
+    const focusItem = (item) => {
+        if (!item) return;
+        setTabStop(groupOf(item), item);
+        item.focus();
+        item.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    };
+
+    // Grids wrap with auto-fill columns, so rows are worked out from the rendered layout
+    const rowsOf = (items) => {
+        const rows = [];
+        items.forEach(item => {
+            const top = Math.round(item.getBoundingClientRect().top);
+            const row = rows.find(r => Math.abs(r.top - top) < 4);
+            if (row) {
+                row.items.push(item);
+            } else {
+                rows.push({ top, items: [item] });
+            }
+        });
+        return rows.sort((a, b) => a.top - b.top).map(r => r.items);
+    };
+
+    const verticalNeighbour = (items, current, direction) => {
+        const rows = rowsOf(items);
+        const rowIndex = rows.findIndex(r => r.includes(current));
+        const targetRow = rows[rowIndex + direction];
+        if (!targetRow) return null;
+
+        const x = current.getBoundingClientRect().left;
+        return targetRow.reduce((best, item) =>
+            Math.abs(item.getBoundingClientRect().left - x) < Math.abs(best.getBoundingClientRect().left - x) ? item : best);
+    };
+
+    const menuOf = (item) => {
+        const controls = item.getAttribute('aria-controls');
+        return controls ? document.getElementById(controls) : null;
+    };
+
+    const focusFirstInMenu = (menu) => {
+        const items = itemsOf(menu);
+        focusItem(items.find(i => i.getAttribute('tabindex') === '0') || items[0]);
+    };
+
+    const openChildMenu = (item) => {
+        const menu = menuOf(item);
+        if (menu && window.popovers.isOpen(menu.id)) {
+            focusFirstInMenu(menu);
+            return;
+        }
+        pendingFocusAnchorId = item.id;
+        item.click();
+    };
+
+    const closeMenu = (group) => {
+        // The registry hands focus back to the anchor tile
+        window.popovers.close(group.id);
+    };
+
+    document.addEventListener('keydown', (event) => {
+        const item = event.target.closest && event.target.closest('[data-roving-item]');
+        if (!item || event.altKey || event.ctrlKey || event.metaKey) return;
+
+        const group = groupOf(item);
+        if (!group) return;
+
+        const items = itemsOf(group);
+        const index = items.indexOf(item);
+        const menu = isMenu(group);
+        const hasChildren = item.getAttribute('aria-haspopup') === 'menu';
+        let handled = true;
+
+        switch (event.key) {
+            case 'Enter':
+            case ' ':
+                if (hasChildren) {
+                    openChildMenu(item);
+                } else {
+                    item.click();
+                }
+                break;
+            case 'ArrowRight':
+                if (hasChildren) {
+                    openChildMenu(item);
+                } else {
+                    focusItem(items[index + 1]);
+                }
+                break;
+            case 'ArrowLeft':
+                if (menu) {
+                    closeMenu(group);
+                } else if (hasChildren && menuOf(item) && window.popovers.isOpen(menuOf(item).id)) {
+                    closeMenu(menuOf(item));
+                } else {
+                    focusItem(items[index - 1]);
+                }
+                break;
+            case 'ArrowDown':
+                focusItem(verticalNeighbour(items, item, 1) || (menu ? items[index + 1] : null));
+                break;
+            case 'ArrowUp':
+                focusItem(verticalNeighbour(items, item, -1) || (menu ? items[index - 1] : null));
+                break;
+            case 'Home':
+                focusItem(items[0]);
+                break;
+            case 'End':
+                focusItem(items[items.length - 1]);
+                break;
+            default:
+                handled = false;
+        }
+
+        if (handled) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    });
+
+    // Clicking a tile makes it the group's tab stop, so Tab returns to where the user left off
+    document.addEventListener('focusin', (event) => {
+        const item = event.target.closest && event.target.closest('[data-roving-item]');
+        if (item && groupOf(item)) setTabStop(groupOf(item), item);
+    });
+
+    // Menus opened from the keyboard take focus once the registry has placed them
+    document.addEventListener('popover:open', (event) => {
+        if (event.detail.anchorId !== pendingFocusAnchorId) return;
+        pendingFocusAnchorId = null;
+        const menu = document.getElementById(event.detail.id);
+        if (menu) requestAnimationFrame(() => focusFirstInMenu(menu));
+    });
+
+    // Every group needs one tabbable tile; Blazor renders them all with tabindex -1
+    const ensureTabStops = () => {
+        document.querySelectorAll('[data-roving-group]').forEach(group => {
+            const items = itemsOf(group);
+            if (items.length && !items.some(i => i.getAttribute('tabindex') === '0')) {
+                items[0].setAttribute('tabindex', '0');
+            }
+        });
+    };
+
+    let tabStopFrame = 0;
+    const observer = new MutationObserver(() => {
+        if (tabStopFrame) return;
+        tabStopFrame = requestAnimationFrame(() => {
+            tabStopFrame = 0;
+            ensureTabStops();
+        });
+    });
+
+    const start = () => {
+        ensureTabStops();
+        observer.observe(document.body, { childList: true, subtree: true });
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+})();